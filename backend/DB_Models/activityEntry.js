@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One entry of the activity log: who did what to a category, list or item, and when.
+// `before` and `after` hold the changed fields as they were and became; `audience` holds
+// everyone who could see the target at the time, so deletes stay in their feeds.
+const activityEntrySchema = new mongoose.Schema({
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },    // null for automatic changes
+  action: {
+    type: String,
+    enum: [
+      'category.create', 'category.update', 'category.delete',
+      'list.create', 'list.update', 'list.delete',
+      'item.add', 'item.update', 'item.toggle', 'item.delete'
+    ],
+    required: true
+  },
+  targetType: { type: String, enum: ['category', 'list', 'item'], required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  name: { type: String, required: true },                                    // of the target at the time
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },     // the category, or the one the list is in
+  listId: { type: mongoose.Schema.Types.ObjectId, ref: 'List' },             // the list, or the one the item is on
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  audience: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  at: { type: Date, default: Date.now }
+});
+
+activityEntrySchema.index({ audience: 1, at: -1 });
+activityEntrySchema.index({ listId: 1, at: -1 });
+
+module.exports = mongoose.model('ActivityEntry', activityEntrySchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const { itemKey, pluralName } = require('./itemNames');
+
+// One entry of a user's item catalog, learned from every item they add to a list.
+// `key` (itemNames.js) matches the name in any case, accent or plural; `aliases` keeps other
+// spellings seen for it, such as the name it had before a rename.
+const catalogItemSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true },       // canonical name: as first added, or renamed
+  key: { type: String, required: true },
+  plural: { type: String },
+  aliases: [String],                                         // spellings (itemNames.spelling)
+  unit: { type: String, default: 'pcs' },                    // last used
+  quantity: { type: Number, default: 1 },                    // last used
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },  // last added in
+  useCount: { type: Number, default: 0 },
+  lastUsedAt: { type: Date, default: Date.now }
+});
+
+catalogItemSchema.index({ userId: 1, key: 1 }, { unique: true });
+catalogItemSchema.index({ userId: 1, aliases: 1 });
+
+catalogItemSchema.pre('validate', function (next) {
+  if (this.isModified('name')) {
+    this.key = itemKey(this.name);
+    this.plural = pluralName(this.name);
+  }
+  next();
+});
+
+module.exports = mongoose.model('CatalogItem', catalogItemSchema);
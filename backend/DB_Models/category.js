@@ -1,11 +1,29 @@
 const mongoose = require('mongoose');
+const memberSchema = require('./member');
+const { searchTerms, hideSearchKeys } = require('./searchTerms');
+const { trackRevisions } = require('./revisions');
 
 const categorySchema = new mongoose.Schema({
   name: { type: String, required: true },
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  createdAt: { type: Date, default: Date.now }
+  members: [memberSchema],
+  budget: { type: Number, min: 0 },           // optional spend limit across the category's lists
+  currency: { type: String, uppercase: true, trim: true },
+  createdAt: { type: Date, default: Date.now },
+  searchTerms: [String]                       // search keys of the name (see searchTerms.js)
 });
 
 categorySchema.index({ name: 1, userId: 1 }, { unique: true });
+categorySchema.index({ 'members.userId': 1 });
+categorySchema.index({ searchTerms: 1 });
+
+categorySchema.pre('save', function (next) {
+  this.searchTerms = searchTerms(this.name);
+  next();
+});
+
+trackRevisions(categorySchema, 'category');
+
+hideSearchKeys(categorySchema, ['searchTerms']);
 
 module.exports = mongoose.model('Category', categorySchema);
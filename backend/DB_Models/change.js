@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// One entry of the change log read by /api/sync: a category or list was saved or deleted.
+// `audience` holds everyone who could see the document before or after the change.
+const changeSchema = new mongoose.Schema({
+  seq: { type: Number, required: true, unique: true },                      // sync tokens count these
+  kind: { type: String, enum: ['category', 'list'], required: true },
+  docId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  revision: { type: Number, default: 0 },
+  deleted: { type: Boolean, default: false },
+  audience: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  at: { type: Date, default: Date.now }
+});
+
+changeSchema.index({ audience: 1, seq: 1 });
+changeSchema.index({ at: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });   // clients offline longer sync from scratch
+
+module.exports = mongoose.model('Change', changeSchema);
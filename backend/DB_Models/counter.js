@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. the change log numbers of /api/sync
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Server-side record of an emailed token (verification or password reset) so it can be used only once
+const emailTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['verify-email', 'reset-password'], required: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null }
+});
+
+emailTokenSchema.index({ userId: 1, purpose: 1 });
+emailTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });   // MongoDB removes expired tokens
+
+module.exports = mongoose.model('EmailToken', emailTokenSchema);
@@ -0,0 +1,39 @@
+// Matching keys for item names, shared by the duplicate check of lists and the item catalog.
+// A spelling ignores case, accents, punctuation and extra spaces ("Crème  Fraîche!" ->
+// "creme fraiche"); a key also reduces the last word to its singular stem, so "Tomato",
+// "tomatoes" and "Tomatos " are the same item.
+const { normalizeText } = require('./searchTerms');
+
+const spelling = (name) => normalizeText(name).replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Words ending in y, ie and ies share the stem ending in i ("berry", "berries" -> "berri")
+const singularStem = (word) => {
+    if (word.length <= 3) return word;
+    if (word.endsWith('ies')) return `${word.slice(0, -3)}i`;
+    if (word.endsWith('ie')) return `${word.slice(0, -2)}i`;
+    if (/[^aeiou]y$/.test(word)) return `${word.slice(0, -1)}i`;
+    if (word.endsWith('oes') || /(ch|sh|ss|x|z)es$/.test(word)) return word.slice(0, -2);
+    if (/[^su]s$/.test(word) && !word.endsWith('is')) return word.slice(0, -1);
+    return word;
+};
+
+const itemKey = (name) => {
+    const words = spelling(name).split(' ');
+    words[words.length - 1] = singularStem(words[words.length - 1]);
+    return words.join(' ');
+};
+
+// Plural of a display name: "Tomato" -> "Tomatoes", "Berry" -> "Berries", "Oat milk" -> "Oat milks"
+const pluralName = (name) => {
+    const trimmed = String(name).trim();
+    if (/s$/i.test(trimmed)) return trimmed;
+    if (/[^aeiou]y$/i.test(trimmed)) return `${trimmed.slice(0, -1)}ies`;
+    if (/(ch|sh|x|z|[^aeiou]o)$/i.test(trimmed)) return `${trimmed}es`;
+    return `${trimmed}s`;
+};
+
+module.exports = {
+    spelling,
+    itemKey,
+    pluralName,
+};
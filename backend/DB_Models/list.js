@@ -1,23 +1,45 @@
 const mongoose = require('mongoose');
+const memberSchema = require('./member');
+const { searchTerms, hideSearchKeys } = require('./searchTerms');
+const { trackRevisions } = require('./revisions');
+const { itemKey } = require('./itemNames');
 
 const listSchema = new mongoose.Schema({
   name: { type: String, required: true },
   categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  members: [memberSchema],
   items: [{
     name: { type: String, required: true },
     quantity: { type: Number, default: 1 },
     unit: { type: String, default: 'pcs' },
-    isCompleted: { type: Boolean, default: false }
+    isCompleted: { type: Boolean, default: false },
+    unitPrice: { type: Number, min: 0 },      // optional, price of one unit
+    currency: { type: String, uppercase: true, trim: true },
+    store: { type: String, trim: true },
+    aisle: { type: String, trim: true }       // optional aisle or section, e.g. "Dairy" or "7"
   }],
-  createdAt: { type: Date, default: Date.now }
+  budget: { type: Number, min: 0 },           // optional spend limit for the whole list
+  currency: { type: String, uppercase: true, trim: true },
+  createdAt: { type: Date, default: Date.now },
+  // Search keys (see searchTerms.js). itemTerms can still hold words of items removed with
+  // $pull until the next save; search confirms matches against the items themselves.
+  searchTerms: [String],
+  itemTerms: [String]
 });
 
 listSchema.index({ name: 1, userId: 1 }, { unique: true });
+listSchema.index({ 'members.userId': 1 });
+listSchema.index({ searchTerms: 1 });
+listSchema.index({ itemTerms: 1 });
 
+// The same item twice in any case, accent or plural ("Tomato", "tomatoes") is a duplicate.
+// Only new and renamed items are checked: lists saved before plurals counted may hold both.
 listSchema.pre('save', function (next) {
-  const itemNames = this.items.map(item => item.name.toLowerCase());
-  const hasDuplicates = itemNames.some((name, idx) => itemNames.indexOf(name) !== idx);
+  const itemKeys = this.items.map(item => itemKey(item.name));
+  const isChecked = (item) => this.isNew || item.isNew || item.isModified('name');
+  const hasDuplicates = this.items.some((item, idx) =>
+    isChecked(item) && itemKeys.some((key, other) => other !== idx && key === itemKeys[idx]));
 
   if (hasDuplicates) {
     return next(new Error('Duplicate item names are not allowed in a list.'));
@@ -26,4 +48,14 @@ listSchema.pre('save', function (next) {
   next();
 });
 
+listSchema.pre('save', function (next) {
+  this.searchTerms = searchTerms(this.name);
+  this.itemTerms = searchTerms(...this.items.map(item => item.name));
+  next();
+});
+
+trackRevisions(listSchema, 'list');
+
+hideSearchKeys(listSchema, ['searchTerms', 'itemTerms']);
+
 module.exports = mongoose.model('List', listSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// One planned meal on the meal-plan calendar
+const mealPlanEntrySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  recipeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Recipe', required: true },
+  date: { type: Date, required: true },              // UTC midnight of the day
+  meal: { type: String, enum: ['breakfast', 'lunch', 'dinner', 'snack'], default: 'dinner' },
+  servings: { type: Number, min: 1 },                // default: the recipe's servings
+  createdAt: { type: Date, default: Date.now }
+});
+
+mealPlanEntrySchema.index({ userId: 1, date: 1 });
+mealPlanEntrySchema.index({ recipeId: 1 });
+
+module.exports = mongoose.model('MealPlanEntry', mealPlanEntrySchema);
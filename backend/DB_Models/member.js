@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Shared by Category and List: another registered user invited to the document
+const memberSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, enum: ['viewer', 'editor'], default: 'viewer' },
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+module.exports = memberSchema;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Stock of one item at home. One entry per name; stock added in another unit of the same
+// family is converted into the entry's unit.
+const pantryItemSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true },
+  nameKey: { type: String, required: true },      // itemKey of the name (itemNames.js) used for matching
+  quantity: { type: Number, default: 0, min: 0 },
+  unit: { type: String, default: 'pcs' },
+  bestBefore: { type: Date },                      // earliest best-before date of the stock
+  // Restocking: when quantity drops below minQuantity, restockQuantity (default: back up to
+  // minQuantity) is added to restockListId through the usual merge rules
+  minQuantity: { type: Number, min: 0 },
+  restockQuantity: { type: Number, min: 0 },
+  restockListId: { type: mongoose.Schema.Types.ObjectId, ref: 'List' },
+  lastRestockedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+pantryItemSchema.index({ userId: 1, nameKey: 1 }, { unique: true });
+pantryItemSchema.index({ userId: 1, bestBefore: 1 });
+
+module.exports = mongoose.model('PantryItem', pantryItemSchema);
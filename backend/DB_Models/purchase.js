@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One completed list item. Kept after the item is unticked or deleted so spending can be analysed.
+const purchaseSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },        // owner of the list
+  completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  listId: { type: mongoose.Schema.Types.ObjectId, ref: 'List', required: true },
+  listName: { type: String },
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+  categoryName: { type: String },
+  itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  name: { type: String, required: true },
+  nameKey: { type: String, required: true },     // itemKey of the name (itemNames.js) used for grouping
+  quantity: { type: Number, default: 1 },
+  unit: { type: String, default: 'pcs' },
+  unitPrice: { type: Number, min: 0 },
+  currency: { type: String, uppercase: true, trim: true },
+  store: { type: String, trim: true },
+  purchasedAt: { type: Date, default: Date.now },
+  undoneAt: { type: Date }                        // set when the tick was reverted right away
+});
+
+purchaseSchema.index({ userId: 1, purchasedAt: -1 });
+purchaseSchema.index({ completedBy: 1, purchasedAt: -1 });
+purchaseSchema.index({ itemId: 1, purchasedAt: -1 });
+
+module.exports = mongoose.model('Purchase', purchaseSchema);
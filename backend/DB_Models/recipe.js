@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Ingredients for `servings` portions. Meal plans scale them to the servings planned.
+const recipeSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true },
+  servings: { type: Number, default: 1, min: 1 },
+  ingredients: [{
+    name: { type: String, required: true },
+    quantity: { type: Number, default: 1 },
+    unit: { type: String, default: 'pcs' }
+  }],
+  notes: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+recipeSchema.index({ userId: 1, name: 1 });
+
+module.exports = mongoose.model('Recipe', recipeSchema);
@@ -0,0 +1,82 @@
+// Revision numbers and the change log of categories and lists (read by /api/sync).
+// Every save adds one to `revision` and logs a change; writes that bypass save()
+// ($pull, deleteMany, ...) call recordChanges themselves.
+const mongoose = require('mongoose');
+const Change = require('./change');
+const Counter = require('./counter');
+
+const userIds = (doc) => [doc.userId, ...(doc.members || []).map(member => member.userId)].filter(Boolean);
+
+const uniqueIds = (ids) => [...new Map(ids.map(id => [id.toString(), id])).values()];
+
+// Who sees a document: its owner and members, those of a list's category, and whoever
+// could see it when it was loaded (members removed by this change still hear of it)
+const audienceOf = (doc, category, alsoFor = []) => uniqueIds([
+    ...userIds(doc),
+    ...(doc.$locals?.loadedAudience || []),
+    ...(category ? [...userIds(category), ...(category.$locals?.loadedAudience || [])] : []),
+    ...alsoFor
+]);
+
+// Log a change of each document in `docs` (all of one `kind`). `alsoFor` adds users to the
+// audience, e.g. the former members of a list's category.
+const recordChanges = async (kind, docs, { deleted = false, alsoFor = [] } = {}) => {
+    if (docs.length === 0) return;
+
+    const categories = kind === 'list'
+        ? await mongoose.model('Category').find({ _id: { $in: docs.map(doc => doc.categoryId) } })
+        : [];
+    const categoryById = new Map(categories.map(category => [category._id.toString(), category]));
+
+    const { seq } = await Counter.findOneAndUpdate(
+        { _id: 'changes' },
+        { $inc: { seq: docs.length } },
+        { new: true, upsert: true }
+    );
+    const first = seq - docs.length + 1;
+
+    await Change.insertMany(docs.map((doc, index) => ({
+        seq: first + index,
+        kind,
+        docId: doc._id,
+        revision: doc.revision,
+        deleted,
+        audience: audienceOf(doc, kind === 'list' && categoryById.get(doc.categoryId.toString()), alsoFor)
+    })));
+};
+
+// Schema plugin: `revision` starts at 1 and goes up with every save; each save is logged.
+// A category whose members changed logs its lists too, so new members receive them.
+const trackRevisions = (schema, kind) => {
+    schema.add({ revision: { type: Number, default: 0 } });
+
+    schema.post('init', function () {
+        this.$locals.loadedAudience = userIds(this);
+    });
+
+    schema.pre('save', function (next) {
+        if (this.isNew) this.revision += 1;     // restored documents carry on from their snapshot
+        else this.$inc('revision', 1);
+        this.$locals.membersChanged = !this.isNew && this.isModified('members');
+        next();
+    });
+
+    schema.post('save', async function () {
+        try {
+            await recordChanges(kind, [this]);
+            if (kind === 'category' && this.$locals.membersChanged) {
+                const lists = await mongoose.model('List').find({ categoryId: this._id });
+                await recordChanges('list', lists, { alsoFor: this.$locals.loadedAudience || [] });
+            }
+            this.$locals.loadedAudience = userIds(this);
+        } catch (error) {
+            console.error('Error recording change:', error);
+        }
+    });
+};
+
+module.exports = {
+    trackRevisions,
+    recordChanges,
+    audienceOf,
+};
@@ -0,0 +1,36 @@
+// Search keys kept on categories and lists so /api/search can answer with index range scans.
+// A term is one word of a name, lower-cased and stripped of accents ("Crème fraîche" ->
+// ["creme", "fraiche"]); a query word matches every term it is a prefix of.
+
+const normalizeText = (text) => String(text)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+
+// Distinct terms of all the given texts
+const searchTerms = (...texts) => {
+    const terms = new Set();
+    texts.forEach(text => {
+        if (text == null) return;
+        normalizeText(text).split(/[^\p{L}\p{N}]+/u).forEach(term => {
+            if (term) terms.add(term);
+        });
+    });
+    return [...terms];
+};
+
+// Hide the keys from API responses and snapshots; they are rebuilt on every save
+const hideSearchKeys = (schema, fields) => {
+    const transform = (doc, ret) => {
+        fields.forEach(field => delete ret[field]);
+        return ret;
+    };
+    schema.set('toJSON', { transform });
+    schema.set('toObject', { transform });
+};
+
+module.exports = {
+    normalizeText,
+    searchTerms,
+    hideSearchKeys,
+};
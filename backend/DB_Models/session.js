@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Its refresh tokens form a family: each refresh rotates
+// `currentJti`, and presenting an older token of the family revokes the whole session.
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  currentJti: { type: String, required: true },
+  device: {
+    name: { type: String, trim: true },
+    userAgent: { type: String },
+    ip: { type: String }
+  },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String, enum: ['logout', 'revoked', 'reuse-detected', 'password-changed'] }
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });   // MongoDB removes expired sessions
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// The order in which a user walks the aisles of one store. Shopping mode groups
+// unchecked items by aisle and sorts the groups by this order.
+const storeLayoutSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  store: { type: String, required: true, trim: true },
+  storeKey: { type: String, required: true },     // trimmed, lower-cased store name used for lookups
+  aisles: [{ type: String, trim: true }],
+  updatedAt: { type: Date, default: Date.now }
+});
+
+storeLayoutSchema.index({ userId: 1, storeKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('StoreLayout', storeLayoutSchema);
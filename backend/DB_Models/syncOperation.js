@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// An operation /api/sync has applied, kept so a batch sent again after a lost response
+// is answered with the same results instead of being applied twice
+const syncOperationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  opId: { type: String, required: true },            // chosen by the client
+  result: { type: mongoose.Schema.Types.Mixed, required: true },
+  at: { type: Date, default: Date.now }
+});
+
+syncOperationSchema.index({ userId: 1, opId: 1 }, { unique: true });
+syncOperationSchema.index({ at: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SyncOperation', syncOperationSchema);
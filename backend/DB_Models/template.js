@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A saved list that is regenerated on a schedule
+const templateSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
+  items: [{
+    name: { type: String, required: true },
+    quantity: { type: Number, default: 1 },
+    unit: { type: String, default: 'pcs' },
+    unitPrice: { type: Number, min: 0 },
+    currency: { type: String, uppercase: true, trim: true },
+    store: { type: String, trim: true },
+    aisle: { type: String, trim: true }
+  }],
+  budget: { type: Number, min: 0 },
+  currency: { type: String, uppercase: true, trim: true },
+  recurrence: {
+    type: { type: String, enum: ['weekly', 'interval', 'monthly'], required: true },
+    weekday: { type: Number, min: 0, max: 6 },        // weekly: 0 = Sunday
+    everyDays: { type: Number, min: 1 },              // interval
+    dayOfMonth: { type: Number, min: 1, max: 31 },    // monthly, clamped to short months
+    hour: { type: Number, min: 0, max: 23, default: 6 } // UTC hour the list is created
+  },
+  carryOver: { type: Boolean, default: true },        // merge last run's unbought items into the new list
+  active: { type: Boolean, default: true },
+  nextRunAt: { type: Date, required: true },
+  lastRunAt: { type: Date },
+  lastListId: { type: mongoose.Schema.Types.ObjectId, ref: 'List' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+templateSchema.index({ active: 1, nextRunAt: 1 });
+templateSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('Template', templateSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// A deleted category (with its lists), list or item, kept restorable until expiresAt.
+// `data` is a snapshot of the removed documents with their original ids.
+const trashEntrySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },    // who deleted it
+  kind: { type: String, enum: ['category', 'list', 'item'], required: true },
+  name: { type: String, required: true },
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },   // the category, or the one the list was in
+  listId: { type: mongoose.Schema.Types.ObjectId, ref: 'List' },           // the list, or the one the item was on
+  data: { type: mongoose.Schema.Types.Mixed, required: true },
+  undoToken: { type: String, required: true, unique: true },
+  deletedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+trashEntrySchema.index({ userId: 1, deletedAt: -1 });
+trashEntrySchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('TrashEntry', trashEntrySchema);
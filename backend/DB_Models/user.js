@@ -4,6 +4,10 @@ const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
+  // Set to false at signup until the email is confirmed. Accounts created before
+  // verification existed have no value and are treated as verified.
+  emailVerified: { type: Boolean },
+  emailVerifiedAt: { type: Date },
 });
 
 module.exports = mongoose.model('User', userSchema);
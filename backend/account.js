@@ -0,0 +1,222 @@
+// Account settings: profile changes, password change and account deletion.
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+
+const {
+    authenticateToken,
+    revokeUserSessions,
+    clearRefreshCookie,
+    sendVerification
+} = require('./authenticator');
+const { validate, usernameField, emailField, passwordField } = require('./validation');
+const { buildAccountDocument } = require('./importExport');
+const User = require('./DB_Models/user');
+const Category = require('./DB_Models/category');
+const List = require('./DB_Models/list');
+const Purchase = require('./DB_Models/purchase');
+const Template = require('./DB_Models/template');
+const Session = require('./DB_Models/session');
+const EmailToken = require('./DB_Models/emailToken');
+const StoreLayout = require('./DB_Models/storeLayout');
+const PantryItem = require('./DB_Models/pantryItem');
+const Recipe = require('./DB_Models/recipe');
+const MealPlanEntry = require('./DB_Models/mealPlanEntry');
+const TrashEntry = require('./DB_Models/trashEntry');
+const SyncOperation = require('./DB_Models/syncOperation');
+const ActivityEntry = require('./DB_Models/activityEntry');
+const CatalogItem = require('./DB_Models/catalogItem');
+const { recordChanges } = require('./DB_Models/revisions');
+const realtime = require('./realtime');
+
+
+const describeUser = (user) => ({
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    emailVerified: user.emailVerified !== false
+});
+
+// Same checks as /signup, ignoring the user's own account
+const findTaken = async (userId, { username, email }) => {
+    if (email && await User.exists({ email, _id: { $ne: userId } })) return 'Email already in use';
+    if (username && await User.exists({ username, _id: { $ne: userId } })) return 'Username already in use';
+    return null;
+};
+
+
+// ========================
+// 1. UPDATE USERNAME AND/OR EMAIL
+// ========================
+router.patch('/user/profile', authenticateToken, validate(
+    usernameField({ optional: true }),
+    emailField({ optional: true })
+), async (req, res) => {
+    try {
+        const { username, email } = req.body;
+
+        if (username === undefined && email === undefined) {
+            return res.status(400).json({ status: 'error', message: 'Username or email is required' });
+        }
+
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ status: 'error', message: 'User not found' });
+        }
+
+        const taken = await findTaken(user._id, { username, email });
+        if (taken) {
+            return res.status(409).json({ status: 'error', message: taken });
+        }
+
+        const emailChanged = email !== undefined && email !== user.email;
+        if (username !== undefined) user.username = username;
+        if (emailChanged) {
+            // A new address has to be confirmed again
+            user.email = email;
+            user.emailVerified = false;
+            user.emailVerifiedAt = undefined;
+        }
+
+        await user.save();
+
+        const verificationSent = emailChanged ? await sendVerification(user) : undefined;
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Profile updated successfully',
+            user: describeUser(user),
+            ...(emailChanged && { verificationSent })
+        });
+    } catch (error) {
+        // Unique index caught a race between the check and the save
+        if (error.code === 11000) {
+            const field = Object.keys(error.keyPattern || {})[0] === 'email' ? 'Email' : 'Username';
+            return res.status(409).json({ status: 'error', message: `${field} already in use` });
+        }
+        console.error('Profile update error:', error);
+        res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+});
+
+
+// ========================
+// 2. CHANGE PASSWORD
+// ========================
+router.post('/user/change-password', authenticateToken, validate(
+    passwordField('currentPassword', 'Current password'),
+    passwordField('newPassword', 'New password')
+), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ status: 'error', message: 'User not found' });
+        }
+
+        if (!await bcrypt.compare(currentPassword, user.password)) {
+            return res.status(401).json({ status: 'error', message: 'Current password is incorrect' });
+        }
+
+        user.password = await bcrypt.hash(newPassword, 10);
+        await user.save();
+
+        // Every other device has to sign in again; the one making the change stays signed in
+        const result = await revokeUserSessions(user._id, 'password-changed', req.user.sessionId);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Password changed successfully',
+            sessionsRevoked: result.modifiedCount
+        });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+});
+
+
+// ========================
+// 3. DELETE ACCOUNT
+// Requires the password. The response carries a final JSON export of the account
+// (same document as GET /api/export/account) unless ?export=false.
+// ========================
+router.delete('/user/account', authenticateToken, validate(
+    passwordField('password', 'Password')
+), async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ status: 'error', message: 'User not found' });
+        }
+
+        if (!await bcrypt.compare(password, user.password)) {
+            return res.status(401).json({ status: 'error', message: 'Password is incorrect' });
+        }
+
+        const finalExport = req.query.export === 'false' ? undefined : await buildAccountDocument(user._id);
+
+        // Owned categories take every list inside them, whoever created the list
+        const categories = await Category.find({ userId: user._id });
+        const categoryIds = categories.map(category => category._id);
+        const lists = await List.find({
+            $or: [{ userId: user._id }, { categoryId: { $in: categoryIds } }]
+        }).select('_id userId members categoryId revision');
+        const listIds = lists.map(list => list._id);
+
+        // Members of the deleted lists and categories see them go on their next sync
+        await recordChanges('list', lists, { deleted: true });
+        await recordChanges('category', categories, { deleted: true });
+        await List.deleteMany({ _id: { $in: listIds } });
+        await Category.deleteMany({ _id: { $in: categoryIds } });
+        await Purchase.deleteMany({ $or: [{ userId: user._id }, { listId: { $in: listIds } }] });
+        await Template.deleteMany({ $or: [{ userId: user._id }, { categoryId: { $in: categoryIds } }] });
+        // Nothing of the account stays restorable, including items others deleted from its lists
+        await TrashEntry.deleteMany({
+            $or: [{ userId: user._id }, { categoryId: { $in: categoryIds } }, { listId: { $in: listIds } }]
+        });
+
+        // Leave everything that was shared with the user
+        const sharedCategoryIds = await Category.distinct('_id', { 'members.userId': user._id });
+        const sharedListIds = await List.distinct('_id', { 'members.userId': user._id });
+        const leave = { $pull: { members: { userId: user._id } }, $inc: { revision: 1 } };
+        await Category.updateMany({ _id: { $in: sharedCategoryIds } }, leave);
+        await List.updateMany({ _id: { $in: sharedListIds } }, leave);
+        await recordChanges('category', await Category.find({ _id: { $in: sharedCategoryIds } }));
+        await recordChanges('list', await List.find({ _id: { $in: sharedListIds } }));
+
+        await Session.deleteMany({ userId: user._id });
+        await EmailToken.deleteMany({ userId: user._id });
+        await StoreLayout.deleteMany({ userId: user._id });
+        await PantryItem.deleteMany({ userId: user._id });
+        await Recipe.deleteMany({ userId: user._id });
+        await MealPlanEntry.deleteMany({ userId: user._id });
+        await SyncOperation.deleteMany({ userId: user._id });
+        await CatalogItem.deleteMany({ userId: user._id });
+        // The user's own categories and lists lose their history; elsewhere their edits stay, unattributed
+        await ActivityEntry.deleteMany({ $or: [{ categoryId: { $in: categoryIds } }, { listId: { $in: listIds } }] });
+        await ActivityEntry.updateMany({ audience: user._id }, { $pull: { audience: user._id } });
+        await User.findByIdAndDelete(user._id);
+
+        listIds.forEach(listId => realtime.listDeleted(listId, user._id));
+        clearRefreshCookie(res);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Account deleted successfully',
+            deleted: { categories: categoryIds.length, lists: listIds.length },
+            ...(finalExport && { data: finalExport })
+        });
+    } catch (error) {
+        console.error('Account deletion error:', error);
+        res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+});
+
+
+module.exports = {
+    router,
+};
@@ -0,0 +1,206 @@
+// Activity log: every change to a category, list or item records who made it, what it was and
+// the values before and after. Read it per list (GET /api/lists/:listId/activity) or as the
+// caller's feed across everything they can see (GET /api/activity), newest first and paged:
+//
+//   ?action=item.delete  &targetType=category|list|item  &actorId=...  &from=...  &to=...  &limit=1..100  &cursor=...
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+
+const { authenticateToken } = require('./authenticator');
+const sharing = require('./sharing');
+const { ITEM_FIELDS, SPEND_LIMIT_FIELDS, validate, checkIdParams, sendError } = require('./validation');
+const { audienceOf } = require('./DB_Models/revisions');
+const ActivityEntry = require('./DB_Models/activityEntry');
+const Category = require('./DB_Models/category');
+const User = require('./DB_Models/user');
+
+checkIdParams(router);
+
+
+const ACTIONS = ActivityEntry.schema.path('action').enumValues;
+const TARGET_TYPES = ['category', 'list', 'item'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+
+// ========================
+// Recording
+// ========================
+
+// The given fields of a document or item, with unset ones as null
+const snapshot = (doc, fields) => Object.fromEntries(fields.map(field => [field, doc[field] ?? null]));
+
+// Only the fields that differ between two snapshots: { before, after }, or null when none do
+const changedFields = (before, after) => {
+    const changed = Object.keys(after).filter(field => before[field] !== after[field]);
+    if (changed.length === 0) return null;
+    return {
+        before: Object.fromEntries(changed.map(field => [field, before[field]])),
+        after: Object.fromEntries(changed.map(field => [field, after[field]]))
+    };
+};
+
+// Log what `actorId` did to `doc` (the category for category actions, else the list); entries are
+// { action, item?, before?, after? }. A failed write is logged and does not undo the change.
+const recordActivity = async (actorId, doc, entries) => {
+    if (entries.length === 0) return;
+
+    try {
+        const isCategory = entries[0].action.startsWith('category.');
+        const category = isCategory ? null : await Category.findById(doc.categoryId);
+        const audience = audienceOf(doc, category);
+
+        await ActivityEntry.insertMany(entries.map(({ action, item, before, after }) => ({
+            actorId: actorId || null,
+            action,
+            targetType: action.split('.')[0],
+            targetId: (item || doc)._id,
+            name: (item || doc).name,
+            categoryId: isCategory ? doc._id : doc.categoryId,
+            listId: isCategory ? undefined : doc._id,
+            before,
+            after,
+            audience
+        })));
+    } catch (error) {
+        console.error('Error recording activity:', error);
+    }
+};
+
+
+// ========================
+// Feeds
+// ========================
+
+const feedFields = () => [
+    query('action')
+        .optional()
+        .isIn(ACTIONS).withMessage(`action must be one of ${ACTIONS.join(', ')}`),
+    query('targetType')
+        .optional()
+        .isIn(TARGET_TYPES).withMessage(`targetType must be one of ${TARGET_TYPES.join(', ')}`),
+    query('actorId')
+        .optional()
+        .isMongoId().withMessage('Invalid actorId'),
+    query(['from', 'to'])
+        .optional()
+        .isISO8601().withMessage('from and to must be ISO 8601 dates'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be a whole number from 1 to ${MAX_LIMIT}`),
+    query('cursor')
+        .optional()
+        .isString().withMessage('cursor must be text').bail()
+        .isLength({ min: 1, max: 200 }).withMessage('cursor must be the nextCursor of a previous page')
+];
+
+// The time and _id of the last entry sent; null when the cursor cannot be read
+const decodeCursor = (cursor) => {
+    try {
+        const { at, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const date = new Date(at);
+        return Number.isNaN(date.getTime()) || !/^[a-f\d]{24}$/i.test(id) ? null : { at: date, id };
+    } catch (error) {
+        return null;
+    }
+};
+
+const encodeCursor = (entry) =>
+    Buffer.from(JSON.stringify({ at: entry.at.toISOString(), id: entry._id.toString() })).toString('base64url');
+
+// One page of entries matching `scope` (e.g. { listId }) and the filters, newest first:
+// { data, page: { limit, nextCursor } }, or { error } for a bad cursor or range
+const readFeed = async (scope, params) => {
+    const limit = params.limit === undefined ? DEFAULT_LIMIT : parseInt(params.limit, 10);
+    const from = params.from && new Date(params.from);
+    const to = params.to && new Date(params.to);
+    if (from && to && to < from) return { error: 'to must not be before from' };
+
+    const conditions = [scope];
+    if (params.action) conditions.push({ action: params.action });
+    if (params.targetType) conditions.push({ targetType: params.targetType });
+    if (params.actorId) conditions.push({ actorId: params.actorId });
+    if (from) conditions.push({ at: { $gte: from } });
+    if (to) conditions.push({ at: { $lte: to } });
+    if (params.cursor !== undefined) {
+        const after = decodeCursor(params.cursor);
+        if (!after) return { error: 'cursor must be the nextCursor of a previous page' };
+        conditions.push({ $or: [{ at: { $lt: after.at } }, { at: after.at, _id: { $lt: after.id } }] });
+    }
+
+    const entries = await ActivityEntry.find({ $and: conditions })
+        .sort({ at: -1, _id: -1 })
+        .limit(limit + 1)
+        .select('-audience')
+        .lean();
+    const hasMore = entries.length > limit;
+    const pageEntries = hasMore ? entries.slice(0, limit) : entries;
+
+    // Actors by name; deleted accounts show as null
+    const actorIds = [...new Set(pageEntries.filter(entry => entry.actorId).map(entry => entry.actorId.toString()))];
+    const actors = await User.find({ _id: { $in: actorIds } }).select('username');
+    const actorById = new Map(actors.map(actor => [actor._id.toString(), { _id: actor._id, username: actor.username }]));
+
+    return {
+        data: pageEntries.map(({ actorId, ...entry }) => ({
+            ...entry,
+            actor: actorId ? actorById.get(actorId.toString()) || null : null
+        })),
+        page: { limit, nextCursor: hasMore ? encodeCursor(pageEntries[pageEntries.length - 1]) : null }
+    };
+};
+
+const sendFeed = async (res, scope, params) => {
+    const { data, page, error } = await readFeed(scope, params);
+    if (error) return sendError(res, 400, error);
+
+    res.status(200).json({ status: 'success', data, page });
+};
+
+
+// ========================
+// 1. ACTIVITY OF ONE LIST
+// ========================
+// Everything that happened to the list and its items, for anyone who can see the list now
+router.get('/lists/:listId/activity', authenticateToken, validate(feedFields()), sharing.requireListRole('viewer'), async (req, res) => {
+    try {
+        await sendFeed(res, { listId: req.list._id }, req.query);
+    } catch (error) {
+        console.error('Error fetching list activity:', error);
+        res.status(500).json({ status: 'error', message: 'Error fetching activity' });
+    }
+});
+
+
+// ========================
+// 2. ACTIVITY FEED OF THE USER
+// ========================
+// Changes to every category, list and item the user could see when the change was made
+router.get('/activity', authenticateToken, validate(
+    ...feedFields(),
+    query(['categoryId', 'listId'])
+        .optional()
+        .isMongoId().withMessage('Invalid categoryId or listId')
+), async (req, res) => {
+    try {
+        const { categoryId, listId } = req.query;
+        const scope = {
+            audience: req.user.userId,
+            ...(categoryId && { categoryId }),
+            ...(listId && { listId })
+        };
+        await sendFeed(res, scope, req.query);
+    } catch (error) {
+        console.error('Error fetching activity:', error);
+        res.status(500).json({ status: 'error', message: 'Error fetching activity' });
+    }
+});
+
+
+module.exports = {
+    router,
+    snapshot,
+    changedFields,
+    recordActivity,
+};
@@ -0,0 +1,330 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+
+const { authenticateToken } = require('./authenticator');
+const { LIMITS, validate } = require('./validation');
+const { itemKey } = require('./DB_Models/itemNames');
+const Category = require('./DB_Models/category');
+const Purchase = require('./DB_Models/purchase');
+
+
+// Unticking an item within this window counts as a mis-tap and voids its purchase record
+const PURCHASE_UNDO_WINDOW = 10 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+const PERIODS = ['week', 'month'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+
+// ========================
+// Recording purchases (called from the toggle route)
+// ========================
+
+const recordPurchase = async (list, item, actorId) => {
+    try {
+        const category = await Category.findById(list.categoryId).select('name');
+
+        await Purchase.create({
+            userId: list.userId,
+            completedBy: actorId,
+            listId: list._id,
+            listName: list.name,
+            categoryId: list.categoryId,
+            categoryName: category ? category.name : undefined,
+            itemId: item._id,
+            name: item.name.trim(),
+            nameKey: itemKey(item.name),
+            quantity: item.quantity,
+            unit: item.unit,
+            unitPrice: item.unitPrice,
+            currency: item.currency || list.currency,
+            store: item.store
+        });
+    } catch (error) {
+        // History is best effort: never fail the toggle because of it
+        console.error('Error recording purchase:', error);
+    }
+};
+
+// Void the latest purchase of an item if it was unticked right after being ticked
+const undoRecentPurchase = async (item) => {
+    try {
+        await Purchase.findOneAndUpdate(
+            {
+                itemId: item._id,
+                undoneAt: { $exists: false },
+                purchasedAt: { $gte: new Date(Date.now() - PURCHASE_UNDO_WINDOW) }
+            },
+            { $set: { undoneAt: new Date() } },
+            { sort: { purchasedAt: -1 } }
+        );
+    } catch (error) {
+        console.error('Error undoing purchase:', error);
+    }
+};
+
+// Average gap between purchase dates, and when the next one is due
+const summarizeIntervals = (dates) => {
+    const sorted = dates.map(d => new Date(d).getTime()).sort((a, b) => a - b);
+    const lastPurchasedAt = sorted.length ? new Date(sorted[sorted.length - 1]) : null;
+
+    if (sorted.length < 2) {
+        return { purchases: sorted.length, averageIntervalDays: null, lastPurchasedAt, nextExpectedAt: null };
+    }
+
+    const averageInterval = (sorted[sorted.length - 1] - sorted[0]) / (sorted.length - 1);
+
+    return {
+        purchases: sorted.length,
+        averageIntervalDays: Math.round((averageInterval / DAY) * 10) / 10,
+        lastPurchasedAt,
+        nextExpectedAt: new Date(sorted[sorted.length - 1] + averageInterval)
+    };
+};
+
+
+// ========================
+// Query helpers
+// ========================
+
+// ?from=&to= (ISO 8601), ?listId=, ?categoryId=, ?currency= and ?limit=1..maxLimit
+const historyFields = (maxLimit = 100) => [
+    query(['from', 'to'])
+        .optional()
+        .isISO8601().withMessage('from and to must be ISO 8601 dates'),
+    query(['listId', 'categoryId'])
+        .optional()
+        .isMongoId().withMessage('Invalid listId or categoryId'),
+    query('currency')
+        .optional()
+        .isString().withMessage('currency must be text').bail()
+        .isLength({ min: 1, max: 10 }).withMessage('currency must be 1 to 10 characters'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: maxLimit }).withMessage(`limit must be a whole number from 1 to ${maxLimit}`)
+];
+
+// Purchases visible to the user: on lists they own, or ones they ticked themselves
+const historyFilter = (req) => {
+    const userId = new mongoose.Types.ObjectId(String(req.user.userId));
+    const { from, to, listId, categoryId, currency } = req.query;
+
+    const filter = {
+        $or: [{ userId }, { completedBy: userId }],
+        undoneAt: { $exists: false }
+    };
+
+    if (from || to) {
+        filter.purchasedAt = {};
+        if (from) filter.purchasedAt.$gte = new Date(from);
+        if (to) filter.purchasedAt.$lte = new Date(to);
+    }
+    if (listId) filter.listId = new mongoose.Types.ObjectId(listId);
+    if (categoryId) filter.categoryId = new mongoose.Types.ObjectId(categoryId);
+    if (currency) filter.currency = currency.toUpperCase();
+
+    return filter;
+};
+
+// Aggregation expressions shared by the spend routes
+const costExpression = {
+    $cond: [
+        { $ne: [{ $ifNull: ['$unitPrice', null] }, null] },
+        { $multiply: ['$unitPrice', '$quantity'] },
+        0
+    ]
+};
+const unpricedExpression = { $cond: [{ $eq: [{ $ifNull: ['$unitPrice', null] }, null] }, 1, 0] };
+
+
+// ========================
+// 1. PURCHASE HISTORY
+// ========================
+router.get('/purchases', authenticateToken, validate(historyFields(500)), async (req, res) => {
+    try {
+        const filter = historyFilter(req);
+        const limit = parseInt(req.query.limit, 10) || 50;
+
+        const purchases = await Purchase.find(filter).sort({ purchasedAt: -1 }).limit(limit);
+
+        res.status(200).json({ status: 'success', data: purchases });
+    } catch (error) {
+        console.error('Error fetching purchases:', error);
+        res.status(500).json({ status: 'error', message: 'Error fetching purchases' });
+    }
+});
+
+
+// ========================
+// 2. SPEND PER WEEK OR MONTH
+// ========================
+router.get('/analytics/spend', authenticateToken, validate(
+    historyFields(),
+    query('period')
+        .optional()
+        .isIn(PERIODS).withMessage(`Period must be one of: ${PERIODS.join(', ')}`)
+), async (req, res) => {
+    try {
+        const period = req.query.period || 'month';
+
+        const filter = historyFilter(req);
+        const truncate = {
+            date: '$purchasedAt',
+            unit: period,
+            ...(period === 'week' && { startOfWeek: 'monday' })
+        };
+
+        const rows = await Purchase.aggregate([
+            { $match: filter },
+            {
+                $group: {
+                    _id: { period: { $dateTrunc: truncate }, currency: { $ifNull: ['$currency', null] } },
+                    spend: { $sum: costExpression },
+                    purchases: { $sum: 1 },
+                    unpricedPurchases: { $sum: unpricedExpression }
+                }
+            },
+            { $sort: { '_id.period': 1, '_id.currency': 1 } }
+        ]);
+
+        const data = rows.map(row => ({
+            periodStart: row._id.period,
+            currency: row._id.currency,
+            spend: roundMoney(row.spend),
+            purchases: row.purchases,
+            unpricedPurchases: row.unpricedPurchases
+        }));
+
+        res.status(200).json({ status: 'success', period, data });
+    } catch (error) {
+        console.error('Error computing spend:', error);
+        res.status(500).json({ status: 'error', message: 'Error computing spend' });
+    }
+});
+
+
+// ========================
+// 3. MOST-BOUGHT ITEMS
+// ========================
+router.get('/analytics/top-items', authenticateToken, validate(historyFields()), async (req, res) => {
+    try {
+        const filter = historyFilter(req);
+        const limit = parseInt(req.query.limit, 10) || 10;
+
+        const rows = await Purchase.aggregate([
+            { $match: filter },
+            { $sort: { purchasedAt: 1 } },
+            {
+                $group: {
+                    _id: '$nameKey',
+                    name: { $last: '$name' },
+                    purchases: { $sum: 1 },
+                    units: { $addToSet: '$unit' },
+                    lastPurchasedAt: { $last: '$purchasedAt' }
+                }
+            },
+            { $sort: { purchases: -1, lastPurchasedAt: -1 } },
+            { $limit: limit }
+        ]);
+
+        const data = rows.map(({ _id, ...row }) => row);
+
+        res.status(200).json({ status: 'success', data });
+    } catch (error) {
+        console.error('Error computing top items:', error);
+        res.status(500).json({ status: 'error', message: 'Error computing top items' });
+    }
+});
+
+
+// ========================
+// 4. AVERAGE INTERVAL BETWEEN PURCHASES OF AN ITEM
+// ========================
+router.get('/analytics/intervals', authenticateToken, validate(
+    historyFields(),
+    query('item')
+        .optional()
+        .isString().withMessage('item must be text').bail()
+        .isLength({ min: 1, max: LIMITS.name }).withMessage(`item must be 1 to ${LIMITS.name} characters`)
+), async (req, res) => {
+    try {
+        const filter = historyFilter(req);
+        if (req.query.item) filter.nameKey = itemKey(req.query.item);
+
+        const rows = await Purchase.aggregate([
+            { $match: filter },
+            { $sort: { purchasedAt: 1 } },
+            { $group: { _id: '$nameKey', name: { $last: '$name' }, dates: { $push: '$purchasedAt' } } }
+        ]);
+
+        const data = rows
+            .map(row => ({ name: row.name, ...summarizeIntervals(row.dates) }))
+            .sort((a, b) => b.purchases - a.purchases);
+
+        res.status(200).json({ status: 'success', data });
+    } catch (error) {
+        console.error('Error computing purchase intervals:', error);
+        res.status(500).json({ status: 'error', message: 'Error computing purchase intervals' });
+    }
+});
+
+
+// ========================
+// 5. SPEND BREAKDOWN BY CATEGORY
+// ========================
+router.get('/analytics/categories', authenticateToken, validate(historyFields()), async (req, res) => {
+    try {
+        const filter = historyFilter(req);
+
+        const rows = await Purchase.aggregate([
+            { $match: filter },
+            { $sort: { purchasedAt: 1 } },
+            {
+                $group: {
+                    _id: { categoryId: '$categoryId', currency: { $ifNull: ['$currency', null] } },
+                    categoryName: { $last: '$categoryName' },
+                    spend: { $sum: costExpression },
+                    purchases: { $sum: 1 },
+                    unpricedPurchases: { $sum: unpricedExpression }
+                }
+            },
+            { $sort: { spend: -1 } }
+        ]);
+
+        // Share of spend is computed within each currency
+        const totalsByCurrency = {};
+        rows.forEach(row => {
+            const key = row._id.currency || '';
+            totalsByCurrency[key] = (totalsByCurrency[key] || 0) + row.spend;
+        });
+
+        const data = rows.map(row => {
+            const total = totalsByCurrency[row._id.currency || ''];
+            return {
+                categoryId: row._id.categoryId,
+                categoryName: row.categoryName,
+                currency: row._id.currency,
+                spend: roundMoney(row.spend),
+                share: total > 0 ? Math.round((row.spend / total) * 1000) / 1000 : null,
+                purchases: row.purchases,
+                unpricedPurchases: row.unpricedPurchases
+            };
+        });
+
+        res.status(200).json({ status: 'success', data });
+    } catch (error) {
+        console.error('Error computing category breakdown:', error);
+        res.status(500).json({ status: 'error', message: 'Error computing category breakdown' });
+    }
+});
+
+
+module.exports = {
+    router,
+    recordPurchase,
+    undoRecentPurchase,
+    summarizeIntervals,
+};
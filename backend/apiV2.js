@@ -0,0 +1,306 @@
+// Versioned REST API: nested resources under /api/v2 with standard verbs.
+//
+//   GET    /categories                                          PATCH/DELETE/GET /categories/:categoryId
+//   POST   /categories
+//   GET    /categories/:categoryId/lists                         PATCH/DELETE/GET .../lists/:listId
+//   POST   /categories/:categoryId/lists
+//   GET    /categories/:categoryId/lists/:listId/items           PATCH/DELETE .../items/:itemId
+//   POST   /categories/:categoryId/lists/:listId/items           (merged like /api/updatelist)
+//
+// Every response uses one envelope:
+//   success  { status: 'success', data, meta? }
+//   failure  { status: 'error', error: { code, message, details? } }
+// Deletes answer 204 without a body; the Undo-Token header holds the token that restores the
+// deleted resource from the trash (POST /api/trash/undo). The remaining feature routes
+// (sharing, budgets, templates, ...) stay under /api for now.
+// Item and list edits take an optional baseRevision: when the list has changed since, they
+// answer 409 REVISION_CONFLICT with the current list instead (see sync.js).
+const express = require('express');
+const router = express.Router();
+
+const { authenticateToken } = require('./authenticator');
+const sharing = require('./sharing');
+const budget = require('./budget');
+const listItems = require('./listItems');
+const resources = require('./resources');
+const pantry = require('./pantry');
+const paging = require('./paging');
+const { baseRevisionField, checkBaseRevision } = require('./sync');
+const {
+    validate,
+    checkIdParams,
+    sendError,
+    nameField,
+    itemsField,
+    itemChangesFields
+} = require('./validation');
+const List = require('./DB_Models/list');
+
+
+// The v1 routes were marked deprecated on this date (RFC 9745 Deprecation header)
+const V1_DEPRECATED_AT = Date.parse('2026-10-19T00:00:00Z');
+
+// v1 parameter spellings that map onto the v2 ones
+const PARAM_ALIASES = { listId: ['listId', 'listID'], itemId: ['itemId', 'itemID'], categoryId: ['categoryId'] };
+
+// Mark a v1 route as a deprecated alias. The Link header names the v2 successor whenever
+// every parameter of `successor` can be filled from the v1 URL.
+const deprecated = (successor) => (req, res, next) => {
+    res.set('Deprecation', `@${Math.floor(V1_DEPRECATED_AT / 1000)}`);
+
+    let resolved = true;
+    const path = successor.replace(/:(\w+)/g, (match, name) => {
+        const value = (PARAM_ALIASES[name] || [name]).map(alias => req.params[alias]).find(Boolean);
+        if (!value) resolved = false;
+        return value || match;
+    });
+    if (resolved) res.append('Link', `<${path}>; rel="successor-version"`);
+
+    next();
+};
+
+
+// 204 for a delete that moved something to the trash
+const deleted = (res, trashEntry) => res.set('Undo-Token', trashEntry.undoToken).status(204).end();
+
+const ok = (res, status, data, meta) =>
+    res.status(status).json({ status: 'success', data, ...(meta && { meta }) });
+
+// Send a { error: { status, code, body } } rejection from resources.js / listItems.js
+const reject = (res, { status, code, body }) => {
+    const { status: _status, message, ...details } = body;
+    return sendError(res, status, message, { code, ...details });
+};
+
+// Spend limit and name fields present in a PATCH body
+const pickFields = (body, keys) => keys.reduce((fields, key) => (
+    body[key] !== undefined ? { ...fields, [key]: body[key] } : fields
+), {});
+
+const ITEM_CHANGE_KEYS = ['name', 'quantity', 'unit', 'isCompleted', 'unitPrice', 'currency', 'store', 'aisle'];
+
+// The list must exist, be visible to the caller and live in the category named by the URL
+const requireNestedList = (minimumRole) => [
+    sharing.requireListRole(minimumRole),
+    (req, res, next) => {
+        if (req.list.categoryId.toString() !== req.params.categoryId) {
+            return sendError(res, 404, 'List not found', { code: 'LIST_NOT_FOUND' });
+        }
+        next();
+    }
+];
+
+// Category readers: members of the category, or of at least one list inside it
+const loadReadableCategory = async (req, res, next) => {
+    const { userId } = req.user;
+    const { category, role } = await sharing.findCategoryForUser(req.params.categoryId, userId);
+
+    const visible = category && (role || await List.exists({
+        categoryId: category._id,
+        ...sharing.accessibleListsQuery(userId)
+    }));
+    if (!visible) {
+        return sendError(res, 404, 'Category not found', { code: 'CATEGORY_NOT_FOUND' });
+    }
+
+    req.category = category;
+    req.role = role;
+    next();
+};
+
+
+router.use((req, res, next) => {
+    res.locals.envelope = 'v2';
+    next();
+});
+router.use(authenticateToken);
+checkIdParams(router);
+
+
+// ========================
+// 1. CATEGORIES
+// ========================
+// ?sort, order, limit, cursor and view=summary page through them (see paging.js)
+router.get('/categories', validate(paging.pageFields()), async (req, res) => {
+    const { page, error } = paging.readPage(req.query);
+    if (error) return reject(res, error);
+
+    const { data, nextCursor } = await resources.categoriesForUser(req.user.userId, page);
+    ok(res, 200, data, { page: paging.describePage(page, nextCursor) });
+});
+
+router.post('/categories', validate(nameField('name', 'Category name')), async (req, res) => {
+    const { category, error } = await resources.createCategory(req.user.userId, req.body);
+    if (error) return reject(res, error);
+
+    ok(res, 201, resources.describeCategory(category, req.user.userId, []));
+});
+
+router.get('/categories/:categoryId', loadReadableCategory, async (req, res) => {
+    const lists = await List.find({ categoryId: req.category._id });
+    ok(res, 200, resources.describeCategory(req.category, req.user.userId, lists));
+});
+
+router.patch('/categories/:categoryId', validate(
+    nameField('name', 'Category name', { optional: true })
+), sharing.requireCategoryRole('editor'), async (req, res) => {
+    const fields = pickFields(req.body, ['name', 'budget', 'currency']);
+    if (Object.keys(fields).length === 0) {
+        return sendError(res, 400, 'Name, budget or currency is required');
+    }
+
+    const { category, error } = await resources.updateCategory(req.category, fields, { actorId: req.user.userId });
+    if (error) return reject(res, error);
+
+    const lists = await List.find({ categoryId: category._id });
+    ok(res, 200, resources.describeCategory(category, req.user.userId, lists));
+});
+
+router.delete('/categories/:categoryId', sharing.requireCategoryRole('owner'), async (req, res) => {
+    deleted(res, await resources.deleteCategory(req.category, req.user.userId));
+});
+
+
+// ========================
+// 2. LISTS
+// ========================
+router.get('/categories/:categoryId/lists', validate(paging.pageFields()), loadReadableCategory, async (req, res) => {
+    const { page, error } = paging.readPage(req.query);
+    if (error) return reject(res, error);
+
+    const { data, nextCursor } = await resources.listsForCategory(req.category, req.role, req.user.userId, page);
+    ok(res, 200, data, { page: paging.describePage(page, nextCursor) });
+});
+
+router.post('/categories/:categoryId/lists', validate(
+    nameField('name', 'List name'),
+    itemsField()
+), sharing.requireCategoryRole('editor'), async (req, res) => {
+    const { list, error } = await resources.createList(req.category, req.body, { actorId: req.user.userId });
+    if (error) return reject(res, error);
+
+    ok(res, 201, await resources.describeList(list, req.user.userId, req.category));
+});
+
+router.get('/categories/:categoryId/lists/:listId', requireNestedList('viewer'), async (req, res) => {
+    ok(res, 200, await resources.describeList(req.list, req.user.userId));
+});
+
+router.patch('/categories/:categoryId/lists/:listId', validate(
+    nameField('name', 'List name', { optional: true }),
+    baseRevisionField()
+), requireNestedList('editor'), checkBaseRevision, async (req, res) => {
+    const fields = pickFields(req.body, ['name', 'budget', 'currency']);
+    if (Object.keys(fields).length === 0) {
+        return sendError(res, 400, 'Name, budget or currency is required');
+    }
+
+    const { list, error } = await resources.updateList(req.list, fields, { actorId: req.user.userId });
+    if (error) return reject(res, error);
+
+    ok(res, 200, await resources.describeList(list, req.user.userId));
+});
+
+router.delete('/categories/:categoryId/lists/:listId', requireNestedList('owner'), async (req, res) => {
+    deleted(res, await resources.deleteList(req.list, req.user.userId));
+});
+
+
+// ========================
+// 3. ITEMS
+// ========================
+// Every item, or one page of them with ?limit and cursor (and ?completed to filter)
+router.get('/categories/:categoryId/lists/:listId/items', validate(paging.itemPageFields()), requireNestedList('viewer'), (req, res) => {
+    const totals = budget.listTotals(req.list);
+    if (req.query.limit === undefined && req.query.cursor === undefined && req.query.completed === undefined) {
+        return ok(res, 200, req.list.items, { totals });
+    }
+
+    const { items, nextCursor, error } = paging.pageItems(req.list.items, req.query);
+    if (error) return reject(res, error);
+
+    ok(res, 200, items, { totals, page: { nextCursor } });
+});
+
+// Same merge-by-name-and-unit rules as /api/updatelist; text entries are parsed
+router.post('/categories/:categoryId/lists/:listId/items', validate(itemsField(), baseRevisionField()), requireNestedList('editor'), checkBaseRevision, async (req, res) => {
+    let result;
+    try {
+        result = await listItems.addItemsToList(req.list, req.body.items, {
+            actorId: req.user.userId,
+            allowOverBudget: req.body.allowOverBudget === true
+        });
+    } catch (error) {
+        if (error.message !== 'Invalid item price') throw error;
+        return sendError(res, 400, 'Prices must be non-negative numbers and currencies 3-letter codes', { code: 'INVALID_PRICE' });
+    }
+    if (result.error) return reject(res, result.error);
+
+    ok(res, 200, result.list.items, {
+        added: result.addedItems.length,
+        merged: result.mergedItems.length,
+        overBudget: result.overBudget,
+        totals: budget.listTotals(result.list)
+    });
+});
+
+// { addToPantry: true, bestBefore? } alongside isCompleted: true also stocks the item in the pantry
+router.patch('/categories/:categoryId/lists/:listId/items/:itemId', validate(itemChangesFields(), pantry.completionFields(), baseRevisionField()), requireNestedList('editor'), checkBaseRevision, async (req, res) => {
+    const changes = pickFields(req.body, ITEM_CHANGE_KEYS);
+    if (Object.keys(changes).length === 0) {
+        return sendError(res, 400, `At least one of ${ITEM_CHANGE_KEYS.join(', ')} is required`);
+    }
+
+    const wasCompleted = req.list.items.id(req.params.itemId)?.isCompleted;
+
+    let result;
+    try {
+        result = await listItems.updateListItem(req.list, req.params.itemId, changes, {
+            actorId: req.user.userId,
+            convertQuantity: req.body.convertQuantity === true,
+            allowOverBudget: req.body.allowOverBudget === true
+        });
+    } catch (error) {
+        if (error.message !== 'Invalid item price') throw error;
+        return sendError(res, 400, 'Prices must be non-negative numbers and currencies 3-letter codes', { code: 'INVALID_PRICE' });
+    }
+    if (result.error) return reject(res, result.error);
+
+    const stocked = result.item.isCompleted && !wasCompleted && req.body.addToPantry === true
+        ? await pantry.moveToPantry(req.user.userId, result.item, req.body.bestBefore)
+        : undefined;
+
+    ok(res, 200, result.item, {
+        overBudget: result.overBudget,
+        totals: budget.listTotals(result.list),
+        ...(stocked && { pantry: stocked })
+    });
+});
+
+router.delete('/categories/:categoryId/lists/:listId/items/:itemId', requireNestedList('editor'), async (req, res) => {
+    const removed = await listItems.removeListItem(req.list._id, req.params.itemId, req.user.userId);
+    if (!removed) {
+        return sendError(res, 404, 'Item not found', { code: 'ITEM_NOT_FOUND' });
+    }
+    deleted(res, removed.trashEntry);
+});
+
+
+// ========================
+// Fallbacks (v2 envelope)
+// ========================
+router.use((req, res) => {
+    sendError(res, 404, 'Route not found', { code: 'ROUTE_NOT_FOUND' });
+});
+
+// Express 5 forwards rejected handler promises here
+router.use((err, req, res, next) => {
+    console.error('API v2 error:', err);
+    sendError(res, err.status || 500, err.status ? err.message : 'Internal server error');
+});
+
+
+module.exports = {
+    router,
+    deprecated,
+};
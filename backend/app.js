@@ -0,0 +1,440 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const cookieParser = require('cookie-parser');
+const rateLimit = require('express-rate-limit');
+const OpenApiValidator = require('express-openapi-validator');
+const swaggerUi = require('swagger-ui-express');
+const { config, configure } = require('./config'); //Runtime settings (environment or overrides)
+const authRoutes = require('./authenticator');      //Importing auth routes
+const sharing = require('./sharing');               //Importing list/category sharing routes
+const realtime = require('./realtime');             //Importing live list update stream
+const budget = require('./budget');                 //Importing price totals and budget routes
+const analytics = require('./analytics');           //Importing purchase history and analytics routes
+const listItems = require('./listItems');           //Shared item formatting and merge logic
+const restock = require('./restock');               //Importing restock suggestion routes
+const units = require('./units');                   //Importing unit conversion helpers and routes
+const templates = require('./templates');           //Importing recurring list template routes
+const importExport = require('./importExport');     //Importing CSV/JSON/text import and export routes
+const itemParser = require('./itemParser');         //Importing quick-add text parser routes
+const account = require('./account');               //Importing account settings routes
+const shopping = require('./shopping');             //Importing item order, aisle and shopping mode routes
+const pantry = require('./pantry');                 //Importing pantry stock and restocking routes
+const recipes = require('./recipes');               //Importing recipe and meal plan routes
+const trash = require('./trash');                   //Importing trash, restore and undo routes
+const search = require('./search');                 //Importing account-wide search routes
+const sync = require('./sync');                     //Importing offline sync routes
+const activity = require('./activity');             //Importing activity log routes
+const catalog = require('./catalog');               //Importing item catalog and auto-complete routes
+const validation = require('./validation');         //Shared request validation rules
+const resources = require('./resources');           //Shared category and list operations
+const paging = require('./paging');                 //Shared cursor pagination and sorting
+const apiV2 = require('./apiV2');                   //Importing the versioned /api/v2 routes
+const { openapiDocument } = require('./openapi');   //OpenAPI description of the API
+
+
+
+// ========================
+// v1 routes. Kept for existing clients as deprecated aliases of /api/v2 (see apiV2.js):
+// every response carries a Deprecation header and, where it can be built, a Link to the successor.
+// ========================
+const { deprecated } = apiV2;
+const coreRoutes = express.Router();
+
+// Malformed ids in route parameters are rejected with a 400 before any lookup
+validation.checkIdParams(coreRoutes);
+
+// Send a { error: { status, body } } rejection from resources.js / listItems.js
+const sendRejection = (res, { status, body }) => res.status(status).json(body);
+
+
+// ========================
+// 1. FETCH ALL CATEGORIES (On Dashboard Render)
+// ========================
+// ?sort, order, limit, cursor and view=summary page through them (see paging.js)
+coreRoutes.get('/api/categories', deprecated('/api/v2/categories'), authRoutes.authenticateToken, validation.validate(
+    paging.pageFields()
+), async (req, res) => {
+    try {
+        const { page, error } = paging.readPage(req.query);
+        if (error) return sendRejection(res, error);
+
+        const { data, nextCursor } = await resources.categoriesForUser(req.user.userId, page);
+        res.status(200).json({ status: 'success', data, page: paging.describePage(page, nextCursor) });
+    } catch (error) {
+        console.error('Error fetching categories:', error);
+        res.status(500).json({ status: 'error', message: 'Error fetching categories' });
+    }
+});
+
+// ========================
+// 2. FETCH LISTS + ITEMS BY CATEGORY ID (On Category Click)
+// ========================
+coreRoutes.get('/api/fetch-lists/:categoryId', deprecated('/api/v2/categories/:categoryId/lists'), authRoutes.authenticateToken, validation.validate(
+    paging.pageFields()
+), async (req, res) => {
+    try {
+        const { page, error } = paging.readPage(req.query);
+        if (error) return sendRejection(res, error);
+
+        const { category, role } = await sharing.findCategoryForUser(req.params.categoryId, req.user.userId);
+        if (!category) {
+            return res.status(404).json({ status: 'error', message: 'Category not found' });
+        }
+
+        const { data, nextCursor } = await resources.listsForCategory(category, role, req.user.userId, page);
+        res.status(200).json({ status: 'success', data, page: paging.describePage(page, nextCursor) });
+    } catch (error) {
+        console.error('Error fetching lists:', error);
+        res.status(500).json({ status: 'error', message: 'Error fetching lists' });
+    }
+});
+
+// ========================
+// 3. ADD NEW CATEGORY
+// ========================
+coreRoutes.post('/api/add-category', deprecated('/api/v2/categories'), authRoutes.authenticateToken, validation.validate(
+    validation.nameField('name', 'Category name')
+), async (req, res) => {
+    try {
+        const { category, error } = await resources.createCategory(req.user.userId, req.body);
+        if (error) return sendRejection(res, error);
+
+        res.status(201).json({ status: 'success', message: 'Category added successfully', data: category });
+    } catch (error) {
+        console.error('Error adding category:', error);
+        res.status(500).json({ status: 'error', message: 'Error adding category' });
+    }
+});
+
+
+
+// ========================
+// 5. DELETE Category and its Lists (into the trash; `undo` restores them)
+// ========================
+coreRoutes.delete('/api/categories/:categoryId', deprecated('/api/v2/categories/:categoryId'), authRoutes.authenticateToken, sharing.requireCategoryRole('owner', {
+    message: 'Only the owner can delete this category'
+}), async (req, res) => {
+    try {
+        const entry = await resources.deleteCategory(req.category, req.user.userId);
+
+        res.status(200).json({ status: 'success', message: 'Category and its lists deleted successfully.', undo: trash.undoInfo(entry) });
+    } catch (error) {
+        console.error('Error deleting category:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to delete category' });
+    }
+});
+
+
+// ========================
+// 6. ADD NEW LIST WITH ITEMS (Without Checked Values)
+// ========================
+coreRoutes.post('/api/categories/:categoryId/lists', deprecated('/api/v2/categories/:categoryId/lists'), authRoutes.authenticateToken, validation.validate(
+    validation.nameField('name', 'List name'),
+    validation.itemsField()
+), sharing.requireCategoryRole('editor', {
+    message: 'You do not have permission to add lists to this category'
+}), async (req, res) => {
+    try {
+        const { list, error } = await resources.createList(req.category, req.body, { actorId: req.user.userId });
+        if (error) return sendRejection(res, error);
+
+        res.status(201).json({ status: 'success', message: 'List added successfully', data: budget.withListTotals(list) });
+    } catch (error) {
+        console.error('Error adding list:', error);
+        res.status(500).json({ status: 'error', message: 'Error adding list' });
+    }
+});
+
+
+// ========================
+// 7. DELETE LIST AND ITS ITEMS
+// ========================
+coreRoutes.delete('/api/delete-lists/:listId', deprecated('/api/v2/categories/:categoryId/lists/:listId'), authRoutes.authenticateToken, sharing.requireListRole('owner', {
+    message: 'Only the owner can delete this list'
+}), async (req, res) => {
+    try {
+        const entry = await resources.deleteList(req.list, req.user.userId);
+
+        res.status(200).json({ status: 'success', message: 'List deleted successfully', undo: trash.undoInfo(entry) });
+    } catch (error) {
+        console.error('Error deleting list:', error);
+        res.status(500).json({ status: 'error', message: 'Error deleting list' });
+    }
+});
+
+
+// ========================
+// 8. DELETE ITEM FROM A LIST
+// ========================
+coreRoutes.delete('/api/delete/:listId/item/:itemId', deprecated('/api/v2/categories/:categoryId/lists/:listId/items/:itemId'), authRoutes.authenticateToken, sharing.requireListRole('editor'), async (req, res) => {
+    try {
+        const { listId, itemId } = req.params;
+
+        const removed = await listItems.removeListItem(listId, itemId, req.user.userId);
+        if (!removed) {
+            return res.status(404).json({ status: 'error', message: 'List not found or item not found' });
+        }
+
+        res.status(200).json({ status: 'success', message: 'Item deleted successfully', data: removed.list, undo: trash.undoInfo(removed.trashEntry) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ status: 'error', message: 'Error deleting item' });
+    }
+});
+
+
+// ========================
+// 9. TOGGLE ITEM STATUS (optional body { addToPantry, bestBefore } stocks a completed item)
+// ========================
+coreRoutes.patch('/api/items/:itemId/toggle', deprecated('/api/v2/categories/:categoryId/lists/:listId/items/:itemId'), authRoutes.authenticateToken, validation.validate(
+    pantry.completionFields()
+), sharing.requireItemRole('editor'), async (req, res) => {
+    try {
+        const { list } = req;
+        const current = list.items.id(req.params.itemId);
+
+        const { item, error } = await listItems.updateListItem(list, current._id, { isCompleted: !current.isCompleted }, {
+            actorId: req.user.userId,
+            allowOverBudget: true
+        });
+        if (error) return sendRejection(res, error);
+
+        const stocked = item.isCompleted && req.body?.addToPantry === true
+            ? await pantry.moveToPantry(req.user.userId, item, req.body.bestBefore)
+            : undefined;
+
+        res.status(200).json({ status: 'success', message: 'Item toggled successfully', updatedItem: item, ...(stocked && { pantry: stocked }) });
+    } catch (error) {
+        console.error('Error toggling item:', error);
+        res.status(500).json({ status: 'error', message: 'Error toggling item' });
+    }
+});
+
+// ========================
+// 10. UPDATE LIST WITH NEW ITEMS
+// ========================
+coreRoutes.patch('/api/updatelist/:listID', deprecated('/api/v2/categories/:categoryId/lists/:listId/items'), authRoutes.authenticateToken, validation.validate(
+    validation.itemsField(),
+    sync.baseRevisionField()
+), sharing.requireListRole('editor', { param: 'listID' }), sync.checkBaseRevision, async (req, res) => {
+    try {
+        const { items } = req.body;
+
+        const result = await listItems.addItemsToList(req.list, items, {
+            actorId: req.user.userId,
+            allowOverBudget: !!req.body.allowOverBudget
+        });
+
+        // Unit conflicts or budget overrun
+        if (result.error) return sendRejection(res, result.error);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'List updated successfully',
+            overBudget: result.overBudget,
+            data: budget.withListTotals(result.list)
+        });
+
+    } catch (error) {
+        console.error('Error updating list:', error);
+
+        if (error.message === 'Invalid item price') {
+            return res.status(400).json({ status: 'error', message: 'Prices must be non-negative numbers and currencies 3-letter codes' });
+        }
+
+        res.status(500).json({ status: 'error', message: 'Error updating list' });
+    }
+});
+
+
+// ========================
+//11: Update an exisitng Item
+// ========================
+coreRoutes.patch('/api/updateItem/:listID/:itemID', deprecated('/api/v2/categories/:categoryId/lists/:listId/items/:itemId'), authRoutes.authenticateToken, validation.validate(
+    validation.itemField('updatedItem'),
+    sync.baseRevisionField()
+), sharing.requireListRole('editor', { param: 'listID' }), sync.checkBaseRevision, async (req, res) => {
+    try {
+        // Completion is changed through the toggle route only
+        const { isCompleted, ...changes } = req.body.updatedItem;
+
+        const result = await listItems.updateListItem(req.list, req.params.itemID, changes, {
+            actorId: req.user.userId,
+            convertQuantity: !!req.body.convertQuantity,
+            allowOverBudget: !!req.body.allowOverBudget
+        });
+        if (result.error) return sendRejection(res, result.error);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Item updated successfully',
+            overBudget: result.overBudget,
+            data: budget.withListTotals(result.list)
+        });
+
+    } catch (error) {
+        console.error('Error updating list item:', error);
+
+        if (error.message === 'Invalid item price') {
+            return res.status(400).json({ status: 'error', message: 'Prices must be non-negative numbers and currencies 3-letter codes' });
+        }
+
+        res.status(500).json({ status: 'error', message: 'Error updating item' });
+    }
+});
+
+
+
+
+// Test route
+coreRoutes.get('/api/health', (req, res) => {
+    res.status(200).json({ status: 'success', message: 'Server is running' });
+});
+
+// Error codes for failures reported by the OpenAPI validator
+const SPEC_ERROR_CODES = { 405: 'METHOD_NOT_ALLOWED', 415: 'UNSUPPORTED_MEDIA_TYPE' };
+const SPEC_LOCATIONS = ['body', 'query', 'params', 'headers', 'cookies', 'response'];
+
+// Error handling middleware
+const handleError = (err, req, res, next) => {
+    console.error(err.stack);
+
+    // Request or response does not match openapi.js
+    if (Array.isArray(err.errors)) {
+        // Validator paths look like /body/items/0/name or /params/listId
+        const errors = err.errors.map(error => {
+            const [location, ...field] = (error.path || '').split('/').filter(Boolean);
+            if (!SPEC_LOCATIONS.includes(location)) return { message: error.message };
+            return { field: field.join('.'), location, message: error.message };
+        });
+        const first = errors[0] || {};
+        const message = first.field ? `${first.field} ${first.message}` : first.message || err.message;
+
+        const badIds = errors.length > 0 && errors.every(error => error.location === 'params');
+        const code = err.status === 500 ? 'RESPONSE_VALIDATION_FAILED'
+            : badIds ? 'INVALID_ID'
+            : SPEC_ERROR_CODES[err.status];
+
+        return validation.sendError(res, err.status || 500, message, { code, errors });
+    }
+
+    validation.sendError(res, err.status || 500, err.message || 'Internal server error', {
+        ...(config.nodeEnv === 'development' && { stack: err.stack })
+    });
+};
+
+// Handle 404 routes
+const handleNotFound = (req, res) => {
+    res.status(404).json({
+        status: 'error',
+        message: 'Route not found'
+    });
+};
+
+// ========================
+// App factory. Builds the Express app without connecting to MongoDB or listening;
+// server.js does both. `overrides` replace settings from config.js (see loadConfig).
+// ========================
+const createApp = (overrides = {}) => {
+    configure(overrides);
+
+    // Create Express app
+    const app = express();
+
+    // CORS Middleware (at the top)
+    app.use(cors({
+        origin: [config.clientUrl, 'http://localhost:5173', 'http://localhost:5174', "http://192.168.100.6:5173", "http://192.168.100.6:5174"],
+        credentials: true,
+        methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization'],
+        exposedHeaders: ['Undo-Token', 'Deprecation', 'Link']     // undo tokens, and v1 routes pointing at their /api/v2 successors
+    }));
+
+
+    // Security Middleware
+    app.use(helmet());
+
+    // Rate limiting
+    if (config.rateLimit) {
+        app.use(rateLimit(config.rateLimit));
+    }
+
+    // Middleware
+    if (config.requestLog) {
+        // The event stream takes the access token as ?token= (see realtime.js): keep it out of the log
+        morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/g, '$1[redacted]'));
+        app.use(morgan(config.requestLog));
+    }
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+    app.use(cookieParser());
+
+
+    // API description: raw document and a browsable docs page
+    app.get('/api/openapi.json', (req, res) => {
+        res.status(200).json(openapiDocument);
+    });
+    app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openapiDocument));
+
+    // In development and test, requests and responses of documented routes must match the spec.
+    // Mismatches end up in handleError, so drift between code and spec fails loudly.
+    if (config.validateApi) {
+        // Validation errors under /api/v2 use the v2 envelope
+        app.use('/api/v2', (req, res, next) => {
+            res.locals.envelope = 'v2';
+            next();
+        });
+
+        app.use(OpenApiValidator.middleware({
+            apiSpec: openapiDocument,
+            validateRequests: true,
+            validateResponses: true,
+            validateSecurity: false,    // authenticateToken answers 401s itself
+            ignoreUndocumented: true
+        }));
+
+        // Responses are validated as they will be sent: Mongoose documents, ObjectIds and
+        // Dates are turned into plain JSON first
+        app.use((req, res, next) => {
+            const json = res.json.bind(res);
+            res.json = (body) => json(body === undefined ? body : JSON.parse(JSON.stringify(body)));
+            next();
+        });
+    }
+
+
+    // Mounting routes under base path '/api'
+    app.use('/api/v2', apiV2.router);
+    app.use('/api', authRoutes.router);
+    app.use('/api', sharing.router);
+    app.use('/api', realtime.router);
+    app.use('/api', budget.router);
+    app.use('/api', analytics.router);
+    app.use('/api', restock.router);
+    app.use('/api', units.router);
+    app.use('/api', templates.router);
+    app.use('/api', importExport.router);
+    app.use('/api', itemParser.router);
+    app.use('/api', account.router);
+    app.use('/api', shopping.router);
+    app.use('/api', pantry.router);
+    app.use('/api', recipes.router);
+    app.use('/api', trash.router);
+    app.use('/api', search.router);
+    app.use('/api', sync.router);
+    app.use('/api', activity.router);
+    app.use('/api', catalog.router);
+    app.use(coreRoutes);
+
+    app.use(handleError);
+    app.use(handleNotFound);
+
+    return app;
+};
+
+
+module.exports = {
+    createApp,
+};
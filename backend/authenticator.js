@@ -2,54 +2,211 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
-
-const dotenv = require('dotenv');
+const { config } = require('./config');
 const User = require('./DB_Models/user');
 const Category = require('./DB_Models/category');
 const List = require('./DB_Models/list');
+const EmailToken = require('./DB_Models/emailToken');
+const Session = require('./DB_Models/session');
+const mailer = require('./mailer');
+const { LIMITS, isObjectId, sendError, validate, checkIdParams, textField, usernameField, emailField, passwordField } = require('./validation');
+
+checkIdParams(router);
+
 
 
+// JWT secrets and the access token lifetime come from config.js.
+// Access tokens from /signin and /refresh-token are identical apart from their ids.
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;      // 7 days, renewed on every rotation
 
-// Load environment variables
-dotenv.config();
+// Lifetime of emailed tokens, by purpose
+const EMAIL_TOKEN_TTL = {
+    'verify-email': 24 * 60 * 60,       // 24 hours
+    'reset-password': 60 * 60           // 1 hour
+};
 
-// JWT Tokens Secret
-const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET;
-const REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET;
 
+// Access tokens name their session (sid). Once it ends (logout, revoke, password change,
+// account deletion) its access tokens stop working too, before they expire.
+const isSessionActive = async (sessionId) => isObjectId(String(sessionId)) &&
+    !!await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
 
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // "Bearer <token>"
 
     if (!token) {
         console.log("*****NO ACCESS TOKEN IN HEADER*****");
-        return res.status(401).json({ 
-            status: 'error', 
-            message: 'Authentication token missing' 
-        });
+        return sendError(res, 401, 'Authentication token missing', { code: 'TOKEN_MISSING' });
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, config.accessTokenSecret);
+    } catch (error) {
+        console.error('Access token verification failed:', error);
+        return sendError(res, 401, 'Invalid or expired access token', { code: 'TOKEN_INVALID' });
     }
 
     try {
-        const decoded = jwt.verify(token, ACCESS_TOKEN_SECRET);
+        if (!await isSessionActive(decoded.sid)) {
+            return sendError(res, 401, 'This session has ended, please sign in again', { code: 'SESSION_REVOKED' });
+        }
+    } catch (error) {
+        console.error('Session check failed:', error);
+        return res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+
+    req.user = {
+        userId: decoded.userId,
+        email: decoded.email,
+        sessionId: decoded.sid
+    };
 
-        req.user = {
-            userId: decoded.userId,
-            email: decoded.email
-        };
+    next();
+};
 
+
+// Accounts that have not confirmed their email cannot use sharing, imports or templates yet
+const requireVerifiedEmail = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.userId).select('emailVerified');
+        if (!user) {
+            return res.status(401).json({ status: 'error', message: 'User not found' });
+        }
+        if (user.emailVerified === false) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Please verify your email address to use this feature',
+                emailVerified: false
+            });
+        }
         next();
     } catch (error) {
-        console.error('Access token verification failed:', error);
-        return res.status(401).json({ 
-            status: 'error', 
-            message: 'Invalid or expired access token' 
-        });
+        console.error('Email verification check failed:', error);
+        res.status(500).json({ status: 'error', message: 'Internal server error' });
     }
 };
 
 
+// ========================
+// Emailed tokens (signed JWT + server-side record so each one works only once)
+// ========================
+
+const issueEmailToken = async (user, purpose) => {
+    // A new link replaces any earlier unused one
+    await EmailToken.updateMany({ userId: user._id, purpose, usedAt: null }, { usedAt: new Date() });
+
+    const jti = crypto.randomUUID();
+    await EmailToken.create({
+        jti,
+        userId: user._id,
+        purpose,
+        expiresAt: new Date(Date.now() + EMAIL_TOKEN_TTL[purpose] * 1000)
+    });
+
+    return jwt.sign({ userId: user._id, purpose }, config.emailTokenSecret, {
+        expiresIn: EMAIL_TOKEN_TTL[purpose],
+        jwtid: jti
+    });
+};
+
+// Resolves to the user id the token was issued for, or null if it is invalid, expired or used
+const consumeEmailToken = async (token, purpose) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, config.emailTokenSecret);
+    } catch (error) {
+        return null;
+    }
+    if (decoded.purpose !== purpose || !decoded.jti) return null;
+
+    const record = await EmailToken.findOneAndUpdate(
+        { jti: decoded.jti, purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() }
+    );
+    return record ? record.userId : null;
+};
+
+const sendVerification = async (user) => {
+    try {
+        const token = await issueEmailToken(user, 'verify-email');
+        await mailer.sendVerificationEmail(user, token);
+        return true;
+    } catch (error) {
+        console.error('Error sending verification email:', error);
+        return false;
+    }
+};
+
+
+// ========================
+// Sessions and refresh token rotation
+// ========================
+
+const refreshCookieOptions = () => ({
+    httpOnly: true,
+    secure: config.nodeEnv === 'production',
+    sameSite: config.nodeEnv === 'production' ? 'strict' : 'lax'
+});
+
+const issueAccessToken = (user, sessionId) => jwt.sign(
+    { userId: user._id, email: user.email, sid: sessionId },
+    config.accessTokenSecret,
+    { expiresIn: config.accessTokenTtl } // short-lived
+);
+
+const signRefreshToken = (session) => jwt.sign(
+    { userId: session.userId, sid: session._id },
+    config.refreshTokenSecret,
+    { expiresIn: Math.floor(REFRESH_TOKEN_TTL_MS / 1000), jwtid: session.currentJti }
+);
+
+const setRefreshCookie = (res, refreshToken) => {
+    res.cookie('refreshToken', refreshToken, { ...refreshCookieOptions(), maxAge: REFRESH_TOKEN_TTL_MS });
+};
+
+const clearRefreshCookie = (res) => {
+    res.clearCookie('refreshToken', refreshCookieOptions());
+};
+
+// Start a session for a device that just signed in
+const createSession = async (user, req) => {
+    const session = await Session.create({
+        userId: user._id,
+        currentJti: crypto.randomUUID(),
+        device: {
+            name: req.body && req.body.deviceName ? String(req.body.deviceName).slice(0, 100) : undefined,
+            userAgent: req.headers['user-agent'],
+            ip: req.ip
+        },
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+    return session;
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeUserSessions = (userId, reason, exceptSessionId) => Session.updateMany(
+    {
+        userId,
+        revokedAt: null,
+        ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+    },
+    { revokedAt: new Date(), revokedReason: reason }
+);
+
+const describeSession = (session, currentSessionId) => ({
+    id: session._id,
+    device: session.device,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: !!currentSessionId && session._id.toString() === String(currentSessionId)
+});
+
+
 router.get('/check-auth', async (req, res) => {
     try {
         const authHeader = req.headers['authorization'];
@@ -60,7 +217,10 @@ router.get('/check-auth', async (req, res) => {
             return res.json({ isAuthenticated: false });
         }
 
-        const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+        const decoded = jwt.verify(token, config.accessTokenSecret);
+        if (!await isSessionActive(decoded.sid)) {
+            return res.status(401).json({ isAuthenticated: false, status: 'error', message: 'This session has ended, please sign in again' });
+        }
         return res.status(200).json({ isAuthenticated: true });
     } catch (error) {
         console.log("===***User not authenticated***:::",error)
@@ -74,15 +234,10 @@ router.get('/check-auth', async (req, res) => {
 });
 
 // User Signup Route
-router.post('/signup', async (req, res) => {
+router.post('/signup', validate(usernameField(), emailField(), passwordField()), async (req, res) => {
     try {
         const { username, email, password } = req.body;
 
-        // Basic validations
-        if (!username || !email || !password) {
-            return res.status(400).json({ status: 'error', message: 'All fields are required' });
-        }
-
         // Check if email already exists
         const existingEmail = await User.findOne({ email });
         if (existingEmail) {
@@ -102,7 +257,8 @@ router.post('/signup', async (req, res) => {
         const newUser = new User({
             username,
             email,
-            password: hashedPassword
+            password: hashedPassword,
+            emailVerified: false
         });
 
         // Save user to database
@@ -113,9 +269,12 @@ router.post('/signup', async (req, res) => {
             _id: newUser._id
         });
 
+        const verificationSent = await sendVerification(newUser);
+
         res.status(201).json({
             status: 'success',
-            message: 'User registered successfully'
+            message: 'User registered successfully. Please check your email to verify your account.',
+            verificationSent
         });
 
     } catch (error) {
@@ -128,29 +287,24 @@ router.post('/signup', async (req, res) => {
 });
 
 // check-username.js
-router.post('/check-username', async (req, res) => {
+router.post('/check-username', validate(usernameField()), async (req, res) => {
     const { username } = req.body;
     const exists = await User.exists({ username });  // or User.findOne
     return res.json({ exists: !!exists });
   });
   
   // check-email.js
-  router.post('/check-email', async (req, res) => {
+  router.post('/check-email', validate(emailField({ format: false })), async (req, res) => {
     const { email } = req.body;
     const exists = await User.exists({ email });
     return res.json({ exists: !!exists });
   });
   
 // User Signin Route
-router.post('/signin', async (req, res) => {
+router.post('/signin', validate(emailField({ format: false }), passwordField()), async (req, res) => {
     try {
         const { email, password } = req.body;
 
-        // Basic validations
-        if (!email || !password) {
-            return res.status(400).json({ status: 'error', message: 'Email and password are required' });
-        }
-
         // Find user by email
         const user = await User.findOne({ email });
         if (!user) {
@@ -163,29 +317,14 @@ router.post('/signin', async (req, res) => {
             return res.status(401).json({ status: 'error', message: 'Incorrect password' });
         }
 
-        console.log("Access token secret:",ACCESS_TOKEN_SECRET," and Refresh token secret:",REFRESH_TOKEN_SECRET)
-        // Generate tokens
-        const accessToken = jwt.sign(
-            { userId: user._id, email: user.email },
-            ACCESS_TOKEN_SECRET,
-            { expiresIn: '1m' } // short-lived
-        );
-
-        const refreshToken = jwt.sign(
-            { userId: user._id },
-            REFRESH_TOKEN_SECRET,
-            { expiresIn: '7d' } // long-lived
-        );
+        // Every sign-in is a new session (device) with its own refresh token family
+        const session = await createSession(user, req);
+        const accessToken = issueAccessToken(user, session._id);
 
         // Send refresh token as httpOnly cookie
-        res.cookie('refreshToken', refreshToken, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
+        setRefreshCookie(res, signRefreshToken(session));
 
-        console.log("Cookie generated with sameSite value:",`${process.env.NODE_ENV === 'production' ? 'strict' : 'lax'}`," and secure value:",`${process.env.NODE_ENV === 'production'}`)
+        console.log("Cookie generated with sameSite value:",`${config.nodeEnv === 'production' ? 'strict' : 'lax'}`," and secure value:",`${config.nodeEnv === 'production'}`)
        
          // Send access token in response body
          res.status(200).json({
@@ -195,7 +334,8 @@ router.post('/signin', async (req, res) => {
             user: {
                 id: user._id,
                 username: user.username,
-                email: user.email
+                email: user.email,
+                emailVerified: user.emailVerified !== false
             }
         });
 
@@ -210,7 +350,7 @@ router.post('/signin', async (req, res) => {
 });
 
 
-router.get('/refresh-token', (req, res) => {
+router.get('/refresh-token', async (req, res) => {
     const refreshToken = req.cookies.refreshToken;
     console.log("***********Refresh token API called*******8")
     if (!refreshToken) {
@@ -218,25 +358,117 @@ router.get('/refresh-token', (req, res) => {
         return res.status(401).json({ status: 'error', message: 'Refresh token missing' });
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(refreshToken, REFRESH_TOKEN_SECRET);
+        decoded = jwt.verify(refreshToken, config.refreshTokenSecret);
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        return res.status(403).json({ status: 'error', message: 'Invalid or expired refresh token' });
+    }
 
-        // Re-issue a new access token
-        const newAccessToken = jwt.sign(
-            { userId: decoded.userId },
-            ACCESS_TOKEN_SECRET,
-            { expiresIn: '15m' }
+    try {
+        const session = decoded.sid && await Session.findById(decoded.sid);
+        if (!session || session.revokedAt || session.userId.toString() !== String(decoded.userId)) {
+            return res.status(403).json({ status: 'error', message: 'Session has been revoked' });
+        }
+
+        // Rotate: only the latest token of the family is accepted, and only once
+        const nextJti = crypto.randomUUID();
+        const rotated = await Session.findOneAndUpdate(
+            { _id: session._id, currentJti: decoded.jti, revokedAt: null },
+            {
+                currentJti: nextJti,
+                lastUsedAt: new Date(),
+                expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+            },
+            { new: true }
         );
 
+        if (!rotated) {
+            // An already rotated token came back: assume it was stolen and end the whole family
+            await Session.updateOne(
+                { _id: session._id, revokedAt: null },
+                { revokedAt: new Date(), revokedReason: 'reuse-detected' }
+            );
+            console.warn(`Refresh token reuse detected for session ${session._id}`);
+            clearRefreshCookie(res);
+            return res.status(403).json({ status: 'error', message: 'Refresh token reuse detected, please sign in again' });
+        }
+
+        const user = await User.findById(rotated.userId);
+        if (!user) {
+            return res.status(403).json({ status: 'error', message: 'Invalid or expired refresh token' });
+        }
+
+        setRefreshCookie(res, signRefreshToken(rotated));
+
         console.log("***====Token Refreshed====****")
         res.status(200).json({
             status: 'success',
-            accessToken: newAccessToken
+            accessToken: issueAccessToken(user, rotated._id)
         });
 
     } catch (error) {
         console.error('Refresh token error:', error);
-        return res.status(403).json({ status: 'error', message: 'Invalid or expired refresh token' });
+        res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+});
+
+
+// ========================
+// Active sessions (one per signed-in device)
+// ========================
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            userId: req.user.userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+
+        res.status(200).json({
+            status: 'success',
+            data: sessions.map(session => describeSession(session, req.user.sessionId))
+        });
+    } catch (error) {
+        console.error('Sessions fetch error:', error);
+        res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+});
+
+// Sign out one device
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const session = await Session.findOneAndUpdate(
+            { _id: sessionId, userId: req.user.userId, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: 'revoked' }
+        );
+        if (!session) {
+            return res.status(404).json({ status: 'error', message: 'Session not found' });
+        }
+
+        res.status(200).json({ status: 'success', message: 'Session revoked successfully' });
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+});
+
+// Sign out everywhere (?keepCurrent=true keeps the calling device signed in)
+router.delete('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const keepCurrent = req.query.keepCurrent === 'true' && req.user.sessionId;
+        const result = await revokeUserSessions(req.user.userId, 'revoked', keepCurrent ? req.user.sessionId : null);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Sessions revoked successfully',
+            revoked: result.modifiedCount
+        });
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        res.status(500).json({ status: 'error', message: 'Internal server error' });
     }
 });
 
@@ -260,7 +492,8 @@ router.get('/user/profile', authenticateToken, async (req, res) => {
             user: {
                 id: user._id,
                 username: user.username,
-                email: user.email
+                email: user.email,
+                emailVerified: user.emailVerified !== false
             }
         });
     } catch (error) {
@@ -273,13 +506,132 @@ router.get('/user/profile', authenticateToken, async (req, res) => {
 });
 
 
+// ========================
+// Email verification
+// ========================
+router.post('/verify-email', validate(textField('token', 'Verification token', LIMITS.text)), async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        const userId = await consumeEmailToken(token, 'verify-email');
+        if (!userId) {
+            return res.status(400).json({ status: 'error', message: 'Invalid or expired verification link' });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            userId,
+            { emailVerified: true, emailVerifiedAt: new Date() },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(404).json({ status: 'error', message: 'User not found' });
+        }
+
+        res.status(200).json({ status: 'success', message: 'Email verified successfully' });
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+});
+
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ status: 'error', message: 'User not found' });
+        }
+        if (user.emailVerified !== false) {
+            return res.status(400).json({ status: 'error', message: 'Email is already verified' });
+        }
+
+        if (!await sendVerification(user)) {
+            return res.status(502).json({ status: 'error', message: 'Could not send verification email' });
+        }
+
+        res.status(200).json({ status: 'success', message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+});
+
+
+// ========================
+// Forgot / reset password
+// ========================
+router.post('/forgot-password', validate(emailField({ format: false })), async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        // Same answer whether or not the account exists, so emails cannot be probed
+        const user = await User.findOne({ email });
+        if (user) {
+            const token = await issueEmailToken(user, 'reset-password');
+            mailer.sendPasswordResetEmail(user, token)
+                .catch(error => console.error('Error sending password reset email:', error));
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'If an account exists for this email, a reset link has been sent'
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+});
+
+router.post('/reset-password', validate(
+    textField('token', 'Token', LIMITS.text),
+    passwordField('password', 'New password')
+), async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        const userId = await consumeEmailToken(token, 'reset-password');
+        if (!userId) {
+            return res.status(400).json({ status: 'error', message: 'Invalid or expired reset link' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        // The link proved access to the inbox, so the email counts as verified too
+        const user = await User.findByIdAndUpdate(userId, {
+            password: hashedPassword,
+            emailVerified: true
+        });
+        if (!user) {
+            return res.status(404).json({ status: 'error', message: 'User not found' });
+        }
+
+        // Whoever knew the old password is signed out on every device
+        await revokeUserSessions(user._id, 'password-changed');
+
+        res.status(200).json({ status: 'success', message: 'Password reset successfully' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+});
+
+
 // Logout route
-router.post('/logout', (req, res) => {
-    res.clearCookie('refreshToken', {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict'
-    });
+router.post('/logout', async (req, res) => {
+    // End the server-side session so the refresh token cannot be used again
+    const refreshToken = req.cookies.refreshToken;
+    if (refreshToken) {
+        try {
+            const decoded = jwt.verify(refreshToken, config.refreshTokenSecret);
+            await Session.updateOne(
+                { _id: decoded.sid, revokedAt: null },
+                { revokedAt: new Date(), revokedReason: 'logout' }
+            );
+        } catch (error) {
+            console.error('Logout session revoke failed:', error.message);
+        }
+    }
+
+    clearRefreshCookie(res);
     
     res.status(200).json({ 
         status: 'success', 
@@ -290,4 +642,9 @@ router.post('/logout', (req, res) => {
 module.exports = {
     router,
     authenticateToken,
+    isSessionActive,
+    requireVerifiedEmail,
+    revokeUserSessions,
+    clearRefreshCookie,
+    sendVerification,
   };
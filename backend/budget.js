@@ -0,0 +1,247 @@
+const express = require('express');
+const router = express.Router();
+
+const { authenticateToken } = require('./authenticator');
+const sharing = require('./sharing');
+const { SPEND_LIMIT_FIELDS, checkIdParams } = require('./validation');
+const { snapshot, changedFields, recordActivity } = require('./activity');
+const List = require('./DB_Models/list');
+
+checkIdParams(router);
+
+
+const CURRENCY_PATTERN = /^[A-Za-z]{3}$/;   // ISO 4217 style codes, e.g. USD, EUR, PKR
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+
+// ========================
+// Input parsing
+// ========================
+
+// Pick the optional price fields out of an item payload.
+// Only keys present in the payload are returned; null or '' clears a field.
+const parsePriceFields = (raw) => {
+    const pricing = {};
+    if (!raw || typeof raw !== 'object') return pricing;
+
+    if ('unitPrice' in raw) {
+        if (raw.unitPrice === null || raw.unitPrice === '') {
+            pricing.unitPrice = undefined;
+        } else {
+            const price = Number(raw.unitPrice);
+            if (!Number.isFinite(price) || price < 0) {
+                throw new Error('Invalid item price');
+            }
+            pricing.unitPrice = price;
+        }
+    }
+
+    if ('currency' in raw) {
+        if (raw.currency === null || raw.currency === '') {
+            pricing.currency = undefined;
+        } else if (typeof raw.currency !== 'string' || !CURRENCY_PATTERN.test(raw.currency.trim())) {
+            throw new Error('Invalid item price');
+        } else {
+            pricing.currency = raw.currency.trim().toUpperCase();
+        }
+    }
+
+    if ('store' in raw) {
+        pricing.store = raw.store === null || raw.store === '' ? undefined : String(raw.store).trim();
+    }
+
+    return pricing;
+};
+
+// Parse a budget value: a non-negative number, or null/'' to remove the budget
+const parseBudget = (value) => {
+    if (value === null || value === '') return undefined;
+
+    const budget = Number(value);
+    if (!Number.isFinite(budget) || budget < 0) {
+        throw new Error('Invalid budget');
+    }
+    return budget;
+};
+
+const parseCurrency = (value) => {
+    if (value === null || value === '') return undefined;
+    if (typeof value !== 'string' || !CURRENCY_PATTERN.test(value.trim())) {
+        throw new Error('Invalid budget');
+    }
+    return value.trim().toUpperCase();
+};
+
+
+// ========================
+// Totals
+// ========================
+
+// Estimated and completed spend for a list, in the list's currency.
+// Items priced in another currency are left out of the sums and counted separately.
+const listTotals = (list) => {
+    const pricedItem = list.items.find(item => item.unitPrice != null && item.currency);
+    const currency = list.currency || (pricedItem ? pricedItem.currency : null);
+
+    let estimatedTotal = 0;
+    let completedTotal = 0;
+    let pricedItems = 0;
+    let unpricedItems = 0;
+    let otherCurrencyItems = 0;
+
+    for (const item of list.items) {
+        if (item.unitPrice == null) {
+            unpricedItems++;
+            continue;
+        }
+
+        const itemCurrency = item.currency || list.currency;
+        if (currency && itemCurrency && itemCurrency !== currency) {
+            otherCurrencyItems++;
+            continue;
+        }
+
+        const cost = item.unitPrice * item.quantity;
+        estimatedTotal += cost;
+        if (item.isCompleted) completedTotal += cost;
+        pricedItems++;
+    }
+
+    const budget = list.budget != null ? list.budget : null;
+
+    return {
+        currency,
+        budget,
+        estimatedTotal: roundMoney(estimatedTotal),
+        completedTotal: roundMoney(completedTotal),
+        remainingBudget: budget != null ? roundMoney(budget - estimatedTotal) : null,
+        isOverBudget: budget != null && roundMoney(estimatedTotal) > budget,
+        pricedItems,
+        unpricedItems,
+        otherCurrencyItems
+    };
+};
+
+// Sum of the given lists' totals against the category budget
+const categoryTotals = (category, lists) => {
+    const perList = lists.map(listTotals);
+    const firstPriced = perList.find(totals => totals.currency);
+    const currency = category.currency || (firstPriced ? firstPriced.currency : null);
+
+    let estimatedTotal = 0;
+    let completedTotal = 0;
+    let otherCurrencyLists = 0;
+
+    for (const totals of perList) {
+        if (currency && totals.currency && totals.currency !== currency) {
+            otherCurrencyLists++;
+            continue;
+        }
+        estimatedTotal += totals.estimatedTotal;
+        completedTotal += totals.completedTotal;
+    }
+
+    const budget = category.budget != null ? category.budget : null;
+
+    return {
+        currency,
+        budget,
+        estimatedTotal: roundMoney(estimatedTotal),
+        completedTotal: roundMoney(completedTotal),
+        remainingBudget: budget != null ? roundMoney(budget - estimatedTotal) : null,
+        isOverBudget: budget != null && roundMoney(estimatedTotal) > budget,
+        listCount: lists.length,
+        otherCurrencyLists
+    };
+};
+
+// Plain list object with its computed totals, as returned by the list routes
+const withListTotals = (list) => ({
+    ...(typeof list.toObject === 'function' ? list.toObject() : list),
+    totals: listTotals(list)
+});
+
+// True when an edit raised the estimate of a list that ends up over budget
+const pushedOverBudget = (before, after) =>
+    after.isOverBudget && after.estimatedTotal > before.estimatedTotal;
+
+
+// ========================
+// SET LIST BUDGET
+// ========================
+router.patch('/lists/:listId/budget', authenticateToken, sharing.requireListRole('editor'), async (req, res) => {
+    try {
+        const { budget, currency } = req.body;
+        const { list } = req;
+
+        if (budget === undefined && currency === undefined) {
+            return res.status(400).json({ status: 'error', message: 'Budget or currency is required' });
+        }
+
+        const before = snapshot(list, SPEND_LIMIT_FIELDS);
+        if (budget !== undefined) list.budget = parseBudget(budget);
+        if (currency !== undefined) list.currency = parseCurrency(currency);
+        await list.save();
+
+        const changed = changedFields(before, snapshot(list, SPEND_LIMIT_FIELDS));
+        if (changed) await recordActivity(req.user.userId, list, [{ action: 'list.update', ...changed }]);
+
+        res.status(200).json({ status: 'success', message: 'List budget updated', data: withListTotals(list) });
+    } catch (error) {
+        if (error.message === 'Invalid budget') {
+            return res.status(400).json({ status: 'error', message: 'Budget must be a non-negative number and currency a 3-letter code' });
+        }
+        console.error('Error updating list budget:', error);
+        res.status(500).json({ status: 'error', message: 'Error updating list budget' });
+    }
+});
+
+
+// ========================
+// SET CATEGORY BUDGET
+// ========================
+router.patch('/categories/:categoryId/budget', authenticateToken, sharing.requireCategoryRole('editor'), async (req, res) => {
+    try {
+        const { budget, currency } = req.body;
+        const { category } = req;
+
+        if (budget === undefined && currency === undefined) {
+            return res.status(400).json({ status: 'error', message: 'Budget or currency is required' });
+        }
+
+        const before = snapshot(category, SPEND_LIMIT_FIELDS);
+        if (budget !== undefined) category.budget = parseBudget(budget);
+        if (currency !== undefined) category.currency = parseCurrency(currency);
+        await category.save();
+
+        const changed = changedFields(before, snapshot(category, SPEND_LIMIT_FIELDS));
+        if (changed) await recordActivity(req.user.userId, category, [{ action: 'category.update', ...changed }]);
+
+        const lists = await List.find({ categoryId: category._id });
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Category budget updated',
+            data: { ...category.toObject(), totals: categoryTotals(category, lists) }
+        });
+    } catch (error) {
+        if (error.message === 'Invalid budget') {
+            return res.status(400).json({ status: 'error', message: 'Budget must be a non-negative number and currency a 3-letter code' });
+        }
+        console.error('Error updating category budget:', error);
+        res.status(500).json({ status: 'error', message: 'Error updating category budget' });
+    }
+});
+
+
+module.exports = {
+    router,
+    parsePriceFields,
+    parseBudget,
+    parseCurrency,
+    listTotals,
+    categoryTotals,
+    withListTotals,
+    pushedOverBudget,
+};
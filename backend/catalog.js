@@ -0,0 +1,317 @@
+// Item catalog: every user gets one entry per item they have added to a list, whatever the
+// spelling ("Tomato", "tomatoes", "Tomatos " are one entry, see DB_Models/itemNames.js), with the
+// unit, quantity and category it was last added with. New items take the catalog name, and its
+// unit and quantity when they come without one; GET /api/catalog/suggest completes names as
+// they are typed, forgiving a typo or two.
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+
+const { authenticateToken } = require('./authenticator');
+const sharing = require('./sharing');
+const units = require('./units');
+const { LIMITS, validate, checkIdParams, sendError, nameField, textField } = require('./validation');
+const { spelling, itemKey } = require('./DB_Models/itemNames');
+const CatalogItem = require('./DB_Models/catalogItem');
+const List = require('./DB_Models/list');
+
+checkIdParams(router);
+
+
+const DEFAULT_SUGGESTIONS = 10;
+const MAX_SUGGESTIONS = 50;
+
+
+// ========================
+// Lookup
+// ========================
+
+// The catalog entries of `names`, by spelling: an alias match first, then the same key
+const findEntries = async (userId, names) => {
+    const spellings = [...new Set(names.map(spelling))].filter(Boolean);
+    if (spellings.length === 0) return new Map();
+
+    const entries = await CatalogItem.find({
+        userId,
+        $or: [{ key: { $in: spellings.map(itemKey) } }, { aliases: { $in: spellings } }]
+    });
+    return new Map(spellings.map(spelled => [
+        spelled,
+        entries.find(entry => entry.aliases.includes(spelled)) || entries.find(entry => entry.key === itemKey(spelled))
+    ]));
+};
+
+const hasName = (item) => item && typeof item === 'object' && typeof item.name === 'string' && item.name.trim();
+
+const withoutUnit = (item) => item.unit === undefined || item.unit === null || String(item.unit).trim() === '';
+
+// Incoming items with the names `userId` uses for them: the name on `list` if the item is there,
+// else the catalog name. Items without a unit take that unit (and quantity) as last used.
+const normalizeItems = async (userId, items, { list } = {}) => {
+    if (!userId) return items;
+
+    const entries = await findEntries(userId, items.filter(hasName).map(item => item.name));
+    const onList = new Map((list ? list.items : []).map(item => [itemKey(item.name), item]));
+
+    return items.map(item => {
+        if (!hasName(item)) return item;
+
+        const listItem = onList.get(itemKey(item.name));
+        const entry = entries.get(spelling(item.name));
+        if (listItem) {
+            return { ...item, name: listItem.name, ...(withoutUnit(item) && { unit: listItem.unit }) };
+        }
+        if (!entry) return item;
+
+        const defaults = withoutUnit(item)
+            ? { unit: entry.unit, ...(item.quantity === undefined && { quantity: entry.quantity }) }
+            : {};
+        return { ...item, name: entry.name, ...defaults };
+    });
+};
+
+// The catalog name for a renamed item, or the name as given
+const canonicalName = async (userId, name) => {
+    if (!userId) return name;
+    const entry = (await findEntries(userId, [name])).get(spelling(name));
+    return entry ? entry.name : name;
+};
+
+
+// ========================
+// Learning
+// ========================
+
+// Remember what `userId` just added in `categoryId`: the unit, quantity and category of each entry,
+// new entries and new spellings as aliases. A failed write is logged, never thrown.
+const learnItems = async (userId, categoryId, items) => {
+    const named = items.filter(item => hasName(item) && spelling(item.name));
+    if (!userId || named.length === 0) return;
+
+    try {
+        const entries = await findEntries(userId, named.map(item => item.name));
+        const created = new Map();      // by key, for other spellings of a new item in the same batch
+        const now = new Date();
+
+        for (const item of named) {
+            const spelled = spelling(item.name);
+            let entry = entries.get(spelled) || created.get(itemKey(spelled));
+            if (!entry) {
+                entry = new CatalogItem({ userId, name: item.name });
+                created.set(itemKey(spelled), entry);
+            }
+
+            entry.unit = units.canonicalUnit(item.unit);
+            entry.quantity = item.quantity > 0 ? item.quantity : entry.quantity;
+            entry.categoryId = categoryId || entry.categoryId;
+            entry.useCount += 1;
+            entry.lastUsedAt = now;
+            if (spelled !== spelling(entry.name) && !entry.aliases.includes(spelled)) entry.aliases.push(spelled);
+
+            await entry.save();
+        }
+    } catch (error) {
+        console.error('Error updating the item catalog:', error);
+    }
+};
+
+// A catalog that predates this feature starts from the items on the user's own lists
+const ensureCatalog = async (userId) => {
+    if (await CatalogItem.exists({ userId })) return;
+
+    const lists = await List.find({ userId }).sort({ createdAt: 1 }).select('categoryId items');
+    for (const list of lists) {
+        await learnItems(userId, list.categoryId, list.items);
+    }
+};
+
+
+// ========================
+// Suggestions
+// ========================
+
+// Edits (insert, delete, substitute) turning `a` into `b`
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Typos forgiven in what was typed so far: none in short words, one from 4 letters, two from 8
+const allowedTypos = (typed) => (typed.length >= 8 ? 2 : typed.length >= 4 ? 1 : 0);
+
+const MATCH_RANKS = ['exact', 'prefix', 'word', 'fuzzy'];
+
+// How well `typed` (a spelling) matches one name or alias spelling; null for no match
+const matchSpelling = (typed, candidate) => {
+    if (candidate === typed) return { match: 'exact', typos: 0 };
+    if (candidate.startsWith(typed)) return { match: 'prefix', typos: 0 };
+    if (candidate.split(' ').some(word => word.startsWith(typed))) return { match: 'word', typos: 0 };
+
+    // Compare with the start of the name, one letter shorter or longer included
+    const typos = Math.min(...[-1, 0, 1].map(extra => editDistance(typed, candidate.slice(0, typed.length + extra))));
+    return typos <= allowedTypos(typed) ? { match: 'fuzzy', typos } : null;
+};
+
+// Best match of `typed` against an entry's name, plural and aliases; null for no match
+const matchEntry = (typed, entry) => {
+    if (itemKey(typed) === entry.key) return { match: 'exact', typos: 0 };
+
+    return [entry.name, entry.plural, ...entry.aliases]
+        .filter(Boolean)
+        .map(candidate => matchSpelling(typed, spelling(candidate)))
+        .filter(Boolean)
+        .sort(compareMatches)[0] || null;
+};
+
+const compareMatches = (a, b) =>
+    MATCH_RANKS.indexOf(a.match) - MATCH_RANKS.indexOf(b.match) || a.typos - b.typos;
+
+// Catalog entries matching the start of `text`, best first: exact, prefix, word, then near misses.
+// Ties go to entries of `categoryId`, then the most used. Scored in memory, catalogs are small.
+const suggest = async (userId, text, { limit = DEFAULT_SUGGESTIONS, categoryId } = {}) => {
+    await ensureCatalog(userId);
+
+    const typed = spelling(text);
+    if (!typed) return [];
+
+    const inCategory = (entry) => (categoryId && entry.categoryId && entry.categoryId.toString() === categoryId ? 0 : 1);
+    const entries = await CatalogItem.find({ userId });
+
+    return entries
+        .map(entry => ({ entry, found: matchEntry(typed, entry) }))
+        .filter(({ found }) => found)
+        .sort((a, b) => compareMatches(a.found, b.found)
+            || inCategory(a.entry) - inCategory(b.entry)
+            || b.entry.useCount - a.entry.useCount
+            || b.entry.lastUsedAt - a.entry.lastUsedAt)
+        .slice(0, limit)
+        .map(({ entry, found }) => ({ ...entry.toObject(), match: found.match }));
+};
+
+
+// ========================
+// 1. AUTO-COMPLETE
+// ========================
+router.get('/catalog/suggest', authenticateToken, validate(
+    query('q')
+        .exists().withMessage('q is required').bail()
+        .isString().withMessage('q must be text').bail()
+        .isLength({ min: 1, max: LIMITS.name }).withMessage(`q must be 1 to ${LIMITS.name} characters`),
+    query('categoryId')
+        .optional()
+        .isMongoId().withMessage('Invalid categoryId'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_SUGGESTIONS }).withMessage(`limit must be a whole number from 1 to ${MAX_SUGGESTIONS}`)
+), async (req, res) => {
+    try {
+        const suggestions = await suggest(req.user.userId, req.query.q, {
+            categoryId: req.query.categoryId,
+            limit: req.query.limit === undefined ? DEFAULT_SUGGESTIONS : parseInt(req.query.limit, 10)
+        });
+        res.status(200).json({ status: 'success', data: suggestions });
+    } catch (error) {
+        console.error('Error suggesting items:', error);
+        res.status(500).json({ status: 'error', message: 'Error suggesting items' });
+    }
+});
+
+
+// ========================
+// 2. LIST THE CATALOG
+// ========================
+router.get('/catalog', authenticateToken, async (req, res) => {
+    try {
+        await ensureCatalog(req.user.userId);
+        const entries = await CatalogItem.find({ userId: req.user.userId }).sort({ key: 1 });
+        res.status(200).json({ status: 'success', data: entries });
+    } catch (error) {
+        console.error('Error fetching the item catalog:', error);
+        res.status(500).json({ status: 'error', message: 'Error fetching the item catalog' });
+    }
+});
+
+
+// ========================
+// 3. EDIT AN ENTRY
+// ========================
+// A new name becomes the canonical one; the old spelling stays as an alias
+router.patch('/catalog/:catalogItemId', authenticateToken, validate(
+    nameField('name', 'Name', { optional: true })
+        .custom(value => !!spelling(value)).withMessage('Name must contain a letter or digit'),
+    textField('unit', 'Unit', LIMITS.unit, { optional: true }),
+    body('quantity')
+        .optional()
+        .isFloat({ gt: 0 }).withMessage('Quantity must be a positive number'),
+    body('categoryId')
+        .optional({ values: 'null' })
+        .isMongoId().withMessage('Invalid categoryId')
+), async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const entry = await CatalogItem.findOne({ _id: req.params.catalogItemId, userId });
+        if (!entry) {
+            return sendError(res, 404, 'Catalog item not found', { code: 'CATALOG_ITEM_NOT_FOUND' });
+        }
+
+        const { name, unit, quantity, categoryId } = req.body;
+        if (name !== undefined && itemKey(name) !== entry.key) {
+            const clash = await CatalogItem.exists({ userId, key: itemKey(name) });
+            if (clash) {
+                return sendError(res, 409, 'The catalog already has an item with this name', { code: 'CATALOG_ITEM_EXISTS' });
+            }
+        }
+        if (categoryId) {
+            const { role } = await sharing.findCategoryForUser(categoryId, userId);
+            if (!role) return sendError(res, 404, 'Category not found', { code: 'CATEGORY_NOT_FOUND' });
+        }
+
+        if (name !== undefined) {
+            const oldSpelling = spelling(entry.name);
+            entry.name = name;
+            entry.aliases = [...new Set([...entry.aliases, oldSpelling])].filter(alias => alias !== spelling(name));
+        }
+        if (unit !== undefined) entry.unit = units.canonicalUnit(unit);
+        if (quantity !== undefined) entry.quantity = Number(quantity);
+        if (categoryId !== undefined) entry.categoryId = categoryId;
+        await entry.save();
+
+        res.status(200).json({ status: 'success', message: 'Catalog item updated', data: entry });
+    } catch (error) {
+        console.error('Error updating catalog item:', error);
+        res.status(500).json({ status: 'error', message: 'Error updating catalog item' });
+    }
+});
+
+
+// ========================
+// 4. FORGET AN ENTRY
+// ========================
+router.delete('/catalog/:catalogItemId', authenticateToken, async (req, res) => {
+    try {
+        const entry = await CatalogItem.findOneAndDelete({ _id: req.params.catalogItemId, userId: req.user.userId });
+        if (!entry) {
+            return sendError(res, 404, 'Catalog item not found', { code: 'CATALOG_ITEM_NOT_FOUND' });
+        }
+        res.status(200).json({ status: 'success', message: 'Catalog item removed' });
+    } catch (error) {
+        console.error('Error removing catalog item:', error);
+        res.status(500).json({ status: 'error', message: 'Error removing catalog item' });
+    }
+});
+
+
+module.exports = {
+    router,
+    normalizeItems,
+    canonicalName,
+    learnItems,
+    suggest,
+};
@@ -0,0 +1,58 @@
+// Runtime settings, read from the environment (and .env) once.
+// createApp(overrides) in app.js replaces any of them, which is how tests run the
+// app with their own database, secrets and limits without touching process.env.
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+
+const loadConfig = (env = process.env) => {
+    const nodeEnv = env.NODE_ENV || 'development';
+
+    return {
+        nodeEnv,
+        port: Number(env.PORT) || 5000,
+        mongodbUri: env.MONGODB_URI,
+        // Web app origin, also used for the links in emails
+        clientUrl: env.CLIENT_URL || 'http://localhost:5173',
+
+        // JWT secrets and lifetimes
+        accessTokenSecret: env.ACCESS_TOKEN_SECRET,
+        refreshTokenSecret: env.REFRESH_TOKEN_SECRET,
+        emailTokenSecret: env.EMAIL_TOKEN_SECRET || env.ACCESS_TOKEN_SECRET,
+        accessTokenTtl: env.ACCESS_TOKEN_TTL || '15m',
+
+        // Outgoing email (see mailer.js): 'smtp', 'stream' or 'json' (logged, not delivered)
+        mailTransport: env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'json'),
+        mailFrom: env.MAIL_FROM || 'GrocerySaver <no-reply@grocerysaver.local>',
+        smtp: {
+            host: env.SMTP_HOST,
+            port: Number(env.SMTP_PORT) || 587,
+            secure: env.SMTP_SECURE === 'true',
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS
+        },
+
+        // Days deleted categories, lists and items stay restorable
+        trashRetentionDays: Number(env.TRASH_RETENTION_DAYS) || 30,
+
+        // Requests per IP per window; false turns the limiter off
+        rateLimit: { windowMs: 15 * 60 * 1000, max: 100 },
+        // morgan format; false turns request logging off
+        requestLog: 'dev',
+        // Check requests and responses against openapi.js (development and test only by default)
+        validateApi: ['development', 'test'].includes(nodeEnv)
+    };
+};
+
+// Shared by every module; read values at call time so overrides apply
+const config = loadConfig();
+
+const configure = (overrides = {}) => Object.assign(config, overrides);
+
+
+module.exports = {
+    config,
+    loadConfig,
+    configure,
+};
@@ -0,0 +1,621 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+
+const { authenticateToken, requireVerifiedEmail } = require('./authenticator');
+const sharing = require('./sharing');
+const { LIMITS, ITEM_FIELDS, SPEND_LIMIT_FIELDS, validate, checkIdParams, escapeRegex } = require('./validation');
+const { snapshot, recordActivity } = require('./activity');
+const listItems = require('./listItems');
+const budget = require('./budget');
+const { parseItemLine } = require('./itemParser');
+const Category = require('./DB_Models/category');
+const List = require('./DB_Models/list');
+
+checkIdParams(router);
+
+
+// Import routes also accept raw CSV or plain text bodies
+router.use('/import', express.text({ type: ['text/plain', 'text/csv'], limit: '1mb' }));
+
+const FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+const FORMAT_ALIASES = { text: 'txt', plain: 'txt' };
+
+const CSV_COLUMNS = ['category', 'list', 'name', 'quantity', 'unit', 'isCompleted', 'unitPrice', 'currency', 'store', 'aisle'];
+const DUPLICATE_ITEMS_MESSAGE = 'Duplicate item names are not allowed in a list.';
+
+
+const parseFormat = (value) => {
+    const format = String(value || 'json').trim().toLowerCase();
+    const resolved = FORMAT_ALIASES[format] || format;
+    return FORMATS[resolved] ? resolved : null;
+};
+
+const pickItem = (item) => {
+    const picked = {};
+    ITEM_FIELDS.forEach(field => {
+        if (item[field] !== undefined && item[field] !== null) picked[field] = item[field];
+    });
+    return picked;
+};
+
+
+// ========================
+// Export documents
+// ========================
+// Every export scope (list, category, account) uses the same document shape:
+// { exportedAt, categories: [{ name, budget, currency, lists: [{ name, budget, currency, items }] }] }
+
+const buildDocument = (categories, lists) => ({
+    exportedAt: new Date().toISOString(),
+    categories: categories.map(category => ({
+        name: category.name,
+        ...(category.budget != null && { budget: category.budget }),
+        ...(category.currency && { currency: category.currency }),
+        lists: lists
+            .filter(list => list.categoryId.toString() === category._id.toString())
+            .map(list => ({
+                name: list.name,
+                ...(list.budget != null && { budget: list.budget }),
+                ...(list.currency && { currency: list.currency }),
+                items: list.items.map(pickItem)
+            }))
+    }))
+});
+
+// Everything a user owns, used by the account export (and account deletion)
+const buildAccountDocument = async (userId) => {
+    const categories = await Category.find({ userId }).sort({ createdAt: 1 });
+    const lists = await List.find({ userId }).sort({ createdAt: 1 });
+
+    // Lists the user owns inside someone else's category still belong in their export
+    const knownIds = new Set(categories.map(c => c._id.toString()));
+    const foreignIds = lists.map(l => l.categoryId).filter(id => !knownIds.has(id.toString()));
+    const foreignCategories = foreignIds.length ? await Category.find({ _id: { $in: foreignIds } }) : [];
+
+    return buildDocument([...categories, ...foreignCategories], lists);
+};
+
+const csvEscape = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (doc) => {
+    const rows = [CSV_COLUMNS.join(',')];
+    doc.categories.forEach(category => category.lists.forEach(list => list.items.forEach(item => {
+        const row = { category: category.name, list: list.name, ...item };
+        rows.push(CSV_COLUMNS.map(column => csvEscape(row[column])).join(','));
+    })));
+    return rows.join('\r\n') + '\r\n';
+};
+
+const underline = (text, char) => char.repeat(Math.max(text.length, 3));
+
+// Printable checklist. It can be imported again: headings underlined with '=' are
+// categories, headings underlined with '-' are lists, "[x]" marks completed items.
+const toText = (doc) => {
+    const lines = [];
+    doc.categories.forEach(category => {
+        lines.push(category.name, underline(category.name, '='), '');
+        category.lists.forEach(list => {
+            lines.push(list.name, underline(list.name, '-'));
+            list.items.forEach(item => {
+                lines.push(`[${item.isCompleted ? 'x' : ' '}] ${item.quantity} ${item.unit} ${item.name}`);
+            });
+            lines.push('');
+        });
+    });
+    return lines.join('\n');
+};
+
+const sendExport = (res, doc, format, baseName) => {
+    const body = format === 'csv' ? toCsv(doc) : format === 'txt' ? toText(doc) : JSON.stringify(doc, null, 2);
+    const fileName = `${baseName.replace(/[^\w.-]+/g, '_') || 'export'}.${FORMATS[format].extension}`;
+
+    res.status(200)
+        .set('Content-Type', FORMATS[format].contentType)
+        .set('Content-Disposition', `attachment; filename="${fileName}"`)
+        .send(body);
+};
+
+
+// ========================
+// Import parsing
+// ========================
+// Each parser returns { categories: [{ name, lists: [{ name, items }] }], errors: [{ line, message }] }.
+// Category and list names may be null when the input does not carry them.
+
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else field += char;
+            continue;
+        }
+
+        if (char === '"') inQuotes = true;
+        else if (char === ',') { row.push(field); field = ''; }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else field += char;
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Group flat { category, list, item } records in input order
+const groupRecords = (records) => {
+    const categories = [];
+    const byCategory = new Map();
+
+    records.forEach(({ category, list, item }) => {
+        const categoryKey = (category || '').toLowerCase();
+        if (!byCategory.has(categoryKey)) {
+            const entry = { name: category || null, lists: [], byList: new Map() };
+            byCategory.set(categoryKey, entry);
+            categories.push(entry);
+        }
+        const categoryEntry = byCategory.get(categoryKey);
+
+        const listKey = (list || '').toLowerCase();
+        if (!categoryEntry.byList.has(listKey)) {
+            const entry = { name: list || null, items: [] };
+            categoryEntry.byList.set(listKey, entry);
+            categoryEntry.lists.push(entry);
+        }
+        if (item) categoryEntry.byList.get(listKey).items.push(item);
+    });
+
+    return categories.map(({ name, lists }) => ({ name, lists }));
+};
+
+const parseBoolean = (value) => ['true', '1', 'yes', 'y', 'x'].includes(String(value).trim().toLowerCase());
+
+const parseCsv = (text) => {
+    const rows = parseCsvRows(text).filter(row => row.some(cell => cell.trim() !== ''));
+    if (rows.length === 0) return { categories: [], errors: [{ line: 1, message: 'CSV is empty' }] };
+
+    const header = rows[0].map(cell => cell.trim());
+    if (!header.includes('name')) {
+        return { categories: [], errors: [{ line: 1, message: 'CSV header must contain a "name" column' }] };
+    }
+
+    const errors = [];
+    const records = [];
+
+    rows.slice(1).forEach((cells, index) => {
+        const row = {};
+        header.forEach((column, i) => { row[column] = (cells[i] || '').trim(); });
+
+        if (!row.name) {
+            errors.push({ line: index + 2, message: 'Missing item name' });
+            return;
+        }
+
+        const item = { name: row.name };
+        if (row.quantity) {
+            item.quantity = Number(row.quantity);
+            if (!Number.isFinite(item.quantity)) {
+                errors.push({ line: index + 2, message: `Invalid quantity "${row.quantity}"` });
+                return;
+            }
+        }
+        if (row.unit) item.unit = row.unit;
+        if (row.isCompleted) item.isCompleted = parseBoolean(row.isCompleted);
+        if (row.unitPrice) item.unitPrice = row.unitPrice;
+        if (row.currency) item.currency = row.currency;
+        if (row.store) item.store = row.store;
+        if (row.aisle) item.aisle = row.aisle;
+
+        records.push({ category: row.category, list: row.list, item, line: index + 2 });
+    });
+
+    return { categories: groupRecords(records), errors };
+};
+
+const CHECKBOX_PREFIX = /^(?:[-*•]\s+)?(?:\[([ xX])\]\s*)?/;
+
+const parseText = (text) => {
+    const lines = text.split(/\r?\n/);
+    const errors = [];
+    const records = [];
+    let category = null;
+    let list = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        const next = (lines[i + 1] || '').trim();
+
+        if (!line || /^[=-]{3,}$/.test(line)) continue;
+
+        if (/^={3,}$/.test(next)) { category = line; list = null; i++; continue; }
+        if (/^-{3,}$/.test(next)) { list = line; i++; continue; }
+
+        const checkbox = line.match(CHECKBOX_PREFIX);
+        const parsed = parseItemLine(line.slice(checkbox[0].length));
+        if (!parsed) {
+            errors.push({ line: i + 1, message: `Could not read item "${line}"` });
+            continue;
+        }
+
+        records.push({ category, list, item: { ...parsed, isCompleted: /x/i.test(checkbox[1] || '') } });
+    }
+
+    return { categories: groupRecords(records), errors };
+};
+
+// JSON may be an export document, a single { name, items } list, or a bare array of items
+const parseJson = (content) => {
+    let data = content;
+    if (typeof content === 'string') {
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            return { categories: [], errors: [{ line: null, message: 'Invalid JSON' }] };
+        }
+    }
+
+    if (Array.isArray(data)) {
+        return { categories: [{ name: null, lists: [{ name: null, items: data }] }], errors: [] };
+    }
+    if (data && Array.isArray(data.items)) {
+        return { categories: [{ name: null, lists: [data] }], errors: [] };
+    }
+    if (data && Array.isArray(data.categories)) {
+        // Entries that are not objects are reported and left out
+        const errors = [];
+        const isObject = (value, path) => {
+            if (value && typeof value === 'object' && !Array.isArray(value)) return true;
+            errors.push({ line: null, message: `${path} must be an object` });
+            return false;
+        };
+
+        const categories = data.categories
+            .map((category, i) => isObject(category, `categories[${i}]`) && {
+                ...category,
+                lists: (Array.isArray(category.lists) ? category.lists : [])
+                    .filter((list, j) => isObject(list, `categories[${i}].lists[${j}]`))
+            })
+            .filter(Boolean);
+        return { categories, errors };
+    }
+
+    return { categories: [], errors: [{ line: null, message: 'JSON must be an export document, a list with items, or an array of items' }] };
+};
+
+const parseImport = (content, format) => {
+    if (format === 'json') return parseJson(content);
+    if (typeof content !== 'string') {
+        return { categories: [], errors: [{ line: null, message: `Expected ${format.toUpperCase()} text` }] };
+    }
+    return format === 'csv' ? parseCsv(content) : parseText(content);
+};
+
+// Raw text body, { content: ... } JSON body, or (for JSON) the document itself
+const readImportBody = (req) => {
+    if (typeof req.body === 'string') return req.body;
+    if (req.body && req.body.content !== undefined) return req.body.content;
+    return req.body;
+};
+
+// ?format= (or "format" in an import body): json, csv or txt
+const formatField = (location = query) => location('format')
+    .optional()
+    .custom(value => parseFormat(value) !== null).withMessage(`Format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+
+// Bounds shared by the import routes; raw CSV and text bodies are capped at 1mb above
+const importFields = () => [
+    formatField(query),
+    formatField(body),
+    body('content')
+        .optional()
+        .custom(value => typeof value === 'string' || (value !== null && typeof value === 'object'))
+        .withMessage('content must be text or a JSON document').bail()
+        .custom(value => typeof value !== 'string' || value.length <= LIMITS.importText)
+        .withMessage(`content must be at most ${LIMITS.importText} characters`),
+    query('name')
+        .optional()
+        .isString().withMessage('List name must be text').bail()
+        .isLength({ min: 1, max: LIMITS.name }).withMessage(`List name must be 1 to ${LIMITS.name} characters`),
+    body('name')
+        .optional()
+        .isString().withMessage('List name must be text').bail()
+        .isLength({ min: 1, max: LIMITS.name }).withMessage(`List name must be 1 to ${LIMITS.name} characters`),
+    query('allowOverBudget')
+        .optional()
+        .isBoolean({ strict: true }).withMessage('allowOverBudget must be true or false'),
+    body('allowOverBudget')
+        .optional()
+        .isBoolean({ strict: true }).withMessage('allowOverBudget must be true or false')
+];
+
+const importFormat = (req) => parseFormat(req.query.format || (req.body && req.body.format) ||
+    (req.is('text/csv') ? 'csv' : req.is('text/plain') ? 'txt' : 'json'));
+
+
+// ========================
+// Import writers
+// ========================
+
+// Format imported items with the same rules as the list routes; completion state is kept
+const formatImportedItems = (rawItems, listName, errors) => {
+    const formatted = [];
+    rawItems.forEach(raw => {
+        try {
+            const item = listItems.formatItem(raw);
+            if (!item) {
+                errors.push({ list: listName, message: 'Invalid item format', item: raw });
+                return;
+            }
+            if (raw && typeof raw === 'object' && raw.isCompleted !== undefined) {
+                item.isCompleted = !!raw.isCompleted;
+            }
+            formatted.push(item);
+        } catch (error) {
+            errors.push({ list: listName, message: error.message, item: raw });
+        }
+    });
+    return formatted;
+};
+
+// Create one list as `actorId`; the listSchema pre-save hook and the unique name index decide what is accepted
+const createImportedList = async (listDoc, category, { fallbackName, actorId }, results) => {
+    const name = String(listDoc.name || fallbackName).trim();
+    const items = formatImportedItems(Array.isArray(listDoc.items) ? listDoc.items : [], name, results.errors);
+
+    if (items.length === 0) {
+        results.skipped.push({ name, reason: 'No valid items' });
+        return;
+    }
+
+    const spendLimit = {};
+    try {
+        if (listDoc.budget !== undefined) spendLimit.budget = budget.parseBudget(listDoc.budget);
+        if (listDoc.currency !== undefined) spendLimit.currency = budget.parseCurrency(listDoc.currency);
+    } catch (error) {
+        results.errors.push({ list: name, message: 'Invalid budget ignored' });
+    }
+
+    try {
+        const list = new List({ name, categoryId: category._id, userId: category.userId, items, ...spendLimit });
+        await list.save();
+        await recordActivity(actorId, list, [{
+            action: 'list.create',
+            after: { ...snapshot(list, SPEND_LIMIT_FIELDS), itemCount: list.items.length }
+        }]);
+        results.created.push({ listId: list._id, name: list.name, categoryId: category._id, items: list.items.length });
+    } catch (error) {
+        if (error.code === 11000) {
+            results.skipped.push({ name, reason: 'A list with this name already exists' });
+        } else if (error.message === DUPLICATE_ITEMS_MESSAGE) {
+            results.skipped.push({ name, reason: DUPLICATE_ITEMS_MESSAGE });
+        } else {
+            throw error;
+        }
+    }
+};
+
+const defaultListName = () => `Imported list ${new Date().toISOString().slice(0, 10)}`;
+
+const sendImportResults = (res, results) => {
+    const status = results.created.length > 0 ? 201 : 400;
+    res.status(status).json({
+        status: status === 201 ? 'success' : 'error',
+        message: status === 201 ? 'Import completed' : 'Nothing was imported',
+        data: results
+    });
+};
+
+
+// ========================
+// 1. EXPORT A LIST
+// ========================
+router.get('/export/lists/:listId', authenticateToken, validate(formatField()), sharing.requireListRole('viewer'), async (req, res) => {
+    try {
+        const format = parseFormat(req.query.format);
+
+        const { list } = req;
+        const category = await Category.findById(list.categoryId);
+        const doc = buildDocument(category ? [category] : [{ _id: list.categoryId, name: 'Uncategorized' }], [list]);
+
+        sendExport(res, doc, format, list.name);
+    } catch (error) {
+        console.error('Error exporting list:', error);
+        res.status(500).json({ status: 'error', message: 'Error exporting list' });
+    }
+});
+
+
+// ========================
+// 2. EXPORT A CATEGORY
+// ========================
+router.get('/export/categories/:categoryId', authenticateToken, validate(formatField()), async (req, res) => {
+    try {
+        const format = parseFormat(req.query.format);
+
+        const { userId } = req.user;
+        const { category, role } = await sharing.findCategoryForUser(req.params.categoryId, userId);
+        if (!category) {
+            return res.status(404).json({ status: 'error', message: 'Category not found' });
+        }
+
+        // Same visibility as /api/fetch-lists/:categoryId
+        const lists = role
+            ? await List.find({ categoryId: category._id }).sort({ createdAt: 1 })
+            : await List.find({ categoryId: category._id, ...sharing.accessibleListsQuery(userId) }).sort({ createdAt: 1 });
+
+        if (!role && lists.length === 0) {
+            return res.status(404).json({ status: 'error', message: 'Category not found' });
+        }
+
+        sendExport(res, buildDocument([category], lists), format, category.name);
+    } catch (error) {
+        console.error('Error exporting category:', error);
+        res.status(500).json({ status: 'error', message: 'Error exporting category' });
+    }
+});
+
+
+// ========================
+// 3. EXPORT THE WHOLE ACCOUNT
+// ========================
+router.get('/export/account', authenticateToken, validate(formatField()), async (req, res) => {
+    try {
+        const format = parseFormat(req.query.format);
+
+        const doc = await buildAccountDocument(req.user.userId);
+        sendExport(res, doc, format, 'grocerysaver-account');
+    } catch (error) {
+        console.error('Error exporting account:', error);
+        res.status(500).json({ status: 'error', message: 'Error exporting account' });
+    }
+});
+
+
+// ========================
+// 4. IMPORT ITEMS INTO AN EXISTING LIST (merged like /api/updatelist)
+// ========================
+router.post('/import/lists/:listId', authenticateToken, requireVerifiedEmail, validate(importFields()), sharing.requireListRole('editor'), async (req, res) => {
+    try {
+        const format = importFormat(req);
+
+        const { list } = req;
+        const parsed = parseImport(readImportBody(req), format);
+        const items = parsed.categories.flatMap(category => category.lists.flatMap(l => l.items || []));
+        if (items.length === 0) {
+            return res.status(400).json({ status: 'error', message: 'No items found to import', errors: parsed.errors });
+        }
+
+        const result = await listItems.addItemsToList(list, items, {
+            actorId: req.user.userId,
+            allowOverBudget: [req.query.allowOverBudget, req.body && req.body.allowOverBudget].some(value => value === true || value === 'true')
+        });
+        if (result.error) {
+            return res.status(result.error.status).json({ ...result.error.body, errors: parsed.errors });
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Items imported successfully',
+            overBudget: result.overBudget,
+            errors: parsed.errors,
+            data: budget.withListTotals(result.list)
+        });
+    } catch (error) {
+        if (error.message === 'Invalid item price') {
+            return res.status(400).json({ status: 'error', message: 'Prices must be non-negative numbers and currencies 3-letter codes' });
+        }
+        if (error.message === DUPLICATE_ITEMS_MESSAGE) {
+            return res.status(400).json({ status: 'error', message: DUPLICATE_ITEMS_MESSAGE });
+        }
+        console.error('Error importing items:', error);
+        res.status(500).json({ status: 'error', message: 'Error importing items' });
+    }
+});
+
+
+// ========================
+// 5. IMPORT LISTS INTO A CATEGORY
+// ========================
+router.post('/import/categories/:categoryId', authenticateToken, requireVerifiedEmail, validate(importFields()), sharing.requireCategoryRole('editor', {
+    message: 'You do not have permission to add lists to this category'
+}), async (req, res) => {
+    try {
+        const format = importFormat(req);
+
+        const { category } = req;
+        const parsed = parseImport(readImportBody(req), format);
+        const results = { created: [], skipped: [], errors: [...parsed.errors] };
+        const fallbackName = req.query.name || (req.body && req.body.name) || defaultListName();
+
+        for (const categoryDoc of parsed.categories) {
+            for (const listDoc of categoryDoc.lists) {
+                await createImportedList(listDoc, category, { fallbackName, actorId: req.user.userId }, results);
+            }
+        }
+
+        sendImportResults(res, results);
+    } catch (error) {
+        console.error('Error importing lists:', error);
+        res.status(500).json({ status: 'error', message: 'Error importing lists' });
+    }
+});
+
+
+// ========================
+// 6. IMPORT A WHOLE ACCOUNT EXPORT
+// ========================
+router.post('/import/account', authenticateToken, requireVerifiedEmail, validate(importFields()), async (req, res) => {
+    try {
+        const format = importFormat(req);
+
+        const { userId } = req.user;
+        const parsed = parseImport(readImportBody(req), format);
+        const results = { created: [], skipped: [], errors: [...parsed.errors], categoriesCreated: [] };
+
+        for (const categoryDoc of parsed.categories) {
+            const categoryName = String(categoryDoc.name || 'Imported').trim();
+
+            // Reuse a category with the same name (case-insensitive, like /api/add-category)
+            let category = await Category.findOne({
+                userId,
+                name: { $regex: `^${escapeRegex(categoryName)}$`, $options: 'i' }
+            });
+
+            if (!category) {
+                const spendLimit = {};
+                try {
+                    if (categoryDoc.budget !== undefined) spendLimit.budget = budget.parseBudget(categoryDoc.budget);
+                    if (categoryDoc.currency !== undefined) spendLimit.currency = budget.parseCurrency(categoryDoc.currency);
+                } catch (error) {
+                    results.errors.push({ category: categoryName, message: 'Invalid budget ignored' });
+                }
+
+                category = new Category({ name: categoryName, userId, ...spendLimit });
+                await category.save();
+                await recordActivity(userId, category, [{ action: 'category.create', after: snapshot(category, SPEND_LIMIT_FIELDS) }]);
+                results.categoriesCreated.push({ categoryId: category._id, name: category.name });
+            }
+
+            for (const listDoc of categoryDoc.lists) {
+                await createImportedList(listDoc, category, { fallbackName: defaultListName(), actorId: userId }, results);
+            }
+        }
+
+        sendImportResults(res, results);
+    } catch (error) {
+        console.error('Error importing account:', error);
+        res.status(500).json({ status: 'error', message: 'Error importing account' });
+    }
+});
+
+
+module.exports = {
+    router,
+    buildAccountDocument,
+    parseImport,
+    toCsv,
+    toText,
+};
@@ -0,0 +1,167 @@
+// Quick-add parser: turns free text such as "3 cans chickpeas", "1.5kg chicken thighs",
+// "a dozen eggs" or "milk x2" into { name, quantity, unit }. Purely rule based and offline,
+// so the same text always gives the same result.
+const express = require('express');
+const router = express.Router();
+
+const { authenticateToken } = require('./authenticator');
+const { LIMITS, validate, textField } = require('./validation');
+const units = require('./units');
+
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+    half: 0.5, 'half a': 0.5, 'half an': 0.5, 'a half': 0.5,
+    'a couple': 2, 'a couple of': 2, 'a pair of': 2
+};
+const UNICODE_FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3 };
+
+// 2 | 1.5 | 1,5 | 1/2 | 1 1/2 | ½ | 1½
+const NUMBER = '(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?[½¼¾⅓⅔]?|[½¼¾⅓⅔])';
+const LEADING_NUMBER = new RegExp(`^(${NUMBER})(\\s*)(.*)$`);
+const LEADING_MULTIPLIER = new RegExp(`^(${NUMBER})\\s*[x×]\\s+(.+)$`, 'i');
+const TRAILING_MULTIPLIER = new RegExp(`^(.+?)\\s+[x×]\\s*(${NUMBER})$`, 'i');
+const NUMBER_WORD_PATTERN = new RegExp(
+    `^(${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})\\s+(.+)$`, 'i'
+);
+const BULLET_PREFIX = /^(?:[-*•]\s+|\[[ xX]\]\s*)+/;
+
+// Batch separators: new lines, semicolons, and commas that are not decimal commas ("1,5 kg")
+const ENTRY_SEPARATOR = /\r?\n|;|(?<!\d),|,(?!\d)/;
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+const parseNumber = (text) => {
+    const value = text.trim();
+
+    const mixed = value.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+    if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+
+    const fraction = value.match(/^(\d+)\/(\d+)$/);
+    if (fraction) return Number(fraction[2]) === 0 ? NaN : Number(fraction[1]) / Number(fraction[2]);
+
+    const unicode = value.match(/^(\d*)([½¼¾⅓⅔])$/);
+    if (unicode) return (unicode[1] ? Number(unicode[1]) : 0) + UNICODE_FRACTIONS[unicode[2]];
+
+    return parseFloat(value.replace(',', '.'));
+};
+
+const stripOf = (text) => text.replace(/^of\s+/i, '').trim();
+
+// Split "kg chicken thighs" into a known unit and the rest
+const takeUnit = (text) => {
+    const [firstWord, ...others] = text.split(/\s+/);
+    const unit = units.normalizeUnit(firstWord);
+    return unit ? { unit, rest: stripOf(others.join(' ')) } : { unit: null, rest: stripOf(text) };
+};
+
+// Parse one entry. Resolves to { item } or { error } with a short reason.
+const parseItemEntry = (entry) => {
+    let text = String(entry).replace(BULLET_PREFIX, '').replace(/\s+/g, ' ').trim();
+    if (!text) return { error: 'Empty entry' };
+
+    let multiplier = 1;
+
+    // "milk x2", "milk × 2"
+    const trailing = text.match(TRAILING_MULTIPLIER);
+    if (trailing) {
+        multiplier *= parseNumber(trailing[2]);
+        text = trailing[1].trim();
+    }
+
+    // "2x milk", "2 x 500g flour"
+    const leading = text.match(LEADING_MULTIPLIER);
+    if (leading) {
+        multiplier *= parseNumber(leading[1]);
+        text = leading[2].trim();
+    }
+
+    let quantity = null;
+    let unit = null;
+    let name = text;
+
+    const numeric = text.match(LEADING_NUMBER);
+    const worded = text.match(NUMBER_WORD_PATTERN);
+
+    if (numeric) {
+        const [, number, gap, rest] = numeric;
+        const taken = takeUnit(rest);
+
+        // "7up" is a name, "500g flour" and "2 apples" carry a quantity
+        if (gap || taken.unit) {
+            quantity = parseNumber(number);
+            unit = taken.unit;
+            name = taken.rest;
+        }
+    } else if (worded) {
+        const taken = takeUnit(worded[2]);
+        quantity = NUMBER_WORDS[worded[1].toLowerCase()];
+        unit = taken.unit;
+        name = taken.rest;
+    } else {
+        // "dozen eggs", "bag of rice"
+        const taken = takeUnit(text);
+        if (taken.unit && taken.rest) {
+            quantity = 1;
+            unit = taken.unit;
+            name = taken.rest;
+        }
+    }
+
+    if (quantity === null) quantity = 1;
+    quantity = roundQuantity(quantity * multiplier);
+
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+        return { error: 'Quantity must be a positive number' };
+    }
+    if (!name || !/\p{L}/u.test(name) || (!unit && units.normalizeUnit(name))) {
+        return { error: 'Missing item name' };
+    }
+
+    return { item: { name, quantity, unit: unit || 'pcs' } };
+};
+
+// Parse a single entry or a comma/newline separated batch.
+// Lines that cannot be understood are reported, never silently defaulted.
+const parseItemText = (text) => {
+    const items = [];
+    const errors = [];
+
+    String(text).split(ENTRY_SEPARATOR).forEach((entry, index) => {
+        if (!entry || !entry.trim()) return;
+
+        const { item, error } = parseItemEntry(entry);
+        if (item) items.push(item);
+        else errors.push({ entry: index + 1, text: entry.trim(), reason: error });
+    });
+
+    return { items, errors };
+};
+
+// Single-line helper used by the plain-text importer; null when the line is not an item
+const parseItemLine = (line) => {
+    const { item } = parseItemEntry(line);
+    return item || null;
+};
+
+
+// ========================
+// PREVIEW A QUICK-ADD ENTRY
+// ========================
+router.post('/items/parse', authenticateToken, validate(
+    textField('text', 'Text to parse', LIMITS.text)
+), (req, res) => {
+    const { text } = req.body;
+
+    const { items, errors } = parseItemText(text);
+    res.status(200).json({ status: 'success', data: { items, unparsed: errors } });
+});
+
+
+module.exports = {
+    router,
+    parseItemEntry,
+    parseItemText,
+    parseItemLine,
+};
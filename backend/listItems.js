@@ -0,0 +1,308 @@
+// Shared item handling for every route that adds or edits items in an existing list
+// (/api/updatelist, /api/updateItem, /api/v2 items, restock suggestions, ...).
+// Keeps the merge-by-name-and-unit rules in one place.
+// Rejections resolve to { error: { status, code, body } }: `body` is the v1 response,
+// `code` the machine-readable error code used by /api/v2.
+const budget = require('./budget');
+const realtime = require('./realtime');
+const units = require('./units');
+const analytics = require('./analytics');
+const trash = require('./trash');
+const List = require('./DB_Models/list');
+const { recordChanges } = require('./DB_Models/revisions');
+const { parseItemText } = require('./itemParser');
+const { ITEM_FIELDS, SPEND_LIMIT_FIELDS } = require('./validation');
+const { snapshot, changedFields, recordActivity } = require('./activity');
+const catalog = require('./catalog');
+const { itemKey } = require('./DB_Models/itemNames');
+
+
+const itemError = (status, code, message, extra = {}) => ({
+    error: { status, code, body: { status: 'error', message, ...extra } }
+});
+
+
+// Optional aisle tag of an item payload ({} when absent; null or '' clears it)
+const parseAisle = (raw) => {
+    if (!raw || typeof raw !== 'object' || !('aisle' in raw)) return {};
+    return { aisle: raw.aisle === null || raw.aisle === '' ? undefined : String(raw.aisle).trim() || undefined };
+};
+
+// Normalize an incoming item (plain string or object) into the stored item shape.
+// Returns null for entries that cannot be used as items.
+const formatItem = (raw) => {
+    if (typeof raw === 'string') {
+        const name = raw.trim();
+        return name ? { name, quantity: 1, unit: 'pcs', isCompleted: false } : null;
+    }
+
+    if (raw && typeof raw === 'object' && typeof raw.name === 'string' && raw.name.trim()) {
+        // Quantities may arrive as text ("5"); anything that is not a number is unusable
+        const quantity = raw.quantity === undefined ? 1 : Number(raw.quantity);
+        if (!Number.isFinite(quantity)) return null;
+
+        return {
+            name: raw.name.trim(),
+            quantity: quantity > 0 ? quantity : 1,
+            unit: units.canonicalUnit(raw.unit),      // fallback to 'pcs' if unit is missing
+            isCompleted: quantity <= 0,
+            ...budget.parsePriceFields(raw),
+            ...parseAisle(raw)
+        };
+    }
+
+    return null;
+};
+
+// Run free-text entries ("2 kg apples", "milk, eggs x6") through the quick-add parser.
+// Objects pass through untouched; `unparsed` lists the entries that were not understood.
+const expandItems = (rawItems) => {
+    const items = [];
+    const unparsed = [];
+
+    rawItems.forEach((raw, index) => {
+        if (typeof raw !== 'string') {
+            items.push(raw);
+            return;
+        }
+        const parsed = parseItemText(raw);
+        items.push(...parsed.items);
+        parsed.errors.forEach(error => unparsed.push({ item: index, ...error }));
+    });
+
+    return { items, unparsed };
+};
+
+const unparsedError = (unparsed) =>
+    itemError(400, 'UNPARSED_ITEMS', 'Some entries could not be understood', { unparsed }).error;
+
+// Merge items into list.items in place:
+//  - same name (case-insensitive), same or convertible unit -> the new quantity is converted
+//    into the existing item's unit and added up, newer price and aisle info wins
+//  - same name, units that cannot be compared              -> reported as a unit conflict
+//  - otherwise                                             -> appended as a new item
+const mergeItems = (list, incoming) => {
+    const existingItems = list.items;
+    const mergedItems = [];
+    const addedItems = [];
+    const unitConflicts = [];
+
+    for (const newItem of incoming) {
+        const formatted = formatItem(newItem);
+        if (!formatted) continue;
+
+        // Same item in any case, accent or plural ("Tomato", "tomatoes")
+        const key = itemKey(formatted.name);
+
+        const matchIndex = existingItems.findIndex(item =>
+            itemKey(item.name) === key &&
+            units.canConvert(formatted.unit, item.unit)
+        );
+
+        const nameConflictIndex = existingItems.findIndex(item => itemKey(item.name) === key);
+
+        if (matchIndex !== -1) {
+            const existing = existingItems[matchIndex];
+            const { name, quantity, unit, isCompleted, ...pricing } = formatted;
+
+            existing.quantity = Math.round((existing.quantity + units.convert(quantity, unit, existing.unit)) * 1000) / 1000;
+
+            // Prices are per unit, so restate a new price in the existing item's unit
+            if (pricing.unitPrice != null) {
+                pricing.unitPrice = units.convertUnitPrice(pricing.unitPrice, unit, existing.unit);
+            }
+            Object.assign(existing, pricing);
+            mergedItems.push(existing);
+        } else if (nameConflictIndex !== -1) {
+            unitConflicts.push({
+                name: formatted.name,
+                existingUnit: existingItems[nameConflictIndex].unit,
+                newUnit: formatted.unit
+            });
+        } else {
+            existingItems.push(formatted);
+            addedItems.push(existingItems[existingItems.length - 1]);
+        }
+    }
+
+    return { mergedItems, addedItems, unitConflicts };
+};
+
+// What the catalog learns from an addition: the names as typed, with the units and quantities used
+const learnedItems = (typedItems, items) => items.flatMap((item, index) => {
+    const formatted = formatItem(item);
+    return formatted ? [{ ...formatted, name: typedItems[index].name }] : [];
+});
+
+const overBudgetError = (totals) =>
+    itemError(400, 'OVER_BUDGET', 'This update would exceed the list budget', { overBudget: true, totals });
+
+// Parse, merge, enforce unit conflicts and the list budget, save, and notify viewers.
+// Resolves to { error: { status, body } } when the change is rejected, or { list, overBudget }.
+const addItemsToList = async (list, rawItems, { actorId, allowOverBudget = false } = {}) => {
+    const { items: typedItems, unparsed } = expandItems(rawItems);
+    if (unparsed.length > 0) {
+        return { error: unparsedError(unparsed) };
+    }
+    const items = await catalog.normalizeItems(actorId, typedItems, { list });
+    if (items.some(item => !formatItem(item))) {
+        return itemError(400, 'INVALID_ITEM', 'One or more items have invalid format.');
+    }
+
+    const created = list.isNew;
+    const totalsBefore = budget.listTotals(list);
+    const itemsBefore = new Map(list.items.map(item => [item._id.toString(), snapshot(item, ITEM_FIELDS)]));
+    const { mergedItems, addedItems, unitConflicts } = mergeItems(list, items);
+
+    if (unitConflicts.length > 0) {
+        return itemError(400, 'UNIT_CONFLICT',
+            `Unit conflict detected for items: ${unitConflicts.map(c => c.name).join(', ')}`,
+            { conflicts: unitConflicts });
+    }
+
+    // Reject changes that push the list over its budget unless the client opts in
+    const totalsAfter = budget.listTotals(list);
+    const overBudget = budget.pushedOverBudget(totalsBefore, totalsAfter);
+    if (overBudget && !allowOverBudget) {
+        return overBudgetError(totalsAfter);
+    }
+
+    const updatedList = await list.save();
+
+    mergedItems.forEach(item => realtime.itemUpdated(list._id, item, actorId));
+    addedItems.forEach(item => realtime.itemAdded(list._id, item, actorId));
+    await catalog.learnItems(actorId, list.categoryId, learnedItems(typedItems, items));
+
+    // A list saved here for the first time is logged as created, like resources.createList does
+    await recordActivity(actorId, list, created ? [{
+        action: 'list.create',
+        after: { ...snapshot(list, SPEND_LIMIT_FIELDS), itemCount: list.items.length }
+    }] : [
+        // Items added earlier in the same batch are logged once, as added
+        ...[...new Set(mergedItems)].filter(item => itemsBefore.has(item._id.toString())).map(item => ({
+            action: 'item.add',
+            item,
+            ...changedFields(itemsBefore.get(item._id.toString()), snapshot(item, ITEM_FIELDS))
+        })),
+        ...addedItems.map(item => ({ action: 'item.add', item, after: snapshot(item, ITEM_FIELDS) }))
+    ]);
+
+    return { list: updatedList, overBudget, mergedItems, addedItems };
+};
+
+// Edit one item. `changes` may hold any of name, quantity, unit, isCompleted, aisle and the
+// price fields; missing keys keep their current value. A unit change converts an existing price,
+// and the quantity too when `convertQuantity` is set. Completing an item records a purchase.
+// Resolves to { error } or { list, item, overBudget }.
+const updateListItem = async (list, itemId, changes, { actorId, convertQuantity = false, allowOverBudget = false } = {}) => {
+    const item = list.items.id(itemId);
+    if (!item) {
+        return itemError(404, 'ITEM_NOT_FOUND', 'Item not found in the list');
+    }
+
+    // A new name is checked for duplicates in any case, accent or plural and takes its catalog
+    // spelling; a respelling of the same item ("Tomatos" -> "Tomatoes") is kept as typed
+    const typedName = changes.name;
+    const renamed = changes.name !== undefined && itemKey(changes.name) !== itemKey(item.name);
+    if (renamed) {
+        const newKey = itemKey(changes.name);
+        const hasDuplicate = list.items.some(other =>
+            other._id.toString() !== item._id.toString() &&
+            itemKey(other.name) === newKey
+        );
+        if (hasDuplicate) {
+            return itemError(400, 'DUPLICATE_ITEM', 'Item name already exists in the list (case-insensitive)');
+        }
+        changes = { ...changes, name: await catalog.canonicalName(actorId, changes.name) };
+    }
+
+    const totalsBefore = budget.listTotals(list);
+    const itemBefore = snapshot(item, ITEM_FIELDS);
+
+    const newUnit = changes.unit !== undefined ? units.canonicalUnit(changes.unit) : item.unit;
+    const pricing = budget.parsePriceFields(changes);
+    let newQuantity = changes.quantity !== undefined ? changes.quantity : item.quantity;
+
+    if (!units.sameUnit(item.unit, newUnit) && units.canConvert(item.unit, newUnit)) {
+        // Opt-in: keep the same amount and just restate it in the new unit
+        if (convertQuantity) {
+            newQuantity = Math.round(units.convert(item.quantity, item.unit, newUnit) * 1000) / 1000;
+        }
+        // Prices are per unit, so an existing price follows the unit change
+        if (!('unitPrice' in pricing) && item.unitPrice != null) {
+            pricing.unitPrice = units.convertUnitPrice(item.unitPrice, item.unit, newUnit);
+        }
+    }
+
+    const completionChanged = changes.isCompleted !== undefined && !!changes.isCompleted !== item.isCompleted;
+
+    if (changes.name !== undefined) item.name = changes.name;
+    item.quantity = newQuantity;
+    item.unit = newUnit;
+    Object.assign(item, pricing, parseAisle(changes));
+    if (completionChanged) item.isCompleted = !!changes.isCompleted;
+
+    // Reject changes that push the list over its budget unless the client opts in
+    const totalsAfter = budget.listTotals(list);
+    const overBudget = budget.pushedOverBudget(totalsBefore, totalsAfter);
+    if (overBudget && !allowOverBudget) {
+        return overBudgetError(totalsAfter);
+    }
+
+    await list.save();
+
+    const onlyToggled = completionChanged && Object.keys(changes).every(key => key === 'isCompleted');
+    if (onlyToggled) realtime.itemToggled(list._id, item, actorId);
+    else realtime.itemUpdated(list._id, item, actorId);
+
+    const changed = changedFields(itemBefore, snapshot(item, ITEM_FIELDS));
+    if (changed) await recordActivity(actorId, list, [{ action: onlyToggled ? 'item.toggle' : 'item.update', item, ...changed }]);
+    if (renamed) await catalog.learnItems(actorId, list.categoryId, [{ name: typedName, quantity: item.quantity, unit: item.unit }]);
+
+    // Keep a purchase record of every completion
+    if (completionChanged) {
+        if (item.isCompleted) await analytics.recordPurchase(list, item, actorId);
+        else await analytics.undoRecentPurchase(item);
+    }
+
+    return { list, item, overBudget };
+};
+
+// Remove one item into the actor's trash. Resolves to { list, trashEntry } with the updated
+// list, or null when the list has no such item.
+const removeListItem = async (listId, itemId, actorId) => {
+    // The list as it was, so the item and its position can be kept for a restore
+    const list = await List.findOneAndUpdate(
+        { _id: listId, 'items._id': itemId },
+        { $pull: { items: { _id: itemId } }, $inc: { revision: 1 } },
+        { new: false }
+    );
+    if (!list) return null;
+
+    const position = list.items.findIndex(item => item._id.toString() === itemId.toString());
+    const item = list.items[position];
+    const trashEntry = await trash.moveToTrash(actorId, 'item', {
+        name: item.name,
+        categoryId: list.categoryId,
+        listId: list._id,
+        data: { item: item.toObject(), position }
+    });
+    list.items.pull(item._id);
+    list.revision += 1;
+    await recordChanges('list', [list]);
+    await recordActivity(actorId, list, [{ action: 'item.delete', item, before: snapshot(item, ITEM_FIELDS) }]);
+
+    realtime.itemDeleted(listId, itemId, actorId);
+    return { list, trashEntry };
+};
+
+
+module.exports = {
+    formatItem,
+    expandItems,
+    unparsedError,
+    mergeItems,
+    addItemsToList,
+    updateListItem,
+    removeListItem,
+};
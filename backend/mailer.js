@@ -0,0 +1,88 @@
+// Outgoing email through nodemailer with a pluggable transport, set up from config.js:
+//   MAIL_TRANSPORT=smtp   -> SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+//   MAIL_TRANSPORT=stream -> nodemailer stream transport (message kept in memory)
+//   MAIL_TRANSPORT=json   -> nodemailer JSON transport, message is logged (default without SMTP_HOST)
+// Tests can inject their own transport with setTransport().
+const nodemailer = require('nodemailer');
+
+const { config } = require('./config');
+
+let transport = null;
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+));
+
+
+const createTransport = () => {
+    const { smtp } = config;
+
+    if (config.mailTransport === 'smtp') {
+        return nodemailer.createTransport({
+            host: smtp.host,
+            port: smtp.port,
+            secure: smtp.secure,
+            auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+        });
+    }
+
+    if (config.mailTransport === 'stream') {
+        return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+
+    return nodemailer.createTransport({ jsonTransport: true });
+};
+
+// Swap the transport (a nodemailer transporter or anything with sendMail); null restores the default
+const setTransport = (custom) => {
+    transport = custom;
+};
+
+const getTransport = () => {
+    if (!transport) transport = createTransport();
+    return transport;
+};
+
+const sendMail = async (message) => {
+    const info = await getTransport().sendMail({ from: config.mailFrom, ...message });
+
+    // Without a real mail server, show the message so links can be followed in development
+    if (config.nodeEnv !== 'production' && info && typeof info.message === 'string') {
+        console.log('Email (not delivered):', info.message);
+    }
+
+    return info;
+};
+
+
+// ========================
+// Messages
+// ========================
+
+const sendVerificationEmail = (user, token) => {
+    const link = `${config.clientUrl}/verify-email?token=${encodeURIComponent(token)}`;
+    return sendMail({
+        to: user.email,
+        subject: 'Confirm your GrocerySaver email',
+        text: `Hi ${user.username},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+        html: `<p>Hi ${escapeHtml(user.username)},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify my email</a></p><p>The link expires in 24 hours.</p>`
+    });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+    const link = `${config.clientUrl}/reset-password?token=${encodeURIComponent(token)}`;
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your GrocerySaver password',
+        text: `Hi ${user.username},\n\nYou can choose a new password here:\n${link}\n\nThe link expires in 1 hour and can be used once. If you did not ask for this, ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.username)},</p><p><a href="${link}">Choose a new password</a></p><p>The link expires in 1 hour and can be used once. If you did not ask for this, ignore this email.</p>`
+    });
+};
+
+
+module.exports = {
+    setTransport,
+    sendMail,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+};
@@ -0,0 +1,1684 @@
+// OpenAPI 3 description of the auth, account, category, list and item routes.
+// Served at /api/openapi.json and browsable at /api/docs. In development and test every
+// request to a documented route, and every JSON response it sends, is checked against this
+// document (see server.js), so a change to a route has to be mirrored here.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema, description = 'Success') => ({ description, content: { 'application/json': { schema } } });
+
+const idParam = (name, description) => ({
+    name,
+    in: 'path',
+    required: true,
+    description,
+    schema: ref('ObjectId')
+});
+const queryParam = (name, schema, description) => ({ name, in: 'query', required: false, description, schema });
+
+const body = (schema, required = true) => ({ required, content: { 'application/json': { schema } } });
+
+// { status: 'success', ...extra } as sent by the v1 routes
+const v1 = (properties = {}, required = []) => ({
+    type: 'object',
+    required: ['status', ...required],
+    properties: { status: { type: 'string', enum: ['success'] }, message: { type: 'string' }, ...properties }
+});
+
+// { status: 'success', data, meta? } as sent by /api/v2
+const v2 = (data) => ({
+    type: 'object',
+    required: ['status', 'data'],
+    properties: { status: { type: 'string', enum: ['success'] }, data, meta: { type: 'object' } }
+});
+
+const v1Errors = { default: json(ref('Error'), 'Error') };
+const v2Errors = { default: json(ref('V2Error'), 'Error') };
+// Deletes move things to the trash; the token restores them through POST /trash/undo
+const noContent = {
+    204: {
+        description: 'Moved to the trash',
+        headers: { 'Undo-Token': { description: 'Restores the deleted resource (POST /trash/undo)', schema: { type: 'string' } } }
+    }
+};
+
+const secured = [{ bearerAuth: [] }];
+
+// Tag a set of operations and attach the matching error response
+const operations = (tag, errors, ops) => Object.fromEntries(Object.entries(ops).map(([method, op]) => [
+    method,
+    { tags: [tag], ...op, responses: { ...op.responses, ...errors } }
+]));
+
+const categoryId = idParam('categoryId', 'Category id');
+const listId = idParam('listId', 'List id');
+const itemId = idParam('itemId', 'Item id');
+const memberId = idParam('memberId', 'User id of the member');
+
+const nullableString = { type: 'string', nullable: true };
+const nullableNumber = { type: 'number', nullable: true };
+const timestamp = { type: 'string', format: 'date-time' };
+// Goes up by one with every change of a list or category (see sync.js)
+const revision = { type: 'integer', minimum: 0 };
+// Optional guard of list edits: 409 REVISION_CONFLICT when the list changed since
+const baseRevision = { ...revision, description: 'Revision the edit was made on; a newer list answers 409 REVISION_CONFLICT' };
+
+// Options of the item completion routes: stock a completed item in the pantry
+const completionOptions = {
+    addToPantry: { type: 'boolean', description: 'Move the item into the pantry when it becomes completed' },
+    bestBefore: { type: 'string', nullable: true, description: 'Best-before date of the stocked item (ISO 8601)' }
+};
+
+
+// Items on a list (or on the lists of a category the user sees) and how many are checked off
+const itemCounts = {
+    itemCount: { type: 'integer' },
+    completedCount: { type: 'integer' }
+};
+
+// Cursor pagination and sorting of the category and list fetches (paging.js)
+const pageParams = [
+    queryParam('sort', { type: 'string', enum: ['name', 'createdAt', 'itemCount', 'completion'] }, 'Sort key (default createdAt)'),
+    queryParam('order', { type: 'string', enum: ['asc', 'desc'] }, 'Sort order (default asc)'),
+    queryParam('limit', { type: 'integer', minimum: 1, maximum: 100 }, 'Page size; leave out (and cursor) to get everything'),
+    queryParam('cursor', { type: 'string', maxLength: 500 }, 'nextCursor of the previous page'),
+    queryParam('view', { type: 'string', enum: ['full', 'summary'] }, 'summary leaves out items and totals')
+];
+const itemPageParams = [
+    queryParam('completed', { type: 'string', enum: ['true', 'false'] }, 'Only checked-off (true) or open (false) items'),
+    queryParam('limit', { type: 'integer', minimum: 1, maximum: 100 }, 'Page size (default 100 once paging)'),
+    queryParam('cursor', { type: 'string', maxLength: 500 }, 'nextCursor of the previous page')
+];
+const categoryPage = { type: 'array', items: { anyOf: [ref('CategoryView'), ref('CategorySummary')] } };
+const listPage = { type: 'array', items: { anyOf: [ref('ListView'), ref('ListSummary')] } };
+
+// Name and id of the list or category a search result belongs to
+const searchContext = {
+    type: 'object',
+    required: ['_id', 'name'],
+    properties: { _id: ref('ObjectId'), name: { type: 'string' } }
+};
+
+// What an activity entry records (DB_Models/activityEntry.js)
+const activityAction = {
+    type: 'string',
+    enum: [
+        'category.create', 'category.update', 'category.delete',
+        'list.create', 'list.update', 'list.delete',
+        'item.add', 'item.update', 'item.toggle', 'item.delete'
+    ]
+};
+
+const schemas = {
+    ObjectId: { type: 'string', pattern: '^[a-fA-F0-9]{24}$' },
+
+    Error: {
+        type: 'object',
+        required: ['status', 'message'],
+        properties: {
+            status: { type: 'string', enum: ['error'] },
+            message: { type: 'string' },
+            errors: { type: 'array', items: ref('FieldError') }
+        }
+    },
+    V2Error: {
+        type: 'object',
+        required: ['status', 'error'],
+        properties: {
+            status: { type: 'string', enum: ['error'] },
+            error: {
+                type: 'object',
+                required: ['code', 'message'],
+                properties: {
+                    code: { type: 'string', example: 'LIST_NOT_FOUND' },
+                    message: { type: 'string' },
+                    details: {}
+                }
+            }
+        }
+    },
+    FieldError: {
+        type: 'object',
+        properties: { field: { type: 'string' }, location: { type: 'string' }, message: { type: 'string' } }
+    },
+
+    User: {
+        type: 'object',
+        required: ['id', 'username', 'email', 'emailVerified'],
+        properties: {
+            id: ref('ObjectId'),
+            username: { type: 'string' },
+            email: { type: 'string' },
+            emailVerified: { type: 'boolean' }
+        }
+    },
+    Session: {
+        type: 'object',
+        required: ['id', 'current'],
+        properties: {
+            id: ref('ObjectId'),
+            device: {
+                type: 'object',
+                properties: { name: { type: 'string' }, userAgent: { type: 'string' }, ip: { type: 'string' } }
+            },
+            createdAt: timestamp,
+            lastUsedAt: timestamp,
+            expiresAt: timestamp,
+            current: { type: 'boolean' }
+        }
+    },
+
+    Member: {
+        type: 'object',
+        required: ['userId', 'role'],
+        properties: { userId: ref('ObjectId'), role: { type: 'string', enum: ['viewer', 'editor'] }, addedAt: timestamp }
+    },
+    MemberView: {
+        type: 'object',
+        required: ['userId', 'role'],
+        properties: {
+            userId: ref('ObjectId'),
+            username: nullableString,
+            email: nullableString,
+            role: { type: 'string', enum: ['viewer', 'editor', 'owner'] },
+            addedAt: timestamp
+        }
+    },
+
+    Item: {
+        type: 'object',
+        required: ['_id', 'name', 'quantity', 'unit', 'isCompleted'],
+        properties: {
+            _id: ref('ObjectId'),
+            name: { type: 'string' },
+            quantity: { type: 'number' },
+            unit: { type: 'string' },
+            isCompleted: { type: 'boolean' },
+            unitPrice: nullableNumber,
+            currency: nullableString,
+            store: nullableString,
+            aisle: nullableString
+        }
+    },
+    // Prices and quantities typed into forms may arrive as strings; '' or null clears a price
+    ItemInput: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            quantity: { anyOf: [{ type: 'number' }, { type: 'string' }] },
+            unit: { type: 'string', maxLength: 30 },
+            unitPrice: { anyOf: [{ type: 'number', minimum: 0, nullable: true }, { type: 'string' }] },
+            currency: nullableString,
+            store: { type: 'string', maxLength: 100, nullable: true },
+            aisle: { type: 'string', maxLength: 50, nullable: true }
+        }
+    },
+    // Either an item object or quick-add text such as "2 kg apples, milk x2"
+    ItemEntry: {
+        oneOf: [{ type: 'string', minLength: 1, maxLength: 10000 }, ref('ItemInput')]
+    },
+    ItemEntries: { type: 'array', minItems: 1, maxItems: 500, items: ref('ItemEntry') },
+    ItemChanges: {
+        type: 'object',
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            quantity: { type: 'number', minimum: 0, description: 'Must be greater than zero' },
+            unit: { type: 'string', minLength: 1, maxLength: 30 },
+            isCompleted: { type: 'boolean' },
+            unitPrice: { anyOf: [{ type: 'number', minimum: 0, nullable: true }, { type: 'string' }] },
+            currency: nullableString,
+            store: { type: 'string', maxLength: 100, nullable: true },
+            aisle: { type: 'string', maxLength: 50, nullable: true },
+            convertQuantity: { type: 'boolean', description: 'Restate the quantity when the unit changes' },
+            allowOverBudget: { type: 'boolean' },
+            baseRevision,
+            ...completionOptions
+        }
+    },
+    ParsedItem: {
+        type: 'object',
+        required: ['name', 'quantity', 'unit'],
+        properties: { name: { type: 'string' }, quantity: { type: 'number' }, unit: { type: 'string' } }
+    },
+    UnparsedEntry: {
+        type: 'object',
+        properties: { item: { type: 'integer' }, entry: { type: 'integer' }, text: { type: 'string' }, reason: { type: 'string' } }
+    },
+
+    ListTotals: {
+        type: 'object',
+        required: ['estimatedTotal', 'completedTotal', 'isOverBudget'],
+        properties: {
+            currency: nullableString,
+            budget: nullableNumber,
+            estimatedTotal: { type: 'number' },
+            completedTotal: { type: 'number' },
+            remainingBudget: nullableNumber,
+            isOverBudget: { type: 'boolean' },
+            pricedItems: { type: 'integer' },
+            unpricedItems: { type: 'integer' },
+            otherCurrencyItems: { type: 'integer' }
+        }
+    },
+    CategoryTotals: {
+        type: 'object',
+        required: ['estimatedTotal', 'completedTotal', 'isOverBudget', 'listCount'],
+        properties: {
+            currency: nullableString,
+            budget: nullableNumber,
+            estimatedTotal: { type: 'number' },
+            completedTotal: { type: 'number' },
+            remainingBudget: nullableNumber,
+            isOverBudget: { type: 'boolean' },
+            listCount: { type: 'integer' },
+            otherCurrencyLists: { type: 'integer' }
+        }
+    },
+
+    List: {
+        type: 'object',
+        required: ['_id', 'name', 'categoryId', 'userId', 'items'],
+        properties: {
+            _id: ref('ObjectId'),
+            name: { type: 'string' },
+            categoryId: ref('ObjectId'),
+            userId: ref('ObjectId'),
+            members: { type: 'array', items: ref('Member') },
+            items: { type: 'array', items: ref('Item') },
+            budget: nullableNumber,
+            currency: nullableString,
+            createdAt: timestamp,
+            revision
+        }
+    },
+    ListWithTotals: {
+        allOf: [ref('List'), { type: 'object', required: ['totals'], properties: { totals: ref('ListTotals') } }]
+    },
+    // A list as seen by the caller
+    ListView: {
+        allOf: [ref('ListWithTotals'), {
+            type: 'object',
+            required: ['role', 'isShared'],
+            properties: { role: { type: 'string', enum: ['viewer', 'editor', 'owner'] }, isShared: { type: 'boolean' }, ...itemCounts }
+        }]
+    },
+    // ?view=summary: a list without its items and totals
+    ListSummary: {
+        type: 'object',
+        required: ['_id', 'name', 'categoryId', 'userId', 'role', 'isShared', 'itemCount', 'completedCount'],
+        properties: {
+            _id: ref('ObjectId'),
+            name: { type: 'string' },
+            categoryId: ref('ObjectId'),
+            userId: ref('ObjectId'),
+            members: { type: 'array', items: ref('Member') },
+            budget: nullableNumber,
+            currency: nullableString,
+            createdAt: timestamp,
+            revision,
+            role: { type: 'string', enum: ['viewer', 'editor', 'owner'] },
+            isShared: { type: 'boolean' },
+            ...itemCounts
+        }
+    },
+
+    Category: {
+        type: 'object',
+        required: ['_id', 'name', 'userId'],
+        properties: {
+            _id: ref('ObjectId'),
+            name: { type: 'string' },
+            userId: ref('ObjectId'),
+            members: { type: 'array', items: ref('Member') },
+            budget: nullableNumber,
+            currency: nullableString,
+            createdAt: timestamp,
+            revision
+        }
+    },
+    // A category as seen by the caller; role is null when only lists inside it are shared
+    CategoryView: {
+        allOf: [ref('Category'), {
+            type: 'object',
+            required: ['isShared', 'totals'],
+            properties: {
+                role: { type: 'string', enum: ['viewer', 'editor', 'owner'], nullable: true },
+                isShared: { type: 'boolean' },
+                totals: ref('CategoryTotals'),
+                listCount: { type: 'integer' },
+                ...itemCounts
+            }
+        }]
+    },
+    // ?view=summary: a category with its counts but without totals
+    CategorySummary: {
+        allOf: [ref('Category'), {
+            type: 'object',
+            required: ['isShared', 'listCount', 'itemCount', 'completedCount'],
+            properties: {
+                role: { type: 'string', enum: ['viewer', 'editor', 'owner'], nullable: true },
+                isShared: { type: 'boolean' },
+                listCount: { type: 'integer' },
+                ...itemCounts
+            }
+        }]
+    },
+    // Sort and position of a paged fetch; nextCursor is null on the last page
+    Page: {
+        type: 'object',
+        required: ['sort', 'order'],
+        properties: {
+            sort: { type: 'string', enum: ['name', 'createdAt', 'itemCount', 'completion'] },
+            order: { type: 'string', enum: ['asc', 'desc'] },
+            limit: { type: 'integer' },
+            nextCursor: nullableString
+        }
+    },
+
+    StoreLayout: {
+        type: 'object',
+        required: ['_id', 'store', 'aisles'],
+        properties: {
+            _id: ref('ObjectId'),
+            userId: ref('ObjectId'),
+            store: { type: 'string' },
+            storeKey: { type: 'string' },
+            aisles: { type: 'array', items: { type: 'string' } },
+            updatedAt: timestamp
+        }
+    },
+    PantryItem: {
+        type: 'object',
+        required: ['_id', 'name', 'quantity', 'unit', 'isLow', 'daysLeft'],
+        properties: {
+            _id: ref('ObjectId'),
+            userId: ref('ObjectId'),
+            name: { type: 'string' },
+            nameKey: { type: 'string' },
+            quantity: { type: 'number', minimum: 0 },
+            unit: { type: 'string' },
+            bestBefore: timestamp,
+            minQuantity: { type: 'number' },
+            restockQuantity: { type: 'number' },
+            restockListId: ref('ObjectId'),
+            lastRestockedAt: timestamp,
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            isLow: { type: 'boolean', description: 'Quantity is below minQuantity' },
+            daysLeft: { type: 'integer', nullable: true, description: 'Days until the best-before date, negative once expired' }
+        }
+    },
+    // One item of the user's catalog with what it was last added with
+    CatalogItem: {
+        type: 'object',
+        required: ['_id', 'name', 'key', 'unit', 'quantity', 'useCount'],
+        properties: {
+            _id: ref('ObjectId'),
+            userId: ref('ObjectId'),
+            name: { type: 'string' },
+            key: { type: 'string', description: 'Matches the name in any case, accent or plural' },
+            plural: { type: 'string' },
+            aliases: { type: 'array', items: { type: 'string' } },
+            unit: { type: 'string' },
+            quantity: { type: 'number' },
+            categoryId: { type: 'string', pattern: '^[a-fA-F0-9]{24}$', nullable: true },
+            useCount: { type: 'integer' },
+            lastUsedAt: timestamp,
+            match: { type: 'string', enum: ['exact', 'prefix', 'word', 'fuzzy'], description: 'Suggestions only' }
+        }
+    },
+    // What happened to the restock list after a stock change
+    RestockResult: {
+        type: 'object',
+        required: ['listId', 'added'],
+        properties: {
+            listId: ref('ObjectId'),
+            added: { type: 'boolean' },
+            quantity: { type: 'number' },
+            unit: { type: 'string' },
+            reason: { type: 'string', description: 'Why nothing was added: LIST_UNAVAILABLE, ALREADY_ON_LIST or the merge error (UNIT_CONFLICT, OVER_BUDGET)' }
+        }
+    },
+    // Outcome of addToPantry on an item completion
+    PantryResult: {
+        type: 'object',
+        required: ['added'],
+        properties: {
+            added: { type: 'boolean' },
+            pantryItem: ref('PantryItem'),
+            reason: { type: 'string' },
+            message: { type: 'string' }
+        }
+    },
+
+    Ingredient: {
+        type: 'object',
+        required: ['name', 'quantity', 'unit'],
+        properties: { _id: ref('ObjectId'), name: { type: 'string' }, quantity: { type: 'number' }, unit: { type: 'string' } }
+    },
+    Recipe: {
+        type: 'object',
+        required: ['_id', 'name', 'servings', 'ingredients'],
+        properties: {
+            _id: ref('ObjectId'),
+            userId: ref('ObjectId'),
+            name: { type: 'string' },
+            servings: { type: 'integer', minimum: 1 },
+            ingredients: { type: 'array', items: ref('Ingredient') },
+            notes: { type: 'string' },
+            createdAt: timestamp,
+            updatedAt: timestamp
+        }
+    },
+    MealPlanEntry: {
+        type: 'object',
+        required: ['_id', 'recipeId', 'date', 'meal'],
+        properties: {
+            _id: ref('ObjectId'),
+            userId: ref('ObjectId'),
+            recipeId: ref('ObjectId'),
+            recipeName: nullableString,
+            date: { type: 'string', format: 'date' },
+            meal: { type: 'string', enum: ['breakfast', 'lunch', 'dinner', 'snack'] },
+            servings: { type: 'integer', minimum: 1, description: 'Default: the servings of the recipe' },
+            createdAt: timestamp
+        }
+    },
+
+    // Returned by deletes: the token restores the deleted resource until expiresAt
+    Undo: {
+        type: 'object',
+        required: ['trashId', 'token', 'expiresAt'],
+        properties: { trashId: ref('ObjectId'), token: { type: 'string' }, expiresAt: timestamp }
+    },
+    TrashEntry: {
+        type: 'object',
+        required: ['_id', 'kind', 'name', 'deletedAt', 'expiresAt'],
+        properties: {
+            _id: ref('ObjectId'),
+            kind: { type: 'string', enum: ['category', 'list', 'item'] },
+            name: { type: 'string' },
+            categoryId: ref('ObjectId'),
+            listId: ref('ObjectId'),
+            deletedAt: timestamp,
+            expiresAt: timestamp,
+            listCount: { type: 'integer', description: 'Lists deleted with a category' },
+            itemCount: { type: 'integer', description: 'Items of a deleted list' }
+        }
+    },
+    // What a restore brought back: a category with its lists, a list, or an item and its list
+    Restored: {
+        type: 'object',
+        properties: {
+            category: ref('Category'),
+            lists: { type: 'array', items: ref('ListWithTotals') },
+            list: ref('ListWithTotals'),
+            item: ref('Item')
+        }
+    },
+    // Results of /api/search, each group holding at most `limit` entries
+    SearchResults: {
+        type: 'object',
+        required: ['items', 'lists', 'categories'],
+        properties: {
+            items: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['item', 'list', 'category'],
+                    properties: { item: ref('Item'), list: searchContext, category: { ...searchContext, nullable: true } }
+                }
+            },
+            lists: {
+                type: 'array',
+                items: { allOf: [ref('ListWithTotals'), { type: 'object', properties: { category: { ...searchContext, nullable: true } } }] }
+            },
+            categories: { type: 'array', items: ref('Category') }
+        }
+    },
+
+    // before and after hold the fields the change touched, as they were and became
+    ActivityEntry: {
+        type: 'object',
+        required: ['_id', 'action', 'targetType', 'targetId', 'name', 'at', 'actor'],
+        properties: {
+            _id: ref('ObjectId'),
+            action: activityAction,
+            targetType: { type: 'string', enum: ['category', 'list', 'item'] },
+            targetId: ref('ObjectId'),
+            name: { type: 'string' },
+            categoryId: ref('ObjectId'),
+            listId: ref('ObjectId'),
+            before: { type: 'object' },
+            after: { type: 'object' },
+            at: timestamp,
+            actor: {
+                type: 'object',
+                nullable: true,
+                description: 'null for automatic changes and deleted accounts',
+                properties: { _id: ref('ObjectId'), username: { type: 'string' } }
+            }
+        }
+    },
+
+    // One queued edit of /api/sync; base holds the values the changed fields had on the client
+    SyncOperation: {
+        type: 'object',
+        required: ['opId', 'type'],
+        properties: {
+            opId: { type: 'string', minLength: 1, maxLength: 100, description: 'Unique per user; a repeated opId returns the stored result' },
+            type: { type: 'string', enum: ['item.add', 'item.update', 'item.remove', 'list.update', 'category.update'] },
+            listId: ref('ObjectId'),
+            categoryId: ref('ObjectId'),
+            itemId: ref('ObjectId'),
+            baseRevision: revision,
+            item: ref('ItemEntry'),
+            changes: { type: 'object' },
+            base: { type: 'object' }
+        }
+    },
+    // Conflicts name the fields both sides changed and how each was settled
+    SyncResult: {
+        type: 'object',
+        required: ['opId', 'type', 'status'],
+        properties: {
+            opId: { type: 'string' },
+            type: { type: 'string' },
+            status: { type: 'string', enum: ['applied', 'rejected'] },
+            code: { type: 'string' },
+            message: { type: 'string' },
+            revision,
+            itemId: ref('ObjectId'),
+            merged: { type: 'boolean' },
+            overBudget: { type: 'boolean' },
+            alreadyRemoved: { type: 'boolean' },
+            undo: ref('Undo'),
+            conflicts: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['field', 'resolution'],
+                    properties: {
+                        field: { type: 'string' },
+                        resolution: { type: 'string', enum: ['added', 'checked', 'server'] },
+                        value: {}
+                    }
+                }
+            }
+        }
+    },
+    // The current state of a changed category or list (data), or deleted: true
+    SyncChange: {
+        type: 'object',
+        required: ['kind', 'id', 'deleted'],
+        properties: {
+            kind: { type: 'string', enum: ['category', 'list'] },
+            id: ref('ObjectId'),
+            revision,
+            deleted: { type: 'boolean' },
+            data: { anyOf: [ref('ListWithTotals'), ref('Category')] }
+        }
+    },
+
+    // Unchecked items grouped by aisle in store order, completed items last
+    ShoppingView: {
+        type: 'object',
+        required: ['listId', 'name', 'sections', 'completed', 'progress'],
+        properties: {
+            listId: ref('ObjectId'),
+            name: { type: 'string' },
+            store: nullableString,
+            aisleOrder: { type: 'array', items: { type: 'string' } },
+            sections: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['aisle', 'items'],
+                    properties: { aisle: nullableString, items: { type: 'array', items: ref('Item') } }
+                }
+            },
+            completed: { type: 'array', items: ref('Item') },
+            progress: {
+                type: 'object',
+                properties: { total: { type: 'integer' }, completed: { type: 'integer' } }
+            }
+        }
+    },
+
+    SpendLimit: {
+        type: 'object',
+        properties: {
+            budget: { anyOf: [{ type: 'number', minimum: 0, nullable: true }, { type: 'string' }] },
+            currency: { type: 'string', nullable: true, description: '3-letter code such as USD' }
+        }
+    },
+
+    Suggestion: {
+        type: 'object',
+        required: ['name', 'reason'],
+        properties: {
+            name: { type: 'string' },
+            quantity: { type: 'number' },
+            unit: { type: 'string' },
+            reason: { type: 'string' },
+            source: { type: 'string' },
+            occurrences: { type: 'integer' },
+            averageIntervalDays: { type: 'number' },
+            daysSinceLast: { type: 'number' },
+            lastAt: timestamp,
+            dueAt: timestamp,
+            urgency: { type: 'number' }
+        }
+    }
+};
+
+const nameInput = { type: 'string', minLength: 1, maxLength: 100 };
+const passwordInput = { type: 'string', minLength: 1, maxLength: 128 };
+const message = v1();
+const undoResult = v1({ undo: ref('Undo') }, ['undo']);
+
+
+// ========================
+// Auth and account (/api)
+// ========================
+const authPaths = {
+    '/check-auth': operations('Auth', {}, {
+        get: {
+            summary: 'Check whether the access token is still valid',
+            security: [{ bearerAuth: [] }, {}],
+            responses: {
+                200: json({ type: 'object', required: ['isAuthenticated'], properties: { isAuthenticated: { type: 'boolean' } } }),
+                401: json({ type: 'object', properties: { isAuthenticated: { type: 'boolean' }, status: { type: 'string' }, message: { type: 'string' } } }, 'Invalid token')
+            }
+        }
+    }),
+    '/signup': operations('Auth', v1Errors, {
+        post: {
+            summary: 'Create an account and send the verification email',
+            requestBody: body({
+                type: 'object',
+                required: ['username', 'email', 'password'],
+                properties: {
+                    username: { type: 'string', minLength: 1, maxLength: 50 },
+                    email: { type: 'string', format: 'email', maxLength: 254 },
+                    password: passwordInput
+                }
+            }),
+            responses: { 201: json(v1({ verificationSent: { type: 'boolean' } }), 'Created') }
+        }
+    }),
+    '/check-username': operations('Auth', v1Errors, {
+        post: {
+            summary: 'Check whether a username is taken',
+            requestBody: body({ type: 'object', required: ['username'], properties: { username: { type: 'string' } } }),
+            responses: { 200: json({ type: 'object', required: ['exists'], properties: { exists: { type: 'boolean' } } }) }
+        }
+    }),
+    '/check-email': operations('Auth', v1Errors, {
+        post: {
+            summary: 'Check whether an email is taken',
+            requestBody: body({ type: 'object', required: ['email'], properties: { email: { type: 'string' } } }),
+            responses: { 200: json({ type: 'object', required: ['exists'], properties: { exists: { type: 'boolean' } } }) }
+        }
+    }),
+    '/signin': operations('Auth', v1Errors, {
+        post: {
+            summary: 'Sign in; starts a session and sets the refreshToken cookie',
+            requestBody: body({
+                type: 'object',
+                required: ['email', 'password'],
+                properties: {
+                    email: { type: 'string' },
+                    password: passwordInput,
+                    deviceName: { type: 'string', description: 'Shown in the session list (first 100 characters)' }
+                }
+            }),
+            responses: { 200: json(v1({ accessToken: { type: 'string' }, user: ref('User') }, ['accessToken', 'user'])) }
+        }
+    }),
+    '/refresh-token': operations('Auth', v1Errors, {
+        get: {
+            summary: 'Rotate the refresh token cookie and issue a new access token',
+            security: [{ refreshCookie: [] }],
+            responses: { 200: json(v1({ accessToken: { type: 'string' } }, ['accessToken'])) }
+        }
+    }),
+    '/logout': operations('Auth', v1Errors, {
+        post: {
+            summary: 'End the current session and clear the refresh token cookie',
+            security: [{ refreshCookie: [] }, {}],
+            responses: { 200: json(message) }
+        }
+    }),
+    '/sessions': operations('Sessions', v1Errors, {
+        get: {
+            summary: 'Active sessions (signed-in devices)',
+            security: secured,
+            responses: { 200: json(v1({ data: { type: 'array', items: ref('Session') } }, ['data'])) }
+        },
+        delete: {
+            summary: 'Sign out every device',
+            security: secured,
+            parameters: [queryParam('keepCurrent', { type: 'string', enum: ['true', 'false'] }, 'Keep the calling device signed in')],
+            responses: { 200: json(v1({ revoked: { type: 'integer' } })) }
+        }
+    }),
+    '/sessions/{sessionId}': operations('Sessions', v1Errors, {
+        delete: {
+            summary: 'Sign out one device',
+            security: secured,
+            parameters: [idParam('sessionId', 'Session id')],
+            responses: { 200: json(message) }
+        }
+    }),
+    '/user/profile': operations('Account', v1Errors, {
+        get: {
+            summary: 'Profile of the signed-in user',
+            security: secured,
+            responses: { 200: json(v1({ user: ref('User') }, ['user'])) }
+        },
+        patch: {
+            summary: 'Change username and/or email (a new email must be verified again)',
+            security: secured,
+            requestBody: body({
+                type: 'object',
+                properties: {
+                    username: { type: 'string', minLength: 1, maxLength: 50 },
+                    email: { type: 'string', format: 'email', maxLength: 254 }
+                }
+            }),
+            responses: { 200: json(v1({ user: ref('User'), verificationSent: { type: 'boolean' } }, ['user'])) }
+        }
+    }),
+    '/user/change-password': operations('Account', v1Errors, {
+        post: {
+            summary: 'Change the password; signs out every other device',
+            security: secured,
+            requestBody: body({
+                type: 'object',
+                required: ['currentPassword', 'newPassword'],
+                properties: { currentPassword: passwordInput, newPassword: passwordInput }
+            }),
+            responses: { 200: json(v1({ sessionsRevoked: { type: 'integer' } })) }
+        }
+    }),
+    '/user/account': operations('Account', v1Errors, {
+        delete: {
+            summary: 'Delete the account, its categories and lists; returns a final export',
+            security: secured,
+            parameters: [queryParam('export', { type: 'string', enum: ['true', 'false'] }, 'Set to false to skip the final export')],
+            requestBody: body({ type: 'object', required: ['password'], properties: { password: passwordInput } }),
+            responses: {
+                200: json(v1({
+                    deleted: { type: 'object', properties: { categories: { type: 'integer' }, lists: { type: 'integer' } } },
+                    data: { type: 'object', description: 'Same document as GET /api/export/account' }
+                }))
+            }
+        }
+    }),
+    '/verify-email': operations('Auth', v1Errors, {
+        post: {
+            summary: 'Confirm an email address with the emailed token',
+            requestBody: body({ type: 'object', required: ['token'], properties: { token: { type: 'string' } } }),
+            responses: { 200: json(message) }
+        }
+    }),
+    '/resend-verification': operations('Auth', v1Errors, {
+        post: {
+            summary: 'Send the verification email again',
+            security: secured,
+            responses: { 200: json(message) }
+        }
+    }),
+    '/forgot-password': operations('Auth', v1Errors, {
+        post: {
+            summary: 'Email a password reset link (same answer whether or not the account exists)',
+            requestBody: body({ type: 'object', required: ['email'], properties: { email: { type: 'string' } } }),
+            responses: { 200: json(message) }
+        }
+    }),
+    '/reset-password': operations('Auth', v1Errors, {
+        post: {
+            summary: 'Choose a new password with the emailed token; signs out every device',
+            requestBody: body({
+                type: 'object',
+                required: ['token', 'password'],
+                properties: { token: { type: 'string' }, password: passwordInput }
+            }),
+            responses: { 200: json(message) }
+        }
+    })
+};
+
+
+// ========================
+// Categories, lists and items (/api, deprecated in favour of /api/v2)
+// ========================
+const listUpdateResult = v1({ overBudget: { type: 'boolean' }, data: ref('ListWithTotals') }, ['data']);
+
+const v1Paths = {
+    '/categories': operations('Categories (v1)', v1Errors, {
+        get: {
+            summary: 'Categories the user owns or can see, optionally sorted and paged',
+            deprecated: true,
+            security: secured,
+            parameters: pageParams,
+            responses: { 200: json(v1({ data: categoryPage, page: ref('Page') }, ['data'])) }
+        }
+    }),
+    '/add-category': operations('Categories (v1)', v1Errors, {
+        post: {
+            summary: 'Create a category',
+            deprecated: true,
+            security: secured,
+            requestBody: body({ allOf: [ref('SpendLimit'), { type: 'object', required: ['name'], properties: { name: nameInput } }] }),
+            responses: { 201: json(v1({ data: ref('Category') }, ['data']), 'Created') }
+        }
+    }),
+    '/categories/{categoryId}': operations('Categories (v1)', v1Errors, {
+        delete: {
+            summary: 'Move a category and its lists to the trash (owner only)',
+            deprecated: true,
+            security: secured,
+            parameters: [categoryId],
+            responses: { 200: json(undoResult) }
+        }
+    }),
+    '/fetch-lists/{categoryId}': operations('Lists (v1)', v1Errors, {
+        get: {
+            summary: 'Lists of a category, with items and totals, optionally sorted and paged',
+            deprecated: true,
+            security: secured,
+            parameters: [categoryId, ...pageParams],
+            responses: { 200: json(v1({ data: listPage, page: ref('Page') }, ['data'])) }
+        }
+    }),
+    '/categories/{categoryId}/lists': operations('Lists (v1)', v1Errors, {
+        post: {
+            summary: 'Create a list with items',
+            deprecated: true,
+            security: secured,
+            parameters: [categoryId],
+            requestBody: body({
+                allOf: [ref('SpendLimit'), {
+                    type: 'object',
+                    required: ['name', 'items'],
+                    properties: { name: nameInput, items: ref('ItemEntries') }
+                }]
+            }),
+            responses: { 201: json(v1({ data: ref('ListWithTotals') }, ['data']), 'Created') }
+        }
+    }),
+    '/delete-lists/{listId}': operations('Lists (v1)', v1Errors, {
+        delete: {
+            summary: 'Move a list to the trash (owner only)',
+            deprecated: true,
+            security: secured,
+            parameters: [listId],
+            responses: { 200: json(undoResult) }
+        }
+    }),
+    '/updatelist/{listID}': operations('Items (v1)', v1Errors, {
+        patch: {
+            summary: 'Add items to a list, merging same-name items',
+            deprecated: true,
+            security: secured,
+            parameters: [idParam('listID', 'List id')],
+            requestBody: body({
+                type: 'object',
+                required: ['items'],
+                properties: { items: ref('ItemEntries'), allowOverBudget: { type: 'boolean' }, baseRevision }
+            }),
+            responses: { 200: json(listUpdateResult) }
+        }
+    }),
+    '/updateItem/{listID}/{itemID}': operations('Items (v1)', v1Errors, {
+        patch: {
+            summary: 'Replace the name, quantity, unit and price of an item',
+            deprecated: true,
+            security: secured,
+            parameters: [idParam('listID', 'List id'), idParam('itemID', 'Item id')],
+            requestBody: body({
+                type: 'object',
+                required: ['updatedItem'],
+                properties: {
+                    updatedItem: { allOf: [ref('ItemInput'), { type: 'object', required: ['name', 'quantity', 'unit'] }] },
+                    convertQuantity: { type: 'boolean' },
+                    allowOverBudget: { type: 'boolean' },
+                    baseRevision
+                }
+            }),
+            responses: { 200: json(listUpdateResult) }
+        }
+    }),
+    '/items/{itemId}/toggle': operations('Items (v1)', v1Errors, {
+        patch: {
+            summary: 'Flip the completed flag of an item',
+            deprecated: true,
+            security: secured,
+            parameters: [itemId],
+            requestBody: body({ type: 'object', properties: completionOptions }, false),
+            responses: { 200: json(v1({ updatedItem: ref('Item'), pantry: ref('PantryResult') }, ['updatedItem'])) }
+        }
+    }),
+    '/delete/{listId}/item/{itemId}': operations('Items (v1)', v1Errors, {
+        delete: {
+            summary: 'Move an item to the trash',
+            deprecated: true,
+            security: secured,
+            parameters: [listId, itemId],
+            responses: { 200: json(v1({ data: ref('List'), undo: ref('Undo') }, ['data', 'undo'])) }
+        }
+    })
+};
+
+
+// ========================
+// Sharing, budgets, suggestions, shopping mode, pantry and quick-add (/api)
+// ========================
+const pantryItemId = idParam('pantryItemId', 'Pantry item id');
+const pantryDate = { type: 'string', nullable: true, description: 'ISO 8601 date' };
+const pantrySettings = {
+    bestBefore: pantryDate,
+    minQuantity: { type: 'number', minimum: 0, nullable: true, description: 'Restock when the quantity drops below this' },
+    restockQuantity: { type: 'number', minimum: 0, nullable: true, description: 'Quantity to add (default: back up to minQuantity)' },
+    restockListId: { type: 'string', pattern: '^[a-fA-F0-9]{24}$', nullable: true }
+};
+const pantryResult = v1({ data: ref('PantryItem'), restock: ref('RestockResult') }, ['data']);
+
+const day = { type: 'string', format: 'date' };
+const servings = { type: 'integer', minimum: 1, maximum: 100 };
+const meal = { type: 'string', enum: ['breakfast', 'lunch', 'dinner', 'snack'] };
+const recipeInput = {
+    name: nameInput,
+    servings,
+    ingredients: ref('ItemEntries'),
+    notes: { type: 'string', maxLength: 10000, nullable: true }
+};
+const recipeResult = v1({ data: ref('Recipe') }, ['data']);
+const mealResult = v1({ data: ref('MealPlanEntry') }, ['data']);
+const recipeId = idParam('recipeId', 'Recipe id');
+// data is left out when the pantry covers everything and no list was created
+const mealPlanListResult = v1({
+    meals: { type: 'integer' },
+    added: { type: 'integer' },
+    merged: { type: 'integer' },
+    fromPantry: { type: 'array', items: ref('Ingredient') },
+    overBudget: { type: 'boolean' },
+    data: ref('ListWithTotals')
+});
+const mealId = idParam('mealId', 'Planned meal id');
+
+const recipePaths = {
+    '/recipes': operations('Recipes', v1Errors, {
+        get: {
+            summary: 'Recipes of the user',
+            security: secured,
+            responses: { 200: json(v1({ data: { type: 'array', items: ref('Recipe') } }, ['data'])) }
+        },
+        post: {
+            summary: 'Save a recipe; ingredients may be objects or quick-add text',
+            security: secured,
+            requestBody: body({ type: 'object', required: ['name', 'ingredients'], properties: recipeInput }),
+            responses: { 201: json(recipeResult, 'Created') }
+        }
+    }),
+    '/recipes/{recipeId}': operations('Recipes', v1Errors, {
+        get: {
+            summary: 'One recipe, optionally scaled to a number of servings',
+            security: secured,
+            parameters: [recipeId, queryParam('servings', servings, 'Scale the ingredients to this many servings')],
+            responses: { 200: json(recipeResult) }
+        },
+        patch: {
+            summary: 'Rename, change servings or notes, or replace the ingredients',
+            security: secured,
+            parameters: [recipeId],
+            requestBody: body({ type: 'object', properties: recipeInput }),
+            responses: { 200: json(recipeResult) }
+        },
+        delete: {
+            summary: 'Delete a recipe and the meals planned with it',
+            security: secured,
+            parameters: [recipeId],
+            responses: { 200: json(v1({ mealsRemoved: { type: 'integer' } })) }
+        }
+    }),
+    '/meal-plan': operations('Recipes', v1Errors, {
+        get: {
+            summary: 'Planned meals in a range of days (default: the seven days from today)',
+            security: secured,
+            parameters: [queryParam('from', day, 'First day (YYYY-MM-DD)'), queryParam('to', day, 'Last day, inclusive')],
+            responses: {
+                200: json(v1({ from: day, to: day, data: { type: 'array', items: ref('MealPlanEntry') } }, ['data']))
+            }
+        },
+        post: {
+            summary: 'Plan a recipe on a day',
+            security: secured,
+            requestBody: body({
+                type: 'object',
+                required: ['date', 'recipeId'],
+                properties: { date: day, recipeId: ref('ObjectId'), servings, meal }
+            }),
+            responses: { 201: json(mealResult, 'Created') }
+        }
+    }),
+    '/meal-plan/{mealId}': operations('Recipes', v1Errors, {
+        patch: {
+            summary: 'Move a planned meal or change its servings (null: the recipe\'s) or meal',
+            security: secured,
+            parameters: [mealId],
+            requestBody: body({ type: 'object', properties: { date: day, servings: { ...servings, nullable: true }, meal } }),
+            responses: { 200: json(mealResult) }
+        },
+        delete: {
+            summary: 'Remove a planned meal',
+            security: secured,
+            parameters: [mealId],
+            responses: { 200: json(message) }
+        }
+    }),
+    '/meal-plan/shopping-list': operations('Recipes', v1Errors, {
+        post: {
+            summary: 'Add the scaled ingredients of the planned meals, less pantry stock, to a new or existing list',
+            description: 'Give listId to merge into an existing list, or categoryId (and optionally name) for a new one. '
+                + 'Items merge like /updatelist/{listID}; unit conflicts and budget overruns are reported the same way.',
+            security: secured,
+            requestBody: body({
+                type: 'object',
+                required: ['from', 'to'],
+                properties: {
+                    from: day,
+                    to: day,
+                    listId: ref('ObjectId'),
+                    categoryId: ref('ObjectId'),
+                    name: nameInput,
+                    usePantry: { type: 'boolean', description: 'Subtract pantry stock (default true)' },
+                    allowOverBudget: { type: 'boolean' }
+                }
+            }),
+            responses: { 200: json(mealPlanListResult), 201: json(mealPlanListResult, 'Created') }
+        }
+    })
+};
+
+const trashId = idParam('trashId', 'Trash entry id');
+const restoreResult = v1({ kind: { type: 'string', enum: ['category', 'list', 'item'] }, data: ref('Restored') }, ['kind', 'data']);
+
+const trashPaths = {
+    '/trash': operations('Trash', v1Errors, {
+        get: {
+            summary: 'Deleted categories, lists and items that can still be restored, newest first',
+            security: secured,
+            responses: { 200: json(v1({ data: { type: 'array', items: ref('TrashEntry') } }, ['data'])) }
+        },
+        delete: {
+            summary: 'Empty the trash',
+            security: secured,
+            responses: { 200: json(v1({ deleted: { type: 'integer' } })) }
+        }
+    }),
+    '/trash/{trashId}': operations('Trash', v1Errors, {
+        delete: {
+            summary: 'Delete one entry permanently',
+            security: secured,
+            parameters: [trashId],
+            responses: { 200: json(message) }
+        }
+    }),
+    '/trash/{trashId}/restore': operations('Trash', v1Errors, {
+        post: {
+            summary: 'Restore an entry; a category comes back with its lists',
+            security: secured,
+            parameters: [trashId],
+            responses: { 200: json(restoreResult) }
+        }
+    }),
+    '/trash/undo': operations('Trash', v1Errors, {
+        post: {
+            summary: 'Restore what a delete removed, using the token it answered with',
+            security: secured,
+            requestBody: body({ type: 'object', required: ['token'], properties: { token: { type: 'string', minLength: 1 } } }),
+            responses: { 200: json(restoreResult) }
+        }
+    })
+};
+
+const searchPaths = {
+    '/search': operations('Search', v1Errors, {
+        get: {
+            summary: 'Search item, list and category names across the account',
+            description: 'Every word of q must start a word of the name; case and accents are ignored. '
+                + 'categoryId and the created range filter every result, completed and unit only items.',
+            security: secured,
+            parameters: [
+                queryParam('q', { type: 'string', maxLength: 100 }, 'Words to look for; leave out to only filter'),
+                queryParam('completed', { type: 'string', enum: ['true', 'false'] }, 'Only items checked off (true) or still open (false)'),
+                queryParam('unit', { type: 'string', maxLength: 30 }, 'Only items in this unit (any spelling, e.g. "kilos")'),
+                queryParam('categoryId', ref('ObjectId'), 'Only this category and its lists'),
+                queryParam('createdFrom', { type: 'string' }, 'Created at or after (ISO 8601 date or date-time)'),
+                queryParam('createdTo', { type: 'string' }, 'Created at or before (ISO 8601 date or date-time)'),
+                queryParam('limit', { type: 'integer', minimum: 1, maximum: 200 }, 'Results per group (default 50)')
+            ],
+            responses: { 200: json(v1({ data: ref('SearchResults') }, ['data'])) }
+        }
+    })
+};
+
+const syncPaths = {
+    '/sync': operations('Sync', v1Errors, {
+        post: {
+            summary: 'Apply queued offline edits and fetch what changed since the last sync',
+            description: 'Operations run in order; stale ones are merged by the rules in sync.js. '
+                + 'Without syncToken, or when the change log no longer reaches back to it, changes is a '
+                + 'full snapshot (full: true) that replaces the client copy.',
+            security: secured,
+            requestBody: body({
+                type: 'object',
+                properties: {
+                    syncToken: { ...nullableString, description: 'syncToken of the previous response' },
+                    operations: { type: 'array', maxItems: 200, items: ref('SyncOperation') }
+                }
+            }),
+            responses: {
+                200: json(v1({
+                    syncToken: { type: 'string' },
+                    full: { type: 'boolean' },
+                    results: { type: 'array', items: ref('SyncResult') },
+                    changes: { type: 'array', items: ref('SyncChange') }
+                }, ['syncToken', 'full', 'results', 'changes']))
+            }
+        }
+    })
+};
+
+const activityParams = [
+    queryParam('action', activityAction, 'Only this action'),
+    queryParam('targetType', { type: 'string', enum: ['category', 'list', 'item'] }, 'Only changes to this kind of target'),
+    queryParam('actorId', ref('ObjectId'), 'Only changes made by this user'),
+    queryParam('from', { type: 'string' }, 'Made at or after (ISO 8601 date or date-time)'),
+    queryParam('to', { type: 'string' }, 'Made at or before (ISO 8601 date or date-time)'),
+    queryParam('limit', { type: 'integer', minimum: 1, maximum: 100 }, 'Entries per page (default 50)'),
+    queryParam('cursor', { type: 'string', maxLength: 200 }, 'page.nextCursor of the previous page')
+];
+const activityPage = v1({
+    data: { type: 'array', items: ref('ActivityEntry') },
+    page: { type: 'object', properties: { limit: { type: 'integer' }, nextCursor: nullableString } }
+}, ['data', 'page']);
+
+const activityPaths = {
+    '/activity': operations('Activity', v1Errors, {
+        get: {
+            summary: 'Changes to everything the user could see at the time, newest first',
+            security: secured,
+            parameters: [
+                ...activityParams,
+                queryParam('categoryId', ref('ObjectId'), 'Only this category and its lists'),
+                queryParam('listId', ref('ObjectId'), 'Only this list and its items')
+            ],
+            responses: { 200: json(activityPage) }
+        }
+    }),
+    '/lists/{listId}/activity': operations('Activity', v1Errors, {
+        get: {
+            summary: 'Changes to a list and its items, newest first',
+            security: secured,
+            parameters: [listId, ...activityParams],
+            responses: { 200: json(activityPage) }
+        }
+    })
+};
+
+const pantryPaths = {
+    '/pantry': operations('Pantry', v1Errors, {
+        get: {
+            summary: 'Pantry stock of the user',
+            security: secured,
+            responses: { 200: json(v1({ data: { type: 'array', items: ref('PantryItem') } }, ['data'])) }
+        },
+        post: {
+            summary: 'Add stock, merging into the entry with the same name',
+            security: secured,
+            requestBody: body({
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: nameInput,
+                    quantity: { type: 'number', minimum: 0 },
+                    unit: { type: 'string', maxLength: 30 },
+                    ...pantrySettings
+                }
+            }),
+            responses: { 200: json(pantryResult), 201: json(pantryResult, 'Created') }
+        }
+    }),
+    '/pantry/expiring': operations('Pantry', v1Errors, {
+        get: {
+            summary: 'Stock expiring soon, already expired stock included',
+            security: secured,
+            parameters: [queryParam('days', { type: 'integer', minimum: 0, maximum: 365 }, 'Days ahead to look (default 3)')],
+            responses: { 200: json(v1({ data: { type: 'array', items: ref('PantryItem') } }, ['data'])) }
+        }
+    }),
+    '/pantry/{pantryItemId}': operations('Pantry', v1Errors, {
+        patch: {
+            summary: 'Set the quantity, unit, best-before date or restock settings (null clears)',
+            security: secured,
+            parameters: [pantryItemId],
+            requestBody: body({
+                type: 'object',
+                properties: {
+                    quantity: { type: 'number', minimum: 0 },
+                    unit: { type: 'string', minLength: 1, maxLength: 30 },
+                    ...pantrySettings
+                }
+            }),
+            responses: { 200: json(pantryResult) }
+        },
+        delete: {
+            summary: 'Remove an entry',
+            security: secured,
+            parameters: [pantryItemId],
+            responses: { 200: json(message) }
+        }
+    }),
+    '/pantry/{pantryItemId}/consume': operations('Pantry', v1Errors, {
+        post: {
+            summary: 'Use up stock; restocks the chosen list when it drops below the minimum',
+            security: secured,
+            parameters: [pantryItemId],
+            requestBody: body({
+                type: 'object',
+                required: ['quantity'],
+                properties: { quantity: { type: 'number', minimum: 0 }, unit: { type: 'string', maxLength: 30 } }
+            }),
+            responses: { 200: json(pantryResult) }
+        }
+    })
+};
+
+const catalogItemId = idParam('catalogItemId', 'Catalog item id');
+const catalogPaths = {
+    '/catalog': operations('Catalog', v1Errors, {
+        get: {
+            summary: 'Every item the user has added, by name',
+            security: secured,
+            responses: { 200: json(v1({ data: { type: 'array', items: ref('CatalogItem') } }, ['data'])) }
+        }
+    }),
+    '/catalog/suggest': operations('Catalog', v1Errors, {
+        get: {
+            summary: 'Complete an item name from the catalog, forgiving small typos',
+            security: secured,
+            parameters: [
+                { ...queryParam('q', { type: 'string', minLength: 1, maxLength: 100 }, 'What was typed so far'), required: true },
+                queryParam('categoryId', ref('ObjectId'), 'Prefer items last added in this category'),
+                queryParam('limit', { type: 'integer', minimum: 1, maximum: 50 }, 'Suggestions (default 10)')
+            ],
+            responses: { 200: json(v1({ data: { type: 'array', items: ref('CatalogItem') } }, ['data'])) }
+        }
+    }),
+    '/catalog/{catalogItemId}': operations('Catalog', v1Errors, {
+        patch: {
+            summary: 'Rename an item (the old spelling stays an alias) or set its default unit, quantity or category',
+            security: secured,
+            parameters: [catalogItemId],
+            requestBody: body({
+                type: 'object',
+                properties: {
+                    name: nameInput,
+                    unit: { type: 'string', minLength: 1, maxLength: 30 },
+                    quantity: { type: 'number', minimum: 0 },
+                    categoryId: { type: 'string', pattern: '^[a-fA-F0-9]{24}$', nullable: true }
+                }
+            }),
+            responses: { 200: json(v1({ data: ref('CatalogItem') }, ['data'])) }
+        },
+        delete: {
+            summary: 'Forget an item',
+            security: secured,
+            parameters: [catalogItemId],
+            responses: { 200: json(message) }
+        }
+    })
+};
+
+const memberPaths = (path, param, label) => ({
+    [`${path}/{${param.name}}/members`]: operations('Sharing', v1Errors, {
+        get: {
+            summary: `Owner and members of a ${label}`,
+            security: secured,
+            parameters: [param],
+            responses: { 200: json(v1({ data: { type: 'array', items: ref('MemberView') } }, ['data'])) }
+        },
+        post: {
+            summary: `Invite a registered user to a ${label} (owner only)`,
+            security: secured,
+            parameters: [param],
+            requestBody: body({
+                type: 'object',
+                required: ['identifier'],
+                properties: {
+                    identifier: { type: 'string', description: 'Username or email' },
+                    role: { type: 'string', enum: ['viewer', 'editor'] }
+                }
+            }),
+            responses: {
+                200: json(v1({ data: { type: 'array', items: ref('MemberView') } }, ['data']), 'Role updated'),
+                201: json(v1({ data: { type: 'array', items: ref('MemberView') } }, ['data']), 'Member added')
+            }
+        }
+    }),
+    [`${path}/{${param.name}}/members/{memberId}`]: operations('Sharing', v1Errors, {
+        patch: {
+            summary: `Change a member's role on a ${label}`,
+            security: secured,
+            parameters: [param, memberId],
+            requestBody: body({ type: 'object', required: ['role'], properties: { role: { type: 'string', enum: ['viewer', 'editor'] } } }),
+            responses: { 200: json(v1({ data: { type: 'array', items: ref('MemberView') } }, ['data'])) }
+        },
+        delete: {
+            summary: `Revoke access to a ${label}, or leave it`,
+            security: secured,
+            parameters: [param, memberId],
+            responses: { 200: json(message) }
+        }
+    }),
+    [`${path}/{${param.name}}/transfer`]: operations('Sharing', v1Errors, {
+        post: {
+            summary: `Hand a ${label} over to another user`,
+            security: secured,
+            parameters: [param],
+            requestBody: body({ type: 'object', required: ['identifier'], properties: { identifier: { type: 'string' } } }),
+            responses: { 200: json(v1({ data: { type: 'object' } }, ['data'])) }
+        }
+    })
+});
+
+const featurePaths = {
+    ...memberPaths('/lists', listId, 'list'),
+    ...memberPaths('/categories', categoryId, 'category'),
+    '/lists/{listId}/budget': operations('Budgets', v1Errors, {
+        patch: {
+            summary: 'Set or clear the budget of a list',
+            security: secured,
+            parameters: [listId],
+            requestBody: body(ref('SpendLimit')),
+            responses: { 200: json(v1({ data: ref('ListWithTotals') }, ['data'])) }
+        }
+    }),
+    '/categories/{categoryId}/budget': operations('Budgets', v1Errors, {
+        patch: {
+            summary: 'Set or clear the budget of a category',
+            security: secured,
+            parameters: [categoryId],
+            requestBody: body(ref('SpendLimit')),
+            responses: {
+                200: json(v1({
+                    data: { allOf: [ref('Category'), { type: 'object', properties: { totals: ref('CategoryTotals') } }] }
+                }, ['data']))
+            }
+        }
+    }),
+    '/lists/{listId}/suggestions': operations('Suggestions', v1Errors, {
+        get: {
+            summary: 'Items that are probably due for a restock',
+            security: secured,
+            parameters: [listId, queryParam('limit', { type: 'integer', minimum: 1 }, 'Maximum number of suggestions')],
+            responses: { 200: json(v1({ data: { type: 'array', items: ref('Suggestion') } }, ['data'])) }
+        }
+    }),
+    '/lists/{listId}/suggestions/accept': operations('Suggestions', v1Errors, {
+        post: {
+            summary: 'Add accepted suggestions to the list',
+            security: secured,
+            parameters: [listId],
+            requestBody: body({
+                type: 'object',
+                required: ['items'],
+                properties: { items: ref('ItemEntries'), allowOverBudget: { type: 'boolean' } }
+            }),
+            responses: { 200: json(listUpdateResult) }
+        }
+    }),
+    '/lists/{listId}/items/order': operations('Shopping', v1Errors, {
+        put: {
+            summary: 'Reorder items; items not named keep their order after the named ones',
+            security: secured,
+            parameters: [listId],
+            requestBody: body({
+                type: 'object',
+                required: ['itemIds'],
+                properties: { itemIds: { type: 'array', minItems: 1, maxItems: 500, items: ref('ObjectId') } }
+            }),
+            responses: { 200: json(v1({ data: ref('ListWithTotals') }, ['data'])) }
+        }
+    }),
+    '/lists/{listId}/items/{itemId}/position': operations('Shopping', v1Errors, {
+        patch: {
+            summary: 'Move one item to a position (0 = top)',
+            security: secured,
+            parameters: [listId, itemId],
+            requestBody: body({ type: 'object', required: ['position'], properties: { position: { type: 'integer', minimum: 0 } } }),
+            responses: { 200: json(v1({ data: ref('ListWithTotals') }, ['data'])) }
+        }
+    }),
+    '/lists/{listId}/shopping': operations('Shopping', v1Errors, {
+        get: {
+            summary: 'Shopping mode: unchecked items grouped by aisle in store order',
+            security: secured,
+            parameters: [listId, queryParam('store', { type: 'string' }, 'Store whose aisle order to use (default: the store most items name)')],
+            responses: { 200: json(v1({ data: ref('ShoppingView') }, ['data'])) }
+        }
+    }),
+    '/stores/aisles': operations('Shopping', v1Errors, {
+        get: {
+            summary: 'Saved aisle orders of the user',
+            security: secured,
+            responses: { 200: json(v1({ data: { type: 'array', items: ref('StoreLayout') } }, ['data'])) }
+        },
+        put: {
+            summary: 'Create or replace the aisle order of a store',
+            security: secured,
+            requestBody: body({
+                type: 'object',
+                required: ['store', 'aisles'],
+                properties: {
+                    store: { type: 'string', minLength: 1, maxLength: 100 },
+                    aisles: { type: 'array', maxItems: 100, items: { type: 'string', maxLength: 50 } }
+                }
+            }),
+            responses: { 200: json(v1({ data: ref('StoreLayout') }, ['data'])) }
+        }
+    }),
+    '/stores/aisles/{layoutId}': operations('Shopping', v1Errors, {
+        delete: {
+            summary: 'Forget the aisle order of a store',
+            security: secured,
+            parameters: [idParam('layoutId', 'Store layout id')],
+            responses: { 200: json(message) }
+        }
+    }),
+    ...pantryPaths,
+    ...recipePaths,
+    ...trashPaths,
+    ...searchPaths,
+    ...syncPaths,
+    ...activityPaths,
+    ...catalogPaths,
+    '/items/parse': operations('Items (v1)', v1Errors, {
+        post: {
+            summary: 'Preview how quick-add text is parsed',
+            security: secured,
+            requestBody: body({ type: 'object', required: ['text'], properties: { text: { type: 'string', maxLength: 10000 } } }),
+            responses: {
+                200: json(v1({
+                    data: {
+                        type: 'object',
+                        properties: {
+                            items: { type: 'array', items: ref('ParsedItem') },
+                            unparsed: { type: 'array', items: ref('UnparsedEntry') }
+                        }
+                    }
+                }, ['data']))
+            }
+        }
+    })
+};
+
+
+// ========================
+// /api/v2
+// ========================
+const spendLimitChanges = { allOf: [ref('SpendLimit'), { type: 'object', properties: { name: nameInput } }] };
+const itemsMeta = 'meta: { added, merged, overBudget, totals }';
+
+const v2Paths = {
+    '/v2/categories': operations('Categories', v2Errors, {
+        get: {
+            summary: 'Categories the user owns or can see, optionally sorted and paged (meta.page)',
+            security: secured,
+            parameters: pageParams,
+            responses: { 200: json(v2(categoryPage)) }
+        },
+        post: {
+            summary: 'Create a category',
+            security: secured,
+            requestBody: body({ allOf: [ref('SpendLimit'), { type: 'object', required: ['name'], properties: { name: nameInput } }] }),
+            responses: { 201: json(v2(ref('CategoryView')), 'Created') }
+        }
+    }),
+    '/v2/categories/{categoryId}': operations('Categories', v2Errors, {
+        get: {
+            summary: 'One category',
+            security: secured,
+            parameters: [categoryId],
+            responses: { 200: json(v2(ref('CategoryView'))) }
+        },
+        patch: {
+            summary: 'Rename a category or change its budget',
+            security: secured,
+            parameters: [categoryId],
+            requestBody: body(spendLimitChanges),
+            responses: { 200: json(v2(ref('CategoryView'))) }
+        },
+        delete: {
+            summary: 'Move a category and its lists to the trash (owner only)',
+            security: secured,
+            parameters: [categoryId],
+            responses: noContent
+        }
+    }),
+    '/v2/categories/{categoryId}/lists': operations('Lists', v2Errors, {
+        get: {
+            summary: 'Lists of a category the user can see, optionally sorted and paged (meta.page)',
+            security: secured,
+            parameters: [categoryId, ...pageParams],
+            responses: { 200: json(v2(listPage)) }
+        },
+        post: {
+            summary: 'Create a list with items',
+            security: secured,
+            parameters: [categoryId],
+            requestBody: body({
+                allOf: [ref('SpendLimit'), {
+                    type: 'object',
+                    required: ['name', 'items'],
+                    properties: { name: nameInput, items: ref('ItemEntries') }
+                }]
+            }),
+            responses: { 201: json(v2(ref('ListView')), 'Created') }
+        }
+    }),
+    '/v2/categories/{categoryId}/lists/{listId}': operations('Lists', v2Errors, {
+        get: {
+            summary: 'One list with its items',
+            security: secured,
+            parameters: [categoryId, listId],
+            responses: { 200: json(v2(ref('ListView'))) }
+        },
+        patch: {
+            summary: 'Rename a list or change its budget',
+            security: secured,
+            parameters: [categoryId, listId],
+            requestBody: body({ allOf: [spendLimitChanges, { type: 'object', properties: { baseRevision } }] }),
+            responses: { 200: json(v2(ref('ListView'))) }
+        },
+        delete: {
+            summary: 'Move a list to the trash (owner only)',
+            security: secured,
+            parameters: [categoryId, listId],
+            responses: noContent
+        }
+    }),
+    '/v2/categories/{categoryId}/lists/{listId}/items': operations('Items', v2Errors, {
+        get: {
+            summary: 'Items of a list in list order, or one page of them (meta.totals, meta.page.nextCursor)',
+            security: secured,
+            parameters: [categoryId, listId, ...itemPageParams],
+            responses: { 200: json(v2({ type: 'array', items: ref('Item') })) }
+        },
+        post: {
+            summary: `Add items, merging same-name items (${itemsMeta})`,
+            security: secured,
+            parameters: [categoryId, listId],
+            requestBody: body({
+                type: 'object',
+                required: ['items'],
+                properties: { items: ref('ItemEntries'), allowOverBudget: { type: 'boolean' }, baseRevision }
+            }),
+            responses: { 200: json(v2({ type: 'array', items: ref('Item') })) }
+        }
+    }),
+    '/v2/categories/{categoryId}/lists/{listId}/items/{itemId}': operations('Items', v2Errors, {
+        patch: {
+            summary: 'Change any field of an item, including isCompleted',
+            security: secured,
+            parameters: [categoryId, listId, itemId],
+            requestBody: body(ref('ItemChanges')),
+            responses: { 200: json(v2(ref('Item'))) }
+        },
+        delete: {
+            summary: 'Move an item to the trash',
+            security: secured,
+            parameters: [categoryId, listId, itemId],
+            responses: noContent
+        }
+    })
+};
+
+
+const openapiDocument = {
+    openapi: '3.0.3',
+    info: {
+        title: 'GrocerySaver API',
+        version: '2.0.0',
+        description: [
+            'Auth, account, category, list and item routes of the GrocerySaver backend.',
+            'The unversioned category/list/item routes are deprecated aliases of /api/v2 and answer with a',
+            'Deprecation header. Analytics, templates, import/export, units and the live event stream are',
+            'not described here yet and are not validated.'
+        ].join(' ')
+    },
+    servers: [{ url: '/api' }],
+    tags: [
+        { name: 'Auth' }, { name: 'Sessions' }, { name: 'Account' },
+        { name: 'Categories' }, { name: 'Lists' }, { name: 'Items' },
+        { name: 'Sharing' }, { name: 'Budgets' }, { name: 'Suggestions' }, { name: 'Shopping' }, { name: 'Pantry' }, { name: 'Recipes' }, { name: 'Trash' }, { name: 'Search' }, { name: 'Sync' }, { name: 'Activity' }, { name: 'Catalog' },
+        { name: 'Categories (v1)' }, { name: 'Lists (v1)' }, { name: 'Items (v1)' }
+    ],
+    paths: { ...authPaths, ...v1Paths, ...featurePaths, ...v2Paths },
+    components: {
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+            refreshCookie: { type: 'apiKey', in: 'cookie', name: 'refreshToken' }
+        },
+        schemas
+    }
+};
+
+
+module.exports = {
+    openapiDocument,
+};
@@ -0,0 +1,226 @@
+// Cursor pagination and sorting for the category and list fetches.
+//
+//   ?sort=name|createdAt|itemCount|completion  &order=asc|desc  &limit=1..100  &cursor=...  &view=full|summary
+//
+// Without limit or cursor everything is returned, sorted, as before. With a limit the response
+// carries page.nextCursor; passing it back returns the next page in the same sort and order.
+// Pages are cut on (sort key, _id), so documents added or removed meanwhile do not shift them.
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+
+const SORTS = ['name', 'createdAt', 'itemCount', 'completion'];
+const ORDERS = ['asc', 'desc'];
+const MAX_PAGE_SIZE = 100;
+
+const pageError = (message) => ({
+    error: { status: 400, code: 'INVALID_CURSOR', body: { status: 'error', message } }
+});
+
+
+// ========================
+// Cursors
+// ========================
+
+const encodeCursor = (page, last) => Buffer.from(JSON.stringify({
+    sort: page.sort,
+    order: page.order,
+    limit: page.limit,
+    value: last._sortKey,
+    id: last._id
+})).toString('base64url');
+
+// The sort key and _id the previous page ended on, typed back from JSON
+const decodeCursor = (cursor) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!SORTS.includes(decoded.sort) || !ORDERS.includes(decoded.order) || !mongoose.isValidObjectId(decoded.id)) {
+            return null;
+        }
+        return {
+            ...decoded,
+            value: decoded.sort === 'createdAt' && decoded.value !== null ? new Date(decoded.value) : decoded.value,
+            id: new mongoose.Types.ObjectId(decoded.id)
+        };
+    } catch (error) {
+        return null;
+    }
+};
+
+
+// ========================
+// Query parameters
+// ========================
+
+const pageFields = () => [
+    query('sort')
+        .optional()
+        .isIn(SORTS).withMessage(`sort must be one of ${SORTS.join(', ')}`),
+    query('order')
+        .optional()
+        .isIn(ORDERS).withMessage('order must be asc or desc'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`),
+    query('cursor')
+        .optional()
+        .isString().withMessage('cursor must be text').bail()
+        .isLength({ min: 1, max: 500 }).withMessage('cursor must be the nextCursor of a previous page'),
+    query('view')
+        .optional()
+        .isIn(['full', 'summary']).withMessage('view must be full or summary')
+];
+
+// Paging options of a request: { sort, order, limit, after, summary }, or { error } for an
+// unreadable cursor. A cursor keeps its sort and order; the limit may change between pages.
+const readPage = (params) => {
+    const summary = params.view === 'summary';
+    const limit = params.limit === undefined ? undefined : parseInt(params.limit, 10);
+
+    if (params.cursor === undefined) {
+        return { page: { sort: params.sort || 'createdAt', order: params.order || 'asc', limit, summary } };
+    }
+
+    const after = decodeCursor(params.cursor);
+    if (!after) return pageError('cursor must be the nextCursor of a previous page');
+    if ((params.sort && params.sort !== after.sort) || (params.order && params.order !== after.order)) {
+        return pageError('cursor was made for a different sort or order');
+    }
+    return { page: { sort: after.sort, order: after.order, limit: limit || after.limit, after, summary } };
+};
+
+const isPaged = (page) => page.limit !== undefined;
+
+
+// ========================
+// Aggregation stages
+// ========================
+
+// itemCount and completedCount of a list document
+const itemCountFields = {
+    itemCount: { $size: '$items' },
+    completedCount: { $size: { $filter: { input: '$items', cond: '$$this.isCompleted' } } }
+};
+
+// Expressions the sorts compare; itemCount and completedCount must be set before.
+// Empty lists count as 0 % complete.
+const SORT_KEYS = {
+    name: { $toLower: '$name' },
+    createdAt: '$createdAt',
+    itemCount: '$itemCount',
+    completion: {
+        $cond: [{ $gt: ['$itemCount', 0] }, { $divide: ['$completedCount', '$itemCount'] }, 0]
+    }
+};
+
+// Sort, skip to the cursor and cut one page (plus one document telling whether more follow)
+const pageStages = (page) => {
+    const direction = page.order === 'desc' ? -1 : 1;
+    const beyond = direction === 1 ? '$gt' : '$lt';
+
+    return [
+        { $addFields: { _sortKey: SORT_KEYS[page.sort] } },
+        ...(page.after ? [{
+            $match: {
+                $or: [
+                    { _sortKey: { [beyond]: page.after.value } },
+                    { _sortKey: page.after.value, _id: { [beyond]: page.after.id } }
+                ]
+            }
+        }] : []),
+        { $sort: { _sortKey: direction, _id: direction } },
+        ...(isPaged(page) ? [{ $limit: page.limit + 1 }] : [])
+    ];
+};
+
+// Rows of one page without their sort keys, and the cursor of the next page (null on the last)
+const takePage = (rows, page) => {
+    const hasMore = isPaged(page) && rows.length > page.limit;
+    const pageRows = hasMore ? rows.slice(0, page.limit) : rows;
+    const nextCursor = hasMore ? encodeCursor(page, pageRows[pageRows.length - 1]) : null;
+
+    return {
+        rows: pageRows.map(({ _sortKey, ...row }) => row),
+        nextCursor
+    };
+};
+
+// What the response says about the page (v1: `page`, /api/v2: `meta.page`)
+const describePage = (page, nextCursor) => ({
+    sort: page.sort,
+    order: page.order,
+    ...(isPaged(page) && { limit: page.limit, nextCursor })
+});
+
+
+// ========================
+// Items of one list
+// ========================
+
+// Items stay in list order; ?completed=true|false keeps only checked-off or open ones
+const itemPageFields = () => [
+    query('completed')
+        .optional()
+        .isBoolean({ strict: true }).withMessage('completed must be true or false'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`),
+    query('cursor')
+        .optional()
+        .isString().withMessage('cursor must be text').bail()
+        .isLength({ min: 1, max: 500 }).withMessage('cursor must be the nextCursor of a previous page')
+];
+
+// One page of a list's `items`: { items, nextCursor } or { error }. If the cursor's last item
+// has been removed since, the page starts at its old position.
+const pageItems = (items, params) => {
+    const limit = params.limit === undefined ? MAX_PAGE_SIZE : parseInt(params.limit, 10);
+    const wanted = params.completed === undefined
+        ? () => true
+        : (item) => item.isCompleted === (params.completed === 'true');
+
+    let start = 0;
+    if (params.cursor !== undefined) {
+        let after;
+        try {
+            after = JSON.parse(Buffer.from(params.cursor, 'base64url').toString('utf8'));
+        } catch (error) {
+            after = null;
+        }
+        if (!after || !Number.isInteger(after.position) || after.position < 0) {
+            return pageError('cursor must be the nextCursor of a previous page');
+        }
+        const index = items.findIndex(item => item._id.toString() === after.id);
+        start = index === -1 ? after.position : index + 1;
+    }
+
+    const page = [];
+    let position = start;
+    for (; position < items.length && page.length <= limit; position++) {
+        if (wanted(items[position])) page.push({ item: items[position], position });
+    }
+
+    const hasMore = page.length > limit;
+    const sent = page.slice(0, limit);
+    const last = sent[sent.length - 1];
+    return {
+        items: sent.map(({ item }) => item),
+        nextCursor: hasMore
+            ? Buffer.from(JSON.stringify({ id: last.item._id.toString(), position: last.position })).toString('base64url')
+            : null
+    };
+};
+
+
+module.exports = {
+    SORTS,
+    MAX_PAGE_SIZE,
+    pageFields,
+    readPage,
+    isPaged,
+    itemCountFields,
+    pageStages,
+    takePage,
+    describePage,
+    itemPageFields,
+    pageItems,
+};
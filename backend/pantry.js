@@ -0,0 +1,361 @@
+// Pantry: what is at home. Completed list items can be moved in (see the toggle routes),
+// stock is consumed or adjusted here, and an entry that falls below its minimum is put on
+// its restock list with the same merge rules as /api/updatelist.
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+
+const { authenticateToken } = require('./authenticator');
+const sharing = require('./sharing');
+const units = require('./units');
+const listItems = require('./listItems');
+const { LIMITS, validate, checkIdParams, isObjectId, sendError, nameField, textField } = require('./validation');
+const { itemKey } = require('./DB_Models/itemNames');
+const PantryItem = require('./DB_Models/pantryItem');
+
+checkIdParams(router);
+
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_EXPIRING_DAYS = 3;
+
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+// Same rejection shape as listItems.js: `body` is the response, `code` the /api/v2 error code
+const pantryError = (status, code, message, extra = {}) => ({
+    error: { status, code, body: { status: 'error', message, ...extra } }
+});
+
+const unitConflict = (pantryItem, unit) => pantryError(400, 'UNIT_CONFLICT',
+    `${pantryItem.name} is stocked in ${pantryItem.unit}, which cannot be converted from ${unit}`,
+    { existingUnit: pantryItem.unit, newUnit: unit });
+
+// Entry with low-stock flag and days until its best-before date (negative once expired)
+const describePantryItem = (pantryItem, now = new Date()) => ({
+    ...pantryItem.toObject(),
+    isLow: pantryItem.minQuantity != null && pantryItem.quantity < pantryItem.minQuantity,
+    daysLeft: pantryItem.bestBefore ? Math.floor((pantryItem.bestBefore - now) / DAY) : null
+});
+
+
+// ========================
+// Stock changes
+// ========================
+
+// Add stock, merging into the entry for the same item in any case, accent or plural.
+// The earliest best-before date is kept. Resolves to { error } or { pantryItem, created }.
+const addStock = async (userId, { name, quantity = 1, unit, bestBefore }) => {
+    const nameKey = itemKey(name);
+    const stockUnit = units.canonicalUnit(unit);
+
+    const existing = await PantryItem.findOne({ userId, nameKey });
+    if (!existing) {
+        const pantryItem = await PantryItem.create({ userId, name: name.trim(), nameKey, quantity, unit: stockUnit, bestBefore });
+        return { pantryItem, created: true };
+    }
+
+    const converted = units.convert(quantity, stockUnit, existing.unit);
+    if (converted === null) return unitConflict(existing, stockUnit);
+
+    // Dates of stock that ran out no longer apply
+    if (existing.quantity === 0) existing.bestBefore = undefined;
+    if (bestBefore && (!existing.bestBefore || bestBefore < existing.bestBefore)) {
+        existing.bestBefore = bestBefore;
+    }
+
+    existing.quantity = roundQuantity(existing.quantity + converted);
+    existing.updatedAt = new Date();
+    await existing.save();
+    return { pantryItem: existing, created: false };
+};
+
+// Move a completed list item into the pantry of the user who ticked it. A stock problem
+// (unit conflict) is reported rather than failing the completion.
+const moveToPantry = async (userId, item, bestBefore) => {
+    const result = await addStock(userId, {
+        name: item.name,
+        quantity: item.quantity,
+        unit: item.unit,
+        bestBefore: bestBefore ? new Date(bestBefore) : undefined
+    });
+    if (result.error) {
+        return { added: false, reason: result.error.code, message: result.error.body.message };
+    }
+    return { added: true, pantryItem: describePantryItem(result.pantryItem) };
+};
+
+// Put the entry on its restock list when it fell below its minimum. Resolves to a summary
+// for the response, or null when no restock rule applies.
+const restockIfLow = async (pantryItem, actorId) => {
+    const { minQuantity, restockListId } = pantryItem;
+    if (minQuantity == null || !restockListId || pantryItem.quantity >= minQuantity) return null;
+
+    const { list, role } = await sharing.findListForUser(restockListId, actorId);
+    if (!list || !sharing.hasRole(role, 'editor')) {
+        return { listId: restockListId, added: false, reason: 'LIST_UNAVAILABLE' };
+    }
+
+    const quantity = pantryItem.restockQuantity || roundQuantity(minQuantity - pantryItem.quantity);
+    const match = list.items.find(item => itemKey(item.name) === pantryItem.nameKey);
+
+    // Still waiting to be bought: do not keep adding to it on every use
+    if (match && !match.isCompleted) {
+        return { listId: list._id, added: false, reason: 'ALREADY_ON_LIST' };
+    }
+
+    // An item already checked off is put back on the list; anything else goes through the
+    // /api/updatelist merge rules (which report unit conflicts and budget overruns)
+    const converted = match ? units.convert(quantity, pantryItem.unit, match.unit) : null;
+    const result = converted !== null
+        ? await listItems.updateListItem(list, match._id, { isCompleted: false, quantity: roundQuantity(converted) }, { actorId })
+        : await listItems.addItemsToList(list, [{ name: pantryItem.name, quantity, unit: pantryItem.unit }], { actorId });
+    if (result.error) {
+        return { listId: list._id, added: false, reason: result.error.code };
+    }
+
+    pantryItem.lastRestockedAt = new Date();
+    await pantryItem.save();
+    return { listId: list._id, added: true, quantity, unit: pantryItem.unit };
+};
+
+// A restock list must be one the user can add items to
+const checkRestockList = async (listId, userId) => {
+    if (listId === null) return null;
+    const { list, role } = await sharing.findListForUser(listId, userId);
+    if (!list || !sharing.hasRole(role, 'editor')) {
+        return pantryError(404, 'LIST_NOT_FOUND', 'Restock list not found');
+    }
+    return null;
+};
+
+// Restock settings present in a request body (null clears a setting)
+const RESTOCK_KEYS = ['minQuantity', 'restockQuantity', 'restockListId'];
+const applySettings = (pantryItem, fields) => {
+    RESTOCK_KEYS.forEach(key => {
+        if (fields[key] !== undefined) pantryItem[key] = fields[key] === null ? undefined : fields[key];
+    });
+    if (fields.bestBefore !== undefined) {
+        pantryItem.bestBefore = fields.bestBefore === null ? undefined : new Date(fields.bestBefore);
+    }
+};
+
+
+// ========================
+// Field rules
+// ========================
+const quantityField = (field, { optional = true } = {}) => {
+    const chain = body(field);
+    return (optional ? chain.optional() : chain.exists({ values: 'null' }).withMessage(`${field} is required`))
+        .isFloat({ min: 0 }).withMessage(`${field} must be a number of 0 or more`).toFloat();
+};
+
+const settingsFields = () => [
+    body('bestBefore')
+        .optional({ values: 'null' })
+        .isISO8601().withMessage('bestBefore must be a date such as 2026-10-31'),
+    body(['minQuantity', 'restockQuantity'])
+        .optional({ values: 'null' })
+        .isFloat({ min: 0 }).withMessage('Minimum and restock quantities must be numbers of 0 or more').toFloat(),
+    body('restockListId')
+        .optional({ values: 'null' })
+        .custom(isObjectId).withMessage('restockListId must be a list id')
+];
+
+// Options of the item completion routes (v1 toggle, v2 item PATCH)
+const completionFields = () => [
+    body('addToPantry')
+        .optional()
+        .isBoolean({ strict: true }).withMessage('addToPantry must be true or false'),
+    body('bestBefore')
+        .optional({ values: 'null' })
+        .isISO8601().withMessage('bestBefore must be a date such as 2026-10-31')
+];
+
+const sendRejection = (res, { status, body: response }) => res.status(status).json(response);
+
+
+// ========================
+// 1. PANTRY CONTENTS
+// ========================
+router.get('/pantry', authenticateToken, async (req, res) => {
+    try {
+        const pantryItems = await PantryItem.find({ userId: req.user.userId }).sort({ nameKey: 1 });
+        const now = new Date();
+
+        res.status(200).json({ status: 'success', data: pantryItems.map(item => describePantryItem(item, now)) });
+    } catch (error) {
+        console.error('Error fetching pantry:', error);
+        res.status(500).json({ status: 'error', message: 'Error fetching pantry' });
+    }
+});
+
+// Stock that expires within ?days= days (default 3), already expired stock included
+router.get('/pantry/expiring', authenticateToken, validate(
+    query('days')
+        .optional()
+        .isInt({ min: 0, max: 365 }).withMessage('days must be a whole number from 0 to 365').toInt()
+), async (req, res) => {
+    try {
+        const days = req.query.days === undefined ? DEFAULT_EXPIRING_DAYS : req.query.days;
+        const now = new Date();
+
+        const pantryItems = await PantryItem.find({
+            userId: req.user.userId,
+            quantity: { $gt: 0 },
+            bestBefore: { $lte: new Date(now.getTime() + days * DAY) }
+        }).sort({ bestBefore: 1 });
+
+        res.status(200).json({ status: 'success', data: pantryItems.map(item => describePantryItem(item, now)) });
+    } catch (error) {
+        console.error('Error fetching expiring pantry items:', error);
+        res.status(500).json({ status: 'error', message: 'Error fetching expiring pantry items' });
+    }
+});
+
+
+// ========================
+// 2. ADD STOCK
+// ========================
+router.post('/pantry', authenticateToken, validate(
+    nameField('name', 'Item name'),
+    quantityField('quantity'),
+    textField('unit', 'Unit', LIMITS.unit, { optional: true }),
+    settingsFields()
+), async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { name, quantity, unit } = req.body;
+
+        const listError = req.body.restockListId !== undefined && await checkRestockList(req.body.restockListId, userId);
+        if (listError) return sendRejection(res, listError.error);
+
+        const bestBefore = req.body.bestBefore ? new Date(req.body.bestBefore) : undefined;
+        const { pantryItem, created, error } = await addStock(userId, { name, quantity, unit, bestBefore });
+        if (error) return sendRejection(res, error);
+
+        applySettings(pantryItem, { ...req.body, bestBefore: undefined });
+        await pantryItem.save();
+        const restock = await restockIfLow(pantryItem, userId);
+
+        res.status(created ? 201 : 200).json({
+            status: 'success',
+            message: created ? 'Added to pantry' : 'Pantry stock updated',
+            data: describePantryItem(pantryItem),
+            ...(restock && { restock })
+        });
+    } catch (error) {
+        console.error('Error adding pantry stock:', error);
+        res.status(500).json({ status: 'error', message: 'Error adding pantry stock' });
+    }
+});
+
+
+// ========================
+// 3. ADJUST AN ENTRY (absolute quantity, unit, dates and restock settings)
+// ========================
+router.patch('/pantry/:pantryItemId', authenticateToken, validate(
+    quantityField('quantity'),
+    textField('unit', 'Unit', LIMITS.unit, { optional: true }),
+    settingsFields()
+), async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const pantryItem = await PantryItem.findOne({ _id: req.params.pantryItemId, userId });
+        if (!pantryItem) {
+            return sendError(res, 404, 'Pantry item not found', { code: 'PANTRY_ITEM_NOT_FOUND' });
+        }
+
+        const listError = req.body.restockListId !== undefined && await checkRestockList(req.body.restockListId, userId);
+        if (listError) return sendRejection(res, listError.error);
+
+        // A new unit restates the stock when the units convert, otherwise it is just relabelled
+        if (req.body.unit !== undefined) {
+            const newUnit = units.canonicalUnit(req.body.unit);
+            const converted = units.convert(pantryItem.quantity, pantryItem.unit, newUnit);
+            if (converted !== null) pantryItem.quantity = roundQuantity(converted);
+            pantryItem.unit = newUnit;
+        }
+        if (req.body.quantity !== undefined) pantryItem.quantity = req.body.quantity;
+        applySettings(pantryItem, req.body);
+        pantryItem.updatedAt = new Date();
+        await pantryItem.save();
+
+        const restock = await restockIfLow(pantryItem, userId);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Pantry item updated',
+            data: describePantryItem(pantryItem),
+            ...(restock && { restock })
+        });
+    } catch (error) {
+        console.error('Error updating pantry item:', error);
+        res.status(500).json({ status: 'error', message: 'Error updating pantry item' });
+    }
+});
+
+
+// ========================
+// 4. CONSUME STOCK
+// ========================
+router.post('/pantry/:pantryItemId/consume', authenticateToken, validate(
+    quantityField('quantity', { optional: false }),
+    textField('unit', 'Unit', LIMITS.unit, { optional: true })
+), async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const pantryItem = await PantryItem.findOne({ _id: req.params.pantryItemId, userId });
+        if (!pantryItem) {
+            return sendError(res, 404, 'Pantry item not found', { code: 'PANTRY_ITEM_NOT_FOUND' });
+        }
+
+        const unit = req.body.unit === undefined ? pantryItem.unit : units.canonicalUnit(req.body.unit);
+        const used = units.convert(req.body.quantity, unit, pantryItem.unit);
+        if (used === null) return sendRejection(res, unitConflict(pantryItem, unit).error);
+
+        pantryItem.quantity = Math.max(0, roundQuantity(pantryItem.quantity - used));
+        if (pantryItem.quantity === 0) pantryItem.bestBefore = undefined;
+        pantryItem.updatedAt = new Date();
+        await pantryItem.save();
+
+        const restock = await restockIfLow(pantryItem, userId);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Pantry stock used',
+            data: describePantryItem(pantryItem),
+            ...(restock && { restock })
+        });
+    } catch (error) {
+        console.error('Error consuming pantry stock:', error);
+        res.status(500).json({ status: 'error', message: 'Error consuming pantry stock' });
+    }
+});
+
+
+// ========================
+// 5. REMOVE AN ENTRY
+// ========================
+router.delete('/pantry/:pantryItemId', authenticateToken, async (req, res) => {
+    try {
+        const deleted = await PantryItem.findOneAndDelete({ _id: req.params.pantryItemId, userId: req.user.userId });
+        if (!deleted) {
+            return sendError(res, 404, 'Pantry item not found', { code: 'PANTRY_ITEM_NOT_FOUND' });
+        }
+
+        res.status(200).json({ status: 'success', message: 'Pantry item removed' });
+    } catch (error) {
+        console.error('Error removing pantry item:', error);
+        res.status(500).json({ status: 'error', message: 'Error removing pantry item' });
+    }
+});
+
+
+module.exports = {
+    router,
+    addStock,
+    moveToPantry,
+    completionFields,
+    restockIfLow,
+    describePantryItem,
+};
@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+
+const { authenticateToken, isSessionActive } = require('./authenticator');
+const sharing = require('./sharing');
+const { checkIdParams } = require('./validation');
+
+checkIdParams(router);
+
+
+// listId -> Set of open Server-Sent Events responses
+const subscribers = new Map();
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+
+// EventSource cannot send an Authorization header, so the stream also accepts
+// the access token as ?token=... and then runs the usual authenticateToken checks.
+// app.js keeps the token out of the request log.
+const authenticateStream = (req, res, next) => {
+    if (!req.headers['authorization'] && req.query.token) {
+        req.headers['authorization'] = `Bearer ${req.query.token}`;
+    }
+    return authenticateToken(req, res, next);
+};
+
+const writeEvent = (res, type, data) => {
+    res.write(`event: ${type}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// Plain item snapshot so clients can patch their state without refetching the list
+const serializeItem = (item) => (item && typeof item.toObject === 'function' ? item.toObject() : item);
+
+// Push an event to every client currently viewing the list
+const publishListEvent = (listId, type, payload = {}) => {
+    const clients = subscribers.get(listId.toString());
+    if (!clients || clients.size === 0) return;
+
+    const event = {
+        type,
+        listId: listId.toString(),
+        ...payload,
+        ...(payload.item && { item: serializeItem(payload.item) }),
+        at: new Date().toISOString()
+    };
+
+    for (const res of clients) {
+        writeEvent(res, type, event);
+    }
+};
+
+// Convenience wrappers used by the item routes in server.js
+const itemAdded = (listId, item, actorId) => publishListEvent(listId, 'item-added', { item, actorId });
+const itemUpdated = (listId, item, actorId) => publishListEvent(listId, 'item-updated', { item, actorId });
+const itemToggled = (listId, item, actorId) => publishListEvent(listId, 'item-toggled', { item, actorId });
+const itemDeleted = (listId, itemId, actorId) => publishListEvent(listId, 'item-deleted', { itemId, actorId });
+const listDeleted = (listId, actorId) => publishListEvent(listId, 'list-deleted', { actorId });
+const itemsReordered = (listId, itemIds, actorId) => publishListEvent(listId, 'items-reordered', { itemIds, actorId });
+
+
+// ========================
+// SUBSCRIBE TO LIST CHANGES (Server-Sent Events)
+// ========================
+router.get('/lists/:listId/events', authenticateStream, async (req, res) => {
+    const { listId } = req.params;
+
+    try {
+        const { list, role } = await sharing.findListForUser(listId, req.user.userId);
+        if (!list || !role) {
+            return res.status(404).json({ status: 'error', message: 'List not found' });
+        }
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const key = list._id.toString();
+        if (!subscribers.has(key)) subscribers.set(key, new Set());
+        subscribers.get(key).add(res);
+
+        writeEvent(res, 'connected', { listId: key, role });
+
+        const unsubscribe = () => {
+            clearInterval(heartbeat);
+            const clients = subscribers.get(key);
+            if (clients) {
+                clients.delete(res);
+                if (clients.size === 0) subscribers.delete(key);
+            }
+        };
+
+        // Comment lines keep proxies from closing an idle stream. Each beat also checks the
+        // session the stream was opened with, and ends the stream once it has been signed out.
+        const heartbeat = setInterval(async () => {
+            try {
+                if (await isSessionActive(req.user.sessionId)) return res.write(': heartbeat\n\n');
+            } catch (error) {
+                console.error('Error checking event stream session:', error);
+                return res.write(': heartbeat\n\n');
+            }
+            writeEvent(res, 'session-ended', { listId: key });
+            unsubscribe();
+            res.end();
+        }, HEARTBEAT_INTERVAL);
+
+        req.on('close', unsubscribe);
+    } catch (error) {
+        console.error('Error opening list event stream:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ status: 'error', message: 'Error opening event stream' });
+        }
+    }
+});
+
+
+module.exports = {
+    router,
+    publishListEvent,
+    itemAdded,
+    itemUpdated,
+    itemToggled,
+    itemDeleted,
+    listDeleted,
+    itemsReordered,
+};
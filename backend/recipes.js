@@ -0,0 +1,487 @@
+// Recipes, the meal-plan calendar, and shopping lists generated from a stretch of the plan.
+// Ingredients of every planned meal are scaled to its servings, added up, reduced by what
+// the pantry already holds, and merged into a list with the /api/updatelist rules.
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+
+const { authenticateToken } = require('./authenticator');
+const sharing = require('./sharing');
+const units = require('./units');
+const listItems = require('./listItems');
+const { withListTotals } = require('./budget');
+const { LIMITS, validate, checkIdParams, isObjectId, sendError, nameField, itemsField } = require('./validation');
+const List = require('./DB_Models/list');
+const Recipe = require('./DB_Models/recipe');
+const MealPlanEntry = require('./DB_Models/mealPlanEntry');
+const PantryItem = require('./DB_Models/pantryItem');
+const { itemKey } = require('./DB_Models/itemNames');
+
+checkIdParams(router);
+
+
+const DAY = 24 * 60 * 60 * 1000;
+const MEALS = ['breakfast', 'lunch', 'dinner', 'snack'];
+const MAX_SERVINGS = 100;
+const MAX_PLAN_DAYS = 92;       // longest stretch of the plan read or shopped for at once
+
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+// Plan days are calendar dates (YYYY-MM-DD) stored as UTC midnight
+const dayStart = (date) => new Date(`${date}T00:00:00.000Z`);
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Same rejection shape as listItems.js: `body` is the response, `code` the /api/v2 error code
+const recipeError = (status, code, message, extra = {}) => ({
+    error: { status, code, body: { status: 'error', message, ...extra } }
+});
+
+const sendRejection = (res, { status, body: response }) => res.status(status).json(response);
+
+
+// ========================
+// Ingredients
+// ========================
+
+// Ingredients may be objects or quick-add text ("500 g pasta, 2 onions"), like list items.
+// Resolves to { error } or { ingredients }.
+const parseIngredients = (rawIngredients) => {
+    const { items, unparsed } = listItems.expandItems(rawIngredients);
+    if (unparsed.length > 0) {
+        return { error: listItems.unparsedError(unparsed) };
+    }
+
+    // Recipes carry no prices or completion state
+    const formatted = items.map(({ name, quantity, unit }) => listItems.formatItem({ name, quantity, unit }));
+    if (formatted.some(item => !item)) {
+        return recipeError(400, 'INVALID_ITEM', 'One or more ingredients have invalid format.');
+    }
+    return { ingredients: formatted.map(({ name, quantity, unit }) => ({ name, quantity, unit })) };
+};
+
+// Ingredients of a recipe for another number of servings
+const scaleRecipe = (recipe, servings) => {
+    const factor = servings / (recipe.servings || 1);
+    return recipe.ingredients.map(({ name, quantity, unit }) => ({ name, quantity: roundQuantity(quantity * factor), unit }));
+};
+
+// Add up ingredients of the same item (any case, accent or plural) in convertible units, into
+// the unit seen first. The same item in units that cannot be compared stays separate; merging
+// into the list reports it as a unit conflict.
+const addUpIngredients = (ingredients) => {
+    const totals = [];
+    ingredients.forEach(({ name, quantity, unit }) => {
+        const key = itemKey(name);
+        const match = totals.find(total => total.key === key && units.canConvert(unit, total.unit));
+        if (match) {
+            match.quantity = roundQuantity(match.quantity + units.convert(quantity, unit, match.unit));
+        } else {
+            totals.push({ key, name, quantity, unit });
+        }
+    });
+    return totals.map(({ key, ...ingredient }) => ingredient);
+};
+
+// Take what the pantry holds off the ingredients. Stock in a unit that does not convert is
+// ignored. Returns { needed, fromPantry }.
+const subtractPantry = (ingredients, pantryItems) => {
+    const stock = new Map(pantryItems.map(item => [item.nameKey, { quantity: item.quantity, unit: item.unit }]));
+    const needed = [];
+    const fromPantry = [];
+
+    ingredients.forEach(ingredient => {
+        const held = stock.get(itemKey(ingredient.name));
+        const available = held && held.quantity > 0 ? units.convert(held.quantity, held.unit, ingredient.unit) : null;
+        if (!available) {
+            needed.push(ingredient);
+            return;
+        }
+
+        const used = roundQuantity(Math.min(available, ingredient.quantity));
+        held.quantity = roundQuantity(held.quantity - units.convert(used, ingredient.unit, held.unit));
+        fromPantry.push({ ...ingredient, quantity: used });
+
+        const remaining = roundQuantity(ingredient.quantity - used);
+        if (remaining > 0) needed.push({ ...ingredient, quantity: remaining });
+    });
+
+    return { needed, fromPantry };
+};
+
+// Scaled and added-up ingredients of every meal planned from `from` to `to` (inclusive)
+const planIngredients = async (userId, from, to) => {
+    const entries = await MealPlanEntry.find({ userId, date: { $gte: from, $lte: to } }).sort({ date: 1 });
+    const recipes = await Recipe.find({ _id: { $in: entries.map(entry => entry.recipeId) }, userId });
+    const recipeById = new Map(recipes.map(recipe => [recipe._id.toString(), recipe]));
+
+    const scaled = [];
+    let meals = 0;
+    entries.forEach(entry => {
+        const recipe = recipeById.get(entry.recipeId.toString());
+        if (!recipe) return;
+        meals++;
+        scaled.push(...scaleRecipe(recipe, entry.servings || recipe.servings));
+    });
+
+    return { meals, ingredients: addUpIngredients(scaled) };
+};
+
+
+// ========================
+// Route helpers
+// ========================
+
+const findOwnRecipe = (recipeId, userId) => Recipe.findOne({ _id: recipeId, userId });
+
+const describeEntry = (entry, recipe) => ({
+    ...entry.toObject(),
+    date: formatDay(entry.date),
+    recipeName: recipe ? recipe.name : null
+});
+
+// Validated { from, to } of a request, or an error message
+const planRange = ({ from, to }) => {
+    const start = dayStart(from);
+    const end = dayStart(to);
+    if (end < start) return { error: '"to" must not be before "from"' };
+    if ((end - start) / DAY >= MAX_PLAN_DAYS) return { error: `A range can span at most ${MAX_PLAN_DAYS} days` };
+    return { from: start, to: end };
+};
+
+// List names are unique per owner: suggest "Meal plan 2026-10-19", then "... (2)"
+const freeListName = async (baseName, ownerId) => {
+    let candidate = baseName;
+    for (let n = 2; await List.exists({ name: candidate, userId: ownerId }); n++) {
+        candidate = `${baseName} (${n})`;
+    }
+    return candidate;
+};
+
+
+// ========================
+// Field rules
+// ========================
+const dayField = (location, field, { optional = false } = {}) => {
+    const chain = location(field);
+    return (optional ? chain.optional() : chain.exists().withMessage(`${field} is required`))
+        .isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage(`${field} must be a date such as 2026-10-31`);
+};
+
+const servingsField = (location, field = 'servings') => location(field)
+    .optional()
+    .isInt({ min: 1, max: MAX_SERVINGS }).withMessage(`Servings must be a whole number from 1 to ${MAX_SERVINGS}`).toInt();
+
+const notesField = () => body('notes')
+    .optional({ values: 'null' })
+    .isString().withMessage('Notes must be text').bail()
+    .isLength({ max: LIMITS.text }).withMessage(`Notes must be at most ${LIMITS.text} characters`);
+
+const recipeFields = ({ optional = false } = {}) => [
+    nameField('name', 'Recipe name', { optional }),
+    servingsField(body),
+    itemsField('ingredients', { optional }),
+    notesField()
+];
+
+const mealField = () => body('meal')
+    .optional()
+    .isIn(MEALS).withMessage(`Meal must be one of ${MEALS.join(', ')}`);
+
+
+// ========================
+// 1. RECIPES
+// ========================
+router.get('/recipes', authenticateToken, async (req, res) => {
+    try {
+        const recipes = await Recipe.find({ userId: req.user.userId }).sort({ name: 1 });
+        res.status(200).json({ status: 'success', data: recipes });
+    } catch (error) {
+        console.error('Error fetching recipes:', error);
+        res.status(500).json({ status: 'error', message: 'Error fetching recipes' });
+    }
+});
+
+// ?servings= returns the ingredients scaled to that many servings
+router.get('/recipes/:recipeId', authenticateToken, validate(
+    servingsField(query)
+), async (req, res) => {
+    try {
+        const recipe = await findOwnRecipe(req.params.recipeId, req.user.userId);
+        if (!recipe) {
+            return sendError(res, 404, 'Recipe not found', { code: 'RECIPE_NOT_FOUND' });
+        }
+
+        const { servings } = req.query;
+        const data = servings === undefined
+            ? recipe
+            : { ...recipe.toObject(), servings, ingredients: scaleRecipe(recipe, servings) };
+
+        res.status(200).json({ status: 'success', data });
+    } catch (error) {
+        console.error('Error fetching recipe:', error);
+        res.status(500).json({ status: 'error', message: 'Error fetching recipe' });
+    }
+});
+
+router.post('/recipes', authenticateToken, validate(
+    recipeFields()
+), async (req, res) => {
+    try {
+        const { name, servings, notes } = req.body;
+
+        const { ingredients, error } = parseIngredients(req.body.ingredients);
+        if (error) return sendRejection(res, error);
+
+        const recipe = await Recipe.create({ userId: req.user.userId, name, servings, ingredients, notes: notes || undefined });
+
+        res.status(201).json({ status: 'success', message: 'Recipe saved', data: recipe });
+    } catch (error) {
+        console.error('Error saving recipe:', error);
+        res.status(500).json({ status: 'error', message: 'Error saving recipe' });
+    }
+});
+
+// Rename, change servings or notes, or replace the ingredients
+router.patch('/recipes/:recipeId', authenticateToken, validate(
+    recipeFields({ optional: true })
+), async (req, res) => {
+    try {
+        const recipe = await findOwnRecipe(req.params.recipeId, req.user.userId);
+        if (!recipe) {
+            return sendError(res, 404, 'Recipe not found', { code: 'RECIPE_NOT_FOUND' });
+        }
+
+        const { name, servings, notes } = req.body;
+        if (req.body.ingredients !== undefined) {
+            const { ingredients, error } = parseIngredients(req.body.ingredients);
+            if (error) return sendRejection(res, error);
+            recipe.ingredients = ingredients;
+        }
+        if (name !== undefined) recipe.name = name;
+        if (servings !== undefined) recipe.servings = servings;
+        if (notes !== undefined) recipe.notes = notes || undefined;
+        recipe.updatedAt = new Date();
+        await recipe.save();
+
+        res.status(200).json({ status: 'success', message: 'Recipe updated', data: recipe });
+    } catch (error) {
+        console.error('Error updating recipe:', error);
+        res.status(500).json({ status: 'error', message: 'Error updating recipe' });
+    }
+});
+
+// Meals planned with the recipe go with it
+router.delete('/recipes/:recipeId', authenticateToken, async (req, res) => {
+    try {
+        const recipe = await Recipe.findOneAndDelete({ _id: req.params.recipeId, userId: req.user.userId });
+        if (!recipe) {
+            return sendError(res, 404, 'Recipe not found', { code: 'RECIPE_NOT_FOUND' });
+        }
+        const { deletedCount } = await MealPlanEntry.deleteMany({ recipeId: recipe._id });
+
+        res.status(200).json({ status: 'success', message: 'Recipe deleted', mealsRemoved: deletedCount });
+    } catch (error) {
+        console.error('Error deleting recipe:', error);
+        res.status(500).json({ status: 'error', message: 'Error deleting recipe' });
+    }
+});
+
+
+// ========================
+// 2. MEAL PLAN (?from=&to=, default: the seven days from today)
+// ========================
+router.get('/meal-plan', authenticateToken, validate(
+    dayField(query, 'from', { optional: true }),
+    dayField(query, 'to', { optional: true })
+), async (req, res) => {
+    try {
+        const from = req.query.from || formatDay(new Date());
+        const to = req.query.to || formatDay(new Date(dayStart(from).getTime() + 6 * DAY));
+        const range = planRange({ from, to });
+        if (range.error) return sendError(res, 400, range.error);
+
+        const entries = await MealPlanEntry.find({
+            userId: req.user.userId,
+            date: { $gte: range.from, $lte: range.to }
+        }).sort({ date: 1, createdAt: 1 });
+        const recipes = await Recipe.find({ _id: { $in: entries.map(entry => entry.recipeId) } }).select('name');
+        const recipeById = new Map(recipes.map(recipe => [recipe._id.toString(), recipe]));
+
+        res.status(200).json({
+            status: 'success',
+            from,
+            to,
+            data: entries.map(entry => describeEntry(entry, recipeById.get(entry.recipeId.toString())))
+        });
+    } catch (error) {
+        console.error('Error fetching meal plan:', error);
+        res.status(500).json({ status: 'error', message: 'Error fetching meal plan' });
+    }
+});
+
+router.post('/meal-plan', authenticateToken, validate(
+    dayField(body, 'date'),
+    body('recipeId').custom(isObjectId).withMessage('recipeId must be a recipe id'),
+    servingsField(body),
+    mealField()
+), async (req, res) => {
+    try {
+        const { date, servings, meal } = req.body;
+        const recipe = await findOwnRecipe(req.body.recipeId, req.user.userId);
+        if (!recipe) {
+            return sendError(res, 404, 'Recipe not found', { code: 'RECIPE_NOT_FOUND' });
+        }
+
+        const entry = await MealPlanEntry.create({ userId: req.user.userId, recipeId: recipe._id, date: dayStart(date), servings, meal });
+
+        res.status(201).json({ status: 'success', message: 'Meal planned', data: describeEntry(entry, recipe) });
+    } catch (error) {
+        console.error('Error planning meal:', error);
+        res.status(500).json({ status: 'error', message: 'Error planning meal' });
+    }
+});
+
+// Move a meal to another day or change its servings or meal; servings null uses the recipe's
+router.patch('/meal-plan/:mealId', authenticateToken, validate(
+    dayField(body, 'date', { optional: true }),
+    body('servings')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: MAX_SERVINGS }).withMessage(`Servings must be a whole number from 1 to ${MAX_SERVINGS}`).toInt(),
+    mealField()
+), async (req, res) => {
+    try {
+        const entry = await MealPlanEntry.findOne({ _id: req.params.mealId, userId: req.user.userId });
+        if (!entry) {
+            return sendError(res, 404, 'Planned meal not found', { code: 'MEAL_NOT_FOUND' });
+        }
+
+        const { date, servings, meal } = req.body;
+        if (date !== undefined) entry.date = dayStart(date);
+        if (servings !== undefined) entry.servings = servings === null ? undefined : servings;
+        if (meal !== undefined) entry.meal = meal;
+        await entry.save();
+
+        const recipe = await Recipe.findById(entry.recipeId).select('name');
+        res.status(200).json({ status: 'success', message: 'Planned meal updated', data: describeEntry(entry, recipe) });
+    } catch (error) {
+        console.error('Error updating planned meal:', error);
+        res.status(500).json({ status: 'error', message: 'Error updating planned meal' });
+    }
+});
+
+router.delete('/meal-plan/:mealId', authenticateToken, async (req, res) => {
+    try {
+        const deleted = await MealPlanEntry.findOneAndDelete({ _id: req.params.mealId, userId: req.user.userId });
+        if (!deleted) {
+            return sendError(res, 404, 'Planned meal not found', { code: 'MEAL_NOT_FOUND' });
+        }
+
+        res.status(200).json({ status: 'success', message: 'Planned meal removed' });
+    } catch (error) {
+        console.error('Error removing planned meal:', error);
+        res.status(500).json({ status: 'error', message: 'Error removing planned meal' });
+    }
+});
+
+
+// ========================
+// 3. SHOPPING LIST FROM THE PLAN
+// Either { listId } to add to an existing list or { categoryId, name? } for a new one.
+// Pantry stock is subtracted unless usePantry is false.
+// ========================
+router.post('/meal-plan/shopping-list', authenticateToken, validate(
+    dayField(body, 'from'),
+    dayField(body, 'to'),
+    body(['listId', 'categoryId'])
+        .optional()
+        .custom(isObjectId).withMessage('listId and categoryId must be ids'),
+    nameField('name', 'List name', { optional: true }),
+    body(['usePantry', 'allowOverBudget'])
+        .optional()
+        .isBoolean({ strict: true }).withMessage('usePantry and allowOverBudget must be true or false')
+), async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { listId, categoryId, usePantry, allowOverBudget } = req.body;
+
+        if (!listId === !categoryId) {
+            return sendError(res, 400, 'Give either listId or categoryId');
+        }
+        const range = planRange(req.body);
+        if (range.error) return sendError(res, 400, range.error);
+
+        const { meals, ingredients } = await planIngredients(userId, range.from, range.to);
+        if (meals === 0) {
+            return sendError(res, 400, 'No meals are planned in this range', { code: 'NO_MEALS_PLANNED' });
+        }
+
+        const pantryItems = usePantry === false ? [] : await PantryItem.find({ userId, quantity: { $gt: 0 } });
+        const { needed, fromPantry } = subtractPantry(ingredients, pantryItems);
+
+        // Target list: an existing one the user can edit, or a new one in the category
+        let list;
+        if (listId) {
+            const found = await sharing.findListForUser(listId, userId);
+            if (!found.list || !found.role) {
+                return sendError(res, 404, 'List not found', { code: 'LIST_NOT_FOUND' });
+            }
+            if (!sharing.hasRole(found.role, 'editor')) {
+                return sendError(res, 403, 'You do not have permission to edit this list');
+            }
+            list = found.list;
+        } else {
+            const { category, role } = await sharing.findCategoryForUser(categoryId, userId);
+            if (!category || !role) {
+                return sendError(res, 404, 'Category not found', { code: 'CATEGORY_NOT_FOUND' });
+            }
+            if (!sharing.hasRole(role, 'editor')) {
+                return sendError(res, 403, 'You do not have permission to add lists to this category');
+            }
+            const name = req.body.name || await freeListName(`Meal plan ${req.body.from}`, category.userId);
+            list = new List({ name, categoryId: category._id, userId: category.userId, items: [] });
+        }
+        const created = list.isNew;
+
+        if (needed.length === 0) {
+            return res.status(200).json({
+                status: 'success',
+                message: 'Everything needed is already in the pantry',
+                meals,
+                fromPantry,
+                ...(!created && { data: withListTotals(list) })
+            });
+        }
+
+        let result;
+        try {
+            result = await listItems.addItemsToList(list, needed, { actorId: userId, allowOverBudget: allowOverBudget === true });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            return sendError(res, 409, 'A list with this name already exists in the selected category.', { code: 'LIST_EXISTS' });
+        }
+        // Unit conflicts or budget overrun, as in /api/updatelist
+        if (result.error) return sendRejection(res, result.error);
+
+        res.status(created ? 201 : 200).json({
+            status: 'success',
+            message: created ? 'Shopping list created from the meal plan' : 'Meal plan added to the list',
+            meals,
+            added: result.addedItems.length,
+            merged: result.mergedItems.length,
+            fromPantry,
+            overBudget: result.overBudget,
+            data: withListTotals(result.list)
+        });
+    } catch (error) {
+        console.error('Error building shopping list from meal plan:', error);
+        res.status(500).json({ status: 'error', message: 'Error building shopping list from meal plan' });
+    }
+});
+
+
+module.exports = {
+    router,
+    scaleRecipe,
+    addUpIngredients,
+    subtractPantry,
+};
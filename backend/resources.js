@@ -0,0 +1,357 @@
+// Category and list operations shared by the v1 routes in server.js and the /api/v2 router.
+// Like listItems.js, rejections resolve to { error: { status, code, body } } where `body` is
+// the v1 response and `code` the /api/v2 error code.
+const mongoose = require('mongoose');
+
+const sharing = require('./sharing');
+const budget = require('./budget');
+const realtime = require('./realtime');
+const listItems = require('./listItems');
+const trash = require('./trash');
+const paging = require('./paging');
+const catalog = require('./catalog');
+const { snapshot, changedFields, recordActivity } = require('./activity');
+const { SPEND_LIMIT_FIELDS, escapeRegex } = require('./validation');
+const Category = require('./DB_Models/category');
+const List = require('./DB_Models/list');
+const { recordChanges } = require('./DB_Models/revisions');
+
+
+// Everything, oldest first: what the fetches return without paging parameters
+const ALL_OLDEST_FIRST = { sort: 'createdAt', order: 'asc', summary: false };
+
+const resourceError = (status, code, message, extra = {}) => ({
+    error: { status, code, body: { status: 'error', message, ...extra } }
+});
+
+// Optional spend limit fields of a create/update payload ({} when none are present)
+const parseSpendLimit = (raw) => {
+    const spendLimit = {};
+    if (raw.budget !== undefined) spendLimit.budget = budget.parseBudget(raw.budget);
+    if (raw.currency !== undefined) spendLimit.currency = budget.parseCurrency(raw.currency);
+    return spendLimit;
+};
+
+const findCategoryByName = (userId, name, exceptId) => Category.findOne({
+    userId,
+    name: { $regex: `^${escapeRegex(name)}$`, $options: 'i' },   // case-insensitive
+    ...(exceptId && { _id: { $ne: exceptId } })
+});
+
+
+// ========================
+// Categories
+// ========================
+
+// listCount, itemCount and completedCount of each category, over the lists the user sees in it
+const categoryCountStages = (userId) => {
+    const user = new mongoose.Types.ObjectId(userId);
+    const isMember = { $in: [user, { $ifNull: ['$members.userId', []] }] };
+
+    return [
+        {
+            $lookup: {
+                from: List.collection.name,
+                let: { categoryId: '$_id', seesAll: { $or: [{ $eq: ['$userId', user] }, isMember] } },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: {
+                                $and: [
+                                    { $eq: ['$categoryId', '$$categoryId'] },
+                                    { $or: ['$$seesAll', { $eq: ['$userId', user] }, isMember] }
+                                ]
+                            }
+                        }
+                    },
+                    { $project: paging.itemCountFields }
+                ],
+                as: 'visibleLists'
+            }
+        },
+        {
+            $addFields: {
+                listCount: { $size: '$visibleLists' },
+                itemCount: { $sum: '$visibleLists.itemCount' },
+                completedCount: { $sum: '$visibleLists.completedCount' }
+            }
+        },
+        { $project: { visibleLists: 0 } }
+    ];
+};
+
+// Categories the user owns, was invited to, or holds a shared list in, with role, totals and
+// item counts. `page` (paging.js) sorts and cuts them; a summary leaves out the totals so no
+// list has to be loaded. Resolves to { data, nextCursor }.
+const categoriesForUser = async (userId, page = ALL_OLDEST_FIRST) => {
+    // Categories of lists shared with the user individually show up too
+    const sharedListCategoryIds = await List.distinct('categoryId', sharing.accessibleListsQuery(userId));
+
+    const filter = Category.find({
+        $or: [
+            { userId },
+            { 'members.userId': userId },
+            { _id: { $in: sharedListCategoryIds } }
+        ]
+    }).cast(Category);
+    const rows = await Category.aggregate([{ $match: filter }, ...categoryCountStages(userId), ...paging.pageStages(page)]);
+    const { rows: pageRows, nextCursor } = paging.takePage(rows, page);
+
+    const categories = pageRows.map(({ listCount, itemCount, completedCount, ...doc }) => ({
+        category: Category.hydrate(doc),
+        counts: { listCount, itemCount, completedCount }
+    }));
+    if (page.summary) {
+        return { data: categories.map(({ category, counts }) => summarizeCategory(category, userId, counts)), nextCursor };
+    }
+
+    // Lists feeding each category's totals (only the ones this user can see)
+    const lists = await List.find({ categoryId: { $in: categories.map(({ category }) => category._id) } });
+
+    const data = categories.map(({ category, counts }) => ({ ...describeCategory(category, userId, lists), ...counts }));
+    return { data, nextCursor };
+};
+
+const summarizeCategory = (category, userId, counts) => {
+    const role = sharing.getCategoryRole(category, userId);
+    return { ...category.toObject(), role, isShared: role !== 'owner', ...counts };
+};
+
+const describeCategory = (category, userId, lists) => {
+    const role = sharing.getCategoryRole(category, userId);
+    const visibleLists = lists.filter(list =>
+        list.categoryId.toString() === category._id.toString() &&
+        (role || list.userId.toString() === userId.toString() ||
+            list.members.some(m => m.userId.toString() === userId.toString()))
+    );
+
+    return {
+        ...category.toObject(),
+        role,
+        isShared: role !== 'owner',
+        totals: budget.categoryTotals(category, visibleLists)
+    };
+};
+
+const createCategory = async (userId, fields) => {
+    let spendLimit;
+    try {
+        spendLimit = parseSpendLimit(fields);
+    } catch (error) {
+        if (error.message !== 'Invalid budget') throw error;
+        return resourceError(400, 'INVALID_BUDGET', 'Budget must be a non-negative number and currency a 3-letter code');
+    }
+
+    if (await findCategoryByName(userId, fields.name)) {
+        return resourceError(409, 'CATEGORY_EXISTS', 'Category already exists with this name');
+    }
+
+    const category = new Category({ name: fields.name, userId, ...spendLimit });
+    await category.save();
+    await recordActivity(userId, category, [{ action: 'category.create', after: snapshot(category, SPEND_LIMIT_FIELDS) }]);
+    return { category };
+};
+
+// Rename a category or change its spend limit (name uniqueness is per owner)
+const updateCategory = async (category, fields, { actorId } = {}) => {
+    let spendLimit;
+    try {
+        spendLimit = parseSpendLimit(fields);
+    } catch (error) {
+        if (error.message !== 'Invalid budget') throw error;
+        return resourceError(400, 'INVALID_BUDGET', 'Budget must be a non-negative number and currency a 3-letter code');
+    }
+
+    const before = snapshot(category, SPEND_LIMIT_FIELDS);
+    if (fields.name !== undefined) {
+        if (await findCategoryByName(category.userId, fields.name, category._id)) {
+            return resourceError(409, 'CATEGORY_EXISTS', 'Category already exists with this name');
+        }
+        category.name = fields.name;
+    }
+    Object.assign(category, spendLimit);
+
+    await category.save();
+    const changed = changedFields(before, snapshot(category, SPEND_LIMIT_FIELDS));
+    if (changed) await recordActivity(actorId, category, [{ action: 'category.update', ...changed }]);
+    return { category };
+};
+
+// The category and every list in it go to the actor's trash; resolves to the trash entry
+const deleteCategory = async (category, actorId) => {
+    const lists = await List.find({ categoryId: category._id });
+
+    const entry = await trash.moveToTrash(actorId, 'category', {
+        name: category.name,
+        categoryId: category._id,
+        data: { category: category.toObject(), lists: lists.map(list => list.toObject()) }
+    });
+    await recordChanges('list', lists, { deleted: true });
+    await recordChanges('category', [category], { deleted: true });
+    await recordActivity(actorId, category, [{
+        action: 'category.delete',
+        before: { ...snapshot(category, SPEND_LIMIT_FIELDS), listCount: lists.length }
+    }]);
+    await List.deleteMany({ categoryId: category._id });
+    await Category.findByIdAndDelete(category._id);
+
+    lists.forEach(list => realtime.listDeleted(list._id, actorId));
+    return entry;
+};
+
+
+// ========================
+// Lists
+// ========================
+
+// Lists of a category the user can see, with role, totals and item counts.
+// Category owners and members see every list, others only the lists shared with them.
+// `page` (paging.js) sorts and cuts them; a summary leaves out the items and totals.
+// Resolves to { data, nextCursor }.
+const listsForCategory = async (category, categoryRole, userId, page = ALL_OLDEST_FIRST) => {
+    const filter = List.find(categoryRole
+        ? { categoryId: category._id }
+        : { categoryId: category._id, ...sharing.accessibleListsQuery(userId) }).cast(List);
+
+    const rows = await List.aggregate([
+        { $match: filter },
+        { $addFields: paging.itemCountFields },
+        ...paging.pageStages(page),
+        ...(page.summary ? [{ $project: { items: 0 } }] : [])
+    ]);
+    const { rows: pageRows, nextCursor } = paging.takePage(rows, page);
+
+    const data = await Promise.all(pageRows.map(async ({ itemCount, completedCount, ...doc }) => {
+        const list = List.hydrate(doc);
+        if (!page.summary) {
+            return { ...await describeList(list, userId, category), itemCount, completedCount };
+        }
+
+        const role = await sharing.getListRole(list, userId, category);
+        const { items, ...summary } = list.toObject();
+        return { ...summary, role, isShared: role !== 'owner', itemCount, completedCount };
+    }));
+    return { data, nextCursor };
+};
+
+const describeList = async (list, userId, category) => {
+    const role = await sharing.getListRole(list, userId, category);
+    return { ...budget.withListTotals(list), role, isShared: role !== 'owner' };
+};
+
+const INVALID_PRICE_MESSAGE = 'Prices and budgets must be non-negative numbers and currencies 3-letter codes.';
+
+const createList = async (category, fields, { actorId } = {}) => {
+    // Free-text entries like "2 kg apples" or "milk, eggs x6" are parsed first
+    const expanded = listItems.expandItems(fields.items);
+    if (expanded.unparsed.length > 0) {
+        return { error: listItems.unparsedError(expanded.unparsed) };
+    }
+    if (expanded.items.length === 0) {
+        return resourceError(400, 'VALIDATION_FAILED', 'List name and items are required');
+    }
+
+    // Names the creator already uses for these items ("tomatoes" -> "Tomato")
+    const items = await catalog.normalizeItems(actorId, expanded.items);
+
+    let formattedItems;
+    let spendLimit;
+    try {
+        formattedItems = items.map(listItems.formatItem);
+        spendLimit = parseSpendLimit(fields);
+    } catch (error) {
+        if (error.message !== 'Invalid item price' && error.message !== 'Invalid budget') throw error;
+        return resourceError(400, 'INVALID_PRICE', INVALID_PRICE_MESSAGE);
+    }
+    if (formattedItems.some(item => !item)) {
+        return resourceError(400, 'INVALID_ITEM', 'One or more items have invalid format.');
+    }
+
+    const list = new List({
+        name: fields.name,
+        categoryId: category._id,
+        userId: category.userId,    // lists added by category editors belong to the category owner
+        items: formattedItems,
+        ...spendLimit
+    });
+
+    try {
+        await list.save();
+    } catch (error) {
+        return saveListError(error);
+    }
+    await recordActivity(actorId, list, [{
+        action: 'list.create',
+        after: { ...snapshot(list, SPEND_LIMIT_FIELDS), itemCount: list.items.length }
+    }]);
+    await catalog.learnItems(actorId, category._id, formattedItems.map((item, index) => ({ ...item, name: expanded.items[index].name })));
+    return { list };
+};
+
+// Rename a list or change its spend limit
+const updateList = async (list, fields, { actorId } = {}) => {
+    let spendLimit;
+    try {
+        spendLimit = parseSpendLimit(fields);
+    } catch (error) {
+        if (error.message !== 'Invalid budget') throw error;
+        return resourceError(400, 'INVALID_BUDGET', 'Budget must be a non-negative number and currency a 3-letter code');
+    }
+
+    const before = snapshot(list, SPEND_LIMIT_FIELDS);
+    if (fields.name !== undefined) list.name = fields.name;
+    Object.assign(list, spendLimit);
+
+    try {
+        await list.save();
+    } catch (error) {
+        return saveListError(error);
+    }
+    const changed = changedFields(before, snapshot(list, SPEND_LIMIT_FIELDS));
+    if (changed) await recordActivity(actorId, list, [{ action: 'list.update', ...changed }]);
+    return { list };
+};
+
+const saveListError = (error) => {
+    // MongoDB duplicate key: list names are unique per owner
+    if (error.code === 11000) {
+        return resourceError(409, 'LIST_EXISTS', 'A list with this name already exists in the selected category.');
+    }
+    if (error.message === 'Duplicate item names are not allowed in a list.') {
+        return resourceError(400, 'DUPLICATE_ITEM', error.message);
+    }
+    throw error;
+};
+
+// The list goes to the actor's trash; resolves to the trash entry
+const deleteList = async (list, actorId) => {
+    const entry = await trash.moveToTrash(actorId, 'list', {
+        name: list.name,
+        categoryId: list.categoryId,
+        listId: list._id,
+        data: { list: list.toObject() }
+    });
+    await recordChanges('list', [list], { deleted: true });
+    await recordActivity(actorId, list, [{
+        action: 'list.delete',
+        before: { ...snapshot(list, SPEND_LIMIT_FIELDS), itemCount: list.items.length }
+    }]);
+    await List.findByIdAndDelete(list._id);
+
+    realtime.listDeleted(list._id, actorId);
+    return entry;
+};
+
+
+module.exports = {
+    categoriesForUser,
+    describeCategory,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    listsForCategory,
+    describeList,
+    createList,
+    updateList,
+    deleteList,
+};
@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+
+const { authenticateToken } = require('./authenticator');
+const sharing = require('./sharing');
+const { validate, checkIdParams, itemsField } = require('./validation');
+const listItems = require('./listItems');
+const budget = require('./budget');
+const { summarizeIntervals } = require('./analytics');
+const { itemKey } = require('./DB_Models/itemNames');
+const List = require('./DB_Models/list');
+const Purchase = require('./DB_Models/purchase');
+
+checkIdParams(router);
+
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// An item is suggested once this share of its usual interval has passed since the last purchase
+const DUE_THRESHOLD = 0.9;
+const MIN_OCCURRENCES = 2;
+const MAX_LIMIT = 100;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// List items are grouped by their stored names, so "Tomato" on one list and "tomatoes" on
+// another are two rows: merge them into the latest row, with the dates of both
+const mergeByItem = (rows) => {
+    const byKey = new Map();
+    rows.forEach(row => {
+        const key = itemKey(row._id);
+        const known = byKey.get(key);
+        if (!known) {
+            byKey.set(key, row);
+            return;
+        }
+        const latest = row.dates[row.dates.length - 1] > known.dates[known.dates.length - 1] ? row : known;
+        byKey.set(key, { ...latest, dates: [...known.dates, ...row.dates].sort((a, b) => a - b) });
+    });
+    return byKey;
+};
+
+
+// Buying history of a list owner keyed by item (itemKey, so plurals count as one).
+// Completions (purchase records) are preferred; items never ticked fall back to
+// the dates of the lists they were added to.
+const buildHistory = async (ownerId) => {
+    const history = new Map();
+
+    const purchases = await Purchase.aggregate([
+        { $match: { userId: ownerId, undoneAt: { $exists: false } } },
+        { $sort: { purchasedAt: 1 } },
+        {
+            $group: {
+                _id: '$nameKey',
+                name: { $last: '$name' },
+                quantity: { $last: '$quantity' },
+                unit: { $last: '$unit' },
+                dates: { $push: '$purchasedAt' }
+            }
+        }
+    ]);
+    purchases.forEach(row => history.set(row._id, { ...row, source: 'bought' }));
+
+    const additions = await List.aggregate([
+        { $match: { userId: ownerId } },
+        { $unwind: '$items' },
+        { $sort: { createdAt: 1 } },
+        {
+            $group: {
+                _id: { $toLower: { $trim: { input: '$items.name' } } },
+                name: { $last: '$items.name' },
+                quantity: { $last: '$items.quantity' },
+                unit: { $last: '$items.unit' },
+                dates: { $push: '$createdAt' }
+            }
+        }
+    ]);
+    mergeByItem(additions).forEach((row, key) => {
+        const known = history.get(key);
+        if (!known || known.dates.length < MIN_OCCURRENCES) {
+            history.set(key, { ...row, source: 'added' });
+        }
+    });
+
+    return history;
+};
+
+// Items from the owner's history that are due again and not already on the list
+const suggestForList = async (list, now = new Date()) => {
+    const history = await buildHistory(list.userId);
+    const onList = new Set(list.items.map(item => itemKey(item.name)));
+
+    const suggestions = [];
+
+    for (const [key, entry] of history) {
+        if (onList.has(key) || entry.dates.length < MIN_OCCURRENCES) continue;
+
+        const summary = summarizeIntervals(entry.dates);
+        if (!summary.averageIntervalDays) continue;
+
+        const daysSinceLast = Math.floor((now - summary.lastPurchasedAt) / DAY);
+        if (daysSinceLast < summary.averageIntervalDays * DUE_THRESHOLD) continue;
+
+        const every = Math.max(1, Math.round(summary.averageIntervalDays));
+        const verb = entry.source === 'bought' ? 'bought' : 'added';
+
+        suggestions.push({
+            name: entry.name.trim(),
+            quantity: entry.quantity,
+            unit: entry.unit,
+            reason: `${verb} every ~${plural(every, 'day')}, last ${verb} ${plural(daysSinceLast, 'day')} ago`,
+            source: entry.source,
+            occurrences: entry.dates.length,
+            averageIntervalDays: summary.averageIntervalDays,
+            daysSinceLast,
+            lastAt: summary.lastPurchasedAt,
+            dueAt: summary.nextExpectedAt,
+            urgency: Math.round((daysSinceLast / summary.averageIntervalDays) * 100) / 100
+        });
+    }
+
+    return suggestions.sort((a, b) => b.urgency - a.urgency);
+};
+
+
+// ========================
+// 1. RESTOCK SUGGESTIONS FOR A LIST
+// ========================
+router.get('/lists/:listId/suggestions', authenticateToken, validate(
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be a whole number from 1 to ${MAX_LIMIT}`)
+), sharing.requireListRole('viewer'), async (req, res) => {
+    try {
+        const { list } = req;
+        const limit = parseInt(req.query.limit, 10);
+        const suggestions = await suggestForList(list);
+
+        res.status(200).json({
+            status: 'success',
+            data: limit ? suggestions.slice(0, limit) : suggestions
+        });
+    } catch (error) {
+        console.error('Error building restock suggestions:', error);
+        res.status(500).json({ status: 'error', message: 'Error building restock suggestions' });
+    }
+});
+
+
+// ========================
+// 2. ADD ACCEPTED SUGGESTIONS TO THE LIST
+// ========================
+router.post('/lists/:listId/suggestions/accept', authenticateToken, validate(
+    itemsField()
+), sharing.requireListRole('editor'), async (req, res) => {
+    try {
+        const { items } = req.body;
+
+        // Same merge-by-name-and-unit rules as /api/updatelist
+        const result = await listItems.addItemsToList(req.list, items, {
+            actorId: req.user.userId,
+            allowOverBudget: !!req.body.allowOverBudget
+        });
+
+        if (result.error) {
+            return res.status(result.error.status).json(result.error.body);
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Suggestions added to list',
+            overBudget: result.overBudget,
+            data: budget.withListTotals(result.list)
+        });
+    } catch (error) {
+        console.error('Error accepting suggestions:', error);
+
+        if (error.message === 'Invalid item price') {
+            return res.status(400).json({ status: 'error', message: 'Prices must be non-negative numbers and currencies 3-letter codes' });
+        }
+
+        res.status(500).json({ status: 'error', message: 'Error accepting suggestions' });
+    }
+});
+
+
+module.exports = {
+    router,
+    suggestForList,
+};
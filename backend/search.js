@@ -0,0 +1,184 @@
+// Account-wide search over category, list and item names. Names are matched word by word
+// through the search keys kept on the documents (DB_Models/searchTerms.js): every word of the
+// query must start a word of the name, ignoring case and accents ("cre fra" finds "Crème fraîche").
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+
+const { authenticateToken } = require('./authenticator');
+const sharing = require('./sharing');
+const units = require('./units');
+const { withListTotals } = require('./budget');
+const { LIMITS, validate, checkIdParams, sendError } = require('./validation');
+const { normalizeText, searchTerms } = require('./DB_Models/searchTerms');
+const Category = require('./DB_Models/category');
+const List = require('./DB_Models/list');
+
+checkIdParams(router);
+
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_QUERY_WORDS = 10;
+
+
+// ========================
+// Matching
+// ========================
+
+// Index range for the terms starting with `word`
+const prefixRange = (word) => ({ $gte: word, $lt: `${word}\uffff` });
+
+// Condition on a search-key field: every query word starts one of its terms
+const termsQuery = (field, words) => (words.length
+    ? { $and: words.map(word => ({ [field]: prefixRange(word) })) }
+    : {});
+
+// Same test in memory, for names that were not matched through an index
+const matchesWords = (name, words) => {
+    const terms = searchTerms(name);
+    return words.every(word => terms.some(term => term.startsWith(word)));
+};
+
+// Creation time of a list item, taken from its ObjectId
+const itemCreatedAt = (item) => item._id.getTimestamp();
+
+const inRange = (date, { createdFrom, createdTo }) =>
+    (!createdFrom || date >= createdFrom) && (!createdTo || date <= createdTo);
+
+const createdQuery = ({ createdFrom, createdTo }) => (createdFrom || createdTo
+    ? { createdAt: { ...(createdFrom && { $gte: createdFrom }), ...(createdTo && { $lte: createdTo }) } }
+    : {});
+
+const itemMatches = (item, words, filters) =>
+    (!words.length || matchesWords(item.name, words)) &&
+    (filters.completed === undefined || item.isCompleted === filters.completed) &&
+    (!filters.unit || units.sameUnit(item.unit, filters.unit)) &&
+    inRange(itemCreatedAt(item), filters);
+
+
+// ========================
+// Search
+// ========================
+
+// Search the account of `userId`; an empty `q` only filters. categoryId and created dates
+// apply to every result, completed and unit only to items. At most `limit` results per group.
+const search = async (userId, { q = '', limit = DEFAULT_LIMIT, ...filters }) => {
+    const words = searchTerms(q);
+    const scope = await sharing.readableQueries(userId);
+    const inCategory = filters.categoryId ? { categoryId: filters.categoryId } : {};
+
+    const categories = await Category.find({
+        $and: [scope.categories, filters.categoryId ? { _id: filters.categoryId } : {}, termsQuery('searchTerms', words), createdQuery(filters)]
+    }).sort({ name: 1 }).limit(limit);
+    const lists = await List.find({
+        $and: [scope.lists, inCategory, termsQuery('searchTerms', words), createdQuery(filters)]
+    }).sort({ createdAt: -1 }).limit(limit);
+
+    // Lists holding a matching item; the terms only narrow them down, the items decide
+    const itemLists = await List.find({ $and: [scope.lists, inCategory, termsQuery('itemTerms', words)] })
+        .select('name categoryId items')
+        .sort({ createdAt: -1 });
+    const items = [];
+    for (const list of itemLists) {
+        for (const item of list.items) {
+            if (items.length < limit && itemMatches(item, words, filters)) items.push({ item, list });
+        }
+        if (items.length === limit) break;
+    }
+
+    // Category names for the list context
+    const parentIds = [...new Set([...lists, ...items.map(match => match.list)].map(list => list.categoryId.toString()))];
+    const parents = await Category.find({ _id: { $in: parentIds } }).select('name');
+    const parentById = new Map(parents.map(category => [category._id.toString(), { _id: category._id, name: category.name }]));
+    const parentOf = (list) => parentById.get(list.categoryId.toString()) || null;
+
+    return {
+        items: items.map(({ item, list }) => ({
+            item,
+            list: { _id: list._id, name: list.name },
+            category: parentOf(list)
+        })),
+        lists: lists.map(list => ({ ...withListTotals(list), category: parentOf(list) })),
+        categories: categories.map(category => category.toObject())
+    };
+};
+
+
+// ========================
+// Backfill
+// ========================
+
+// Documents saved before search existed have no search keys yet; saving them adds the keys
+const backfillSearchTerms = async () => {
+    let updated = 0;
+    for (const Model of [Category, List]) {
+        for await (const doc of Model.find({ searchTerms: { $exists: false } })) {
+            await doc.save();
+            updated++;
+        }
+    }
+    return updated;
+};
+
+
+// ========================
+// 1. SEARCH
+// ========================
+router.get('/search', authenticateToken, validate(
+    query('q')
+        .optional()
+        .isString().withMessage('q must be text').bail()
+        .isLength({ max: LIMITS.name }).withMessage(`q must be at most ${LIMITS.name} characters`).bail()
+        .custom(value => searchTerms(value).length <= MAX_QUERY_WORDS).withMessage(`q can have at most ${MAX_QUERY_WORDS} words`)
+        .custom(value => !normalizeText(value).trim() || searchTerms(value).length > 0)
+        .withMessage('q must contain a letter or digit'),
+    query('completed')
+        .optional()
+        .isBoolean({ strict: true }).withMessage('completed must be true or false'),
+    query('unit')
+        .optional()
+        .isString().withMessage('unit must be text').bail()
+        .trim()
+        .notEmpty().withMessage('unit must not be empty')
+        .isLength({ max: LIMITS.unit }).withMessage(`unit must be at most ${LIMITS.unit} characters`),
+    query('categoryId')
+        .optional()
+        .isMongoId().withMessage('Invalid categoryId'),
+    query(['createdFrom', 'createdTo'])
+        .optional()
+        .isISO8601().withMessage('createdFrom and createdTo must be ISO 8601 dates'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be a whole number from 1 to ${MAX_LIMIT}`)
+), async (req, res) => {
+    try {
+        const { q, completed, unit, categoryId } = req.query;
+        const options = {
+            q,
+            unit,
+            categoryId,
+            completed: completed === undefined ? undefined : completed === 'true',
+            createdFrom: req.query.createdFrom && new Date(req.query.createdFrom),
+            createdTo: req.query.createdTo && new Date(req.query.createdTo),
+            limit: req.query.limit === undefined ? DEFAULT_LIMIT : parseInt(req.query.limit, 10)
+        };
+        if (options.createdFrom && options.createdTo && options.createdTo < options.createdFrom) {
+            return sendError(res, 400, 'createdTo must not be before createdFrom');
+        }
+
+        const results = await search(req.user.userId, options);
+        res.status(200).json({ status: 'success', data: results });
+    } catch (error) {
+        console.error('Error searching:', error);
+        res.status(500).json({ status: 'error', message: 'Error searching' });
+    }
+});
+
+
+module.exports = {
+    router,
+    search,
+    matchesWords,
+    backfillSearchTerms,
+};
@@ -0,0 +1,397 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const { authenticateToken, requireVerifiedEmail } = require('./authenticator');
+const { validate, checkIdParams, sendError, identifierField, roleField, escapeRegex } = require('./validation');
+const User = require('./DB_Models/user');
+const Category = require('./DB_Models/category');
+const List = require('./DB_Models/list');
+
+
+// Roles from weakest to strongest. Owners are stored in `userId`, everyone else in `members`.
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+const MEMBER_ROLES = ['viewer', 'editor'];
+
+checkIdParams(router);
+
+
+const hasRole = (role, minimumRole) => !!role && ROLE_RANK[role] >= ROLE_RANK[minimumRole];
+
+const strongerRole = (a, b) => ((ROLE_RANK[a] || 0) >= (ROLE_RANK[b] || 0) ? a : b) || null;
+
+// Role of a user on a single document (Category or List), ignoring inheritance
+const documentRole = (doc, userId) => {
+    if (!doc || !userId) return null;
+    if (doc.userId.toString() === userId.toString()) return 'owner';
+
+    const member = (doc.members || []).find(m => m.userId.toString() === userId.toString());
+    return member ? member.role : null;
+};
+
+const getCategoryRole = (category, userId) => documentRole(category, userId);
+
+// A list inherits access from its category: category members keep their role,
+// and the category owner can edit lists that someone else now owns.
+const getListRole = async (list, userId, category) => {
+    const ownRole = documentRole(list, userId);
+    if (ownRole === 'owner') return ownRole;
+
+    const parent = category || await Category.findById(list.categoryId);
+    let inherited = getCategoryRole(parent, userId);
+    if (inherited === 'owner') inherited = 'editor';
+
+    return strongerRole(ownRole, inherited);
+};
+
+// Load a list by id together with the caller's role on it ({ list: null } when missing)
+const findListForUser = async (listId, userId) => {
+    if (!mongoose.isValidObjectId(listId)) return { list: null, role: null };
+
+    const list = await List.findById(listId);
+    if (!list) return { list: null, role: null };
+
+    return { list, role: await getListRole(list, userId) };
+};
+
+// Same as findListForUser, but locates the list through one of its item ids
+const findListByItemForUser = async (itemId, userId) => {
+    if (!mongoose.isValidObjectId(itemId)) return { list: null, role: null };
+
+    const list = await List.findOne({ 'items._id': itemId });
+    if (!list) return { list: null, role: null };
+
+    return { list, role: await getListRole(list, userId) };
+};
+
+const findCategoryForUser = async (categoryId, userId) => {
+    if (!mongoose.isValidObjectId(categoryId)) return { category: null, role: null };
+
+    const category = await Category.findById(categoryId);
+    return { category, role: getCategoryRole(category, userId) };
+};
+
+// Query matching every list the user owns or was invited to directly
+const accessibleListsQuery = (userId) => ({
+    $or: [{ userId }, { 'members.userId': userId }]
+});
+
+// Filters for everything a user can read: categories they own or were invited to with every
+// list in them, and lists shared with them individually together with their categories
+const readableQueries = async (userId) => {
+    const categoryIds = await Category.distinct('_id', { $or: [{ userId }, { 'members.userId': userId }] });
+    const sharedListCategoryIds = await List.distinct('categoryId', accessibleListsQuery(userId));
+
+    return {
+        categories: { _id: { $in: [...categoryIds, ...sharedListCategoryIds] } },
+        lists: { $or: [...accessibleListsQuery(userId).$or, { categoryId: { $in: categoryIds } }] }
+    };
+};
+
+
+// ========================
+// Route guards: load the resource into req.list / req.category together with req.role.
+// 404 when it does not exist or the caller has no access at all, 403 when the role is too weak.
+// ========================
+
+const forbiddenMessage = (minimumRole, label) =>
+    minimumRole === 'owner'
+        ? `Only the owner can do this to the ${label}`
+        : `You do not have permission to edit this ${label}`;
+
+const requireListRole = (minimumRole, { param = 'listId', message } = {}) => async (req, res, next) => {
+    const { list, role } = await findListForUser(req.params[param], req.user.userId);
+    if (!list || !role) {
+        return sendError(res, 404, 'List not found', { code: 'LIST_NOT_FOUND' });
+    }
+    if (!hasRole(role, minimumRole)) {
+        return sendError(res, 403, message || forbiddenMessage(minimumRole, 'list'));
+    }
+
+    req.list = list;
+    req.role = role;
+    next();
+};
+
+// For item routes that do not name the list
+const requireItemRole = (minimumRole, { param = 'itemId', message } = {}) => async (req, res, next) => {
+    const { list, role } = await findListByItemForUser(req.params[param], req.user.userId);
+    if (!list || !role) {
+        return sendError(res, 404, 'Item not found', { code: 'ITEM_NOT_FOUND' });
+    }
+    if (!hasRole(role, minimumRole)) {
+        return sendError(res, 403, message || forbiddenMessage(minimumRole, 'list'));
+    }
+
+    req.list = list;
+    req.role = role;
+    next();
+};
+
+const requireCategoryRole = (minimumRole, { param = 'categoryId', message } = {}) => async (req, res, next) => {
+    const { category, role } = await findCategoryForUser(req.params[param], req.user.userId);
+    if (!category || !role) {
+        return sendError(res, 404, 'Category not found', { code: 'CATEGORY_NOT_FOUND' });
+    }
+    if (!hasRole(role, minimumRole)) {
+        return sendError(res, 403, message || forbiddenMessage(minimumRole, 'category'));
+    }
+
+    req.category = category;
+    req.role = role;
+    next();
+};
+
+
+// Look a registered user up by username or email
+const findUserByIdentifier = (identifier) => {
+    const value = String(identifier).trim();
+    return User.findOne({ $or: [{ username: value }, { email: value.toLowerCase() }, { email: value }] });
+};
+
+const describeMembers = async (doc) => {
+    const ids = [doc.userId, ...doc.members.map(m => m.userId)];
+    const users = await User.find({ _id: { $in: ids } }).select('username email');
+    const byId = new Map(users.map(u => [u._id.toString(), u]));
+
+    const describe = (userId, role, addedAt) => {
+        const user = byId.get(userId.toString());
+        return {
+            userId,
+            username: user ? user.username : null,
+            email: user ? user.email : null,
+            role,
+            ...(addedAt && { addedAt })
+        };
+    };
+
+    return [
+        describe(doc.userId, 'owner'),
+        ...doc.members.map(m => describe(m.userId, m.role, m.addedAt))
+    ];
+};
+
+
+// ========================
+// Ownership transfer
+// ========================
+
+// Hand a list to another user. The previous owner stays on as an editor.
+const transferList = async (list, newOwner) => {
+    const clash = await List.findOne({ name: list.name, userId: newOwner._id, _id: { $ne: list._id } });
+    if (clash) {
+        return { status: 409, message: 'The new owner already has a list with this name' };
+    }
+
+    const previousOwnerId = list.userId;
+    list.members = list.members.filter(m => m.userId.toString() !== newOwner._id.toString());
+    list.members.push({ userId: previousOwnerId, role: 'editor' });
+    list.userId = newOwner._id;
+    await list.save();
+
+    return null;
+};
+
+// Hand a category, and every list the previous owner had in it, to another user.
+const transferCategory = async (category, newOwner) => {
+    const clash = await Category.findOne({
+        userId: newOwner._id,
+        name: { $regex: `^${escapeRegex(category.name)}$`, $options: 'i' }
+    });
+    if (clash) {
+        return { status: 409, message: 'The new owner already has a category with this name' };
+    }
+
+    const previousOwnerId = category.userId;
+    const lists = await List.find({ categoryId: category._id, userId: previousOwnerId });
+
+    const listClash = await List.findOne({
+        name: { $in: lists.map(l => l.name) },
+        userId: newOwner._id,
+        categoryId: { $ne: category._id }
+    });
+    if (listClash) {
+        return { status: 409, message: `The new owner already has a list named "${listClash.name}"` };
+    }
+
+    category.members = category.members.filter(m => m.userId.toString() !== newOwner._id.toString());
+    category.members.push({ userId: previousOwnerId, role: 'editor' });
+    category.userId = newOwner._id;
+    await category.save();
+
+    // Lists follow the category; the old owner keeps access through the category membership
+    for (const list of lists) {
+        list.members = list.members.filter(m => m.userId.toString() !== newOwner._id.toString());
+        list.userId = newOwner._id;
+        await list.save();
+    }
+
+    return null;
+};
+
+
+// ========================
+// MEMBER ROUTES (shared by lists and categories)
+// ========================
+// `guard` is requireListRole or requireCategoryRole; `key` is where it leaves the document on req.
+const registerMemberRoutes = ({ path, param, label, key, guard, transfer }) => {
+    const noun = label.toLowerCase();
+
+    // List owner and members
+    router.get(`${path}/:${param}/members`, authenticateToken, guard('viewer'), async (req, res) => {
+        try {
+            res.status(200).json({ status: 'success', data: await describeMembers(req[key]) });
+        } catch (error) {
+            console.error(`Error fetching ${noun} members:`, error);
+            res.status(500).json({ status: 'error', message: 'Error fetching members' });
+        }
+    });
+
+    // Invite a registered user by username or email
+    router.post(`${path}/:${param}/members`, authenticateToken, requireVerifiedEmail, validate(
+        identifierField(),
+        roleField(MEMBER_ROLES, { optional: true })
+    ), guard('owner', { message: `Only the owner can share this ${noun}` }), async (req, res) => {
+        try {
+            const { identifier, role = 'viewer' } = req.body;
+            const doc = req[key];
+
+            const invitee = await findUserByIdentifier(identifier);
+            if (!invitee) {
+                return sendError(res, 404, 'No registered user with this username or email');
+            }
+            if (invitee._id.toString() === doc.userId.toString()) {
+                return sendError(res, 400, `You already own this ${noun}`);
+            }
+            if (invitee.emailVerified === false) {
+                return sendError(res, 400, 'This user has not verified their email yet');
+            }
+
+            const existing = doc.members.find(m => m.userId.toString() === invitee._id.toString());
+            if (existing) {
+                existing.role = role;
+            } else {
+                doc.members.push({ userId: invitee._id, role });
+            }
+            await doc.save();
+
+            res.status(existing ? 200 : 201).json({
+                status: 'success',
+                message: existing ? 'Member role updated' : 'Member added successfully',
+                data: await describeMembers(doc)
+            });
+        } catch (error) {
+            console.error(`Error sharing ${noun}:`, error);
+            res.status(500).json({ status: 'error', message: `Error sharing ${noun}` });
+        }
+    });
+
+    // Change a member's role
+    router.patch(`${path}/:${param}/members/:memberId`, authenticateToken, validate(
+        roleField(MEMBER_ROLES)
+    ), guard('owner', { message: 'Only the owner can change member roles' }), async (req, res) => {
+        try {
+            const doc = req[key];
+
+            const member = doc.members.find(m => m.userId.toString() === req.params.memberId);
+            if (!member) {
+                return sendError(res, 404, 'Member not found');
+            }
+
+            member.role = req.body.role;
+            await doc.save();
+
+            res.status(200).json({ status: 'success', message: 'Member role updated', data: await describeMembers(doc) });
+        } catch (error) {
+            console.error('Error updating member role:', error);
+            res.status(500).json({ status: 'error', message: 'Error updating member role' });
+        }
+    });
+
+    // Revoke access. Members may also remove themselves (leave).
+    router.delete(`${path}/:${param}/members/:memberId`, authenticateToken, guard('viewer'), async (req, res) => {
+        try {
+            const { memberId } = req.params;
+            const doc = req[key];
+            if (req.role !== 'owner' && memberId !== req.user.userId.toString()) {
+                return sendError(res, 403, 'Only the owner can revoke access');
+            }
+
+            const before = doc.members.length;
+            doc.members = doc.members.filter(m => m.userId.toString() !== memberId);
+            if (doc.members.length === before) {
+                return sendError(res, 404, 'Member not found');
+            }
+            await doc.save();
+
+            res.status(200).json({ status: 'success', message: 'Access revoked successfully' });
+        } catch (error) {
+            console.error('Error revoking access:', error);
+            res.status(500).json({ status: 'error', message: 'Error revoking access' });
+        }
+    });
+
+    // Hand over ownership to another registered user
+    router.post(`${path}/:${param}/transfer`, authenticateToken, requireVerifiedEmail, validate(
+        identifierField('Username or email of the new owner')
+    ), guard('owner', { message: 'Only the owner can transfer ownership' }), async (req, res) => {
+        try {
+            const doc = req[key];
+
+            const newOwner = await findUserByIdentifier(req.body.identifier);
+            if (!newOwner) {
+                return sendError(res, 404, 'No registered user with this username or email');
+            }
+            if (newOwner._id.toString() === doc.userId.toString()) {
+                return sendError(res, 400, `You already own this ${noun}`);
+            }
+            if (newOwner.emailVerified === false) {
+                return sendError(res, 400, 'This user has not verified their email yet');
+            }
+
+            const failure = await transfer(doc, newOwner);
+            if (failure) {
+                return sendError(res, failure.status, failure.message);
+            }
+
+            res.status(200).json({ status: 'success', message: 'Ownership transferred successfully', data: doc });
+        } catch (error) {
+            console.error('Error transferring ownership:', error);
+            res.status(500).json({ status: 'error', message: 'Error transferring ownership' });
+        }
+    });
+};
+
+registerMemberRoutes({
+    path: '/lists',
+    param: 'listId',
+    label: 'List',
+    key: 'list',
+    guard: requireListRole,
+    transfer: transferList
+});
+
+registerMemberRoutes({
+    path: '/categories',
+    param: 'categoryId',
+    label: 'Category',
+    key: 'category',
+    guard: requireCategoryRole,
+    transfer: transferCategory
+});
+
+
+module.exports = {
+    router,
+    hasRole,
+    getListRole,
+    getCategoryRole,
+    findListForUser,
+    findListByItemForUser,
+    findCategoryForUser,
+    accessibleListsQuery,
+    readableQueries,
+    requireListRole,
+    requireItemRole,
+    requireCategoryRole,
+};
@@ -0,0 +1,267 @@
+// In-store helpers: manual item order, aisle order per store and the shopping-mode view.
+// The order of list.items is the list's sort order; new items are appended at the end.
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+
+const { authenticateToken } = require('./authenticator');
+const sharing = require('./sharing');
+const realtime = require('./realtime');
+const { withListTotals } = require('./budget');
+const { LIMITS, validate, checkIdParams, isObjectId, sendError, textField } = require('./validation');
+const StoreLayout = require('./DB_Models/storeLayout');
+
+checkIdParams(router);
+
+
+const storeKey = (store) => String(store).trim().toLowerCase();
+
+// Same rejection shape as listItems.js: `body` is the response, `code` the /api/v2 error code
+const orderError = (status, code, message, extra = {}) => ({
+    error: { status, code, body: { status: 'error', message, ...extra } }
+});
+
+
+// ========================
+// Item order
+// ========================
+
+// Put the named items first, in the given order; items not named keep their relative order
+// after them. Resolves to { error: { status, code, body } } or { list }.
+const reorderItems = async (list, itemIds, actorId) => {
+    if (new Set(itemIds).size !== itemIds.length) {
+        return orderError(400, 'DUPLICATE_ID', 'Each item may appear only once');
+    }
+
+    const known = new Set(list.items.map(item => item._id.toString()));
+    const unknown = itemIds.filter(id => !known.has(id));
+    if (unknown.length > 0) {
+        return orderError(404, 'ITEM_NOT_FOUND', 'Item not found in the list', { itemIds: unknown });
+    }
+
+    // Sorted in place, so no item counts as new to the duplicate check in DB_Models/list.js
+    const named = new Set(itemIds);
+    const ordered = [
+        ...itemIds,
+        ...[...known].filter(id => !named.has(id))
+    ];
+    const position = new Map(ordered.map((id, idx) => [id, idx]));
+
+    list.items.sort((a, b) => position.get(a._id.toString()) - position.get(b._id.toString()));
+    await list.save();
+
+    realtime.itemsReordered(list._id, list.items.map(item => item._id.toString()), actorId);
+    return { list };
+};
+
+
+// ========================
+// Shopping mode
+// ========================
+
+// Store to plan the trip for: the one asked for, else the store most unchecked items name
+const pickStore = (items, requested) => {
+    if (requested) return requested.trim();
+
+    const counts = new Map();
+    items.forEach(item => {
+        if (!item.store) return;
+        const key = storeKey(item.store);
+        const entry = counts.get(key) || { store: item.store, count: 0 };
+        entry.count += 1;
+        counts.set(key, entry);
+    });
+
+    let best = null;
+    for (const entry of counts.values()) {
+        if (!best || entry.count > best.count) best = entry;
+    }
+    return best ? best.store : null;
+};
+
+// The caller's layout for the store, falling back to the list owner's
+const findLayout = async (store, userId, ownerId) => {
+    if (!store) return null;
+
+    const layouts = await StoreLayout.find({ storeKey: storeKey(store), userId: { $in: [userId, ownerId] } });
+    return layouts.find(layout => layout.userId.toString() === userId.toString()) || layouts[0] || null;
+};
+
+// Unchecked items grouped by aisle: aisles of the layout in layout order, then aisles the
+// layout does not know in the order they first appear, then items without an aisle.
+// Completed items come last. Items keep the list's manual order inside every group.
+const buildShoppingView = (list, store, layout) => {
+    const aisleOrder = layout ? layout.aisles : [];
+    const rankOf = new Map(aisleOrder.map((aisle, index) => [aisle.toLowerCase(), index]));
+
+    const sections = new Map();
+    const completed = [];
+
+    list.items.forEach(item => {
+        if (item.isCompleted) {
+            completed.push(item);
+            return;
+        }
+        const key = item.aisle ? item.aisle.toLowerCase() : '';
+        if (!sections.has(key)) sections.set(key, { aisle: item.aisle || null, items: [] });
+        sections.get(key).items.push(item);
+    });
+
+    const rank = (key) => {
+        if (key === '') return Infinity;
+        return rankOf.has(key) ? rankOf.get(key) : aisleOrder.length;
+    };
+    const ordered = [...sections.entries()]
+        .sort(([a], [b]) => rank(a) - rank(b))      // stable, so unknown aisles keep their first-seen order
+        .map(([, section]) => section);
+
+    return {
+        listId: list._id,
+        name: list.name,
+        store,
+        aisleOrder,
+        sections: ordered,
+        completed,
+        progress: { total: list.items.length, completed: completed.length }
+    };
+};
+
+
+// ========================
+// 1. REORDER ITEMS
+// ========================
+router.put('/lists/:listId/items/order', authenticateToken, validate(
+    body('itemIds')
+        .isArray({ min: 1, max: LIMITS.items }).withMessage(`itemIds must be a non-empty array of at most ${LIMITS.items} ids`),
+    body('itemIds.*')
+        .custom(isObjectId).withMessage('Each entry of itemIds must be an item id')
+), sharing.requireListRole('editor'), async (req, res) => {
+    try {
+        const { list, error } = await reorderItems(req.list, req.body.itemIds, req.user.userId);
+        if (error) {
+            return res.status(error.status).json(error.body);
+        }
+
+        res.status(200).json({ status: 'success', message: 'Items reordered', data: withListTotals(list) });
+    } catch (error) {
+        console.error('Error reordering items:', error);
+        res.status(500).json({ status: 'error', message: 'Error reordering items' });
+    }
+});
+
+// Move one item to a position (0 = top); positions past the end move it to the bottom
+router.patch('/lists/:listId/items/:itemId/position', authenticateToken, validate(
+    body('position')
+        .isInt({ min: 0 }).withMessage('Position must be a whole number of 0 or more')
+), sharing.requireListRole('editor'), async (req, res) => {
+    try {
+        const { list } = req;
+        const { itemId } = req.params;
+        if (!list.items.id(itemId)) {
+            return sendError(res, 404, 'Item not found in the list', { code: 'ITEM_NOT_FOUND' });
+        }
+
+        const itemIds = list.items.map(item => item._id.toString()).filter(id => id !== itemId);
+        itemIds.splice(Math.min(Number(req.body.position), itemIds.length), 0, itemId);
+
+        const result = await reorderItems(list, itemIds, req.user.userId);
+        if (result.error) {
+            return res.status(result.error.status).json(result.error.body);
+        }
+
+        res.status(200).json({ status: 'success', message: 'Item moved', data: withListTotals(result.list) });
+    } catch (error) {
+        console.error('Error moving item:', error);
+        res.status(500).json({ status: 'error', message: 'Error moving item' });
+    }
+});
+
+
+// ========================
+// 2. SHOPPING MODE (?store= picks the store layout)
+// ========================
+router.get('/lists/:listId/shopping', authenticateToken, sharing.requireListRole('viewer'), async (req, res) => {
+    try {
+        const { list } = req;
+        const requested = typeof req.query.store === 'string' ? req.query.store : undefined;
+
+        const store = pickStore(list.items.filter(item => !item.isCompleted), requested);
+        const layout = await findLayout(store, req.user.userId, list.userId);
+
+        res.status(200).json({ status: 'success', data: buildShoppingView(list, store, layout) });
+    } catch (error) {
+        console.error('Error building shopping view:', error);
+        res.status(500).json({ status: 'error', message: 'Error building shopping view' });
+    }
+});
+
+
+// ========================
+// 3. AISLE ORDER PER STORE
+// ========================
+router.get('/stores/aisles', authenticateToken, async (req, res) => {
+    try {
+        const layouts = await StoreLayout.find({ userId: req.user.userId }).sort({ store: 1 });
+        res.status(200).json({ status: 'success', data: layouts });
+    } catch (error) {
+        console.error('Error fetching store layouts:', error);
+        res.status(500).json({ status: 'error', message: 'Error fetching store layouts' });
+    }
+});
+
+// Create or replace the aisle order of a store (store names match case-insensitively)
+router.put('/stores/aisles', authenticateToken, validate(
+    textField('store', 'Store', LIMITS.store),
+    body('aisles')
+        .isArray({ max: LIMITS.aisles }).withMessage(`Aisles must be an array of at most ${LIMITS.aisles} names`),
+    body('aisles.*')
+        .isString().withMessage('Aisle must be text').bail()
+        .trim()
+        .notEmpty().withMessage('Aisle cannot be empty')
+        .isLength({ max: LIMITS.aisle }).withMessage(`Aisle must be at most ${LIMITS.aisle} characters`)
+), async (req, res) => {
+    try {
+        const { store, aisles } = req.body;
+
+        // Keep the first spelling of aisles listed twice
+        const seen = new Set();
+        const uniqueAisles = aisles.filter(aisle => {
+            const key = aisle.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        const layout = await StoreLayout.findOneAndUpdate(
+            { userId: req.user.userId, storeKey: storeKey(store) },
+            { store, aisles: uniqueAisles, updatedAt: new Date() },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        res.status(200).json({ status: 'success', message: 'Aisle order saved', data: layout });
+    } catch (error) {
+        console.error('Error saving store layout:', error);
+        res.status(500).json({ status: 'error', message: 'Error saving store layout' });
+    }
+});
+
+router.delete('/stores/aisles/:layoutId', authenticateToken, async (req, res) => {
+    try {
+        const deleted = await StoreLayout.findOneAndDelete({ _id: req.params.layoutId, userId: req.user.userId });
+        if (!deleted) {
+            return res.status(404).json({ status: 'error', message: 'Store layout not found' });
+        }
+
+        res.status(200).json({ status: 'success', message: 'Store layout deleted' });
+    } catch (error) {
+        console.error('Error deleting store layout:', error);
+        res.status(500).json({ status: 'error', message: 'Error deleting store layout' });
+    }
+});
+
+
+module.exports = {
+    router,
+    reorderItems,
+    buildShoppingView,
+};
@@ -0,0 +1,385 @@
+// Offline sync. Clients queue edits while offline and send them in one batch, each with the
+// revision of the list or category it was made on (`baseRevision`). The answer holds the
+// outcome of every operation and everything that changed since the client's last sync token.
+//
+// Conflict rules. An operation is stale when its baseRevision is not the document's revision.
+//   - Fresh operations apply as sent.
+//   - Stale updates are merged field by field against `base`, the values the client changed from:
+//       the server value still equals base        -> the client value applies
+//       both sides set the same value             -> nothing to do
+//       quantity changed on both sides            -> both changes count: server + (client - base),
+//                                                    in the server's unit; when that is not
+//                                                    positive, or the update also changes the unit,
+//                                                    the server quantity stays
+//       isCompleted changed on both sides         -> checked wins
+//       any other field changed on both sides     -> the server value stays
+//     A field sent without a base value counts as changed on both sides.
+//   - Deleting wins: updates of removed items are rejected, removing an item that is already
+//     gone succeeds.
+//   - Adding merges by name and unit like /api/updatelist, whatever the revision.
+//   - Budgets never reject queued edits; results report overBudget instead.
+// Operations run in the order sent and each opId runs once: a batch sent again after a lost
+// response gets the stored results back.
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+
+const { authenticateToken } = require('./authenticator');
+const sharing = require('./sharing');
+const units = require('./units');
+const listItems = require('./listItems');
+const resources = require('./resources');
+const trash = require('./trash');
+const { withListTotals } = require('./budget');
+const { ITEM_FIELDS, SPEND_LIMIT_FIELDS, validate, checkIdParams, sendError, itemChangesFields } = require('./validation');
+const Category = require('./DB_Models/category');
+const List = require('./DB_Models/list');
+const Change = require('./DB_Models/change');
+const Counter = require('./DB_Models/counter');
+const SyncOperation = require('./DB_Models/syncOperation');
+
+checkIdParams(router);
+
+
+const MAX_OPERATIONS = 200;
+const OPERATION_TYPES = ['item.add', 'item.update', 'item.remove', 'list.update', 'category.update'];
+
+const applied = (doc, extra = {}) => ({ status: 'applied', revision: doc.revision, ...extra });
+
+const rejected = (code, message, extra = {}) => ({ status: 'rejected', code, message, ...extra });
+
+// A { error: { status, code, body } } rejection of listItems.js / resources.js as a result
+const rejectedWith = ({ code, body: { status, message, ...details } }) => rejected(code, message, details);
+
+const pickFields = (values, keys) => Object.fromEntries(
+    keys.filter(key => values[key] !== undefined).map(key => [key, values[key]])
+);
+
+
+// ========================
+// Merging stale updates
+// ========================
+
+const sameValue = (field, a, b) => (field === 'unit'
+    ? units.sameUnit(a ?? '', b ?? '')
+    : (a ?? null) === (b ?? null));
+
+// Both sides changed a quantity: add the client's change to the server's
+const mergeQuantity = (current, changes, base) => {
+    if (changes.unit !== undefined) return null;
+
+    const change = units.convert(changes.quantity - base.quantity, base.unit ?? current.unit, current.unit);
+    if (change === null) return null;
+
+    const quantity = Math.round((current.quantity + change) * 1000) / 1000;
+    return quantity > 0 ? quantity : null;
+};
+
+// The changes of a stale update that still apply under the conflict rules, and how each field
+// changed on both sides was settled ({ field, resolution: 'added' | 'checked' | 'server' })
+const mergeChanges = (current, changes, base = {}) => {
+    const merged = {};
+    const conflicts = [];
+
+    Object.entries(changes).forEach(([field, value]) => {
+        const hasBase = Object.prototype.hasOwnProperty.call(base, field);
+        if (hasBase && sameValue(field, current[field], base[field])) {
+            merged[field] = value;
+            return;
+        }
+        if (sameValue(field, current[field], value)) return;
+
+        if (field === 'quantity' && hasBase) {
+            const quantity = mergeQuantity(current, changes, base);
+            if (quantity !== null) {
+                merged.quantity = quantity;
+                conflicts.push({ field, resolution: 'added', value: quantity });
+                return;
+            }
+        }
+        if (field === 'isCompleted') {
+            if (value === true) merged.isCompleted = true;
+            conflicts.push({ field, resolution: 'checked', value: true });
+            return;
+        }
+        conflicts.push({ field, resolution: 'server', value: current[field] ?? null });
+    });
+
+    return { changes: merged, conflicts };
+};
+
+// `current` holds the server values (the item, list or category), `doc` the revision
+const settleChanges = (op, doc, current, fields) => {
+    const changes = pickFields(op.changes || {}, fields);
+    return Number(op.baseRevision) === doc.revision
+        ? { changes, conflicts: [] }
+        : mergeChanges(current, changes, op.base);
+};
+
+const withConflicts = (conflicts) => (conflicts.length > 0 ? { conflicts } : {});
+
+
+// ========================
+// Operations
+// ========================
+
+const loadList = async (listId, userId) => {
+    const { list, role } = await sharing.findListForUser(listId, userId);
+    if (!list || !role) return { error: rejected('LIST_NOT_FOUND', 'List not found') };
+    if (!sharing.hasRole(role, 'editor')) return { error: rejected('FORBIDDEN', 'You cannot edit this list') };
+    return { list };
+};
+
+const addItem = async (op, userId) => {
+    const { list, error } = await loadList(op.listId, userId);
+    if (error) return error;
+    if (typeof op.item !== 'string' && !listItems.formatItem(op.item || {})) {
+        return rejected('INVALID_ITEM', 'Item name and a positive quantity are required');
+    }
+
+    const result = await listItems.addItemsToList(list, [op.item], { actorId: userId, allowOverBudget: true });
+    if (result.error) return rejectedWith(result.error);
+
+    const [item] = [...result.addedItems, ...result.mergedItems];
+    return applied(result.list, {
+        itemId: item._id,
+        merged: result.mergedItems.length > 0,
+        overBudget: result.overBudget
+    });
+};
+
+const updateItem = async (op, userId) => {
+    const { list, error } = await loadList(op.listId, userId);
+    if (error) return error;
+
+    const item = list.items.id(op.itemId);
+    if (!item) return rejected('ITEM_NOT_FOUND', 'The item was removed', { revision: list.revision });
+
+    const { changes, conflicts } = settleChanges(op, list, item, ITEM_FIELDS);
+    if (Object.keys(changes).length === 0) return applied(list, { itemId: item._id, ...withConflicts(conflicts) });
+
+    const result = await listItems.updateListItem(list, op.itemId, changes, { actorId: userId, allowOverBudget: true });
+    if (result.error) return rejectedWith(result.error);
+
+    return applied(result.list, { itemId: item._id, overBudget: result.overBudget, ...withConflicts(conflicts) });
+};
+
+const removeItem = async (op, userId) => {
+    const { list, error } = await loadList(op.listId, userId);
+    if (error) return error;
+
+    const removed = await listItems.removeListItem(list._id, op.itemId, userId);
+    if (!removed) return applied(list, { alreadyRemoved: true });
+
+    return applied(removed.list, { undo: trash.undoInfo(removed.trashEntry) });
+};
+
+const updateList = async (op, userId) => {
+    const { list, error } = await loadList(op.listId, userId);
+    if (error) return error;
+
+    const { changes, conflicts } = settleChanges(op, list, list, SPEND_LIMIT_FIELDS);
+    if (Object.keys(changes).length === 0) return applied(list, withConflicts(conflicts));
+
+    const result = await resources.updateList(list, changes, { actorId: userId });
+    if (result.error) return rejectedWith(result.error);
+
+    return applied(result.list, withConflicts(conflicts));
+};
+
+const updateCategory = async (op, userId) => {
+    const { category, role } = await sharing.findCategoryForUser(op.categoryId, userId);
+    if (!category || !role) return rejected('CATEGORY_NOT_FOUND', 'Category not found');
+    if (!sharing.hasRole(role, 'editor')) return rejected('FORBIDDEN', 'You cannot edit this category');
+
+    const { changes, conflicts } = settleChanges(op, category, category, SPEND_LIMIT_FIELDS);
+    if (Object.keys(changes).length === 0) return applied(category, withConflicts(conflicts));
+
+    const result = await resources.updateCategory(category, changes, { actorId: userId });
+    if (result.error) return rejectedWith(result.error);
+
+    return applied(result.category, withConflicts(conflicts));
+};
+
+const OPERATIONS = {
+    'item.add': { run: addItem, needs: ['listId', 'item'] },
+    'item.update': { run: updateItem, needs: ['listId', 'itemId', 'baseRevision', 'changes'] },
+    'item.remove': { run: removeItem, needs: ['listId', 'itemId'] },
+    'list.update': { run: updateList, needs: ['listId', 'baseRevision', 'changes'] },
+    'category.update': { run: updateCategory, needs: ['categoryId', 'baseRevision', 'changes'] }
+};
+
+const runOperation = async (op, userId) => {
+    const { run, needs } = OPERATIONS[op.type];
+    const missing = needs.filter(field => op[field] === undefined);
+    if (missing.length > 0) {
+        return rejected('VALIDATION_FAILED', `${op.type} needs ${missing.join(', ')}`);
+    }
+
+    try {
+        return await run(op, userId);
+    } catch (error) {
+        if (error.message !== 'Invalid item price') throw error;
+        return rejected('INVALID_PRICE', 'Prices must be non-negative numbers and currencies 3-letter codes');
+    }
+};
+
+// Results of a batch, in order. Operations already applied answer with their stored result.
+const applyOperations = async (operations, userId) => {
+    const stored = await SyncOperation.find({ userId, opId: { $in: operations.map(op => op.opId) } });
+    const done = new Map(stored.map(entry => [entry.opId, entry.result]));
+
+    const results = [];
+    for (const op of operations) {
+        if (!done.has(op.opId)) {
+            const result = { opId: op.opId, type: op.type, ...await runOperation(op, userId) };
+            try {
+                await SyncOperation.create({ userId, opId: op.opId, result });
+            } catch (error) {
+                // The same batch sent twice at once: the other request stored it first
+                if (error.code !== 11000) throw error;
+            }
+            done.set(op.opId, result);
+        }
+        results.push(done.get(op.opId));
+    }
+    return results;
+};
+
+
+// ========================
+// Changes
+// ========================
+
+const describeChange = (kind, doc) => ({
+    kind,
+    id: doc._id,
+    revision: doc.revision,
+    deleted: false,
+    data: kind === 'list' ? withListTotals(doc) : doc.toObject()
+});
+
+const gone = ({ kind, docId }) => ({ kind, id: docId, deleted: true });
+
+// Everything the user can read, for a client syncing for the first time (or from too far back)
+const snapshot = async (userId) => {
+    const readable = await sharing.readableQueries(userId);
+    const categories = await Category.find(readable.categories).sort({ createdAt: 1 });
+    const lists = await List.find(readable.lists).sort({ createdAt: 1 });
+
+    return [
+        ...categories.map(category => describeChange('category', category)),
+        ...lists.map(list => describeChange('list', list))
+    ];
+};
+
+// What changed for `userId` since sync token `since`: { full, changes }, each document once, current
+// or deleted. `full` (first sync, or a log that no longer reaches back) replaces the client's copy.
+const changesSince = async (userId, since) => {
+    const oldest = since === null ? null : await Change.findOne().sort({ seq: 1 }).select('seq');
+    const latest = await currentSyncToken();
+    const missed = since === null || since > latest || (since < latest && (!oldest || oldest.seq > since + 1));
+    if (missed) return { full: true, changes: await snapshot(userId) };
+
+    const entries = await Change.find({ audience: userId, seq: { $gt: since } }).sort({ seq: 1 });
+    const lastEntries = [...new Map(entries.map(entry => [`${entry.kind}:${entry.docId}`, entry])).values()];
+    const ids = (kind) => lastEntries.filter(entry => entry.kind === kind).map(entry => entry.docId);
+
+    const readable = await sharing.readableQueries(userId);
+    const categories = await Category.find({ $and: [{ _id: { $in: ids('category') } }, readable.categories] });
+    const lists = await List.find({ $and: [{ _id: { $in: ids('list') } }, readable.lists] });
+    const found = new Map([...categories, ...lists].map(doc => [doc._id.toString(), doc]));
+
+    // Categories first, so clients have a list's category before the list
+    const changes = ['category', 'list'].flatMap(kind => lastEntries
+        .filter(entry => entry.kind === kind)
+        .map(entry => {
+            const doc = found.get(entry.docId.toString());
+            return doc ? describeChange(kind, doc) : gone(entry);
+        }));
+    return { full: false, changes };
+};
+
+const currentSyncToken = async () => {
+    const counter = await Counter.findById('changes');
+    return counter ? counter.seq : 0;
+};
+
+
+// ========================
+// Revision checks for single-operation routes
+// ========================
+
+// Optional body.baseRevision of the routes that edit a list in place
+const baseRevisionField = () => body('baseRevision')
+    .optional()
+    .isInt({ min: 0 }).withMessage('baseRevision must be a whole number');
+
+// Runs after the route loaded req.list: a list that changed since baseRevision answers
+// 409 REVISION_CONFLICT with its current state instead of being overwritten
+const checkBaseRevision = (req, res, next) => {
+    if (req.body.baseRevision === undefined || Number(req.body.baseRevision) === req.list.revision) return next();
+
+    return sendError(res, 409, 'The list changed since baseRevision; sync or fetch it again', {
+        code: 'REVISION_CONFLICT',
+        revision: req.list.revision,
+        data: withListTotals(req.list)
+    });
+};
+
+
+// ========================
+// 1. SYNC
+// ========================
+router.post('/sync', authenticateToken, validate(
+    body('syncToken')
+        .optional({ values: 'null' })
+        .isString().withMessage('syncToken must be the token of a previous sync').bail()
+        .matches(/^\d{1,15}$/).withMessage('syncToken must be the token of a previous sync'),
+    body('operations')
+        .optional()
+        .isArray({ max: MAX_OPERATIONS }).withMessage(`operations must be an array of at most ${MAX_OPERATIONS} entries`)
+        .custom(operations => new Set(operations.map(op => op && op.opId)).size === operations.length)
+        .withMessage('Every operation needs its own opId'),
+    body('operations.*')
+        .isObject().withMessage('Each operation must be an object'),
+    body('operations.*.opId')
+        .isString().withMessage('Each operation needs an opId').bail()
+        .isLength({ min: 1, max: 100 }).withMessage('opId must be 1 to 100 characters'),
+    body('operations.*.type')
+        .isIn(OPERATION_TYPES).withMessage(`type must be one of ${OPERATION_TYPES.join(', ')}`),
+    body(['operations.*.listId', 'operations.*.categoryId', 'operations.*.itemId'])
+        .optional()
+        .isMongoId().withMessage('Invalid id in operation'),
+    body('operations.*.baseRevision')
+        .optional()
+        .isInt({ min: 0 }).withMessage('baseRevision must be a whole number'),
+    body(['operations.*.changes', 'operations.*.base'])
+        .optional()
+        .isObject().withMessage('changes and base must be objects'),
+    itemChangesFields('operations.*.changes.')
+), async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const since = req.body.syncToken == null ? null : Number(req.body.syncToken);
+
+        // Token read after the batch is applied, so the next sync does not send it back
+        const results = await applyOperations(req.body.operations || [], userId);
+        const syncToken = await currentSyncToken();
+        const { full, changes } = await changesSince(userId, since);
+
+        res.status(200).json({ status: 'success', syncToken: String(syncToken), full, results, changes });
+    } catch (error) {
+        console.error('Error syncing:', error);
+        res.status(500).json({ status: 'error', message: 'Error syncing' });
+    }
+});
+
+
+module.exports = {
+    router,
+    mergeChanges,
+    changesSince,
+    baseRevisionField,
+    checkBaseRevision,
+};
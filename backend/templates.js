@@ -0,0 +1,413 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+
+const { authenticateToken, requireVerifiedEmail } = require('./authenticator');
+const sharing = require('./sharing');
+const { ITEM_FIELDS, validate, checkIdParams, sendError, nameField, itemsField } = require('./validation');
+const listItems = require('./listItems');
+const units = require('./units');
+const { itemKey } = require('./DB_Models/itemNames');
+const Category = require('./DB_Models/category');
+const List = require('./DB_Models/list');
+const Template = require('./DB_Models/template');
+
+checkIdParams(router);
+
+
+const DAY = 24 * 60 * 60 * 1000;
+const RECURRENCE_TYPES = ['weekly', 'interval', 'monthly'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SCHEDULER_INTERVAL = 5 * 60 * 1000;
+
+
+// ========================
+// Recurrence rules
+// ========================
+
+// Validate a recurrence rule from a request body. Throws 'Invalid recurrence'.
+//   { type: 'weekly', weekday: 1 | 'monday' }
+//   { type: 'interval', everyDays: 10 }
+//   { type: 'monthly', dayOfMonth: 1 }
+// Every rule accepts an optional UTC `hour` (default 6).
+const parseRecurrence = (raw) => {
+    if (!raw || typeof raw !== 'object' || !RECURRENCE_TYPES.includes(raw.type)) {
+        throw new Error('Invalid recurrence');
+    }
+
+    const hour = raw.hour === undefined ? 6 : Number(raw.hour);
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) throw new Error('Invalid recurrence');
+
+    if (raw.type === 'weekly') {
+        const weekday = typeof raw.weekday === 'string'
+            ? WEEKDAYS.indexOf(raw.weekday.trim().toLowerCase())
+            : Number(raw.weekday);
+        if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) throw new Error('Invalid recurrence');
+        return { type: 'weekly', weekday, hour };
+    }
+
+    if (raw.type === 'interval') {
+        const everyDays = Number(raw.everyDays);
+        if (!Number.isInteger(everyDays) || everyDays < 1 || everyDays > 365) throw new Error('Invalid recurrence');
+        return { type: 'interval', everyDays, hour };
+    }
+
+    const dayOfMonth = Number(raw.dayOfMonth);
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) throw new Error('Invalid recurrence');
+    return { type: 'monthly', dayOfMonth, hour };
+};
+
+const atHour = (date, hour) => {
+    const result = new Date(date);
+    result.setUTCHours(hour, 0, 0, 0);
+    return result;
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// First time strictly after `after` at which the rule fires (all in UTC)
+const nextOccurrence = (recurrence, after) => {
+    const hour = recurrence.hour != null ? recurrence.hour : 6;
+
+    if (recurrence.type === 'interval') {
+        return atHour(new Date(after.getTime() + recurrence.everyDays * DAY), hour);
+    }
+
+    if (recurrence.type === 'weekly') {
+        let candidate = atHour(after, hour);
+        const shift = (recurrence.weekday - candidate.getUTCDay() + 7) % 7;
+        candidate = new Date(candidate.getTime() + shift * DAY);
+        return candidate > after ? candidate : new Date(candidate.getTime() + 7 * DAY);
+    }
+
+    // monthly, clamped to the last day of shorter months
+    let year = after.getUTCFullYear();
+    let month = after.getUTCMonth();
+    for (;;) {
+        const day = Math.min(recurrence.dayOfMonth, daysInMonth(year, month));
+        const candidate = new Date(Date.UTC(year, month, day, hour));
+        if (candidate > after) return candidate;
+        month++;
+        if (month > 11) { month = 0; year++; }
+    }
+};
+
+// Next run that is in the future, skipping runs missed while the server was down
+const nextRunAfter = (recurrence, scheduledAt, now) => {
+    let next = nextOccurrence(recurrence, scheduledAt);
+    while (next <= now) next = nextOccurrence(recurrence, next);
+    return next;
+};
+
+
+// ========================
+// Generating lists
+// ========================
+
+// List names are unique per owner, so every generated list is dated
+const uniqueListName = async (baseName, ownerId, date) => {
+    const dated = `${baseName} ${date.toISOString().slice(0, 10)}`;
+    let candidate = dated;
+    for (let n = 2; await List.exists({ name: candidate, userId: ownerId }); n++) {
+        candidate = `${dated} (${n})`;
+    }
+    return candidate;
+};
+
+// The item fields a template keeps, leaving out unset ones so they do not count as cleared
+const templateItemFields = (item) => {
+    const fields = {};
+    ITEM_FIELDS.forEach(field => {
+        if (field !== 'isCompleted' && item[field] !== undefined && item[field] !== null) fields[field] = item[field];
+    });
+    return fields;
+};
+
+// Leftovers named like a template item in a unit that cannot be converted to it
+const unitConflictsWith = (items, leftovers) => leftovers.flatMap(leftover => {
+    const match = items.find(item => itemKey(item.name) === itemKey(leftover.name));
+    return match && !units.canConvert(leftover.unit, match.unit)
+        ? [{ name: leftover.name, existingUnit: match.unit, newUnit: leftover.unit }]
+        : [];
+});
+
+// Create a fresh list from a template. Unbought items of the previous run are merged in
+// with the usual name-and-unit rules; items whose units cannot be compared stay behind.
+// Items are added as the template's author, so the catalog and activity log see them.
+const generateList = async (template, now = new Date()) => {
+    const category = await Category.findById(template.categoryId);
+
+    // The template's author must still be allowed to add lists to the category
+    if (!category || !sharing.hasRole(sharing.getCategoryRole(category, template.userId), 'editor')) {
+        template.active = false;
+        await template.save();
+        return { list: null, reason: 'Category no longer available' };
+    }
+
+    let leftovers = [];
+    if (template.carryOver && template.lastListId) {
+        const previous = await List.findById(template.lastListId);
+        if (previous) {
+            leftovers = previous.items.filter(item => !item.isCompleted).map(templateItemFields);
+        }
+    }
+
+    const items = template.items.map(item => ({ ...templateItemFields(item), isCompleted: false }));
+    const unitConflicts = unitConflictsWith(items, leftovers);
+    const carried = leftovers.filter(leftover => !unitConflicts.some(conflict => conflict.name === leftover.name));
+
+    const list = new List({
+        name: await uniqueListName(template.name, category.userId, now),
+        categoryId: category._id,
+        userId: category.userId,
+        items: [],
+        budget: template.budget,
+        currency: template.currency
+    });
+
+    const result = await listItems.addItemsToList(list, [...items, ...carried], {
+        actorId: template.userId,
+        allowOverBudget: true
+    });
+    if (result.error) {
+        return { list: null, reason: result.error.body.message };
+    }
+
+    template.lastRunAt = now;
+    template.lastListId = list._id;
+    await template.save();
+
+    return { list: result.list, carriedOver: carried.length, unitConflicts };
+};
+
+// Run every template that is due. Each run is claimed by moving nextRunAt forward
+// atomically first, so two server instances never generate the same list twice.
+const runDueTemplates = async (now = new Date()) => {
+    const due = await Template.find({ active: true, nextRunAt: { $lte: now } });
+    let generated = 0;
+
+    for (const template of due) {
+        const next = nextRunAfter(template.recurrence, template.nextRunAt, now);
+        const claim = await Template.updateOne(
+            { _id: template._id, nextRunAt: template.nextRunAt },
+            { $set: { nextRunAt: next } }
+        );
+        if (claim.modifiedCount !== 1) continue;
+
+        template.nextRunAt = next;
+        try {
+            const { list } = await generateList(template, now);
+            if (list) generated++;
+        } catch (error) {
+            console.error(`Error generating list from template ${template._id}:`, error);
+        }
+    }
+
+    return generated;
+};
+
+const startScheduler = (intervalMs = SCHEDULER_INTERVAL) => {
+    const run = () => runDueTemplates().catch(error => console.error('Template scheduler error:', error));
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    run();
+    return timer;
+};
+
+
+// ========================
+// Route helpers
+// ========================
+
+const findOwnTemplate = async (templateId, userId) => {
+    if (!mongoose.isValidObjectId(templateId)) return null;
+    return Template.findOne({ _id: templateId, userId });
+};
+
+const flagFields = (...fields) => body(fields)
+    .optional()
+    .isBoolean({ strict: true }).withMessage(`${fields.join(' and ')} must be true or false`);
+
+const sendRecurrenceError = (res) => res.status(400).json({
+    status: 'error',
+    message: 'Invalid recurrence. Use { type: "weekly", weekday }, { type: "interval", everyDays } or { type: "monthly", dayOfMonth }'
+});
+
+
+// ========================
+// 1. SAVE A LIST AS A TEMPLATE
+// ========================
+router.post('/lists/:listId/template', authenticateToken, requireVerifiedEmail, validate(
+    nameField('name', 'Template name', { optional: true }),
+    flagFields('carryOver')
+), sharing.requireListRole('viewer'), async (req, res) => {
+    try {
+        const { name, carryOver } = req.body;
+        const { list } = req;
+        const recurrence = parseRecurrence(req.body.recurrence);
+
+        const { category, role: categoryRole } = await sharing.findCategoryForUser(list.categoryId, req.user.userId);
+        if (!category || !sharing.hasRole(categoryRole, 'editor')) {
+            return res.status(403).json({ status: 'error', message: 'You do not have permission to add lists to this category' });
+        }
+
+        const template = new Template({
+            name: (name || list.name).trim(),
+            userId: req.user.userId,
+            categoryId: list.categoryId,
+            items: list.items.map(templateItemFields),
+            budget: list.budget,
+            currency: list.currency,
+            recurrence,
+            carryOver: carryOver !== undefined ? !!carryOver : true,
+            lastListId: list._id,       // this list counts as the first run for carry-over
+            nextRunAt: nextOccurrence(recurrence, new Date())
+        });
+        await template.save();
+
+        res.status(201).json({ status: 'success', message: 'Template saved successfully', data: template });
+    } catch (error) {
+        if (error.message === 'Invalid recurrence') return sendRecurrenceError(res);
+        console.error('Error saving template:', error);
+        res.status(500).json({ status: 'error', message: 'Error saving template' });
+    }
+});
+
+
+// ========================
+// 2. FETCH TEMPLATES
+// ========================
+router.get('/templates', authenticateToken, async (req, res) => {
+    try {
+        const templates = await Template.find({ userId: req.user.userId }).sort({ nextRunAt: 1 });
+        res.status(200).json({ status: 'success', data: templates });
+    } catch (error) {
+        console.error('Error fetching templates:', error);
+        res.status(500).json({ status: 'error', message: 'Error fetching templates' });
+    }
+});
+
+router.get('/templates/:templateId', authenticateToken, async (req, res) => {
+    try {
+        const template = await findOwnTemplate(req.params.templateId, req.user.userId);
+        if (!template) {
+            return res.status(404).json({ status: 'error', message: 'Template not found' });
+        }
+        res.status(200).json({ status: 'success', data: template });
+    } catch (error) {
+        console.error('Error fetching template:', error);
+        res.status(500).json({ status: 'error', message: 'Error fetching template' });
+    }
+});
+
+
+// ========================
+// 3. UPDATE TEMPLATE (name, items, recurrence, carry-over, pause/resume)
+// ========================
+router.patch('/templates/:templateId', authenticateToken, validate(
+    nameField('name', 'Template name', { optional: true }),
+    itemsField('items', { optional: true }),
+    flagFields('carryOver', 'active')
+), async (req, res) => {
+    try {
+        const template = await findOwnTemplate(req.params.templateId, req.user.userId);
+        if (!template) {
+            return res.status(404).json({ status: 'error', message: 'Template not found' });
+        }
+
+        const { name, items, recurrence, carryOver, active } = req.body;
+
+        if (name !== undefined) template.name = name;
+
+        if (items !== undefined) {
+            const formatted = items.map(listItems.formatItem);
+            if (formatted.some(item => !item)) {
+                return sendError(res, 400, 'One or more items have invalid format.', { code: 'INVALID_ITEM' });
+            }
+            template.items = formatted.map(templateItemFields);
+        }
+
+        if (carryOver !== undefined) template.carryOver = !!carryOver;
+
+        if (recurrence !== undefined) {
+            template.recurrence = parseRecurrence(recurrence);
+            template.nextRunAt = nextOccurrence(template.recurrence, new Date());
+        }
+
+        if (active !== undefined) {
+            const resuming = !!active && !template.active;
+            template.active = !!active;
+            if (resuming) template.nextRunAt = nextOccurrence(template.recurrence, new Date());
+        }
+
+        await template.save();
+
+        res.status(200).json({ status: 'success', message: 'Template updated successfully', data: template });
+    } catch (error) {
+        if (error.message === 'Invalid recurrence') return sendRecurrenceError(res);
+        if (error.message === 'Invalid item price') {
+            return res.status(400).json({ status: 'error', message: 'Prices must be non-negative numbers and currencies 3-letter codes' });
+        }
+        console.error('Error updating template:', error);
+        res.status(500).json({ status: 'error', message: 'Error updating template' });
+    }
+});
+
+
+// ========================
+// 4. DELETE TEMPLATE (generated lists are kept)
+// ========================
+router.delete('/templates/:templateId', authenticateToken, async (req, res) => {
+    try {
+        const template = await findOwnTemplate(req.params.templateId, req.user.userId);
+        if (!template) {
+            return res.status(404).json({ status: 'error', message: 'Template not found' });
+        }
+
+        await Template.findByIdAndDelete(template._id);
+
+        res.status(200).json({ status: 'success', message: 'Template deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        res.status(500).json({ status: 'error', message: 'Error deleting template' });
+    }
+});
+
+
+// ========================
+// 5. GENERATE A LIST NOW (outside the schedule)
+// ========================
+router.post('/templates/:templateId/run', authenticateToken, async (req, res) => {
+    try {
+        const template = await findOwnTemplate(req.params.templateId, req.user.userId);
+        if (!template) {
+            return res.status(404).json({ status: 'error', message: 'Template not found' });
+        }
+
+        const { list, reason, carriedOver, unitConflicts } = await generateList(template);
+        if (!list) {
+            return res.status(409).json({ status: 'error', message: reason });
+        }
+
+        res.status(201).json({
+            status: 'success',
+            message: 'List created from template',
+            carriedOver,
+            conflicts: unitConflicts,
+            data: list
+        });
+    } catch (error) {
+        console.error('Error running template:', error);
+        res.status(500).json({ status: 'error', message: 'Error creating list from template' });
+    }
+});
+
+
+module.exports = {
+    router,
+    parseRecurrence,
+    nextOccurrence,
+    runDueTemplates,
+    startScheduler,
+};
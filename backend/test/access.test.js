@@ -0,0 +1,99 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { setupTestApp, signUp, createCategory, createList } = require('./helpers');
+const Category = require('../DB_Models/category');
+const List = require('../DB_Models/list');
+const User = require('../DB_Models/user');
+
+
+const context = setupTestApp();
+
+// Alice owns a category with one list; Mallory has an account but no access to either
+let alice;
+let mallory;
+let category;
+let list;
+
+beforeEach(async () => {
+    alice = await signUp(context.app, 'alice');
+    mallory = await signUp(context.app, 'mallory');
+    category = await createCategory(context.app, alice, 'Private');
+    list = await createList(context.app, alice, category._id, 'Saturday', ['milk', 'bread']);
+});
+
+const asMallory = (method, path) => request(context.app)[method](path).set(mallory.auth);
+
+
+describe('another user', () => {
+    it('does not see the category or its lists', async () => {
+        const categories = await asMallory('get', '/api/categories').expect(200);
+        assert.deepEqual(categories.body.data, []);
+
+        const lists = await asMallory('get', `/api/fetch-lists/${category._id}`).expect(200);
+        assert.deepEqual(lists.body.data, []);
+
+        await asMallory('get', `/api/v2/categories/${category._id}`).expect(404);
+        await asMallory('get', `/api/v2/categories/${category._id}/lists/${list._id}`).expect(404);
+    });
+
+    it('cannot add lists to the category or delete it', async () => {
+        await asMallory('post', `/api/categories/${category._id}/lists`)
+            .send({ name: 'Sneaky', items: ['cake'] })
+            .expect(404);
+        await asMallory('delete', `/api/categories/${category._id}`).expect(404);
+
+        assert.ok(await Category.exists({ _id: category._id }));
+        assert.equal(await List.countDocuments({ categoryId: category._id }), 1);
+    });
+
+    it('cannot change, toggle or delete items', async () => {
+        const [milk, bread] = list.items;
+
+        await asMallory('patch', `/api/updatelist/${list._id}`).send({ items: ['cake'] }).expect(404);
+        await asMallory('patch', `/api/updateItem/${list._id}/${milk._id}`)
+            .send({ updatedItem: { name: 'Cake', quantity: 1, unit: 'pcs' } })
+            .expect(404);
+        await asMallory('patch', `/api/items/${milk._id}/toggle`).expect(404);
+        await asMallory('delete', `/api/delete/${list._id}/item/${bread._id}`).expect(404);
+        await asMallory('delete', `/api/delete-lists/${list._id}`).expect(404);
+
+        const stored = await List.findById(list._id);
+        assert.deepEqual(stored.items.map(item => [item.name, item.isCompleted]), [['milk', false], ['bread', false]]);
+    });
+
+    it('cannot reach a list through its own category in /api/v2', async () => {
+        const own = await createCategory(context.app, mallory, 'Mine');
+
+        const res = await asMallory('get', `/api/v2/categories/${own._id}/lists/${list._id}/items`).expect(404);
+        assert.equal(res.body.error.code, 'LIST_NOT_FOUND');
+    });
+
+    it('can read but not edit once invited as a viewer', async () => {
+        // Sharing needs verified emails on both sides
+        await User.updateMany({}, { emailVerified: true });
+        await request(context.app).post(`/api/lists/${list._id}/members`)
+            .set(alice.auth)
+            .send({ identifier: 'mallory', role: 'viewer' })
+            .expect(201);
+
+        const lists = await asMallory('get', `/api/fetch-lists/${category._id}`).expect(200);
+        assert.equal(lists.body.data.length, 1);
+        assert.equal(lists.body.data[0].role, 'viewer');
+
+        await asMallory('patch', `/api/updatelist/${list._id}`).send({ items: ['cake'] }).expect(403);
+        await asMallory('patch', `/api/items/${list.items[0]._id}/toggle`).expect(403);
+    });
+});
+
+
+describe('malformed ids', () => {
+    it('are rejected before any lookup', async () => {
+        const res = await request(context.app).get('/api/fetch-lists/not-an-id').set(alice.auth).expect(400);
+        assert.equal(res.body.status, 'error');
+
+        const v2 = await request(context.app).get('/api/v2/categories/not-an-id').set(alice.auth).expect(400);
+        assert.equal(v2.body.error.code, 'INVALID_ID');
+    });
+});
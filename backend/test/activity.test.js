@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { setupTestApp, signUp, createCategory, createList } = require('./helpers');
+const User = require('../DB_Models/user');
+
+
+const context = setupTestApp();
+
+// Alice shares Saturday with Bob as an editor
+const setup = async () => {
+    const alice = await signUp(context.app, 'alice');
+    const bob = await signUp(context.app, 'bob');
+    await User.updateMany({}, { emailVerified: true });
+
+    const weekly = await createCategory(context.app, alice, 'Weekly');
+    const saturday = await createList(context.app, alice, weekly._id, 'Saturday', [{ name: 'eggs', quantity: 6, unit: 'pcs' }, 'milk']);
+    await request(context.app).post(`/api/lists/${saturday._id}/members`)
+        .set(alice.auth)
+        .send({ identifier: 'bob', role: 'editor' })
+        .expect(201);
+    return { alice, bob, weekly, saturday };
+};
+
+const listFeed = (user, list, params = {}) =>
+    request(context.app).get(`/api/lists/${list._id}/activity`).query(params).set(user.auth).expect(200);
+
+const summary = (res) => res.body.data.map(entry => [entry.action, entry.name, entry.actor && entry.actor.username]);
+
+
+describe('list activity', () => {
+    it('records who changed which item, with the values before and after', async () => {
+        const { alice, bob, weekly, saturday } = await setup();
+        const [eggs, milk] = saturday.items;
+        const itemUrl = (item) => `/api/v2/categories/${weekly._id}/lists/${saturday._id}/items/${item._id}`;
+
+        await request(context.app).patch(itemUrl(eggs)).set(bob.auth).send({ quantity: 12 }).expect(200);
+        await request(context.app).patch(`/api/items/${milk._id}/toggle`).set(alice.auth).expect(200);
+        await request(context.app).delete(itemUrl(eggs)).set(bob.auth).expect(204);
+
+        const res = await listFeed(alice, saturday);
+        assert.deepEqual(summary(res), [
+            ['item.delete', 'eggs', 'bob'],
+            ['item.toggle', 'milk', 'alice'],
+            ['item.update', 'eggs', 'bob'],
+            ['list.create', 'Saturday', 'alice']
+        ]);
+        assert.deepEqual([res.body.data[2].before, res.body.data[2].after], [{ quantity: 6 }, { quantity: 12 }]);
+        assert.equal(res.body.data[0].before.quantity, 12);
+    });
+
+    it('records a list generated from a template as created', async () => {
+        const { alice, weekly } = await setup();
+        const sunday = await createList(context.app, alice, weekly._id, 'Sunday', [{ name: 'bread', quantity: 1, unit: 'pcs', aisle: 'Bakery' }]);
+        const template = await request(context.app).post(`/api/lists/${sunday._id}/template`)
+            .set(alice.auth)
+            .send({ recurrence: { type: 'weekly', weekday: 0 }, carryOver: false })
+            .expect(201);
+
+        const run = await request(context.app).post(`/api/templates/${template.body.data._id}/run`).set(alice.auth).expect(201);
+        assert.equal(run.body.data.items[0].aisle, 'Bakery');
+
+        const res = await listFeed(alice, run.body.data);
+        assert.deepEqual(summary(res), [['list.create', run.body.data.name, 'alice']]);
+        assert.equal(res.body.data[0].after.itemCount, 1);
+    });
+
+    it('filters by action and actor and pages with the cursor', async () => {
+        const { alice, bob, weekly, saturday } = await setup();
+        await request(context.app).post(`/api/v2/categories/${weekly._id}/lists/${saturday._id}/items`)
+            .set(bob.auth)
+            .send({ items: ['bread', 'butter', 'jam'] })
+            .expect(200);
+
+        const byBob = await listFeed(alice, saturday, { actorId: bob.userId, limit: 2 });
+        assert.deepEqual(summary(byBob).map(([action]) => action), ['item.add', 'item.add']);
+
+        const next = await listFeed(alice, saturday, { actorId: bob.userId, limit: 2, cursor: byBob.body.page.nextCursor });
+        assert.equal(next.body.data.length, 1);
+        assert.equal(next.body.page.nextCursor, null);
+
+        const created = await listFeed(alice, saturday, { action: 'list.create' });
+        assert.deepEqual(summary(created), [['list.create', 'Saturday', 'alice']]);
+    });
+
+    it('is only readable by people who can see the list', async () => {
+        const { saturday } = await setup();
+        const carol = await signUp(context.app, 'carol');
+
+        await request(context.app).get(`/api/lists/${saturday._id}/activity`).set(carol.auth).expect(404);
+    });
+});
+
+
+describe('activity feed', () => {
+    it('keeps deletes in the feed of everyone who could see the list', async () => {
+        const { alice, bob, weekly, saturday } = await setup();
+        await request(context.app).delete(`/api/v2/categories/${weekly._id}/lists/${saturday._id}`).set(alice.auth).expect(204);
+
+        const res = await request(context.app).get('/api/activity').query({ targetType: 'list' }).set(bob.auth).expect(200);
+        // Bob joined after the list was created, so he sees the delete but not the create
+        assert.deepEqual(summary(res), [['list.delete', 'Saturday', 'alice']]);
+        assert.equal(res.body.data[0].before.itemCount, 2);
+    });
+
+    it('shows imported categories and lists', async () => {
+        const { alice } = await setup();
+        await request(context.app).post('/api/import/account')
+            .set(alice.auth)
+            .send({ categories: [{ name: 'Imported', lists: [{ name: 'Sunday', items: ['bread'] }] }] })
+            .expect(201);
+
+        const res = await request(context.app).get('/api/activity').query({ action: 'list.create' }).set(alice.auth).expect(200);
+        assert.deepEqual(summary(res).slice(0, 1), [['list.create', 'Sunday', 'alice']]);
+
+        const categories = await request(context.app).get('/api/activity').query({ action: 'category.create' }).set(alice.auth).expect(200);
+        assert.deepEqual(summary(categories).map(([, name]) => name), ['Imported', 'Weekly']);
+    });
+
+    it('leaves out categories the user never saw', async () => {
+        const { bob } = await setup();
+
+        const res = await request(context.app).get('/api/activity').query({ targetType: 'category' }).set(bob.auth).expect(200);
+        assert.deepEqual(res.body.data, []);
+    });
+});
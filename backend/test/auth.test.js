@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { setupTestApp, signUp } = require('./helpers');
+const Session = require('../DB_Models/session');
+
+
+const context = setupTestApp();
+
+const refreshCookie = (res) => (res.headers['set-cookie'] || []).find(cookie => cookie.startsWith('refreshToken='));
+
+
+describe('signup', () => {
+    it('creates an unverified account and sends the verification email', async () => {
+        const res = await request(context.app).post('/api/signup')
+            .send({ username: 'alice', email: 'alice@example.com', password: 'correct-horse-1' })
+            .expect(201);
+
+        assert.equal(res.body.status, 'success');
+        assert.equal(res.body.verificationSent, true);
+        assert.equal(context.sentMail.length, 1);
+        assert.equal(context.sentMail[0].to, 'alice@example.com');
+        assert.match(context.sentMail[0].text, /http:\/\/client\.test\/verify-email\?token=/);
+    });
+
+    it('rejects an email or username that is already taken', async () => {
+        await signUp(context.app, 'alice');
+
+        await request(context.app).post('/api/signup')
+            .send({ username: 'someone', email: 'alice@example.com', password: 'correct-horse-1' })
+            .expect(409);
+        await request(context.app).post('/api/signup')
+            .send({ username: 'alice', email: 'other@example.com', password: 'correct-horse-1' })
+            .expect(409);
+    });
+
+    it('rejects a body without a password', async () => {
+        const res = await request(context.app).post('/api/signup')
+            .send({ username: 'alice', email: 'alice@example.com' })
+            .expect(400);
+
+        assert.equal(res.body.status, 'error');
+        assert.ok(res.body.errors.some(error => error.field === 'password'));
+    });
+});
+
+
+describe('signin', () => {
+    it('returns an access token and sets the refresh token cookie', async () => {
+        await signUp(context.app, 'alice');
+
+        const res = await request(context.app).post('/api/signin')
+            .send({ email: 'alice@example.com', password: 'correct-horse-1', deviceName: 'Test phone' })
+            .expect(200);
+
+        assert.ok(res.body.accessToken);
+        assert.equal(res.body.user.username, 'alice');
+        assert.match(refreshCookie(res), /HttpOnly/);
+    });
+
+    it('rejects a wrong password', async () => {
+        await signUp(context.app, 'alice');
+
+        await request(context.app).post('/api/signin')
+            .send({ email: 'alice@example.com', password: 'wrong-password' })
+            .expect(401);
+    });
+
+    it('lets the access token reach protected routes', async () => {
+        const alice = await signUp(context.app, 'alice');
+
+        await request(context.app).get('/api/user/profile').expect(401);
+        await request(context.app).get('/api/user/profile').set('Authorization', 'Bearer not-a-token').expect(401);
+
+        const res = await request(context.app).get('/api/user/profile').set(alice.auth).expect(200);
+        assert.equal(res.body.user.email, 'alice@example.com');
+    });
+
+    it('stops accepting access tokens once their session ends', async () => {
+        const alice = await signUp(context.app, 'alice');
+        const session = await Session.findOne({ userId: alice.userId });
+
+        await request(context.app).delete(`/api/sessions/${session._id}`).set(alice.auth).expect(200);
+
+        await request(context.app).get('/api/user/profile').set(alice.auth).expect(401);
+        const res = await request(context.app).get('/api/v2/categories').set(alice.auth).expect(401);
+        assert.equal(res.body.error.code, 'SESSION_REVOKED');
+    });
+});
+
+
+describe('refresh token', () => {
+    it('rotates the cookie and issues a new access token', async () => {
+        const alice = await signUp(context.app, 'alice');
+
+        const res = await alice.agent.get('/api/refresh-token').expect(200);
+
+        assert.ok(res.body.accessToken);
+        assert.ok(refreshCookie(res));
+        await request(context.app).get('/api/user/profile')
+            .set('Authorization', `Bearer ${res.body.accessToken}`)
+            .expect(200);
+    });
+
+    it('revokes the session when an old refresh token is replayed', async () => {
+        const alice = await signUp(context.app, 'alice');
+        const session = await Session.findOne({ userId: alice.userId });
+
+        // Keep a rotated token, rotate once more, then present the stale one again
+        const first = await alice.agent.get('/api/refresh-token').expect(200);
+        const replayed = refreshCookie(first).split(';')[0];
+        await alice.agent.get('/api/refresh-token').expect(200);
+
+        await request(context.app).get('/api/refresh-token').set('Cookie', replayed).expect(403);
+
+        const revoked = await Session.findById(session._id);
+        assert.equal(revoked.revokedReason, 'reuse-detected');
+        await alice.agent.get('/api/refresh-token').expect(403);
+    });
+
+    it('requires the cookie', async () => {
+        await request(context.app).get('/api/refresh-token').expect(401);
+    });
+
+    it('stops working after logout', async () => {
+        const alice = await signUp(context.app, 'alice');
+
+        await alice.agent.post('/api/logout').expect(200);
+        await alice.agent.get('/api/refresh-token').expect(401);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { setupTestApp, signUp, createCategory, createList } = require('./helpers');
+
+
+const context = setupTestApp();
+
+const setup = async () => {
+    const alice = await signUp(context.app, 'alice');
+    const weekly = await createCategory(context.app, alice, 'Weekly');
+    const saturday = await createList(context.app, alice, weekly._id, 'Saturday', [{ name: 'Tomato', quantity: 500, unit: 'g' }]);
+    return { alice, weekly, saturday };
+};
+
+const addItems = (user, category, list, items) =>
+    request(context.app).post(`/api/v2/categories/${category._id}/lists/${list._id}/items`)
+        .set(user.auth)
+        .send({ items })
+        .expect(200);
+
+const suggestions = (user, q) =>
+    request(context.app).get('/api/catalog/suggest').query({ q }).set(user.auth).expect(200);
+
+
+describe('item names', () => {
+    it('treats case, accents and plurals as the same item', async () => {
+        const { alice, weekly, saturday } = await setup();
+
+        const res = await addItems(alice, weekly, saturday, [{ name: 'TOMATOES', quantity: 250, unit: 'g' }]);
+        assert.equal(res.body.merged, 1);
+        assert.deepEqual(res.body.data.map(item => [item.name, item.quantity, item.unit]), [['Tomato', 750, 'g']]);
+    });
+
+    it('fills in the name, unit and quantity the item was last added with', async () => {
+        const { alice, weekly } = await setup();
+        const sunday = await createList(context.app, alice, weekly._id, 'Sunday');
+
+        const res = await addItems(alice, weekly, sunday, [{ name: 'tomatos' }]);
+        assert.deepEqual(res.body.data.map(item => [item.name, item.quantity, item.unit]), [['Tomato', 500, 'g']]);
+    });
+});
+
+
+describe('auto-complete', () => {
+    it('completes names from the start, a word or with a typo', async () => {
+        const { alice, weekly, saturday } = await setup();
+        await addItems(alice, weekly, saturday, ['Cherry tomatoes', 'Oat milk']);
+
+        const byPrefix = await suggestions(alice, 'tom');
+        assert.deepEqual(byPrefix.body.data.map(entry => [entry.name, entry.match]), [['Tomato', 'prefix'], ['Cherry tomatoes', 'word']]);
+        assert.deepEqual([byPrefix.body.data[0].quantity, byPrefix.body.data[0].unit], [500, 'g']);
+
+        const withTypo = await suggestions(alice, 'tomatp');
+        assert.equal(withTypo.body.data[0].name, 'Tomato');
+        assert.equal(withTypo.body.data[0].match, 'fuzzy');
+    });
+
+    it('keeps the old spelling as an alias after a rename', async () => {
+        const { alice } = await setup();
+        const [tomato] = (await suggestions(alice, 'tomato')).body.data;
+
+        await request(context.app).patch(`/api/catalog/${tomato._id}`).set(alice.auth).send({ name: 'Roma tomato' }).expect(200);
+
+        const res = await suggestions(alice, 'tomato');
+        assert.equal(res.body.data[0].name, 'Roma tomato');
+        assert.ok(res.body.data[0].aliases.includes('tomato'));
+    });
+
+    it('only suggests from the user\'s own catalog', async () => {
+        await setup();
+        const bob = await signUp(context.app, 'bob');
+
+        const res = await suggestions(bob, 'tom');
+        assert.deepEqual(res.body.data, []);
+    });
+});
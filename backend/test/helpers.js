@@ -0,0 +1,107 @@
+// Shared setup for the integration suite: an in-memory MongoDB, an app from createApp()
+// and helpers for signing users up and creating categories and lists over HTTP.
+// Every request and response is also checked against openapi.js (validateApi).
+const { before, after, beforeEach } = require('node:test');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const { createApp } = require('../app');
+const mailer = require('../mailer');
+
+
+const TEST_CONFIG = {
+    nodeEnv: 'test',
+    clientUrl: 'http://client.test',
+    accessTokenSecret: 'test-access-secret',
+    refreshTokenSecret: 'test-refresh-secret',
+    emailTokenSecret: 'test-email-secret',
+    rateLimit: false,
+    requestLog: false,
+    validateApi: true
+};
+
+// Registers before/after hooks for the calling test file and returns a context whose
+// `app` is ready once the tests run. Collections are emptied before every test;
+// `sentMail` holds the messages the app tried to send.
+const setupTestApp = () => {
+    const context = { app: null, sentMail: [] };
+    let mongod;
+
+    before(async () => {
+        mongod = await MongoMemoryServer.create();
+        await mongoose.connect(mongod.getUri());
+
+        // Unique indexes (user email, list name per owner) must exist before the first insert
+        await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+
+        mailer.setTransport({
+            sendMail: async (message) => {
+                context.sentMail.push(message);
+                return { messageId: `test-${context.sentMail.length}` };
+            }
+        });
+
+        context.app = createApp(TEST_CONFIG);
+    });
+
+    beforeEach(async () => {
+        const collections = await mongoose.connection.db.collections();
+        await Promise.all(collections.map(collection => collection.deleteMany({})));
+        context.sentMail.length = 0;
+    });
+
+    after(async () => {
+        mailer.setTransport(null);
+        await mongoose.disconnect();
+        if (mongod) await mongod.stop();
+    });
+
+    return context;
+};
+
+
+// Sign a new user up and in. Resolves to { agent, token, userId, auth } where `agent` keeps
+// the refresh token cookie and `auth` is the Authorization header for the access token.
+const signUp = async (app, name, password = 'correct-horse-1') => {
+    const agent = request.agent(app);
+    const credentials = { username: name, email: `${name}@example.com`, password };
+
+    await agent.post('/api/signup').send(credentials).expect(201);
+    const res = await agent.post('/api/signin')
+        .send({ email: credentials.email, password })
+        .expect(200);
+
+    return {
+        agent,
+        token: res.body.accessToken,
+        userId: res.body.user.id,
+        auth: { Authorization: `Bearer ${res.body.accessToken}` },
+        ...credentials
+    };
+};
+
+const createCategory = async (app, user, name = 'Groceries') => {
+    const res = await request(app).post('/api/add-category')
+        .set(user.auth)
+        .send({ name })
+        .expect(201);
+    return res.body.data;
+};
+
+const createList = async (app, user, categoryId, name, items) => {
+    const res = await request(app).post(`/api/categories/${categoryId}/lists`)
+        .set(user.auth)
+        .send({ name, items })
+        .expect(201);
+    return res.body.data;
+};
+
+
+module.exports = {
+    TEST_CONFIG,
+    setupTestApp,
+    signUp,
+    createCategory,
+    createList,
+};
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { setupTestApp, signUp, createCategory } = require('./helpers');
+const User = require('../DB_Models/user');
+
+
+const context = setupTestApp();
+
+const setup = async () => {
+    const alice = await signUp(context.app, 'alice');
+    await User.updateMany({}, { emailVerified: true });
+    const weekly = await createCategory(context.app, alice, 'Weekly');
+    return { alice, weekly };
+};
+
+
+describe('importing', () => {
+    it('reports entries of an export document that are not objects', async () => {
+        const { alice } = await setup();
+
+        const res = await request(context.app).post('/api/import/account')
+            .set(alice.auth)
+            .send({ categories: [null, { name: 'Weekly', lists: [7, { name: 'Saturday', items: ['milk'] }] }] })
+            .expect(201);
+        assert.deepEqual(res.body.data.created.map(list => list.name), ['Saturday']);
+        assert.deepEqual(res.body.data.errors.map(error => error.message), [
+            'categories[0] must be an object',
+            'categories[1].lists[0] must be an object'
+        ]);
+    });
+
+    it('reports CSV rows with a quantity that is not a number', async () => {
+        const { alice, weekly } = await setup();
+
+        const res = await request(context.app).post(`/api/import/categories/${weekly._id}?format=csv&name=Saturday`)
+            .set(alice.auth)
+            .set('Content-Type', 'text/csv')
+            .send('name,quantity,unit\nmilk,abc,l\neggs,6,pcs\n')
+            .expect(201);
+        assert.deepEqual(res.body.data.errors, [{ line: 2, message: 'Invalid quantity "abc"' }]);
+        assert.equal(res.body.data.created[0].items, 1);
+    });
+
+    it('rejects unknown formats and oversized names', async () => {
+        const { alice, weekly } = await setup();
+
+        await request(context.app).post(`/api/import/categories/${weekly._id}?format=xml`).set(alice.auth).send([]).expect(400);
+        await request(context.app).post(`/api/import/categories/${weekly._id}`)
+            .set(alice.auth)
+            .send({ name: 'x'.repeat(101), content: ['milk'] })
+            .expect(400);
+    });
+});
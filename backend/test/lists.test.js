@@ -0,0 +1,231 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { setupTestApp, signUp, createCategory, createList } = require('./helpers');
+const List = require('../DB_Models/list');
+
+
+const context = setupTestApp();
+
+
+describe('categories', () => {
+    it('creates, lists and deletes a category with its lists', async () => {
+        const alice = await signUp(context.app, 'alice');
+        const category = await createCategory(context.app, alice, 'Weekly');
+        await createList(context.app, alice, category._id, 'Saturday', ['milk']);
+
+        const listed = await request(context.app).get('/api/categories').set(alice.auth).expect(200);
+        assert.deepEqual(listed.body.data.map(c => c.name), ['Weekly']);
+        assert.equal(listed.body.data[0].role, 'owner');
+        assert.equal(listed.headers.deprecation, `@${Date.parse('2026-10-19T00:00:00Z') / 1000}`);
+
+        await request(context.app).delete(`/api/categories/${category._id}`).set(alice.auth).expect(200);
+
+        const after = await request(context.app).get('/api/categories').set(alice.auth).expect(200);
+        assert.deepEqual(after.body.data, []);
+        assert.equal(await List.countDocuments({ categoryId: category._id }), 0);
+    });
+
+    it('rejects a second category with the same name in any case', async () => {
+        const alice = await signUp(context.app, 'alice');
+        await createCategory(context.app, alice, 'Weekly');
+
+        await request(context.app).post('/api/add-category').set(alice.auth).send({ name: 'WEEKLY' }).expect(409);
+    });
+
+    it('supports the same operations under /api/v2', async () => {
+        const alice = await signUp(context.app, 'alice');
+
+        const created = await request(context.app).post('/api/v2/categories')
+            .set(alice.auth)
+            .send({ name: 'Weekly', budget: 50, currency: 'usd' })
+            .expect(201);
+        const categoryId = created.body.data._id;
+        assert.equal(created.body.data.currency, 'USD');
+
+        const renamed = await request(context.app).patch(`/api/v2/categories/${categoryId}`)
+            .set(alice.auth)
+            .send({ name: 'Monthly' })
+            .expect(200);
+        assert.equal(renamed.body.data.name, 'Monthly');
+
+        await request(context.app).delete(`/api/v2/categories/${categoryId}`).set(alice.auth).expect(204);
+        const missing = await request(context.app).get(`/api/v2/categories/${categoryId}`).set(alice.auth).expect(404);
+        assert.equal(missing.body.error.code, 'CATEGORY_NOT_FOUND');
+    });
+});
+
+
+describe('lists', () => {
+    it('creates a list from item objects and quick-add text', async () => {
+        const alice = await signUp(context.app, 'alice');
+        const category = await createCategory(context.app, alice);
+
+        const list = await createList(context.app, alice, category._id, 'Saturday', [
+            { name: 'Apples', quantity: 2, unit: 'kg' },
+            'milk x2, 6 eggs'
+        ]);
+
+        assert.deepEqual(
+            list.items.map(({ name, quantity, unit }) => ({ name, quantity, unit })),
+            [
+                { name: 'Apples', quantity: 2, unit: 'kg' },
+                { name: 'milk', quantity: 2, unit: 'pcs' },
+                { name: 'eggs', quantity: 6, unit: 'pcs' }
+            ]
+        );
+
+        const fetched = await request(context.app).get(`/api/fetch-lists/${category._id}`).set(alice.auth).expect(200);
+        assert.equal(fetched.body.data.length, 1);
+        assert.equal(fetched.body.data[0].items.length, 3);
+    });
+
+    it('rejects a second list with the same name for the same owner', async () => {
+        const alice = await signUp(context.app, 'alice');
+        const category = await createCategory(context.app, alice);
+        await createList(context.app, alice, category._id, 'Saturday', ['milk']);
+
+        await request(context.app).post(`/api/categories/${category._id}/lists`)
+            .set(alice.auth)
+            .send({ name: 'Saturday', items: ['bread'] })
+            .expect(409);
+    });
+
+    it('toggles and deletes items, and deletes the list', async () => {
+        const alice = await signUp(context.app, 'alice');
+        const category = await createCategory(context.app, alice);
+        const list = await createList(context.app, alice, category._id, 'Saturday', ['milk', 'bread']);
+        const [milk, bread] = list.items;
+
+        const toggled = await request(context.app).patch(`/api/items/${milk._id}/toggle`).set(alice.auth).expect(200);
+        assert.equal(toggled.body.updatedItem.isCompleted, true);
+
+        const afterDelete = await request(context.app).delete(`/api/delete/${list._id}/item/${bread._id}`)
+            .set(alice.auth)
+            .expect(200);
+        assert.deepEqual(afterDelete.body.data.items.map(item => item.name), ['milk']);
+
+        await request(context.app).delete(`/api/delete-lists/${list._id}`).set(alice.auth).expect(200);
+        assert.equal(await List.exists({ _id: list._id }), null);
+    });
+});
+
+
+describe('PATCH /api/updatelist/:listID', () => {
+    const setup = async () => {
+        const alice = await signUp(context.app, 'alice');
+        const category = await createCategory(context.app, alice);
+        const list = await createList(context.app, alice, category._id, 'Saturday', [
+            { name: 'Milk', quantity: 1, unit: 'l' },
+            { name: 'Eggs', quantity: 6, unit: 'pcs' }
+        ]);
+        return { alice, list };
+    };
+
+    const update = (user, list, items) => request(context.app)
+        .patch(`/api/updatelist/${list._id}`)
+        .set(user.auth)
+        .send({ items });
+
+    it('merges same-name items case-insensitively, converting units', async () => {
+        const { alice, list } = await setup();
+
+        const res = await update(alice, list, [
+            { name: 'milk', quantity: 500, unit: 'ml' },
+            { name: 'EGGS', quantity: 1, unit: 'dozen' },
+            'bread'
+        ]).expect(200);
+
+        const items = Object.fromEntries(res.body.data.items.map(item => [item.name, item]));
+        assert.deepEqual(Object.keys(items), ['Milk', 'Eggs', 'bread']);
+        assert.equal(items.Milk.quantity, 1.5);
+        assert.equal(items.Milk.unit, 'l');
+        assert.equal(items.Eggs.quantity, 18);
+        assert.equal(items.Eggs.unit, 'pcs');
+    });
+
+    it('adds up quantities sent as text and rejects ones that are not numbers', async () => {
+        const { alice, list } = await setup();
+
+        const res = await update(alice, list, [{ name: 'milk', quantity: '5', unit: 'l' }]).expect(200);
+        assert.equal(res.body.data.items[0].quantity, 6);
+
+        await update(alice, list, [{ name: 'milk', quantity: 'abc', unit: 'l' }]).expect(400);
+        const stored = await List.findById(list._id);
+        assert.equal(stored.items[0].quantity, 6);
+    });
+
+    it('reports a unit conflict and leaves the list untouched', async () => {
+        const { alice, list } = await setup();
+
+        const res = await update(alice, list, [{ name: 'Milk', quantity: 2, unit: 'kg' }]).expect(400);
+
+        assert.deepEqual(res.body.conflicts, [{ name: 'Milk', existingUnit: 'l', newUnit: 'kg' }]);
+        const stored = await List.findById(list._id);
+        assert.equal(stored.items.length, 2);
+        assert.equal(stored.items[0].quantity, 1);
+    });
+
+    it('rejects text it cannot parse', async () => {
+        const { alice, list } = await setup();
+
+        const res = await update(alice, list, ['2 kg']).expect(400);
+        assert.equal(res.body.unparsed.length, 1);
+    });
+
+    it('requires a non-empty items array', async () => {
+        const { alice, list } = await setup();
+
+        await update(alice, list, []).expect(400);
+        await update(alice, list, 'milk').expect(400);
+    });
+
+    it('rejects quantities, prices and completion flags of the wrong type', async () => {
+        const { alice, list } = await setup();
+
+        await update(alice, list, [{ name: 'milk', quantity: -3, unit: 'l' }]).expect(400);
+        await update(alice, list, [{ name: 'milk', unitPrice: 'cheap' }]).expect(400);
+        await update(alice, list, [{ name: 'milk', isCompleted: 'yes' }]).expect(400);
+    });
+});
+
+
+describe('duplicate item names (listSchema pre-save hook)', () => {
+    it('rejects a list whose items repeat a name in any case', async () => {
+        const alice = await signUp(context.app, 'alice');
+        const category = await createCategory(context.app, alice);
+
+        await assert.rejects(
+            List.create({
+                name: 'Saturday',
+                categoryId: category._id,
+                userId: alice.userId,
+                items: [{ name: 'Milk' }, { name: 'milk' }]
+            }),
+            { message: 'Duplicate item names are not allowed in a list.' }
+        );
+    });
+
+    it('answers 400 when a new list repeats an item name', async () => {
+        const alice = await signUp(context.app, 'alice');
+        const category = await createCategory(context.app, alice);
+
+        const res = await request(context.app).post(`/api/categories/${category._id}/lists`)
+            .set(alice.auth)
+            .send({ name: 'Saturday', items: ['milk', 'Milk'] })
+            .expect(400);
+        assert.equal(res.body.message, 'Duplicate item names are not allowed in a list.');
+    });
+
+    it('rejects renaming an item to the name of another item', async () => {
+        const alice = await signUp(context.app, 'alice');
+        const category = await createCategory(context.app, alice);
+        const list = await createList(context.app, alice, category._id, 'Saturday', ['milk', 'bread']);
+
+        await request(context.app).patch(`/api/updateItem/${list._id}/${list.items[1]._id}`)
+            .set(alice.auth)
+            .send({ updatedItem: { name: 'Milk', quantity: 1, unit: 'pcs' } })
+            .expect(400);
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { setupTestApp, signUp, createCategory, createList } = require('./helpers');
+
+
+const context = setupTestApp();
+
+// Weekly: Saturday (3 items, 1 ticked), Party (1 item, ticked), Ahead (2 items); Empty has no lists
+const setup = async () => {
+    const alice = await signUp(context.app, 'alice');
+    const weekly = await createCategory(context.app, alice, 'Weekly');
+    await createCategory(context.app, alice, 'Empty');
+    const saturday = await createList(context.app, alice, weekly._id, 'Saturday', ['milk', 'bread', 'eggs']);
+    const party = await createList(context.app, alice, weekly._id, 'party', ['cake']);
+    await createList(context.app, alice, weekly._id, 'Ahead', ['rice', 'beans']);
+
+    await request(context.app).patch(`/api/items/${saturday.items[0]._id}/toggle`).set(alice.auth).expect(200);
+    await request(context.app).patch(`/api/items/${party.items[0]._id}/toggle`).set(alice.auth).expect(200);
+    return { alice, weekly, saturday };
+};
+
+const names = (res) => res.body.data.map(doc => doc.name);
+
+
+describe('paging lists', () => {
+    it('sorts by name, item count and completion', async () => {
+        const { alice, weekly } = await setup();
+        const fetch = (query) => request(context.app).get(`/api/fetch-lists/${weekly._id}`).query(query).set(alice.auth).expect(200);
+
+        assert.deepEqual(names(await fetch({})), ['Saturday', 'party', 'Ahead']);
+        assert.deepEqual(names(await fetch({ sort: 'name' })), ['Ahead', 'party', 'Saturday']);
+        assert.deepEqual(names(await fetch({ sort: 'itemCount', order: 'desc' })), ['Saturday', 'Ahead', 'party']);
+        assert.deepEqual(names(await fetch({ sort: 'completion', order: 'desc' })), ['party', 'Saturday', 'Ahead']);
+    });
+
+    it('walks through pages with the cursor', async () => {
+        const { alice, weekly } = await setup();
+        const url = `/api/v2/categories/${weekly._id}/lists`;
+
+        const first = await request(context.app).get(url).query({ sort: 'name', limit: 2 }).set(alice.auth).expect(200);
+        assert.deepEqual(names(first), ['Ahead', 'party']);
+        assert.equal(first.body.meta.page.limit, 2);
+
+        const second = await request(context.app).get(url).query({ cursor: first.body.meta.page.nextCursor }).set(alice.auth).expect(200);
+        assert.deepEqual(names(second), ['Saturday']);
+        assert.equal(second.body.meta.page.nextCursor, null);
+
+        const mixed = await request(context.app).get(url)
+            .query({ sort: 'createdAt', cursor: first.body.meta.page.nextCursor })
+            .set(alice.auth)
+            .expect(400);
+        assert.equal(mixed.body.error.code, 'INVALID_CURSOR');
+    });
+
+    it('summarizes lists without their items', async () => {
+        const { alice, weekly } = await setup();
+
+        const res = await request(context.app).get(`/api/fetch-lists/${weekly._id}`).query({ view: 'summary' }).set(alice.auth).expect(200);
+        assert.deepEqual(res.body.data.map(list => [list.name, list.itemCount, list.completedCount]), [
+            ['Saturday', 3, 1], ['party', 1, 1], ['Ahead', 2, 0]
+        ]);
+        assert.equal(res.body.data[0].items, undefined);
+        assert.equal(res.body.data[0].role, 'owner');
+    });
+});
+
+
+describe('paging categories', () => {
+    it('counts the items of each category and sorts and pages by them', async () => {
+        const { alice } = await setup();
+
+        const res = await request(context.app).get('/api/categories')
+            .query({ sort: 'itemCount', order: 'desc', limit: 1, view: 'summary' })
+            .set(alice.auth)
+            .expect(200);
+        assert.deepEqual(res.body.data.map(c => [c.name, c.listCount, c.itemCount, c.completedCount]), [['Weekly', 3, 6, 2]]);
+        assert.equal(res.body.data[0].totals, undefined);
+
+        const next = await request(context.app).get('/api/categories').query({ cursor: res.body.page.nextCursor }).set(alice.auth).expect(200);
+        assert.deepEqual(names(next), ['Empty']);
+        assert.equal(next.body.data[0].itemCount, 0);
+        assert.ok(next.body.data[0].totals);
+    });
+});
+
+
+describe('paging items', () => {
+    it('pages through the items of a list in list order', async () => {
+        const { alice, weekly, saturday } = await setup();
+        const url = `/api/v2/categories/${weekly._id}/lists/${saturday._id}/items`;
+
+        const first = await request(context.app).get(url).query({ limit: 2 }).set(alice.auth).expect(200);
+        assert.deepEqual(names(first), ['milk', 'bread']);
+
+        // Removing the last item sent does not lose the place
+        await request(context.app).delete(`${url}/${first.body.data[1]._id}`).set(alice.auth).expect(204);
+        const second = await request(context.app).get(url).query({ limit: 2, cursor: first.body.meta.page.nextCursor }).set(alice.auth).expect(200);
+        assert.deepEqual(names(second), ['eggs']);
+        assert.equal(second.body.meta.page.nextCursor, null);
+
+        const open = await request(context.app).get(url).query({ completed: 'false' }).set(alice.auth).expect(200);
+        assert.deepEqual(names(open), ['eggs']);
+    });
+});
@@ -0,0 +1,209 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { setupTestApp, signUp, createCategory, createList } = require('./helpers');
+
+
+const context = setupTestApp();
+
+const setup = async () => {
+    const alice = await signUp(context.app, 'alice');
+    const category = await createCategory(context.app, alice);
+    const list = await createList(context.app, alice, category._id, 'Weekly', [
+        { name: 'Milk', quantity: 2, unit: 'l' },
+        { name: 'Rice', quantity: 500, unit: 'g' }
+    ]);
+    const ids = Object.fromEntries(list.items.map(item => [item.name, item._id]));
+    return { alice, list, ids };
+};
+
+const addStock = (user, stock) => request(context.app).post('/api/pantry').set(user.auth).send(stock);
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+
+describe('pantry stock', () => {
+    it('merges stock by name, converting units and keeping the earliest best-before date', async () => {
+        const alice = await signUp(context.app, 'alice');
+
+        const created = await addStock(alice, { name: 'Rice', quantity: 1, unit: 'kg', bestBefore: inDays(30) }).expect(201);
+        assert.equal(created.body.data.quantity, 1);
+
+        const merged = await addStock(alice, { name: 'rice', quantity: 500, unit: 'g', bestBefore: inDays(10) }).expect(200);
+        assert.equal(merged.body.data.quantity, 1.5);
+        assert.equal(merged.body.data.unit, 'kg');
+        assert.equal(merged.body.data.daysLeft, 9);
+
+        const res = await request(context.app).get('/api/pantry').set(alice.auth).expect(200);
+        assert.equal(res.body.data.length, 1);
+    });
+
+    it('rejects stock in a unit that does not convert', async () => {
+        const alice = await signUp(context.app, 'alice');
+        await addStock(alice, { name: 'Eggs', quantity: 6 }).expect(201);
+
+        const res = await addStock(alice, { name: 'Eggs', quantity: 1, unit: 'kg' }).expect(400);
+        assert.equal(res.body.existingUnit, 'pcs');
+    });
+
+    it('consumes stock in any convertible unit and never goes below zero', async () => {
+        const alice = await signUp(context.app, 'alice');
+        const created = await addStock(alice, { name: 'Milk', quantity: 1, unit: 'l', bestBefore: inDays(2) }).expect(201);
+        const id = created.body.data._id;
+
+        const used = await request(context.app).post(`/api/pantry/${id}/consume`)
+            .set(alice.auth)
+            .send({ quantity: 250, unit: 'ml' })
+            .expect(200);
+        assert.equal(used.body.data.quantity, 0.75);
+
+        const empty = await request(context.app).post(`/api/pantry/${id}/consume`)
+            .set(alice.auth)
+            .send({ quantity: 5 })
+            .expect(200);
+        assert.equal(empty.body.data.quantity, 0);
+        assert.equal(empty.body.data.bestBefore, undefined);
+    });
+
+    it('lists stock expiring soon, expired stock first', async () => {
+        const alice = await signUp(context.app, 'alice');
+        await addStock(alice, { name: 'Yoghurt', bestBefore: inDays(2) }).expect(201);
+        await addStock(alice, { name: 'Cream', bestBefore: inDays(-1) }).expect(201);
+        await addStock(alice, { name: 'Flour', bestBefore: inDays(60) }).expect(201);
+        await addStock(alice, { name: 'Salt' }).expect(201);
+
+        const soon = await request(context.app).get('/api/pantry/expiring').set(alice.auth).expect(200);
+        assert.deepEqual(soon.body.data.map(item => item.name), ['Cream', 'Yoghurt']);
+
+        const later = await request(context.app).get('/api/pantry/expiring').query({ days: 90 }).set(alice.auth).expect(200);
+        assert.deepEqual(later.body.data.map(item => item.name), ['Cream', 'Yoghurt', 'Flour']);
+    });
+
+    it('is private to its owner', async () => {
+        const alice = await signUp(context.app, 'alice');
+        const bob = await signUp(context.app, 'bob');
+        const created = await addStock(alice, { name: 'Milk' }).expect(201);
+
+        await request(context.app).post(`/api/pantry/${created.body.data._id}/consume`).set(bob.auth).send({ quantity: 1 }).expect(404);
+        await request(context.app).delete(`/api/pantry/${created.body.data._id}`).set(bob.auth).expect(404);
+        await request(context.app).delete(`/api/pantry/${created.body.data._id}`).set(alice.auth).expect(200);
+    });
+});
+
+
+describe('completing items', () => {
+    it('moves a completed item into the pantry when asked', async () => {
+        const { alice, ids } = await setup();
+
+        const res = await request(context.app).patch(`/api/items/${ids.Milk}/toggle`)
+            .set(alice.auth)
+            .send({ addToPantry: true, bestBefore: inDays(5) })
+            .expect(200);
+        assert.equal(res.body.updatedItem.isCompleted, true);
+        assert.equal(res.body.pantry.added, true);
+        assert.equal(res.body.pantry.pantryItem.quantity, 2);
+        assert.equal(res.body.pantry.pantryItem.unit, 'l');
+
+        // Unchecking does not stock it again
+        const undo = await request(context.app).patch(`/api/items/${ids.Milk}/toggle`)
+            .set(alice.auth)
+            .send({ addToPantry: true })
+            .expect(200);
+        assert.equal(undo.body.pantry, undefined);
+    });
+
+    it('does the same through the v2 item update', async () => {
+        const { alice, list, ids } = await setup();
+        const url = `/api/v2/categories/${list.categoryId}/lists/${list._id}/items/${ids.Rice}`;
+
+        const res = await request(context.app).patch(url).set(alice.auth).send({ isCompleted: true, addToPantry: true }).expect(200);
+        assert.equal(res.body.meta.pantry.pantryItem.quantity, 500);
+
+        // Already completed: nothing more is stocked
+        const again = await request(context.app).patch(url).set(alice.auth).send({ isCompleted: true, addToPantry: true }).expect(200);
+        assert.equal(again.body.meta.pantry, undefined);
+    });
+
+    it('leaves the pantry alone without addToPantry', async () => {
+        const { alice, ids } = await setup();
+        await request(context.app).patch(`/api/items/${ids.Milk}/toggle`).set(alice.auth).expect(200);
+
+        const res = await request(context.app).get('/api/pantry').set(alice.auth).expect(200);
+        assert.deepEqual(res.body.data, []);
+    });
+});
+
+
+describe('restocking', () => {
+    it('adds low stock to the restock list once', async () => {
+        const { alice, list } = await setup();
+        const created = await addStock(alice, {
+            name: 'Coffee', quantity: 500, unit: 'g', minQuantity: 200, restockListId: list._id
+        }).expect(201);
+        const id = created.body.data._id;
+
+        const used = await request(context.app).post(`/api/pantry/${id}/consume`)
+            .set(alice.auth)
+            .send({ quantity: 400, unit: 'g' })
+            .expect(200);
+        assert.deepEqual(used.body.restock, { listId: list._id, added: true, quantity: 100, unit: 'g' });
+        assert.equal(used.body.data.isLow, true);
+
+        const again = await request(context.app).post(`/api/pantry/${id}/consume`)
+            .set(alice.auth)
+            .send({ quantity: 50, unit: 'g' })
+            .expect(200);
+        assert.equal(again.body.restock.reason, 'ALREADY_ON_LIST');
+
+        const items = await request(context.app).get(`/api/v2/categories/${list.categoryId}/lists/${list._id}/items`).set(alice.auth).expect(200);
+        assert.deepEqual(items.body.data.filter(item => item.name === 'Coffee').map(item => item.quantity), [100]);
+    });
+
+    it('matches stock and list items in any case, accent or plural', async () => {
+        const { alice, list } = await setup();
+        await request(context.app).post(`/api/v2/categories/${list.categoryId}/lists/${list._id}/items`)
+            .set(alice.auth)
+            .send({ items: [{ name: 'Tomato', quantity: 1, unit: 'kg' }] })
+            .expect(200);
+
+        const created = await addStock(alice, {
+            name: 'tomatoes', quantity: 500, unit: 'g', minQuantity: 1000, restockListId: list._id
+        }).expect(201);
+        const merged = await addStock(alice, { name: 'Tomáto', quantity: 100, unit: 'g' }).expect(200);
+        assert.equal(merged.body.data._id, created.body.data._id);
+
+        const used = await request(context.app).post(`/api/pantry/${created.body.data._id}/consume`)
+            .set(alice.auth)
+            .send({ quantity: 400, unit: 'g' })
+            .expect(200);
+        assert.equal(used.body.restock.reason, 'ALREADY_ON_LIST');
+
+        const items = await request(context.app).get(`/api/v2/categories/${list.categoryId}/lists/${list._id}/items`).set(alice.auth).expect(200);
+        assert.deepEqual(items.body.data.filter(item => item.name === 'Tomato').map(item => item.quantity), [1]);
+    });
+
+    it('puts a checked-off item back on the list', async () => {
+        const { alice, list, ids } = await setup();
+        await request(context.app).patch(`/api/items/${ids.Rice}/toggle`).set(alice.auth).expect(200);
+        const created = await addStock(alice, { name: 'rice', quantity: 100, unit: 'g' }).expect(201);
+
+        const patched = await request(context.app).patch(`/api/pantry/${created.body.data._id}`)
+            .set(alice.auth)
+            .send({ unit: 'kg', minQuantity: 1, restockQuantity: 1, restockListId: list._id })
+            .expect(200);
+        assert.equal(patched.body.data.quantity, 0.1);
+        assert.equal(patched.body.restock.added, true);
+
+        const items = await request(context.app).get(`/api/v2/categories/${list.categoryId}/lists/${list._id}/items`).set(alice.auth).expect(200);
+        const rice = items.body.data.filter(item => item.name.toLowerCase() === 'rice');
+        assert.deepEqual(rice.map(item => [item.quantity, item.unit, item.isCompleted]), [[1000, 'g', false]]);
+    });
+
+    it('only restocks lists the user can edit', async () => {
+        const { list } = await setup();
+        const bob = await signUp(context.app, 'bob');
+
+        await addStock(bob, { name: 'Tea', minQuantity: 5, restockListId: list._id }).expect(404);
+    });
+});
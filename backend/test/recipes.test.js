@@ -0,0 +1,167 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { setupTestApp, signUp, createCategory, createList } = require('./helpers');
+
+
+const context = setupTestApp();
+
+const createRecipe = async (user, recipe) => {
+    const res = await request(context.app).post('/api/recipes').set(user.auth).send(recipe).expect(201);
+    return res.body.data;
+};
+
+const planMeal = (user, meal) => request(context.app).post('/api/meal-plan').set(user.auth).send(meal).expect(201);
+
+const setup = async () => {
+    const alice = await signUp(context.app, 'alice');
+    const category = await createCategory(context.app, alice);
+    const pasta = await createRecipe(alice, {
+        name: 'Pasta',
+        servings: 2,
+        ingredients: [{ name: 'Spaghetti', quantity: 250, unit: 'g' }, '2 tomatoes']
+    });
+    const salad = await createRecipe(alice, {
+        name: 'Salad',
+        servings: 1,
+        ingredients: [{ name: 'Tomatoes', quantity: 1 }, { name: 'spaghetti', quantity: 0.1, unit: 'kg' }]
+    });
+    return { alice, category, pasta, salad };
+};
+
+const quantities = (items) => Object.fromEntries(items.map(item => [item.name, [item.quantity, item.unit]]));
+
+
+describe('recipes', () => {
+    it('parses quick-add ingredients and scales by servings', async () => {
+        const { alice, pasta } = await setup();
+        assert.deepEqual(quantities(pasta.ingredients), { Spaghetti: [250, 'g'], tomatoes: [2, 'pcs'] });
+
+        const res = await request(context.app).get(`/api/recipes/${pasta._id}`)
+            .query({ servings: 5 })
+            .set(alice.auth)
+            .expect(200);
+        assert.equal(res.body.data.servings, 5);
+        assert.deepEqual(quantities(res.body.data.ingredients), { Spaghetti: [625, 'g'], tomatoes: [5, 'pcs'] });
+    });
+
+    it('are private to their owner', async () => {
+        const { pasta } = await setup();
+        const bob = await signUp(context.app, 'bob');
+
+        await request(context.app).get(`/api/recipes/${pasta._id}`).set(bob.auth).expect(404);
+        await request(context.app).post('/api/meal-plan').set(bob.auth).send({ date: '2026-10-19', recipeId: pasta._id }).expect(404);
+    });
+
+    it('takes their planned meals with them when deleted', async () => {
+        const { alice, pasta } = await setup();
+        await planMeal(alice, { date: '2026-10-19', recipeId: pasta._id });
+
+        const res = await request(context.app).delete(`/api/recipes/${pasta._id}`).set(alice.auth).expect(200);
+        assert.equal(res.body.mealsRemoved, 1);
+    });
+});
+
+
+describe('meal plan', () => {
+    it('returns the meals of a range of days', async () => {
+        const { alice, pasta, salad } = await setup();
+        await planMeal(alice, { date: '2026-10-20', recipeId: pasta._id, meal: 'lunch' });
+        await planMeal(alice, { date: '2026-10-19', recipeId: salad._id });
+        await planMeal(alice, { date: '2026-11-01', recipeId: salad._id });
+
+        const res = await request(context.app).get('/api/meal-plan')
+            .query({ from: '2026-10-19', to: '2026-10-25' })
+            .set(alice.auth)
+            .expect(200);
+        assert.deepEqual(
+            res.body.data.map(entry => [entry.date, entry.recipeName, entry.meal]),
+            [['2026-10-19', 'Salad', 'dinner'], ['2026-10-20', 'Pasta', 'lunch']]
+        );
+    });
+});
+
+
+describe('shopping list from the meal plan', () => {
+    it('creates a list with the scaled ingredients added up', async () => {
+        const { alice, category, pasta, salad } = await setup();
+        await planMeal(alice, { date: '2026-10-19', recipeId: pasta._id, servings: 4 });
+        await planMeal(alice, { date: '2026-10-20', recipeId: salad._id });
+
+        const res = await request(context.app).post('/api/meal-plan/shopping-list')
+            .set(alice.auth)
+            .send({ from: '2026-10-19', to: '2026-10-20', categoryId: category._id })
+            .expect(201);
+
+        assert.equal(res.body.data.name, 'Meal plan 2026-10-19');
+        assert.equal(res.body.meals, 2);
+        assert.deepEqual(quantities(res.body.data.items), { Spaghetti: [600, 'g'], tomatoes: [5, 'pcs'] });
+    });
+
+    it('subtracts pantry stock unless told not to', async () => {
+        const { alice, category, pasta } = await setup();
+        await planMeal(alice, { date: '2026-10-19', recipeId: pasta._id });
+        await request(context.app).post('/api/pantry').set(alice.auth).send({ name: 'Tomatoes', quantity: 5 }).expect(201);
+        await request(context.app).post('/api/pantry').set(alice.auth).send({ name: 'Spaghetti', quantity: 0.1, unit: 'kg' }).expect(201);
+
+        const res = await request(context.app).post('/api/meal-plan/shopping-list')
+            .set(alice.auth)
+            .send({ from: '2026-10-19', to: '2026-10-19', categoryId: category._id })
+            .expect(201);
+        assert.deepEqual(quantities(res.body.data.items), { Spaghetti: [150, 'g'] });
+        assert.deepEqual(quantities(res.body.fromPantry), { Spaghetti: [100, 'g'], tomatoes: [2, 'pcs'] });
+
+        const ignored = await request(context.app).post('/api/meal-plan/shopping-list')
+            .set(alice.auth)
+            .send({ from: '2026-10-19', to: '2026-10-19', categoryId: category._id, usePantry: false })
+            .expect(201);
+        assert.equal(ignored.body.data.name, 'Meal plan 2026-10-19 (2)');
+        assert.deepEqual(quantities(ignored.body.data.items), { Spaghetti: [250, 'g'], tomatoes: [2, 'pcs'] });
+    });
+
+    it('merges into an existing list like /api/updatelist', async () => {
+        const { alice, category, pasta } = await setup();
+        const list = await createList(context.app, alice, category._id, 'Weekly', [{ name: 'spaghetti', quantity: 1, unit: 'kg' }]);
+        await planMeal(alice, { date: '2026-10-19', recipeId: pasta._id });
+
+        const res = await request(context.app).post('/api/meal-plan/shopping-list')
+            .set(alice.auth)
+            .send({ from: '2026-10-19', to: '2026-10-19', listId: list._id })
+            .expect(200);
+        assert.equal(res.body.merged, 1);
+        assert.equal(res.body.added, 1);
+        assert.deepEqual(quantities(res.body.data.items), { spaghetti: [1.25, 'kg'], tomatoes: [2, 'pcs'] });
+    });
+
+    it('reports unit conflicts and leaves the list unchanged', async () => {
+        const { alice, category, pasta } = await setup();
+        const list = await createList(context.app, alice, category._id, 'Weekly', [{ name: 'Tomatoes', quantity: 1, unit: 'kg' }]);
+        await planMeal(alice, { date: '2026-10-19', recipeId: pasta._id });
+
+        const res = await request(context.app).post('/api/meal-plan/shopping-list')
+            .set(alice.auth)
+            .send({ from: '2026-10-19', to: '2026-10-19', listId: list._id })
+            .expect(400);
+        assert.deepEqual(res.body.conflicts, [{ name: 'tomatoes', existingUnit: 'kg', newUnit: 'pcs' }]);
+
+        const items = await request(context.app).get(`/api/v2/categories/${category._id}/lists/${list._id}/items`).set(alice.auth).expect(200);
+        assert.deepEqual(quantities(items.body.data), { Tomatoes: [1, 'kg'] });
+    });
+
+    it('needs planned meals and a list the user can edit', async () => {
+        const { alice, category } = await setup();
+        const bob = await signUp(context.app, 'bob');
+
+        await request(context.app).post('/api/meal-plan/shopping-list')
+            .set(alice.auth)
+            .send({ from: '2026-10-19', to: '2026-10-19', categoryId: category._id })
+            .expect(400);
+
+        await planMeal(bob, { date: '2026-10-19', recipeId: (await createRecipe(bob, { name: 'Toast', ingredients: ['bread'] }))._id });
+        await request(context.app).post('/api/meal-plan/shopping-list')
+            .set(bob.auth)
+            .send({ from: '2026-10-19', to: '2026-10-19', categoryId: category._id })
+            .expect(404);
+    });
+});
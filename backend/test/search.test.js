@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+const { setupTestApp, signUp, createCategory, createList } = require('./helpers');
+const search = require('../search');
+const List = require('../DB_Models/list');
+const User = require('../DB_Models/user');
+
+
+const context = setupTestApp();
+
+const setup = async () => {
+    const alice = await signUp(context.app, 'alice');
+    const weekly = await createCategory(context.app, alice, 'Weekly');
+    const party = await createCategory(context.app, alice, 'Party');
+    const saturday = await createList(context.app, alice, weekly._id, 'Saturday', [
+        { name: 'Crème fraîche', quantity: 200, unit: 'g' },
+        { name: 'Oat milk', quantity: 2, unit: 'l' },
+        'bread'
+    ]);
+    const drinks = await createList(context.app, alice, party._id, 'Drinks', [{ name: 'Milk punch', quantity: 1, unit: 'litre' }]);
+    return { alice, weekly, party, saturday, drinks };
+};
+
+const find = (user, params) => request(context.app).get('/api/search').query(params).set(user.auth).expect(200);
+
+const itemNames = (res) => res.body.data.items.map(match => match.item.name);
+
+
+describe('search', () => {
+    it('matches word prefixes regardless of case and accents, with list and category context', async () => {
+        const { alice, weekly, saturday } = await setup();
+
+        const res = await find(alice, { q: 'CREME fra' });
+        assert.deepEqual(itemNames(res), ['Crème fraîche']);
+        assert.deepEqual(res.body.data.items[0].list, { _id: saturday._id, name: 'Saturday' });
+        assert.deepEqual(res.body.data.items[0].category, { _id: weekly._id, name: 'Weekly' });
+
+        const milk = await find(alice, { q: 'mil' });
+        assert.deepEqual(itemNames(milk).sort(), ['Milk punch', 'Oat milk']);
+        assert.deepEqual(itemNames(await find(alice, { q: 'ilk' })), []);
+    });
+
+    it('finds lists and categories by name', async () => {
+        const { alice } = await setup();
+
+        const res = await find(alice, { q: 'sat' });
+        assert.deepEqual(res.body.data.lists.map(list => [list.name, list.category.name]), [['Saturday', 'Weekly']]);
+        assert.equal(res.body.data.lists[0].searchTerms, undefined);
+
+        const categories = await find(alice, { q: 'part' });
+        assert.deepEqual(categories.body.data.categories.map(category => category.name), ['Party']);
+    });
+
+    it('filters items by status, unit, category and created date', async () => {
+        const { alice, weekly, saturday } = await setup();
+        const milk = saturday.items.find(item => item.name === 'Oat milk');
+        await request(context.app).patch(`/api/items/${milk._id}/toggle`).set(alice.auth).expect(200);
+
+        assert.deepEqual(itemNames(await find(alice, { q: 'milk', completed: 'true' })), ['Oat milk']);
+        assert.deepEqual(itemNames(await find(alice, { q: 'milk', completed: 'false' })), ['Milk punch']);
+        assert.deepEqual(itemNames(await find(alice, { unit: 'liters' })).sort(), ['Milk punch', 'Oat milk']);
+        assert.deepEqual(itemNames(await find(alice, { q: 'milk', categoryId: weekly._id })), ['Oat milk']);
+
+        const future = new Date(Date.now() + 60 * 1000).toISOString();
+        const later = await find(alice, { createdFrom: future });
+        assert.deepEqual(later.body.data, { items: [], lists: [], categories: [] });
+    });
+
+    it('leaves out removed items', async () => {
+        const { alice, saturday } = await setup();
+        const bread = saturday.items.find(item => item.name === 'bread');
+        await request(context.app).delete(`/api/delete/${saturday._id}/item/${bread._id}`).set(alice.auth).expect(200);
+
+        assert.deepEqual(itemNames(await find(alice, { q: 'bread' })), []);
+    });
+
+    it('covers lists shared with the user and nothing else', async () => {
+        const { alice, saturday } = await setup();
+        const bob = await signUp(context.app, 'bob');
+        assert.deepEqual(itemNames(await find(bob, { q: 'milk' })), []);
+
+        await User.updateMany({}, { emailVerified: true });
+        await request(context.app).post(`/api/lists/${saturday._id}/members`)
+            .set(alice.auth)
+            .send({ identifier: 'bob', role: 'viewer' })
+            .expect(201);
+
+        const res = await find(bob, { q: 'milk' });
+        assert.deepEqual(itemNames(res), ['Oat milk']);
+        assert.equal(res.body.data.items[0].category.name, 'Weekly');
+    });
+
+    it('rejects queries without words and malformed filters', async () => {
+        const alice = await signUp(context.app, 'alice');
+
+        await request(context.app).get('/api/search').query({ q: '!!' }).set(alice.auth).expect(400);
+        await request(context.app).get('/api/search').query({ completed: 'yes' }).set(alice.auth).expect(400);
+        await request(context.app).get('/api/search').query({ createdFrom: '2026-10-19', createdTo: '2026-10-01' }).set(alice.auth).expect(400);
+    });
+});
+
+
+describe('search keys', () => {
+    it('are added to documents saved before search existed', async () => {
+        const { alice, saturday } = await setup();
+        await List.collection.updateOne({ _id: new mongoose.Types.ObjectId(saturday._id) }, { $unset: { searchTerms: '', itemTerms: '' } });
+        assert.deepEqual(itemNames(await find(alice, { q: 'oat' })), []);
+
+        assert.equal(await search.backfillSearchTerms(), 1);
+        assert.deepEqual(itemNames(await find(alice, { q: 'oat' })), ['Oat milk']);
+    });
+});
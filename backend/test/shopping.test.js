@@ -0,0 +1,193 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { setupTestApp, signUp, createCategory, createList } = require('./helpers');
+const List = require('../DB_Models/list');
+
+
+const context = setupTestApp();
+
+const setup = async () => {
+    const alice = await signUp(context.app, 'alice');
+    const category = await createCategory(context.app, alice);
+    const list = await createList(context.app, alice, category._id, 'Saturday', [
+        { name: 'Bread', aisle: 'Bakery', store: 'Corner Shop' },
+        { name: 'Milk', aisle: 'Dairy', store: 'Corner Shop' },
+        { name: 'Peas', aisle: 'Frozen' },
+        { name: 'Batteries' },
+        { name: 'Cheese', aisle: 'dairy', store: 'Corner Shop' }
+    ]);
+    const ids = Object.fromEntries(list.items.map(item => [item.name, item._id]));
+    return { alice, list, ids };
+};
+
+const names = (items) => items.map(item => item.name);
+
+
+describe('item order', () => {
+    it('puts the named items first and keeps the rest in order', async () => {
+        const { alice, list, ids } = await setup();
+
+        const res = await request(context.app).put(`/api/lists/${list._id}/items/order`)
+            .set(alice.auth)
+            .send({ itemIds: [ids.Cheese, ids.Bread] })
+            .expect(200);
+        assert.deepEqual(names(res.body.data.items), ['Cheese', 'Bread', 'Milk', 'Peas', 'Batteries']);
+
+        // The order is stored, not just returned
+        const fetched = await request(context.app).get(`/api/fetch-lists/${list.categoryId}`).set(alice.auth).expect(200);
+        assert.deepEqual(names(fetched.body.data[0].items), ['Cheese', 'Bread', 'Milk', 'Peas', 'Batteries']);
+    });
+
+    it('moves one item to a position', async () => {
+        const { alice, list, ids } = await setup();
+
+        const top = await request(context.app).patch(`/api/lists/${list._id}/items/${ids.Batteries}/position`)
+            .set(alice.auth)
+            .send({ position: 0 })
+            .expect(200);
+        assert.deepEqual(names(top.body.data.items), ['Batteries', 'Bread', 'Milk', 'Peas', 'Cheese']);
+
+        const bottom = await request(context.app).patch(`/api/lists/${list._id}/items/${ids.Bread}/position`)
+            .set(alice.auth)
+            .send({ position: 99 })
+            .expect(200);
+        assert.deepEqual(names(bottom.body.data.items), ['Batteries', 'Milk', 'Peas', 'Cheese', 'Bread']);
+    });
+
+    it('reorders lists saved before plurals counted as the same item', async () => {
+        const { alice, list, ids } = await setup();
+        // Written around the duplicate check, like lists saved before it knew about plurals
+        await List.updateOne({ _id: list._id }, { $push: { items: { name: 'Breads', quantity: 1, unit: 'pcs' } } });
+        const breads = (await List.findById(list._id)).items.find(item => item.name === 'Breads');
+
+        const res = await request(context.app).put(`/api/lists/${list._id}/items/order`)
+            .set(alice.auth)
+            .send({ itemIds: [breads._id.toString(), ids.Bread] })
+            .expect(200);
+        assert.deepEqual(names(res.body.data.items), ['Breads', 'Bread', 'Milk', 'Peas', 'Batteries', 'Cheese']);
+    });
+
+    it('rejects unknown and repeated item ids', async () => {
+        const { alice, list, ids } = await setup();
+        const stranger = '64b7f0c2a1b2c3d4e5f60718';
+
+        const unknown = await request(context.app).put(`/api/lists/${list._id}/items/order`)
+            .set(alice.auth)
+            .send({ itemIds: [ids.Milk, stranger] })
+            .expect(404);
+        assert.deepEqual(unknown.body.itemIds, [stranger]);
+
+        await request(context.app).put(`/api/lists/${list._id}/items/order`)
+            .set(alice.auth)
+            .send({ itemIds: [ids.Milk, ids.Milk] })
+            .expect(400);
+    });
+
+    it('appends new items at the end', async () => {
+        const { alice, list, ids } = await setup();
+        await request(context.app).put(`/api/lists/${list._id}/items/order`)
+            .set(alice.auth)
+            .send({ itemIds: [ids.Peas] })
+            .expect(200);
+
+        const res = await request(context.app).patch(`/api/updatelist/${list._id}`)
+            .set(alice.auth)
+            .send({ items: ['eggs'] })
+            .expect(200);
+        assert.deepEqual(names(res.body.data.items), ['Peas', 'Bread', 'Milk', 'Batteries', 'Cheese', 'eggs']);
+    });
+});
+
+
+describe('shopping mode', () => {
+    it('groups unchecked items by aisle in the saved store order', async () => {
+        const { alice, list, ids } = await setup();
+
+        await request(context.app).put('/api/stores/aisles')
+            .set(alice.auth)
+            .send({ store: 'corner shop', aisles: ['Frozen', 'Dairy', 'Bakery'] })
+            .expect(200);
+        await request(context.app).patch(`/api/items/${ids.Milk}/toggle`).set(alice.auth).expect(200);
+
+        const res = await request(context.app).get(`/api/lists/${list._id}/shopping`).set(alice.auth).expect(200);
+        const view = res.body.data;
+
+        // The store most items name is picked when none is asked for
+        assert.equal(view.store, 'Corner Shop');
+        assert.deepEqual(
+            view.sections.map(section => [section.aisle, names(section.items)]),
+            [['Frozen', ['Peas']], ['dairy', ['Cheese']], ['Bakery', ['Bread']], [null, ['Batteries']]]
+        );
+        assert.deepEqual(names(view.completed), ['Milk']);
+        assert.deepEqual(view.progress, { total: 5, completed: 1 });
+    });
+
+    it('keeps aisles in first-seen order without a layout', async () => {
+        const { alice, list } = await setup();
+
+        const res = await request(context.app).get(`/api/lists/${list._id}/shopping`)
+            .query({ store: 'Elsewhere' })
+            .set(alice.auth)
+            .expect(200);
+
+        assert.equal(res.body.data.store, 'Elsewhere');
+        assert.deepEqual(res.body.data.aisleOrder, []);
+        assert.deepEqual(res.body.data.sections.map(section => section.aisle), ['Bakery', 'Dairy', 'Frozen', null]);
+    });
+
+    it('updates aisles with the rest of an item', async () => {
+        const { alice, list, ids } = await setup();
+
+        const res = await request(context.app).patch(`/api/v2/categories/${list.categoryId}/lists/${list._id}/items/${ids.Batteries}`)
+            .set(alice.auth)
+            .send({ aisle: 'Checkout' })
+            .expect(200);
+        assert.equal(res.body.data.aisle, 'Checkout');
+
+        const cleared = await request(context.app).patch(`/api/v2/categories/${list.categoryId}/lists/${list._id}/items/${ids.Batteries}`)
+            .set(alice.auth)
+            .send({ aisle: null })
+            .expect(200);
+        assert.equal(cleared.body.data.aisle, undefined);
+    });
+});
+
+
+describe('store layouts', () => {
+    it('saves one layout per store name, case-insensitively', async () => {
+        const alice = await signUp(context.app, 'alice');
+
+        await request(context.app).put('/api/stores/aisles')
+            .set(alice.auth)
+            .send({ store: 'Corner Shop', aisles: ['Dairy', 'dairy', 'Bakery'] })
+            .expect(200);
+        await request(context.app).put('/api/stores/aisles')
+            .set(alice.auth)
+            .send({ store: 'CORNER SHOP', aisles: ['Bakery', 'Dairy'] })
+            .expect(200);
+
+        const res = await request(context.app).get('/api/stores/aisles').set(alice.auth).expect(200);
+        assert.equal(res.body.data.length, 1);
+        assert.deepEqual(res.body.data[0].aisles, ['Bakery', 'Dairy']);
+
+        await request(context.app).delete(`/api/stores/aisles/${res.body.data[0]._id}`).set(alice.auth).expect(200);
+        const after = await request(context.app).get('/api/stores/aisles').set(alice.auth).expect(200);
+        assert.deepEqual(after.body.data, []);
+    });
+
+    it('are private to their owner', async () => {
+        const alice = await signUp(context.app, 'alice');
+        const bob = await signUp(context.app, 'bob');
+
+        const saved = await request(context.app).put('/api/stores/aisles')
+            .set(alice.auth)
+            .send({ store: 'Corner Shop', aisles: ['Dairy'] })
+            .expect(200);
+
+        await request(context.app).delete(`/api/stores/aisles/${saved.body.data._id}`).set(bob.auth).expect(404);
+        const res = await request(context.app).get('/api/stores/aisles').set(bob.auth).expect(200);
+        assert.deepEqual(res.body.data, []);
+    });
+});
@@ -0,0 +1,142 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { setupTestApp, signUp, createCategory, createList } = require('./helpers');
+const User = require('../DB_Models/user');
+
+
+const context = setupTestApp();
+
+const setup = async () => {
+    const alice = await signUp(context.app, 'alice');
+    const weekly = await createCategory(context.app, alice, 'Weekly');
+    const saturday = await createList(context.app, alice, weekly._id, 'Saturday', [{ name: 'milk', quantity: 1, unit: 'l' }, 'bread']);
+    return { alice, weekly, saturday };
+};
+
+const sync = (user, body = {}) => request(context.app).post('/api/sync').set(user.auth).send(body).expect(200);
+
+const itemUrl = (weekly, list, item) => `/api/v2/categories/${weekly._id}/lists/${list._id}/items/${item._id}`;
+
+
+describe('sync changes', () => {
+    it('sends everything on the first sync and only what changed afterwards', async () => {
+        const { alice, weekly, saturday } = await setup();
+
+        const first = await sync(alice);
+        assert.equal(first.body.full, true);
+        assert.deepEqual(first.body.changes.map(change => [change.kind, change.data.name]), [['category', 'Weekly'], ['list', 'Saturday']]);
+
+        await request(context.app).patch(`/api/v2/categories/${weekly._id}/lists/${saturday._id}`)
+            .set(alice.auth)
+            .send({ name: 'Sunday' })
+            .expect(200);
+
+        const second = await sync(alice, { syncToken: first.body.syncToken });
+        assert.equal(second.body.full, false);
+        assert.deepEqual(second.body.changes.map(change => [change.kind, change.data.name, change.revision]), [['list', 'Sunday', 2]]);
+
+        const third = await sync(alice, { syncToken: second.body.syncToken });
+        assert.deepEqual(third.body.changes, []);
+    });
+
+    it('tells removed members that a list is gone', async () => {
+        const { alice, saturday } = await setup();
+        const bob = await signUp(context.app, 'bob');
+        await User.updateMany({}, { emailVerified: true });
+        await request(context.app).post(`/api/lists/${saturday._id}/members`)
+            .set(alice.auth)
+            .send({ identifier: 'bob', role: 'editor' })
+            .expect(201);
+
+        const first = await sync(bob);
+        assert.deepEqual(first.body.changes.map(change => change.kind), ['list']);
+
+        await request(context.app).delete(`/api/lists/${saturday._id}/members/${bob.userId}`).set(alice.auth).expect(200);
+        const second = await sync(bob, { syncToken: first.body.syncToken });
+        assert.deepEqual(second.body.changes, [{ kind: 'list', id: saturday._id, deleted: true }]);
+    });
+});
+
+
+describe('sync operations', () => {
+    it('merges stale edits: quantities add up, checked wins, other fields keep the server value', async () => {
+        const { alice, weekly, saturday } = await setup();
+        const milk = saturday.items[0];
+
+        // Changed online after the phone went offline
+        await request(context.app).patch(itemUrl(weekly, saturday, milk))
+            .set(alice.auth)
+            .send({ quantity: 2, name: 'oat milk' })
+            .expect(200);
+
+        const res = await sync(alice, {
+            operations: [{
+                opId: 'phone-1',
+                type: 'item.update',
+                listId: saturday._id,
+                itemId: milk._id,
+                baseRevision: saturday.revision,
+                changes: { quantity: 3, name: 'soy milk', isCompleted: true },
+                base: { quantity: 1, name: 'milk', isCompleted: false }
+            }]
+        });
+
+        const [result] = res.body.results;
+        assert.equal(result.status, 'applied');
+        assert.deepEqual(result.conflicts, [
+            { field: 'quantity', resolution: 'added', value: 4 },
+            { field: 'name', resolution: 'server', value: 'oat milk' }
+        ]);
+
+        const list = res.body.changes.find(change => change.kind === 'list').data;
+        const item = list.items.find(entry => entry._id === milk._id);
+        assert.deepEqual([item.name, item.quantity, item.isCompleted], ['oat milk', 4, true]);
+    });
+
+    it('lets deletes win and applies each opId once', async () => {
+        const { alice, weekly, saturday } = await setup();
+        const [milk, bread] = saturday.items;
+        await request(context.app).delete(itemUrl(weekly, saturday, milk)).set(alice.auth).expect(204);
+
+        const operations = [
+            { opId: 'a', type: 'item.update', listId: saturday._id, itemId: milk._id, baseRevision: saturday.revision, changes: { quantity: 5 } },
+            { opId: 'b', type: 'item.remove', listId: saturday._id, itemId: milk._id },
+            { opId: 'c', type: 'item.add', listId: saturday._id, item: { name: 'Bread', quantity: 1, unit: 'pcs' } }
+        ];
+        const first = await sync(alice, { operations });
+        assert.deepEqual(first.body.results.map(result => [result.opId, result.status, result.code]), [
+            ['a', 'rejected', 'ITEM_NOT_FOUND'], ['b', 'applied', undefined], ['c', 'applied', undefined]
+        ]);
+        assert.equal(first.body.results[2].itemId, bread._id);
+
+        // The response was lost and the phone sends the batch again
+        const again = await sync(alice, { operations });
+        assert.deepEqual(again.body.results, first.body.results);
+
+        const list = await request(context.app).get(`/api/v2/categories/${weekly._id}/lists/${saturday._id}`).set(alice.auth).expect(200);
+        assert.deepEqual(list.body.data.items.map(item => [item.name, item.quantity]), [['bread', 2]]);
+    });
+
+    it('rejects operations on lists the user cannot edit', async () => {
+        const { saturday } = await setup();
+        const bob = await signUp(context.app, 'bob');
+
+        const res = await sync(bob, { operations: [{ opId: 'x', type: 'item.add', listId: saturday._id, item: 'eggs' }] });
+        assert.equal(res.body.results[0].code, 'LIST_NOT_FOUND');
+    });
+});
+
+
+describe('baseRevision', () => {
+    it('refuses single edits made on an outdated list', async () => {
+        const { alice, weekly, saturday } = await setup();
+        const url = itemUrl(weekly, saturday, saturday.items[0]);
+
+        await request(context.app).patch(url).set(alice.auth).send({ quantity: 2, baseRevision: saturday.revision }).expect(200);
+
+        const res = await request(context.app).patch(url).set(alice.auth).send({ quantity: 3, baseRevision: saturday.revision }).expect(409);
+        assert.equal(res.body.error.code, 'REVISION_CONFLICT');
+    });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { setupTestApp, signUp, createCategory, createList } = require('./helpers');
+const User = require('../DB_Models/user');
+
+
+const context = setupTestApp();
+
+const setup = async () => {
+    const alice = await signUp(context.app, 'alice');
+    await User.updateMany({}, { emailVerified: true });
+    const weekly = await createCategory(context.app, alice, 'Weekly');
+    const saturday = await createList(context.app, alice, weekly._id, 'Saturday', [
+        { name: 'Bread', quantity: 1, unit: 'pcs' },
+        { name: 'Milk', quantity: 2, unit: 'l', unitPrice: 1.2, currency: 'EUR' }
+    ]);
+    return { alice, saturday };
+};
+
+const saveTemplate = (user, list, fields = {}) =>
+    request(context.app).post(`/api/lists/${list._id}/template`)
+        .set(user.auth)
+        .send({ recurrence: { type: 'weekly', weekday: 6 }, ...fields })
+        .expect(201);
+
+
+describe('running a template', () => {
+    it('creates a list from priced and unpriced items', async () => {
+        const { alice, saturday } = await setup();
+        const template = await saveTemplate(alice, saturday, { carryOver: false });
+
+        const res = await request(context.app).post(`/api/templates/${template.body.data._id}/run`).set(alice.auth).expect(201);
+        const items = Object.fromEntries(res.body.data.items.map(item => [item.name, item]));
+        assert.equal(items.Bread.unitPrice, undefined);
+        assert.deepEqual([items.Milk.quantity, items.Milk.unitPrice, items.Milk.currency], [2, 1.2, 'EUR']);
+    });
+
+    it('merges unbought items of the previous list into the new one', async () => {
+        const { alice, saturday } = await setup();
+        const template = await saveTemplate(alice, saturday);
+
+        const res = await request(context.app).post(`/api/templates/${template.body.data._id}/run`).set(alice.auth).expect(201);
+        assert.equal(res.body.carriedOver, 2);
+        assert.deepEqual(res.body.data.items.map(item => [item.name, item.quantity]), [['Bread', 2], ['Milk', 4]]);
+    });
+});
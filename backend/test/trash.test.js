@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { setupTestApp, signUp, createCategory, createList } = require('./helpers');
+const trash = require('../trash');
+const List = require('../DB_Models/list');
+const TrashEntry = require('../DB_Models/trashEntry');
+
+
+const context = setupTestApp();
+
+const setup = async () => {
+    const alice = await signUp(context.app, 'alice');
+    const category = await createCategory(context.app, alice, 'Weekly');
+    const list = await createList(context.app, alice, category._id, 'Saturday', ['milk', 'bread', 'eggs']);
+    const ids = Object.fromEntries(list.items.map(item => [item.name, item._id]));
+    return { alice, category, list, ids };
+};
+
+const undo = (user, token) => request(context.app).post('/api/trash/undo').set(user.auth).send({ token });
+
+const names = (items) => items.map(item => item.name);
+
+
+describe('deleting into the trash', () => {
+    it('brings a category back with its lists through the undo token', async () => {
+        const { alice, category, list } = await setup();
+
+        const deleted = await request(context.app).delete(`/api/categories/${category._id}`).set(alice.auth).expect(200);
+        assert.equal(await List.exists({ _id: list._id }), null);
+
+        const res = await undo(alice, deleted.body.undo.token).expect(200);
+        assert.equal(res.body.kind, 'category');
+        assert.equal(res.body.data.category._id, category._id);
+        assert.deepEqual(res.body.data.lists.map(restored => [restored._id, restored.name]), [[list._id, 'Saturday']]);
+
+        // The same ids are back, and the token cannot be used twice
+        const lists = await request(context.app).get(`/api/v2/categories/${category._id}/lists`).set(alice.auth).expect(200);
+        assert.deepEqual(names(lists.body.data[0].items), ['milk', 'bread', 'eggs']);
+        await undo(alice, deleted.body.undo.token).expect(404);
+    });
+
+    it('puts an item back at its old position', async () => {
+        const { alice, list, ids } = await setup();
+        await request(context.app).patch(`/api/items/${ids.bread}/toggle`).set(alice.auth).expect(200);
+
+        const deleted = await request(context.app).delete(`/api/v2/categories/${list.categoryId}/lists/${list._id}/items/${ids.bread}`)
+            .set(alice.auth)
+            .set('Origin', 'http://localhost:5173')
+            .expect(204);
+        assert.ok(deleted.headers['undo-token']);
+        // Web clients on another origin can read the token too
+        assert.match(deleted.headers['access-control-expose-headers'], /Undo-Token/);
+
+        const res = await undo(alice, deleted.headers['undo-token']).expect(200);
+        assert.equal(res.body.data.item._id, ids.bread);
+        assert.equal(res.body.data.item.isCompleted, true);
+        assert.deepEqual(names(res.body.data.list.items), ['milk', 'bread', 'eggs']);
+    });
+
+    it('restores from the trash listing', async () => {
+        const { alice, list } = await setup();
+        await request(context.app).delete(`/api/delete-lists/${list._id}`).set(alice.auth).expect(200);
+
+        const listed = await request(context.app).get('/api/trash').set(alice.auth).expect(200);
+        assert.deepEqual(listed.body.data.map(entry => [entry.kind, entry.name, entry.itemCount]), [['list', 'Saturday', 3]]);
+        assert.equal(listed.body.data[0].token, undefined);
+
+        await request(context.app).post(`/api/trash/${listed.body.data[0]._id}/restore`).set(alice.auth).expect(200);
+        const after = await request(context.app).get('/api/trash').set(alice.auth).expect(200);
+        assert.deepEqual(after.body.data, []);
+    });
+
+    it('renames a restored list whose name was taken again', async () => {
+        const { alice, category, list } = await setup();
+        const deleted = await request(context.app).delete(`/api/delete-lists/${list._id}`).set(alice.auth).expect(200);
+        await createList(context.app, alice, category._id, 'Saturday', ['tea']);
+
+        const res = await undo(alice, deleted.body.undo.token).expect(200);
+        assert.equal(res.body.data.list.name, 'Saturday (restored)');
+    });
+
+    it('needs the parent back before a list or item can return', async () => {
+        const { alice, category, list, ids } = await setup();
+        const item = await request(context.app).delete(`/api/delete/${list._id}/item/${ids.eggs}`).set(alice.auth).expect(200);
+        const deleted = await request(context.app).delete(`/api/categories/${category._id}`).set(alice.auth).expect(200);
+
+        const blocked = await undo(alice, item.body.undo.token).expect(409);
+        assert.match(blocked.body.message, /restore the list first/);
+
+        await undo(alice, deleted.body.undo.token).expect(200);
+        await undo(alice, item.body.undo.token).expect(200);
+    });
+
+    it('keeps each trash private', async () => {
+        const { alice, list } = await setup();
+        const bob = await signUp(context.app, 'bob');
+        const deleted = await request(context.app).delete(`/api/delete-lists/${list._id}`).set(alice.auth).expect(200);
+
+        await undo(bob, deleted.body.undo.token).expect(404);
+        await request(context.app).post(`/api/trash/${deleted.body.undo.trashId}/restore`).set(bob.auth).expect(404);
+        const res = await request(context.app).get('/api/trash').set(bob.auth).expect(200);
+        assert.deepEqual(res.body.data, []);
+    });
+});
+
+
+describe('purging', () => {
+    it('removes expired trash for good', async () => {
+        const { alice, list } = await setup();
+        const deleted = await request(context.app).delete(`/api/delete-lists/${list._id}`).set(alice.auth).expect(200);
+
+        assert.equal(await trash.purgeExpiredTrash(new Date()), 0);
+        const later = new Date(Date.parse(deleted.body.undo.expiresAt) + 1000);
+        assert.equal(await trash.purgeExpiredTrash(later), 1);
+
+        await undo(alice, deleted.body.undo.token).expect(404);
+    });
+
+    it('empties the trash on request', async () => {
+        const { alice, list, ids } = await setup();
+        await request(context.app).delete(`/api/delete/${list._id}/item/${ids.milk}`).set(alice.auth).expect(200);
+        await request(context.app).delete(`/api/delete-lists/${list._id}`).set(alice.auth).expect(200);
+
+        const res = await request(context.app).delete('/api/trash').set(alice.auth).expect(200);
+        assert.equal(res.body.deleted, 2);
+        assert.equal(await TrashEntry.countDocuments(), 0);
+    });
+});
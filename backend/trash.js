@@ -0,0 +1,280 @@
+// Trash: deleted categories, lists and items are kept as snapshots for
+// config.trashRetentionDays. They can be restored from the trash or with the undo token the
+// delete answered with, and the purge job removes them for good once they expire.
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { body } = require('express-validator');
+
+const { authenticateToken } = require('./authenticator');
+const { config } = require('./config');
+const sharing = require('./sharing');
+const realtime = require('./realtime');
+const { withListTotals } = require('./budget');
+const { validate, checkIdParams, sendError, escapeRegex } = require('./validation');
+const Category = require('./DB_Models/category');
+const List = require('./DB_Models/list');
+const TrashEntry = require('./DB_Models/trashEntry');
+const { itemKey } = require('./DB_Models/itemNames');
+
+checkIdParams(router);
+
+
+const DAY = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Same rejection shape as listItems.js: `body` is the response, `code` the /api/v2 error code
+const trashError = (status, code, message, extra = {}) => ({
+    error: { status, code, body: { status: 'error', message, ...extra } }
+});
+
+
+// ========================
+// Moving to the trash
+// ========================
+
+// Record removed documents; the caller deletes them afterwards
+const moveToTrash = (userId, kind, { name, categoryId, listId, data }) => TrashEntry.create({
+    userId,
+    kind,
+    name,
+    categoryId,
+    listId,
+    data,
+    undoToken: crypto.randomBytes(24).toString('base64url'),
+    expiresAt: new Date(Date.now() + config.trashRetentionDays * DAY)
+});
+
+// What a destructive route answers with so the client can offer "Undo"
+const undoInfo = (entry) => ({ trashId: entry._id, token: entry.undoToken, expiresAt: entry.expiresAt });
+
+// Trash view of an entry (the snapshot and the undo token stay on the server)
+const describeEntry = (entry) => ({
+    _id: entry._id,
+    kind: entry.kind,
+    name: entry.name,
+    categoryId: entry.categoryId,
+    listId: entry.listId,
+    deletedAt: entry.deletedAt,
+    expiresAt: entry.expiresAt,
+    ...(entry.kind === 'category' && { listCount: entry.data.lists.length }),
+    ...(entry.kind === 'list' && { itemCount: entry.data.list.items.length })
+});
+
+
+// ========================
+// Restoring
+// ========================
+
+// Names are unique per owner; a restored copy whose name was taken in the meantime
+// becomes "Name (restored)", "Name (restored 2)", ...
+const freeName = async (Model, name, ownerId) => {
+    const taken = (candidate) => Model.exists({
+        userId: ownerId,
+        name: { $regex: `^${escapeRegex(candidate)}$`, $options: 'i' }
+    });
+
+    if (!await taken(name)) return name;
+    let candidate = `${name} (restored)`;
+    for (let n = 2; await taken(candidate); n++) {
+        candidate = `${name} (restored ${n})`;
+    }
+    return candidate;
+};
+
+// Put back lists that are not already back (restored on their own in the meantime)
+const restoreLists = async (snapshots) => {
+    const restored = [];
+    for (const snapshot of snapshots) {
+        if (await List.exists({ _id: snapshot._id })) continue;
+        const list = new List({ ...snapshot, name: await freeName(List, snapshot.name, snapshot.userId) });
+        restored.push(await list.save());
+    }
+    return restored;
+};
+
+const restoreCategory = async (entry) => {
+    const snapshot = entry.data.category;
+    if (await Category.exists({ _id: snapshot._id })) {
+        return trashError(409, 'ALREADY_RESTORED', 'This category has already been restored');
+    }
+
+    const category = await new Category({ ...snapshot, name: await freeName(Category, snapshot.name, snapshot.userId) }).save();
+    const lists = await restoreLists(entry.data.lists);
+    return { restored: { category, lists: lists.map(withListTotals) } };
+};
+
+// A list goes back into its category, which the user must still be able to add lists to
+const restoreList = async (entry, userId) => {
+    const snapshot = entry.data.list;
+    if (await List.exists({ _id: snapshot._id })) {
+        return trashError(409, 'ALREADY_RESTORED', 'This list has already been restored');
+    }
+
+    const category = await Category.findById(entry.categoryId);
+    if (!category) {
+        return trashError(409, 'CATEGORY_NOT_FOUND', 'The category of this list no longer exists; restore the category first');
+    }
+    if (!sharing.hasRole(sharing.getCategoryRole(category, userId), 'editor')) {
+        return trashError(403, 'FORBIDDEN', 'You can no longer add lists to this category');
+    }
+
+    const [list] = await restoreLists([snapshot]);
+    return { restored: { list: withListTotals(list) } };
+};
+
+// An item goes back to its old position on its list, which the user must still be able to edit
+const restoreItem = async (entry, userId) => {
+    const { item, position } = entry.data;
+
+    const list = await List.findById(entry.listId);
+    if (!list) {
+        return trashError(409, 'LIST_NOT_FOUND', 'The list of this item no longer exists; restore the list first');
+    }
+    if (!sharing.hasRole(await sharing.getListRole(list, userId), 'editor')) {
+        return trashError(403, 'FORBIDDEN', 'You can no longer edit this list');
+    }
+    if (list.items.id(item._id)) {
+        return trashError(409, 'ALREADY_RESTORED', 'This item has already been restored');
+    }
+    if (list.items.some(existing => itemKey(existing.name) === itemKey(item.name))) {
+        return trashError(409, 'ITEM_EXISTS', `${item.name} is on the list again; remove it there first`);
+    }
+
+    list.items.splice(Math.min(position, list.items.length), 0, item);
+    await list.save();
+
+    const restoredItem = list.items.id(item._id);
+    realtime.itemAdded(list._id, restoredItem, userId);
+    return { restored: { list: withListTotals(list), item: restoredItem } };
+};
+
+const RESTORERS = { category: restoreCategory, list: restoreList, item: restoreItem };
+
+// Restore an entry and take it out of the trash. Resolves to { error } or { entry, restored }.
+const restoreEntry = async (entry, userId) => {
+    const result = await RESTORERS[entry.kind](entry, userId);
+    if (result.error) return result;
+
+    await TrashEntry.deleteOne({ _id: entry._id });
+    return { entry, restored: result.restored };
+};
+
+
+// ========================
+// Purge job
+// ========================
+
+// Permanently remove expired trash; resolves to the number of entries removed
+const purgeExpiredTrash = async (now = new Date()) => {
+    const { deletedCount } = await TrashEntry.deleteMany({ expiresAt: { $lte: now } });
+    return deletedCount;
+};
+
+const startPurgeJob = (intervalMs = PURGE_INTERVAL) => {
+    const run = () => purgeExpiredTrash().catch(error => console.error('Trash purge error:', error));
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    run();
+    return timer;
+};
+
+
+// ========================
+// Route helpers
+// ========================
+
+// Expired entries the purge job has not reached yet count as gone
+const findOwnEntry = (query, userId) => TrashEntry.findOne({ ...query, userId, expiresAt: { $gt: new Date() } });
+
+const sendRestored = async (res, entry, userId) => {
+    const { restored, error } = await restoreEntry(entry, userId);
+    if (error) return res.status(error.status).json(error.body);
+
+    res.status(200).json({ status: 'success', message: `Restored ${entry.kind} ${entry.name}`, kind: entry.kind, data: restored });
+};
+
+
+// ========================
+// 1. TRASH CONTENTS
+// ========================
+router.get('/trash', authenticateToken, async (req, res) => {
+    try {
+        const entries = await TrashEntry.find({ userId: req.user.userId, expiresAt: { $gt: new Date() } }).sort({ deletedAt: -1 });
+        res.status(200).json({ status: 'success', data: entries.map(describeEntry) });
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({ status: 'error', message: 'Error fetching trash' });
+    }
+});
+
+
+// ========================
+// 2. RESTORE (from the trash, or with the undo token of the delete)
+// ========================
+router.post('/trash/:trashId/restore', authenticateToken, async (req, res) => {
+    try {
+        const entry = await findOwnEntry({ _id: req.params.trashId }, req.user.userId);
+        if (!entry) {
+            return sendError(res, 404, 'Nothing to restore', { code: 'TRASH_NOT_FOUND' });
+        }
+        await sendRestored(res, entry, req.user.userId);
+    } catch (error) {
+        console.error('Error restoring from trash:', error);
+        res.status(500).json({ status: 'error', message: 'Error restoring from trash' });
+    }
+});
+
+router.post('/trash/undo', authenticateToken, validate(
+    body('token')
+        .isString().withMessage('Undo token is required').bail()
+        .notEmpty().withMessage('Undo token is required')
+), async (req, res) => {
+    try {
+        const entry = await findOwnEntry({ undoToken: req.body.token }, req.user.userId);
+        if (!entry) {
+            return sendError(res, 404, 'Nothing to undo', { code: 'TRASH_NOT_FOUND' });
+        }
+        await sendRestored(res, entry, req.user.userId);
+    } catch (error) {
+        console.error('Error undoing delete:', error);
+        res.status(500).json({ status: 'error', message: 'Error undoing delete' });
+    }
+});
+
+
+// ========================
+// 3. DELETE FOR GOOD
+// ========================
+router.delete('/trash/:trashId', authenticateToken, async (req, res) => {
+    try {
+        const deleted = await TrashEntry.findOneAndDelete({ _id: req.params.trashId, userId: req.user.userId });
+        if (!deleted) {
+            return sendError(res, 404, 'Not in the trash', { code: 'TRASH_NOT_FOUND' });
+        }
+        res.status(200).json({ status: 'success', message: 'Deleted permanently' });
+    } catch (error) {
+        console.error('Error purging trash entry:', error);
+        res.status(500).json({ status: 'error', message: 'Error purging trash entry' });
+    }
+});
+
+router.delete('/trash', authenticateToken, async (req, res) => {
+    try {
+        const { deletedCount } = await TrashEntry.deleteMany({ userId: req.user.userId });
+        res.status(200).json({ status: 'success', message: 'Trash emptied', deleted: deletedCount });
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        res.status(500).json({ status: 'error', message: 'Error emptying trash' });
+    }
+});
+
+
+module.exports = {
+    router,
+    moveToTrash,
+    undoInfo,
+    restoreEntry,
+    purgeExpiredTrash,
+    startPurgeJob,
+};
@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+
+
+// Known units by family. `factor` converts one unit into the family's base unit
+// (g, ml, pcs). A unit with factor null belongs to a family but cannot be converted,
+// e.g. a pack or a can has no fixed number of pieces.
+const UNITS = {
+    g:      { family: 'mass',   factor: 1,            label: 'gram' },
+    kg:     { family: 'mass',   factor: 1000,         label: 'kilogram' },
+    lb:     { family: 'mass',   factor: 453.59237,    label: 'pound' },
+    oz:     { family: 'mass',   factor: 28.349523125, label: 'ounce' },
+    ml:     { family: 'volume', factor: 1,            label: 'millilitre' },
+    l:      { family: 'volume', factor: 1000,         label: 'litre' },
+    cup:    { family: 'volume', factor: 236.5882365,  label: 'cup (US)' },
+    gal:    { family: 'volume', factor: 3785.411784,  label: 'gallon (US)' },
+    pcs:    { family: 'count',  factor: 1,            label: 'pieces' },
+    dozen:  { family: 'count',  factor: 12,           label: 'dozen' },
+    pack:   { family: 'count',  factor: null,         label: 'pack' },
+    can:    { family: 'count',  factor: null,         label: 'can' },
+    jar:    { family: 'count',  factor: null,         label: 'jar' },
+    bottle: { family: 'count',  factor: null,         label: 'bottle' },
+    bag:    { family: 'count',  factor: null,         label: 'bag' },
+    box:    { family: 'count',  factor: null,         label: 'box' },
+    carton: { family: 'count',  factor: null,         label: 'carton' },
+    bunch:  { family: 'count',  factor: null,         label: 'bunch' },
+    loaf:   { family: 'count',  factor: null,         label: 'loaf' }
+};
+
+// Spellings accepted from clients, mapped to their canonical unit (matched case-insensitively)
+const ALIASES = {
+    g: ['g', 'gr', 'gm', 'gms', 'gram', 'grams', 'gramme', 'grammes'],
+    kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms', 'kilogramme', 'kilogrammes'],
+    lb: ['lb', 'lbs', 'pound', 'pounds'],
+    oz: ['oz', 'ozs', 'ounce', 'ounces'],
+    ml: ['ml', 'mls', 'millilitre', 'millilitres', 'milliliter', 'milliliters'],
+    l: ['l', 'lt', 'ltr', 'ltrs', 'litre', 'litres', 'liter', 'liters'],
+    cup: ['cup', 'cups'],
+    gal: ['gal', 'gals', 'gallon', 'gallons'],
+    pcs: ['pcs', 'pc', 'piece', 'pieces', 'each', 'ea', 'unit', 'units'],
+    dozen: ['dozen', 'dozens', 'doz', 'dz'],
+    pack: ['pack', 'packs', 'pk', 'pkt', 'pkts', 'packet', 'packets'],
+    can: ['can', 'cans', 'tin', 'tins'],
+    jar: ['jar', 'jars'],
+    bottle: ['bottle', 'bottles', 'btl'],
+    bag: ['bag', 'bags'],
+    box: ['box', 'boxes'],
+    carton: ['carton', 'cartons'],
+    bunch: ['bunch', 'bunches'],
+    loaf: ['loaf', 'loaves']
+};
+
+const ALIAS_LOOKUP = new Map();
+Object.entries(ALIASES).forEach(([canonical, spellings]) => {
+    spellings.forEach(spelling => ALIAS_LOOKUP.set(spelling, canonical));
+});
+
+// Canonical unit for a known spelling, or null when the unit is unknown
+const normalizeUnit = (unit) => {
+    if (typeof unit !== 'string') return null;
+    return ALIAS_LOOKUP.get(unit.trim().toLowerCase()) || null;
+};
+
+// Unit to store on an item: canonical when known, otherwise the trimmed free text
+const canonicalUnit = (unit) => {
+    if (unit == null || unit === '') return 'pcs';
+    return normalizeUnit(unit) || String(unit).trim();
+};
+
+// Same unit after normalization (unknown units compare case-insensitively)
+const sameUnit = (a, b) => {
+    const left = normalizeUnit(a) || String(a).trim().toLowerCase();
+    const right = normalizeUnit(b) || String(b).trim().toLowerCase();
+    return left === right;
+};
+
+// Convert a quantity between two units. Returns null when the units cannot be compared.
+const convert = (quantity, from, to) => {
+    if (sameUnit(from, to)) return quantity;
+
+    const source = UNITS[normalizeUnit(from)];
+    const target = UNITS[normalizeUnit(to)];
+    if (!source || !target || source.family !== target.family || !source.factor || !target.factor) {
+        return null;
+    }
+
+    return (quantity * source.factor) / target.factor;
+};
+
+const canConvert = (from, to) => convert(1, from, to) !== null;
+
+// Price per `to` unit for a price given per `from` unit (null when not convertible)
+const convertUnitPrice = (unitPrice, from, to) => {
+    const unitsOfFromPerTo = convert(1, to, from);
+    if (unitsOfFromPerTo === null) return null;
+    return Math.round(unitPrice * unitsOfFromPerTo * 1000000) / 1000000;
+};
+
+
+// ========================
+// KNOWN UNITS (for client dropdowns)
+// ========================
+router.get('/units', (req, res) => {
+    const families = {};
+    Object.entries(UNITS).forEach(([unit, { family, factor, label }]) => {
+        if (!families[family]) families[family] = [];
+        families[family].push({ unit, label, convertible: factor !== null, aliases: ALIASES[unit] });
+    });
+
+    res.status(200).json({ status: 'success', data: { families } });
+});
+
+
+module.exports = {
+    router,
+    UNITS,
+    normalizeUnit,
+    canonicalUnit,
+    sameUnit,
+    convert,
+    canConvert,
+    convertUnitPrice,
+};
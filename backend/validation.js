@@ -0,0 +1,225 @@
+// Request validation shared by every router, built on express-validator.
+// Failures always answer with the same body:
+//   400 { status: 'error', message, errors: [{ field, location, message }] }
+// and route guards (see sharing.requireListRole etc.) use sendError for 403/404.
+// Under /api/v2 (res.locals.envelope === 'v2') the same errors use the v2 envelope:
+//   { status: 'error', error: { code, message, details } }
+const { body, validationResult } = require('express-validator');
+
+
+const LIMITS = {
+    name: 100,          // category, list, item and template names
+    items: 500,         // items sent in one request
+    unit: 30,
+    store: 100,
+    aisle: 50,
+    aisles: 100,        // aisles in one store layout
+    username: 50,
+    email: 254,
+    password: 128,
+    identifier: 254,    // username or email
+    text: 10000,        // free-text quick-add entries
+    importText: 1000000 // CSV or text sent as the `content` of an import
+};
+
+// Fields of a list item, and of a category or list with a spend limit, as stored and exchanged
+const ITEM_FIELDS = ['name', 'quantity', 'unit', 'isCompleted', 'unitPrice', 'currency', 'store', 'aisle'];
+const SPEND_LIMIT_FIELDS = ['name', 'budget', 'currency'];
+
+// Route parameters that always hold a MongoDB ObjectId
+const ID_PARAMS = ['listId', 'listID', 'categoryId', 'itemId', 'itemID', 'memberId', 'templateId', 'sessionId', 'layoutId', 'pantryItemId', 'recipeId', 'mealId', 'trashId', 'catalogItemId'];
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+const isObjectId = (value) => typeof value === 'string' && OBJECT_ID_PATTERN.test(value);
+
+// Default machine-readable codes, used when a caller does not name a more specific one
+const ERROR_CODES = {
+    400: 'VALIDATION_FAILED',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    500: 'INTERNAL_ERROR'
+};
+
+const sendError = (res, status, message, extra = {}) => {
+    const { code = ERROR_CODES[status] || 'ERROR', errors, ...rest } = extra;
+
+    if (res.locals.envelope === 'v2') {
+        const details = errors || (Object.keys(rest).length ? rest : undefined);
+        return res.status(status).json({ status: 'error', error: { code, message, ...(details && { details }) } });
+    }
+    return res.status(status).json({ status: 'error', message, ...(errors && { errors }), ...rest });
+};
+
+
+// Collects express-validator results and stops the request with a 400 on the first failure per field
+const handleValidation = (req, res, next) => {
+    const result = validationResult(req);
+    if (result.isEmpty()) return next();
+
+    const errors = result.array({ onlyFirstError: true }).map(error => ({
+        field: error.path,
+        location: error.location,
+        message: error.msg
+    }));
+    return sendError(res, 400, errors[0].message, { errors });
+};
+
+// validate(chain, chain, ...) -> middleware array for a route
+const validate = (...chains) => [...chains.flat(), handleValidation];
+
+// Rejects malformed ids in any known route parameter before the handler runs
+const checkIdParams = (router) => {
+    ID_PARAMS.forEach(name => {
+        router.param(name, (req, res, next, value) => {
+            if (!isObjectId(value)) {
+                return sendError(res, 400, `Invalid ${name}`, {
+                    code: 'INVALID_ID',
+                    errors: [{ field: name, location: 'params', message: `Invalid ${name}` }]
+                });
+            }
+            next();
+        });
+    });
+};
+
+
+// ========================
+// Field rules
+// ========================
+
+const textField = (field, label, max, { optional = false } = {}) => {
+    const chain = body(field);
+    return (optional ? chain.optional() : chain.exists({ values: 'null' }).withMessage(`${label} is required`))
+        .isString().withMessage(`${label} must be text`).bail()
+        .trim()
+        .notEmpty().withMessage(`${label} cannot be empty`)
+        .isLength({ max }).withMessage(`${label} must be at most ${max} characters`);
+};
+
+const nameField = (field = 'name', label = 'Name', options) => textField(field, label, LIMITS.name, options);
+
+// Optional aisle tag of an item; null or '' clears it
+const aisleField = (field = 'aisle') => body(field)
+    .optional({ values: 'null' })
+    .isString().withMessage('Aisle must be text').bail()
+    .isLength({ max: LIMITS.aisle }).withMessage(`Aisle must be at most ${LIMITS.aisle} characters`);
+
+// Items may be objects ({ name, quantity, unit, ... }) or quick-add strings ("2 kg apples")
+const itemsField = (field = 'items', { optional = false } = {}) => [
+    (optional ? body(field).optional() : body(field))
+        .isArray({ min: 1, max: LIMITS.items }).withMessage(`Items must be a non-empty array of at most ${LIMITS.items} entries`),
+    body(`${field}.*`)
+        .custom(value => typeof value === 'string' || (value !== null && typeof value === 'object' && !Array.isArray(value)))
+        .withMessage('Each item must be an object or a text entry'),
+    body(`${field}.*`)
+        .if(value => typeof value === 'string')
+        .isLength({ max: LIMITS.text }).withMessage(`Text entries must be at most ${LIMITS.text} characters`),
+    body(`${field}.*.name`)
+        .optional()
+        .isString().withMessage('Item name must be text').bail()
+        .isLength({ max: LIMITS.name }).withMessage(`Item name must be at most ${LIMITS.name} characters`),
+    body(`${field}.*.quantity`)
+        .optional()
+        .isFloat({ gt: 0 }).withMessage('Item quantity must be a positive number'),
+    body(`${field}.*.unit`)
+        .optional()
+        .isString().withMessage('Item unit must be text').bail()
+        .isLength({ max: LIMITS.unit }).withMessage(`Item unit must be at most ${LIMITS.unit} characters`),
+    body(`${field}.*.isCompleted`)
+        .optional()
+        .isBoolean({ strict: true }).withMessage('isCompleted must be true or false'),
+    body(`${field}.*.unitPrice`)
+        .optional({ values: 'null' })
+        .isFloat({ min: 0 }).withMessage('Item price must be a non-negative number'),
+    body(`${field}.*.store`)
+        .optional({ values: 'null' })
+        .isString().withMessage('Store must be text').bail()
+        .isLength({ max: LIMITS.store }).withMessage(`Store must be at most ${LIMITS.store} characters`),
+    aisleField(`${field}.*.aisle`)
+];
+
+// A single complete item, e.g. updatedItem in PATCH /updateItem
+const itemField = (field) => [
+    body(field)
+        .custom(value => value !== null && typeof value === 'object' && !Array.isArray(value))
+        .withMessage('Item data is required'),
+    nameField(`${field}.name`, 'Item name'),
+    body(`${field}.quantity`)
+        .exists({ values: 'null' }).withMessage('Item quantity is required').bail()
+        .isFloat({ gt: 0 }).withMessage('Item quantity must be a positive number'),
+    textField(`${field}.unit`, 'Item unit', LIMITS.unit),
+    body(`${field}.store`)
+        .optional({ values: 'null' })
+        .isString().withMessage('Store must be text').bail()
+        .isLength({ max: LIMITS.store }).withMessage(`Store must be at most ${LIMITS.store} characters`),
+    aisleField(`${field}.aisle`)
+];
+
+// Partial item update: every field optional, but typed and bounded when present.
+// `prefix` places the fields inside the body, e.g. 'operations.*.changes.' for /api/sync.
+const itemChangesFields = (prefix = '') => [
+    nameField(`${prefix}name`, 'Item name', { optional: true }),
+    body(`${prefix}quantity`)
+        .optional()
+        .isFloat({ gt: 0 }).withMessage('Item quantity must be a positive number'),
+    textField(`${prefix}unit`, 'Item unit', LIMITS.unit, { optional: true }),
+    body(`${prefix}isCompleted`)
+        .optional()
+        .isBoolean({ strict: true }).withMessage('isCompleted must be true or false'),
+    body(`${prefix}store`)
+        .optional({ values: 'null' })
+        .isString().withMessage('Store must be text').bail()
+        .isLength({ max: LIMITS.store }).withMessage(`Store must be at most ${LIMITS.store} characters`),
+    aisleField(`${prefix}aisle`)
+];
+
+const identifierField = (label = 'Username or email') => textField('identifier', label, LIMITS.identifier);
+
+const roleField = (roles, { optional = false } = {}) => {
+    const chain = body('role');
+    return (optional ? chain.optional() : chain)
+        .isIn(roles).withMessage(`Role must be one of: ${roles.join(', ')}`);
+};
+
+const usernameField = (options) => textField('username', 'Username', LIMITS.username, options);
+
+// Lookups (signin, check-email) only need text; new addresses must also look like an email
+const emailField = ({ format = true, ...options } = {}) => {
+    const chain = textField('email', 'Email', LIMITS.email, options);
+    return format ? chain.bail().isEmail().withMessage('Email must be a valid email address') : chain;
+};
+
+const passwordField = (field = 'password', label = 'Password') => body(field)
+    .exists({ values: 'falsy' }).withMessage(`${label} is required`).bail()
+    .isString().withMessage(`${label} must be text`).bail()
+    .isLength({ max: LIMITS.password }).withMessage(`${label} must be at most ${LIMITS.password} characters`);
+
+// Literal match for user text placed inside a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+
+module.exports = {
+    LIMITS,
+    ITEM_FIELDS,
+    SPEND_LIMIT_FIELDS,
+    ERROR_CODES,
+    isObjectId,
+    sendError,
+    handleValidation,
+    validate,
+    checkIdParams,
+    textField,
+    nameField,
+    itemsField,
+    itemField,
+    itemChangesFields,
+    aisleField,
+    identifierField,
+    roleField,
+    usernameField,
+    emailField,
+    passwordField,
+    escapeRegex,
+};